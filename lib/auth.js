@@ -0,0 +1,189 @@
+// lib/auth.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Operator roles, lowest first. Each role may do everything the roles before it can.
+const ROLES = ['viewer', 'dispatcher'];
+
+const SCRYPT_KEY_LENGTH = 64;
+// Unambiguous characters (no 0/O, 1/I/L) so join tokens can be typed from a printed sheet
+const JOIN_TOKEN_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_TOKEN_LENGTH = 8;
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param {string} password
+ * @returns {Promise<string>} - 'scrypt$<salt>$<hash>' (hex encoded).
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a hash produced by hashPassword().
+ * @param {string} password
+ * @param {string} storedHash
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, storedHash) {
+    const [scheme, saltHex, hashHex] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Generates a random join token for a trip (what riders need besides the trip code).
+ * @returns {string}
+ */
+function generateJoinToken() {
+    return Array.from({ length: JOIN_TOKEN_LENGTH }, () => JOIN_TOKEN_ALPHABET[crypto.randomInt(JOIN_TOKEN_ALPHABET.length)]).join('');
+}
+
+/**
+ * Compares a join token supplied by a rider with the trip's token in constant time.
+ * Tokens are case-insensitive so hand-typed tokens work.
+ * @param {Object} trip - Trip record with a joinToken.
+ * @param {*} token - Token from the request.
+ * @returns {boolean}
+ */
+function joinTokenMatches(trip, token) {
+    if (!trip || !trip.joinToken || typeof token !== 'string') return false;
+    const expected = Buffer.from(trip.joinToken);
+    const actual = Buffer.from(token.trim().toUpperCase());
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Whether a role includes the permissions of another role.
+ * @param {string} role - The operator's role.
+ * @param {string} requiredRole - The role an action needs.
+ * @returns {boolean}
+ */
+function hasRole(role, requiredRole) {
+    const level = ROLES.indexOf(role);
+    return level !== -1 && level >= ROLES.indexOf(requiredRole);
+}
+
+// Read one cookie from the Cookie header (we don't need a full cookie parser for this)
+function readCookie(req, name) {
+    const header = req.headers.cookie;
+    if (!header) return null;
+    for (const part of header.split(';')) {
+        const separator = part.indexOf('=');
+        if (separator === -1) continue;
+        if (part.slice(0, separator).trim() === name) {
+            return part.slice(separator + 1).trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Creates the operator authentication helpers.
+ *
+ * Sessions are stateless: the cookie holds the username and expiry, signed with
+ * an HMAC of the session secret. The user record (and therefore the role) is
+ * looked up on every request, so role changes apply immediately.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - Storage backend (users are read with getUser()).
+ * @param {string} options.secret - Secret used to sign session cookies.
+ * @param {number} options.sessionTtlMs - How long a login stays valid.
+ * @param {string} [options.cookieName='shuttle_session']
+ * @returns {Object}
+ */
+function createAuth({ storage, secret, sessionTtlMs, cookieName = 'shuttle_session' }) {
+    function sign(value) {
+        return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+    }
+
+    // Returns the username from a valid, unexpired session cookie (or null)
+    function readSession(req) {
+        const cookie = readCookie(req, cookieName);
+        if (!cookie) return null;
+        const [payload, signature] = cookie.split('.');
+        if (!payload || !signature) return null;
+        const expected = Buffer.from(sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+        try {
+            const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (typeof session.username !== 'string' || !(session.expiresAt > Date.now())) return null;
+            return session.username;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function cookieAttributes(req, maxAgeSeconds) {
+        const attributes = ['Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${maxAgeSeconds}`];
+        if (req.secure) attributes.push('Secure');
+        return attributes.join('; ');
+    }
+
+    return {
+        /**
+         * Checks a username/password pair.
+         * @returns {Promise<Object|null>} - The user record, or null if the credentials are wrong.
+         */
+        async login(username, password) {
+            if (typeof username !== 'string' || typeof password !== 'string') return null;
+            const user = await storage.getUser(username.trim());
+            if (!user || !(await verifyPassword(password, user.passwordHash))) return null;
+            return user;
+        },
+
+        // Set the signed session cookie for a user
+        startSession(req, res, user) {
+            const payload = Buffer.from(JSON.stringify({ username: user.username, expiresAt: Date.now() + sessionTtlMs })).toString('base64url');
+            res.setHeader('Set-Cookie', `${cookieName}=${payload}.${sign(payload)}; ${cookieAttributes(req, Math.floor(sessionTtlMs / 1000))}`);
+        },
+
+        endSession(req, res) {
+            res.setHeader('Set-Cookie', `${cookieName}=; ${cookieAttributes(req, 0)}`);
+        },
+
+        /**
+         * Express middleware that sets req.user ({ username, role }) when a valid
+         * session cookie is present. It never rejects; use requireRole() for that.
+         */
+        async authenticate(req, res, next) {
+            try {
+                req.user = null;
+                const username = readSession(req);
+                const user = username ? await storage.getUser(username) : null;
+                if (user) req.user = { username: user.username, role: user.role };
+                next();
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * Express middleware factory that only lets operators with at least the given role through.
+         * Responds 401 when not logged in and 403 when the role is too low.
+         * @param {string} requiredRole - One of ROLES.
+         * @returns {Function}
+         */
+        requireRole(requiredRole) {
+            return (req, res, next) => {
+                if (!req.user) {
+                    return res.status(401).json({ error: 'Login required' });
+                }
+                if (!hasRole(req.user.role, requiredRole)) {
+                    console.warn(`User ${req.user.username} (${req.user.role}) denied access to ${req.method} ${req.path}`);
+                    return res.status(403).json({ error: `This action requires the '${requiredRole}' role` });
+                }
+                next();
+            };
+        }
+    };
+}
+
+module.exports = { ROLES, hashPassword, verifyPassword, generateJoinToken, joinTokenMatches, hasRole, createAuth };
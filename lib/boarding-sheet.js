@@ -0,0 +1,89 @@
+// lib/boarding-sheet.js
+// Print-ready HTML page for a trip: the join QR code with the trip code, route and departure time,
+// to put up in the shuttle window. Self-contained (no external assets) so it works on offline networks.
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders the boarding sheet of one trip.
+ * @param {Object} input
+ * @param {Object} input.trip - The trip record (code, origin, destination, scheduledDeparture, vehicle, joinToken).
+ * @param {Object|null} input.route - The trip's route ({ name, stops }), if it follows one.
+ * @param {string} input.joinUrl - The rider page URL the QR code opens.
+ * @param {string} input.qrSvg - The QR code as an SVG document.
+ * @returns {string} - The HTML page.
+ */
+function renderBoardingSheet({ trip, route, joinUrl, qrSvg }) {
+    const journey = [trip.origin, trip.destination].filter(Boolean).join(' → ');
+    const vehicle = [trip.vehiclePlate, trip.vehicleModel].filter(Boolean).join(' · ');
+    const stops = route && route.stops.length > 0 ? route.stops.map(stop => stop.name).join(' → ') : null;
+    // Shown in UTC until the script below switches it to the printing browser's time zone
+    const departure = trip.scheduledDeparture
+        ? `<time datetime="${escapeHtml(trip.scheduledDeparture)}">${escapeHtml(new Date(trip.scheduledDeparture).toUTCString())}</time>`
+        : null;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Boarding sheet ${escapeHtml(trip.code)}</title>
+    <style>
+        @page { size: A4 portrait; margin: 15mm; }
+        * { box-sizing: border-box; }
+        body { margin: 0; font-family: Helvetica, Arial, sans-serif; color: #111827; background: #F3F4F6; }
+        .sheet { width: 180mm; min-height: 260mm; margin: 10mm auto; padding: 12mm; background: #FFFFFF; display: flex; flex-direction: column; align-items: center; text-align: center; gap: 6mm; }
+        .label { font-size: 14pt; letter-spacing: 0.15em; text-transform: uppercase; color: #4B5563; }
+        .code { font-size: 64pt; font-weight: bold; letter-spacing: 0.05em; line-height: 1; }
+        .journey { font-size: 22pt; font-weight: bold; }
+        .route { font-size: 13pt; color: #374151; }
+        .qr { width: 120mm; height: 120mm; }
+        .qr svg { width: 100%; height: 100%; }
+        .details { font-size: 14pt; display: grid; grid-template-columns: auto auto; gap: 2mm 6mm; text-align: left; }
+        .details dt { color: #6B7280; }
+        .details dd { margin: 0; font-weight: bold; }
+        .manual { font-size: 11pt; color: #4B5563; word-break: break-all; }
+        .manual strong { font-family: "Courier New", monospace; font-size: 14pt; color: #111827; }
+        .print-btn { position: fixed; top: 10mm; right: 10mm; padding: 3mm 6mm; font-size: 12pt; cursor: pointer; }
+        @media print {
+            body { background: none; }
+            .sheet { margin: 0; width: auto; min-height: 0; padding: 0; }
+            .print-btn { display: none; }
+        }
+    </style>
+</head>
+<body>
+    <button class="print-btn" onclick="window.print()">Print</button>
+    <main class="sheet">
+        <div class="label">Scan to board</div>
+        <div class="code">${escapeHtml(trip.code)}</div>
+        ${journey ? `<div class="journey">${escapeHtml(journey)}</div>` : ''}
+        ${route ? `<div class="route">Route ${escapeHtml(route.name)}${stops ? `<br>${escapeHtml(stops)}` : ''}</div>` : ''}
+        <div class="qr">${qrSvg}</div>
+        ${departure || vehicle ? `<dl class="details">
+            ${departure ? `<dt>Departure</dt><dd>${departure}</dd>` : ''}
+            ${vehicle ? `<dt>Vehicle</dt><dd>${escapeHtml(vehicle)}</dd>` : ''}
+        </dl>` : ''}
+        <p class="manual">
+            No camera? Open ${escapeHtml(joinUrl.split('?')[0])}<br>
+            and enter trip <strong>${escapeHtml(trip.code)}</strong> with join token <strong>${escapeHtml(trip.joinToken || '')}</strong>
+        </p>
+    </main>
+    <script>
+        document.querySelectorAll('time[datetime]').forEach(function (el) {
+            el.textContent = new Date(el.getAttribute('datetime')).toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+        });
+    </script>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderBoardingSheet };
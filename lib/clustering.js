@@ -0,0 +1,618 @@
+// lib/clustering.js
+// Shuttle position estimation: clusters each trip's riders (DBSCAN-like) and
+// takes the weighted center of the largest cluster as the shuttle location.
+
+const EARTH_RADIUS_METERS = 6371e3; // Earth's mean radius, shared by the distance, grid, motion and ETA calculations
+
+// Clustering settings a trip can override, with their allowed ranges
+const CLUSTERING_FIELDS = {
+    radiusMeters: { type: 'number', min: 1, max: 50000 }, // Riders within this distance of each other are neighbors
+    minClusterSize: { type: 'integer', min: 1, max: 1000 }, // Minimum riders needed to form a cluster core
+    recentMinutes: { type: 'number', min: 0.5, max: 1440 }, // Bookings must be within this many minutes to count
+    splitMinShare: { type: 'number', min: 0.01, max: 1 } // Share of the trip's riders a second cluster needs to flag the trip as split
+};
+
+// The clustering settings that apply to a trip: its own overrides on top of the defaults
+function resolveClusteringSettings(defaults, trip) {
+    const overrides = trip && trip.clustering ? trip.clustering : {};
+    const settings = {};
+    Object.keys(CLUSTERING_FIELDS).forEach(field => {
+        settings[field] = typeof overrides[field] === 'number' ? overrides[field] : defaults[field];
+    });
+    return settings;
+}
+
+// Resolve each trip's settings once; returns a lookup by trip code (unknown trips get the defaults)
+function createSettingsLookup(trips, defaults) {
+    const settingsByTrip = {};
+    (Array.isArray(trips) ? trips : []).forEach(trip => {
+        if (trip && trip.code) settingsByTrip[trip.code] = resolveClusteringSettings(defaults, trip);
+    });
+    const fallback = resolveClusteringSettings(defaults, null);
+    return tripCode => settingsByTrip[tripCode] || fallback;
+}
+
+/**
+ * Reconstructs where the shuttle was over time by replaying a trip's location history.
+ * At every step the latest fix of each rider (as of that moment) is clustered exactly
+ * like the live map does, so the track matches what the dashboard showed at the time.
+ * @param {Array} fixes - Location history of one trip, oldest first.
+ * @param {Object} trip - The trip record.
+ * @param {Object} options
+ * @param {number} options.from - First point in time (epoch ms).
+ * @param {number} options.to - Last point in time (epoch ms).
+ * @param {number} options.stepMs - Time between track points.
+ * @param {Array} options.sessions - The trip's rider sessions; riders only count while they were on the trip.
+ * @param {Object} [options.defaults] - Server-wide clustering settings (see calculateClusters).
+ * @returns {Array<Object>} - Track points {timestamp, lat, lng, riderCount, totalRiders, strength, riders, split}
+ * (riders: IDs of the riders in the shuttle cluster); steps without a cluster are skipped.
+ */
+function calculateShuttleTrack(fixes, trip, { from, to, stepMs, sessions, defaults }) {
+    const track = [];
+    const latestFixByRider = new Map();
+    let nextFixIndex = 0;
+
+    // Step from 'from' to 'to', always including 'to' itself as the final point
+    for (let time = from; ; time = Math.min(time + stepMs, to)) {
+        // Advance through the (time-ordered) fixes up to the current step
+        while (nextFixIndex < fixes.length && new Date(fixes[nextFixIndex].timestamp).getTime() <= time) {
+            const fix = fixes[nextFixIndex];
+            latestFixByRider.set(fix.riderId, fix);
+            nextFixIndex++;
+        }
+
+        const cluster = calculateClusters(Array.from(latestFixByRider.values()), [trip], { now: time, sessions, defaults, quiet: true })[trip.code];
+        if (cluster) {
+            track.push({
+                timestamp: new Date(time).toISOString(),
+                lat: cluster.center.lat,
+                lng: cluster.center.lng,
+                riderCount: cluster.riderCount,
+                totalRiders: cluster.totalRiders,
+                strength: cluster.strength,
+                riders: cluster.riders,
+                split: cluster.split
+            });
+        }
+        if (time >= to) break;
+    }
+    return track;
+}
+
+/**
+ * Calculates clusters of riders based on proximity and recent location updates.
+ * Uses a simplified DBSCAN-like approach.
+ * @param {Array} bookings - Array of all booking/location update objects.
+ * @param {Array} trips - Array of defined trip objects {code, createdAt}.
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Point in time (epoch ms) to calculate for; used to replay history.
+ * @param {Array} [options.sessions] - Rider sessions; when given, only riders on their trip at 'now' are counted
+ * (both in the clusters and in totalRiders).
+ * @param {Object} options.defaults - Server-wide clustering settings; each trip's own overrides (trip.clustering) apply on top.
+ * @param {boolean} [options.quiet=false] - Suppress the per-step progress logging.
+ * @param {boolean} [options.spatialIndex=true] - Find neighbors through a grid index; false compares every
+ * pair of points (the original approach, kept for the benchmark).
+ * @returns {Object} - An object where keys are trip codes and values are cluster details: the largest cluster's
+ * center, strength, riderCount, spreadMeters and riders, plus totalRiders, timestamp, every cluster ranked by size (clusters),
+ * riders outside all clusters (noise), whether the trip looks split (split) and the settings used.
+ */
+function calculateClusters(bookings, trips, { now = Date.now(), sessions, defaults, quiet = false, spatialIndex = true } = {}) {
+    const log = quiet ? () => {} : console.log; // History replays compute many frames; keep them out of the log
+    log(`Calculating clusters from ${bookings?.length ?? 0} bookings and ${trips?.length ?? 0} trips.`);
+    const tripClusterResults = {}; // Object to store the final cluster result for each trip
+
+    const settingsFor = createSettingsLookup(trips, defaults);
+
+    // Ensure bookings is a valid array, default to empty if not
+    let validBookings = Array.isArray(bookings) ? bookings : [];
+    // Riders who have left (or never joined) the trip don't count
+    if (Array.isArray(sessions)) {
+        validBookings = filterBookingsByRiderSessions(validBookings, sessions, now);
+        log(`${validBookings.length} bookings belong to riders on their trip.`);
+    }
+
+    // Filter bookings:
+    // 1. Must have valid timestamp, lat, lng.
+    // 2. Timestamp must be within the trip's recentMinutes cutoff.
+    const recentBookings = validBookings.filter(booking => {
+        if (!booking || typeof booking.timestamp === 'undefined' || typeof booking.lat !== 'number' || typeof booking.lng !== 'number') return false;
+        const bookingTime = new Date(booking.timestamp).getTime();
+        const cutoffTime = now - settingsFor(booking.tripCode).recentMinutes * 60 * 1000;
+        // Check if bookingTime is a valid number and is recent enough
+        return !isNaN(bookingTime) && bookingTime >= cutoffTime;
+    });
+    log(`Found ${recentBookings.length} recent bookings.`);
+
+    // Group recent bookings by their trip code
+    const bookingsByTrip = {};
+    recentBookings.forEach(booking => {
+        if (!bookingsByTrip[booking.tripCode]) {
+            bookingsByTrip[booking.tripCode] = []; // Initialize array if trip code not seen yet
+        }
+        bookingsByTrip[booking.tripCode].push(booking); // Add booking to the trip's list
+    });
+
+    // Calculate the total number of unique riders on each trip (using *all* valid bookings, recent or not)
+    const totalRidersPerTrip = {};
+    validBookings.forEach(booking => {
+        if (booking && booking.tripCode && booking.riderId) {
+            if (!totalRidersPerTrip[booking.tripCode]) {
+                totalRidersPerTrip[booking.tripCode] = new Set(); // Use a Set for automatic uniqueness
+            }
+            totalRidersPerTrip[booking.tripCode].add(booking.riderId); // Add rider ID to the set
+        }
+    });
+    log("Total unique riders per trip calculated:", Object.keys(totalRidersPerTrip).map(k => `${k}: ${totalRidersPerTrip[k]?.size ?? 0}`).join(', '));
+
+
+    // --- Process each trip that has recent bookings ---
+    Object.keys(bookingsByTrip).forEach(tripCode => {
+        const recentTripRiders = bookingsByTrip[tripCode]; // Get recent riders for this specific trip
+        const settings = settingsFor(tripCode);
+        const { radiusMeters, minClusterSize } = settings;
+        log(`Processing trip ${tripCode} with ${recentTripRiders.length} recent riders (radius ${radiusMeters}m, min size ${minClusterSize}, recent ${settings.recentMinutes} min).`);
+
+        // Skip this trip if it doesn't have enough recent riders to potentially form a cluster
+        if (recentTripRiders.length < minClusterSize) {
+            log(`Skipping trip ${tripCode}: Not enough recent riders (${recentTripRiders.length} < ${minClusterSize}).`);
+            return; // Continue to the next trip code in the loop
+        }
+
+        // Map recent rider bookings to point objects needed for DBSCAN
+        const points = recentTripRiders.map(booking => ({
+            lat: booking.lat,
+            lng: booking.lng,
+            riderId: booking.riderId,
+            timestamp: booking.timestamp,
+            accuracy: typeof booking.accuracy === 'number' && booking.accuracy > 0 ? booking.accuracy : 50 // Default accuracy if missing/invalid
+        }));
+
+        // Neighbor lookups: grid index (default) or a scan over every point
+        const findNeighbors = spatialIndex
+            ? createSpatialIndex(points, radiusMeters).neighbors
+            : index => getNeighbors(points[index], index, points, radiusMeters);
+
+        // --- Simplified DBSCAN Implementation for this trip ---
+        const tripSpecificClusters = []; // Array to hold clusters found *for this trip*
+        const visited = new Set(); // Set to track indices of points already visited/processed globally
+
+        points.forEach((point, index) => {
+            if (visited.has(index)) return; // Skip if this point has already been assigned to a cluster or marked as noise
+            visited.add(index); // Mark current point as visited
+
+            // Find neighbors within the defined radius for the current point
+            const neighborIndices = findNeighbors(index);
+
+            // Check if the current point is a 'core' point (has enough neighbors including itself)
+            if (neighborIndices.length + 1 >= minClusterSize) {
+                // --- Start a new cluster ---
+                const currentClusterPoints = [point]; // Initialize cluster with the core point itself
+                const queue = [...neighborIndices]; // Queue of neighbor indices to process
+                let queueHead = 0; // Read position in the queue (avoids O(n) shift() calls on large clusters)
+                const currentClusterIndices = new Set([index]); // Track indices added to *this specific cluster*
+
+                // --- Expand the cluster ---
+                while (queueHead < queue.length) {
+                    const neighborIndex = queue[queueHead++]; // Get the next neighbor index from the queue
+
+                    // Skip if this neighbor index has already been visited globally or added to this cluster search path
+                    if (visited.has(neighborIndex)) continue;
+
+                    const neighborPoint = points[neighborIndex];
+                    currentClusterPoints.push(neighborPoint); // Add the neighbor point to the current cluster
+                    visited.add(neighborIndex); // Mark globally visited
+                    currentClusterIndices.add(neighborIndex); // Mark visited for this cluster search
+
+                    // Find neighbors of *this* neighbor
+                    const neighborsOfNeighbor = findNeighbors(neighborIndex);
+
+                    // If this neighbor is *also* a core point, add its unvisited neighbors to the queue
+                    if (neighborsOfNeighbor.length + 1 >= minClusterSize) {
+                        neighborsOfNeighbor.forEach(idx => {
+                            if (!visited.has(idx)) { // Only add if not already visited globally
+                                queue.push(idx);
+                            }
+                        });
+                    }
+                    // If the neighbor is not a core point, it becomes a border point of this cluster,
+                    // but we don't expand further from it.
+                } // End while loop (cluster expansion)
+
+                // Add the completed cluster (as an array of points) to the list for this trip
+                // (We already checked the initial core point, expansion ensures size >= minClusterSize)
+                 log(`Found potential cluster for trip ${tripCode} with ${currentClusterPoints.length} riders.`);
+                 tripSpecificClusters.push(currentClusterPoints);
+
+            } else {
+                // Point is noise (not a core point, might become a border point later if found by another core point)
+                // console.log(`Point ${index} (Rider ${point.riderId}) for trip ${tripCode} is initially noise.`);
+            }
+        }); // End DBSCAN point iteration for this trip
+
+        // --- Post-DBSCAN processing for this trip ---
+        if (tripSpecificClusters.length > 0) {
+            log(`Found ${tripSpecificClusters.length} potential cluster(s) for trip ${tripCode}. Ranking by size.`);
+
+            // Get total unique riders for this trip (fallback to the clustered riders if trip wasn't in totalRidersPerTrip)
+            const clusteredRiderCount = tripSpecificClusters.reduce((sum, cluster) => sum + cluster.length, 0);
+            const totalRidersForThisTrip = totalRidersPerTrip[tripCode]?.size || clusteredRiderCount;
+
+            // Rank the clusters, largest first (a stable sort keeps discovery order for equal sizes)
+            const rankedClusters = tripSpecificClusters
+                .slice()
+                .sort((a, b) => b.length - a.length)
+                .map(clusterPoints => {
+                    const center = calculateWeightedCenter(clusterPoints); // Calculate weighted center based on accuracy
+                    return {
+                        center,
+                        // Strength: proportion of total riders who are in the cluster (capped at 100%)
+                        strength: totalRidersForThisTrip > 0 ? Math.min(1, clusterPoints.length / totalRidersForThisTrip) : 0,
+                        riderCount: clusterPoints.length, // Number of riders in this specific cluster
+                        spreadMeters: center ? calculateSpread(clusterPoints, center) : null, // How tightly the riders are grouped
+                        riders: clusterPoints.map(p => p.riderId)
+                    };
+                })
+                .filter(cluster => cluster.center) // Drop clusters whose center couldn't be calculated
+                .map((cluster, index) => ({ rank: index + 1, ...cluster }));
+
+            // Recent riders that ended up in no cluster
+            const clusteredRiders = new Set(rankedClusters.flatMap(cluster => cluster.riders));
+            const noise = points
+                .filter(point => !clusteredRiders.has(point.riderId))
+                .map(point => ({ riderId: point.riderId, lat: point.lat, lng: point.lng, timestamp: point.timestamp }));
+
+            // Store the result for this trip if a center was successfully calculated
+            if (rankedClusters.length > 0) {
+                const [primary, secondary] = rankedClusters;
+                // The trip looks split (e.g. riders on two vehicles, or a group left at the stop)
+                // when the second-largest cluster holds a significant share of the trip's riders
+                const split = Boolean(secondary) && secondary.strength >= settings.splitMinShare;
+
+                tripClusterResults[tripCode] = {
+                    tripCode,
+                    center: primary.center, // {lat, lng} object of the largest cluster (the shuttle position)
+                    strength: primary.strength,
+                    riderCount: primary.riderCount, // Riders physically in the largest cluster
+                    spreadMeters: primary.spreadMeters, // RMS distance of the largest cluster's riders from its center
+                    totalRiders: totalRidersForThisTrip, // Total unique riders associated with the trip
+                    timestamp: new Date(now), // Timestamp of when this cluster was calculated
+                    riders: primary.riders, // List of rider IDs currently in the largest cluster
+                    clusters: rankedClusters, // Every cluster, largest first ({rank, center, strength, riderCount, spreadMeters, riders})
+                    noise, // Recent riders outside every cluster ({riderId, lat, lng, timestamp})
+                    split, // True when a second cluster is significant (see settings.splitMinShare)
+                    settings // Clustering settings used for this trip
+                };
+                log(`Stored cluster result for ${tripCode}: Center=(${primary.center.lat.toFixed(4)}, ${primary.center.lng.toFixed(4)}), Strength=${(primary.strength * 100).toFixed(1)}%, ${rankedClusters.length} cluster(s), ${noise.length} noise point(s)${split ? ', SPLIT' : ''}`);
+            } else {
+                console.warn(`Could not calculate a center for any cluster of trip ${tripCode}. Cluster not stored.`);
+            }
+
+        } else {
+            log(`No clusters met minimum size criteria for trip ${tripCode}.`);
+        }
+    }); // End trip processing loop
+
+    log("Cluster calculation finished.");
+    return tripClusterResults; // Return the object containing results for each trip
+}
+
+
+/**
+ * Keeps only the bookings of riders who were on their trip (had a rider session) at a given time.
+ * @param {Array} bookings - Booking/location objects {tripCode, riderId, ...}.
+ * @param {Array} sessions - Rider sessions {tripCode, riderId, joinedAt, leftAt}.
+ * @param {number} [at=Date.now()] - Point in time (epoch ms).
+ * @returns {Array} - The matching bookings.
+ */
+function filterBookingsByRiderSessions(bookings, sessions, at = Date.now()) {
+    const onTrip = new Set();
+    sessions.forEach(session => {
+        const joinedAt = new Date(session.joinedAt).getTime();
+        const leftAt = session.leftAt ? new Date(session.leftAt).getTime() : Infinity;
+        if (joinedAt <= at && at < leftAt) onTrip.add(`${session.tripCode}\u0000${session.riderId}`);
+    });
+    return bookings.filter(booking => booking && onTrip.has(`${booking.tripCode}\u0000${booking.riderId}`));
+}
+
+
+/**
+ * Calculates the geometric center of a list of points, weighted by inverse accuracy.
+ * More accurate points (lower accuracy value) contribute more to the center calculation.
+ * @param {Array} points - Array of point objects {lat, lng, accuracy}.
+ * @returns {Object|null} - An object {lat, lng} representing the center, or null if calculation fails.
+ */
+function calculateWeightedCenter(points) {
+    if (!points || points.length === 0) {
+        console.warn("calculateWeightedCenter called with empty or invalid points array.");
+        return null;
+    }
+
+    let sumLatWeight = 0;
+    let sumLngWeight = 0;
+    let totalWeight = 0;
+
+    points.forEach(point => {
+        // Use inverse of accuracy as weight. Handle potential issues:
+        // - Default accuracy if missing/invalid (already done in points mapping)
+        // - Ensure accuracy is not zero to avoid division by zero.
+        const accuracy = Math.max(point.accuracy, 1); // Ensure accuracy is at least 1 meter
+        const weight = 1 / accuracy;
+
+        // Check for valid numbers before adding to sums
+        if (typeof point.lat === 'number' && typeof point.lng === 'number' && !isNaN(point.lat) && !isNaN(point.lng) && !isNaN(weight)) {
+            sumLatWeight += point.lat * weight;
+            sumLngWeight += point.lng * weight;
+            totalWeight += weight;
+        } else {
+            console.warn("Skipping point with invalid data in calculateWeightedCenter:", point);
+        }
+    });
+
+    // Avoid division by zero if totalWeight is 0 (e.g., all points had invalid data)
+    if (totalWeight === 0) {
+        console.warn("Total weight is zero in calculateWeightedCenter, cannot compute weighted center.");
+        // Fallback: Calculate simple average if possible
+        const validPoints = points.filter(p => typeof p.lat === 'number' && typeof p.lng === 'number' && !isNaN(p.lat) && !isNaN(p.lng));
+        if (validPoints.length > 0) {
+            console.log("Falling back to simple average center.");
+            let sumLat = 0;
+            let sumLng = 0;
+            validPoints.forEach(p => { sumLat += p.lat; sumLng += p.lng; });
+            return {
+                lat: sumLat / validPoints.length,
+                lng: sumLng / validPoints.length
+            };
+        }
+        return null; // Cannot calculate center even with fallback
+    }
+
+    // Return the weighted average coordinates
+    return {
+        lat: sumLatWeight / totalWeight,
+        lng: sumLngWeight / totalWeight
+    };
+}
+
+/**
+ * Root-mean-square distance of points from a center, in meters (rounded to whole meters).
+ * @param {Array} points - Array of point objects {lat, lng}.
+ * @param {Object} center - {lat, lng}.
+ * @returns {number}
+ */
+function calculateSpread(points, center) {
+    const sumOfSquares = points.reduce((sum, point) => {
+        const distance = calculateHaversineDistance(center.lat, center.lng, point.lat, point.lng);
+        return sum + distance * distance;
+    }, 0);
+    return Math.round(Math.sqrt(sumOfSquares / points.length));
+}
+
+/**
+ * Finds indices of neighboring points within a given radius using Haversine distance.
+ * @param {Object} point - The reference point {lat, lng}.
+ * @param {number} pointIndex - The index of the reference point in the allPoints array.
+ * @param {Array} allPoints - Array of all point objects {lat, lng}.
+ * @param {number} radiusMeters - The maximum distance for a point to be considered a neighbor.
+ * @returns {Array<number>} - An array of indices of the neighboring points.
+ */
+function getNeighbors(point, pointIndex, allPoints, radiusMeters) {
+    const neighbors = [];
+    // Basic check for valid coordinates in the reference point
+    if (typeof point.lat !== 'number' || typeof point.lng !== 'number' || isNaN(point.lat) || isNaN(point.lng)) {
+         console.warn(`Invalid coordinates for reference point at index ${pointIndex}:`, point);
+         return []; // Return empty array if reference point is invalid
+    }
+
+    for (let i = 0; i < allPoints.length; i++) {
+        if (i === pointIndex) continue; // Don't compare point to itself
+
+        const otherPoint = allPoints[i];
+        // Basic check for valid coordinates in the other point
+        if (typeof otherPoint.lat !== 'number' || typeof otherPoint.lng !== 'number' || isNaN(otherPoint.lat) || isNaN(otherPoint.lng)) {
+            // console.warn(`Skipping neighbor check due to invalid coordinates for point at index ${i}:`, otherPoint);
+            continue; // Skip this point if its coordinates are invalid
+        }
+
+        // Calculate distance using Haversine formula
+        const distance = calculateHaversineDistance(point.lat, point.lng, otherPoint.lat, otherPoint.lng);
+
+        // If the distance is within the specified radius, add its index to the neighbors list
+        if (distance <= radiusMeters) {
+            neighbors.push(i);
+        }
+    }
+    // if (neighbors.length > 0) {
+    //     console.log(`Point ${pointIndex} has ${neighbors.length} neighbors within ${radiusMeters}m.`);
+    // }
+    return neighbors;
+}
+
+
+/**
+ * Builds a grid index over a trip's points so that neighbor lookups only look at
+ * nearby points instead of every point.
+ *
+ * Rows and columns are sized so that any two points within radiusMeters of each
+ * other are in the same or adjacent cells; a lookup checks the 3x3 block of cells
+ * around a point and confirms each candidate with the Haversine distance, so the
+ * result is exactly what getNeighbors() returns. Columns wrap around the antimeridian.
+ *
+ * @param {Array} points - Array of point objects {lat, lng}.
+ * @param {number} radiusMeters - The maximum distance for a point to be considered a neighbor.
+ * @returns {{neighbors: function(number): Array<number>}} - neighbors(index) returns the indices of the
+ * points within radiusMeters of points[index], in ascending order.
+ */
+function createSpatialIndex(points, radiusMeters) {
+    const angularRadius = radiusMeters / EARTH_RADIUS_METERS; // Radius as an angle (radians)
+
+    // Two points within the radius differ in latitude by at most the angular radius
+    const rowHeight = angularRadius * 180 / Math.PI;
+
+    // Their longitude difference is largest at the highest latitude in the set:
+    // sin(dLng / 2) <= sin(angularRadius / 2) / cos(maxLat)
+    const maxAbsLat = points.reduce((max, point) => isValidPoint(point) ? Math.max(max, Math.abs(point.lat)) : max, 0);
+    const sinHalfLng = Math.sin(angularRadius / 2) / Math.cos(maxAbsLat * Math.PI / 180);
+    const minColumnWidth = sinHalfLng >= 1 ? 360 : 2 * Math.asin(sinHalfLng) * 180 / Math.PI;
+    // A whole number of columns around the globe makes the antimeridian an ordinary cell border
+    const columnCount = Math.max(1, Math.floor(360 / minColumnWidth));
+    const columnWidth = 360 / columnCount;
+
+    const cellOf = point => ({
+        row: Math.floor((point.lat + 90) / rowHeight),
+        column: Math.floor((((point.lng + 180) % 360 + 360) % 360) / columnWidth) % columnCount
+    });
+
+    // Bucket every point into its cell ("row:column" -> point indices)
+    const cells = new Map();
+    points.forEach((point, index) => {
+        if (!isValidPoint(point)) return; // Points without coordinates are never neighbors
+        const { row, column } = cellOf(point);
+        const key = `${row}:${column}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(index);
+    });
+
+    return {
+        neighbors(pointIndex) {
+            const point = points[pointIndex];
+            if (!isValidPoint(point)) {
+                console.warn(`Invalid coordinates for reference point at index ${pointIndex}:`, point);
+                return [];
+            }
+            const { row, column } = cellOf(point);
+            // With fewer than three columns the adjacent columns overlap; visit each one once
+            const columns = new Set([column - 1, column, column + 1].map(c => (c + columnCount) % columnCount));
+            const neighbors = [];
+            for (let r = row - 1; r <= row + 1; r++) {
+                columns.forEach(c => {
+                    const cell = cells.get(`${r}:${c}`);
+                    if (!cell) return;
+                    cell.forEach(i => {
+                        if (i === pointIndex) return; // Don't compare point to itself
+                        const otherPoint = points[i];
+                        if (calculateHaversineDistance(point.lat, point.lng, otherPoint.lat, otherPoint.lng) <= radiusMeters) {
+                            neighbors.push(i);
+                        }
+                    });
+                });
+            }
+            // Same order as getNeighbors() so clusters list their riders identically
+            return neighbors.sort((a, b) => a - b);
+        }
+    };
+}
+
+// Whether a point has usable coordinates
+function isValidPoint(point) {
+    return typeof point.lat === 'number' && typeof point.lng === 'number' && !isNaN(point.lat) && !isNaN(point.lng);
+}
+
+
+/**
+ * Calculates the distance between two geographic coordinates using the Haversine formula.
+ * @param {number} lat1 - Latitude of the first point in degrees.
+ * @param {number} lon1 - Longitude of the first point in degrees.
+ * @param {number} lat2 - Latitude of the second point in degrees.
+ * @param {number} lon2 - Longitude of the second point in degrees.
+ * @returns {number} - The distance between the two points in meters.
+ */
+function calculateHaversineDistance(lat1, lon1, lat2, lon2) {
+    const R = EARTH_RADIUS_METERS; // Earth's mean radius in meters
+    const φ1 = lat1 * Math.PI / 180; // Convert latitudes to radians
+    const φ2 = lat2 * Math.PI / 180;
+    const Δφ = (lat2 - lat1) * Math.PI / 180; // Difference in latitude in radians
+    const Δλ = (lon2 - lon1) * Math.PI / 180; // Difference in longitude in radians
+
+    // Haversine formula calculation
+    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)); // Angular distance in radians
+
+    return R * c; // Distance in meters
+}
+
+/**
+ * When cluster results calculated at 'now' stop being valid without any new data:
+ * the moment the first counted booking falls out of its trip's recentMinutes window.
+ * @param {Array} bookings - The bookings the clusters were calculated from.
+ * @param {Array} trips - Trip records (for per-trip settings).
+ * @param {Object} options
+ * @param {number} [options.now=Date.now()] - When the clusters were calculated (epoch ms).
+ * @param {Object} options.defaults - Server-wide clustering settings.
+ * @returns {number} - Epoch ms (Infinity if no booking is counted).
+ */
+function nextClusterExpiry(bookings, trips, { now = Date.now(), defaults }) {
+    const settingsFor = createSettingsLookup(trips, defaults);
+    let expiresAt = Infinity;
+    (Array.isArray(bookings) ? bookings : []).forEach(booking => {
+        if (!booking) return;
+        const bookingTime = new Date(booking.timestamp).getTime();
+        if (isNaN(bookingTime)) return;
+        const countedUntil = bookingTime + settingsFor(booking.tripCode).recentMinutes * 60 * 1000;
+        if (countedUntil >= now && countedUntil < expiresAt) expiresAt = countedUntil;
+    });
+    return expiresAt;
+}
+
+/**
+ * Creates a cache for the current cluster results of all trips.
+ *
+ * Results stay valid until the data changes (call invalidate() after every write)
+ * or a booking ages out (the expiry passed to set()). To avoid caching results
+ * computed from data that changed mid-calculation, read version() before loading
+ * the data and pass it to set(); results from an older version are dropped.
+ *
+ * @returns {{version: Function, invalidate: Function, get: Function, set: Function, stats: Function}}
+ */
+function createClusterCache() {
+    let version = 0;
+    let entry = null; // { clusters, expiresAt }
+    let hits = 0;
+    let misses = 0;
+
+    return {
+        version() {
+            return version;
+        },
+
+        invalidate() {
+            version++;
+            entry = null;
+        },
+
+        // Returns the cached clusters, or null if they have to be recalculated
+        get(now = Date.now()) {
+            if (entry && now <= entry.expiresAt) {
+                hits++;
+                return entry.clusters;
+            }
+            misses++;
+            return null;
+        },
+
+        set(atVersion, clusters, expiresAt) {
+            if (atVersion !== version) return; // Data changed while calculating
+            entry = { clusters, expiresAt };
+        },
+
+        stats() {
+            return { hits, misses, cached: entry !== null };
+        }
+    };
+}
+
+module.exports = {
+    EARTH_RADIUS_METERS,
+    CLUSTERING_FIELDS,
+    resolveClusteringSettings,
+    calculateClusters,
+    calculateShuttleTrack,
+    filterBookingsByRiderSessions,
+    calculateWeightedCenter,
+    calculateHaversineDistance,
+    getNeighbors,
+    createSpatialIndex,
+    nextClusterExpiry,
+    createClusterCache
+};
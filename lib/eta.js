@@ -0,0 +1,151 @@
+// lib/eta.js
+// Arrival estimates for the remaining stops of a trip's route.
+const { EARTH_RADIUS_METERS, calculateHaversineDistance } = require('./clustering');
+
+/**
+ * Lays a route out as one line measured in meters from its start.
+ * The line is the route's path when it has one, otherwise straight lines between the stops.
+ * Each stop is placed at the closest point of the line, searching forward from the previous
+ * stop so routes that pass the same place twice (loops) keep their stops in order.
+ * @param {Object} route - Route record with stops and optional path.
+ * @returns {{points: Array<Array<number>>, cumulative: Array<number>, stopAlong: Array<number>, stopSegment: Array<number>}}
+ */
+function buildRouteLine(route) {
+    const points = Array.isArray(route.path) && route.path.length >= 2
+        ? route.path
+        : route.stops.map(stop => [stop.lat, stop.lng]);
+
+    // Distance from the start of the line to each point
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+        cumulative.push(cumulative[i - 1] + calculateHaversineDistance(points[i - 1][0], points[i - 1][1], points[i][0], points[i][1]));
+    }
+
+    const stopAlong = [];
+    const stopSegment = [];
+    let fromSegment = 0;
+    route.stops.forEach(stop => {
+        const projection = projectOntoLine({ points, cumulative }, stop, fromSegment, points.length - 2);
+        stopAlong.push(projection.along);
+        stopSegment.push(projection.segment);
+        fromSegment = projection.segment;
+    });
+    return { points, cumulative, stopAlong, stopSegment };
+}
+
+/**
+ * Finds the closest point to a position on part of the line.
+ * Segments are flattened around their start point, which is accurate enough for segments of a few kilometers.
+ * @param {Object} line - { points, cumulative } from buildRouteLine.
+ * @param {Object} position - {lat, lng}.
+ * @param {number} firstSegment - Index of the first segment to consider (segment i runs from point i to i + 1).
+ * @param {number} lastSegment - Index of the last segment to consider.
+ * @returns {{along: number, segment: number, offsetMeters: number}} - Distance along the line, the segment and the distance off the line.
+ */
+function projectOntoLine(line, position, firstSegment, lastSegment) {
+    const { points, cumulative } = line;
+    if (points.length < 2) {
+        return { along: 0, segment: 0, offsetMeters: calculateHaversineDistance(position.lat, position.lng, points[0][0], points[0][1]) };
+    }
+
+    let best = null;
+    for (let i = Math.max(0, firstSegment); i <= Math.min(lastSegment, points.length - 2); i++) {
+        const [lat1, lng1] = points[i];
+        const [lat2, lng2] = points[i + 1];
+        const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+        const cosLat = Math.cos(lat1 * Math.PI / 180);
+        // Segment end and position relative to the segment start, in meters
+        const sx = (lng2 - lng1) * metersPerDegree * cosLat;
+        const sy = (lat2 - lat1) * metersPerDegree;
+        const px = (position.lng - lng1) * metersPerDegree * cosLat;
+        const py = (position.lat - lat1) * metersPerDegree;
+        const lengthSquared = sx * sx + sy * sy;
+        const t = lengthSquared > 0 ? Math.min(1, Math.max(0, (px * sx + py * sy) / lengthSquared)) : 0;
+        const offset = Math.hypot(px - t * sx, py - t * sy);
+        if (!best || offset < best.offsetMeters) {
+            best = { along: cumulative[i] + t * (cumulative[i + 1] - cumulative[i]), segment: i, offsetMeters: offset };
+        }
+    }
+    return best;
+}
+
+/**
+ * Estimates when the shuttle reaches each remaining stop of its route.
+ *
+ * The shuttle position is projected onto the stretch of the route between the previous
+ * stop and the next stop (as found by findNextStop), so the distance to every remaining
+ * stop is measured along the route. The speed is the shuttle's observed speed when it is
+ * moving at least minObservedSpeedMps; otherwise (standing at a stop or in traffic, or no
+ * motion estimate yet) the configured average speed is used.
+ *
+ * @param {Object} route - Route record with stops and optional path.
+ * @param {Object} position - Shuttle position {lat, lng}.
+ * @param {Object} nextStop - Result of findNextStop for this position.
+ * @param {Object} options
+ * @param {number|null} [options.observedSpeedMps] - Recent speed of the shuttle (m/s), e.g. the smoothed speedMps.
+ * @param {number} options.averageSpeedMps - Speed used when there is no usable observed speed.
+ * @param {number} [options.minObservedSpeedMps=1.5] - Observed speeds below this are not trusted for predictions.
+ * @param {number} [options.now=Date.now()] - Time the position was measured (epoch ms).
+ * @returns {Object} - { speedMps, speedSource: 'observed' | 'average', offRouteMeters, stops: [{ index, id, name, lat, lng, distanceMeters, etaSeconds, eta }] }
+ */
+function estimateArrivals(route, position, nextStop, { observedSpeedMps = null, averageSpeedMps, minObservedSpeedMps = 1.5, now = Date.now() }) {
+    const line = buildRouteLine(route);
+    const next = nextStop.index;
+
+    // Only the stretch leading to the next stop can hold the shuttle
+    const firstSegment = next > 0 ? line.stopSegment[next - 1] : 0;
+    const projection = projectOntoLine(line, position, firstSegment, line.stopSegment[next]);
+    const progress = Math.min(projection.along, line.stopAlong[next]);
+
+    const useObserved = typeof observedSpeedMps === 'number' && observedSpeedMps >= minObservedSpeedMps;
+    const speedMps = useObserved ? observedSpeedMps : averageSpeedMps;
+
+    // The straight-line distance is a lower bound, which matters when the shuttle has left the route (detour)
+    const toNextStop = nextStop.atStop ? 0 : Math.max(line.stopAlong[next] - progress, nextStop.distanceMeters);
+
+    const stops = route.stops.slice(next).map((stop, offset) => {
+        const index = next + offset;
+        const distanceMeters = Math.round(toNextStop + (line.stopAlong[index] - line.stopAlong[next]));
+        const etaSeconds = Math.round(distanceMeters / speedMps);
+        return {
+            index,
+            id: stop.id,
+            name: stop.name,
+            lat: stop.lat,
+            lng: stop.lng,
+            distanceMeters,
+            etaSeconds,
+            eta: new Date(now + etaSeconds * 1000).toISOString()
+        };
+    });
+
+    return {
+        speedMps: Math.round(speedMps * 10) / 10,
+        speedSource: useObserved ? 'observed' : 'average',
+        offRouteMeters: Math.round(projection.offsetMeters),
+        stops
+    };
+}
+
+/**
+ * Adds eta (see estimateArrivals) to the cluster result of every trip that has a next stop.
+ * Run after addNextStops; uses the smoothed shuttle position and speed when there are any.
+ * @param {Object} clusters - Result of calculateClusters with nextStop set (modified in place).
+ * @param {Array<Object>} routes - Route records.
+ * @param {Object} options - averageSpeedMps, minObservedSpeedMps and now, as for estimateArrivals.
+ * @returns {Object} - The same clusters object.
+ */
+function addArrivalEstimates(clusters, routes, options) {
+    const routesById = new Map(routes.map(route => [route.id, route]));
+    Object.values(clusters).forEach(cluster => {
+        const route = cluster && cluster.nextStop ? routesById.get(cluster.routeId) : null;
+        if (!route) return;
+        cluster.eta = estimateArrivals(route, cluster.smoothedCenter || cluster.center, cluster.nextStop, {
+            ...options,
+            observedSpeedMps: cluster.speedMps
+        });
+    });
+    return clusters;
+}
+
+module.exports = { buildRouteLine, projectOntoLine, estimateArrivals, addArrivalEstimates };
@@ -0,0 +1,144 @@
+// lib/geofence.js
+const { calculateHaversineDistance } = require('./clustering');
+
+const GEOFENCE_EVENT_TYPES = ['ARRIVED', 'DEPARTED'];
+
+/**
+ * Creates the tracker that turns shuttle positions into stop arrival and departure events.
+ *
+ * Every fresh cluster calculation is checked against the geofences (stop radii) of the
+ * trip's route. Entering a stop's geofence produces an ARRIVED event; leaving it again
+ * produces a DEPARTED event with the dwell time. The shuttle only counts as gone once it
+ * is exitFactor times the radius away, so a position wobbling on the edge of a geofence
+ * doesn't produce a burst of events.
+ *
+ * The tracker keeps the current stop of each trip in memory; restore() rebuilds it from
+ * stored events after a restart so a shuttle waiting at a stop isn't reported twice.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.exitFactor=1.25] - Leave a geofence only beyond this multiple of the stop radius.
+ * @returns {{update: Function, restore: Function, forget: Function, reset: Function}}
+ */
+function createGeofenceTracker({ exitFactor = 1.25 } = {}) {
+    const states = new Map(); // tripCode -> { routeId, stop: { id, index, name } | null, arrivedAt, lastEvent }
+
+    // The stop whose geofence contains the position (the nearest one if geofences overlap)
+    function stopContaining(route, position) {
+        let found = null;
+        route.stops.forEach((stop, index) => {
+            const distance = calculateHaversineDistance(position.lat, position.lng, stop.lat, stop.lng);
+            if (distance <= stop.radiusMeters && (!found || distance < found.distance)) {
+                found = { id: stop.id, index, name: stop.name, distance };
+            }
+        });
+        return found;
+    }
+
+    function createEvent(type, tripCode, routeId, stop, position, timestamp, extra = {}) {
+        return {
+            type,
+            tripCode,
+            timestamp: new Date(timestamp).toISOString(),
+            data: { routeId, stopId: stop.id, stopIndex: stop.index, stopName: stop.name, lat: position.lat, lng: position.lng, ...extra }
+        };
+    }
+
+    // Check one trip's position against its route and return the events it caused
+    function updateTrip(cluster, route, now) {
+        const tripCode = cluster.tripCode;
+        const position = cluster.smoothedCenter || cluster.center;
+        let state = states.get(tripCode);
+        if (!state || state.routeId !== route.id) {
+            state = { routeId: route.id, stop: null, arrivedAt: null, lastEvent: state ? state.lastEvent : null };
+            states.set(tripCode, state);
+        }
+        const events = [];
+
+        if (state.stop) {
+            const stop = route.stops.find(candidate => candidate.id === state.stop.id);
+            const distance = stop ? calculateHaversineDistance(position.lat, position.lng, stop.lat, stop.lng) : Infinity;
+            if (!stop || distance > stop.radiusMeters * exitFactor) {
+                // Left the geofence (or the stop was removed from the route)
+                const dwellSeconds = Math.max(0, Math.round((now - state.arrivedAt) / 1000));
+                events.push(createEvent('DEPARTED', tripCode, route.id, state.stop, position, now, {
+                    arrivedAt: new Date(state.arrivedAt).toISOString(),
+                    dwellSeconds
+                }));
+                state.stop = null;
+                state.arrivedAt = null;
+            }
+        }
+
+        if (!state.stop) {
+            const entered = stopContaining(route, position);
+            if (entered) {
+                state.stop = { id: entered.id, index: entered.index, name: entered.name };
+                state.arrivedAt = now;
+                events.push(createEvent('ARRIVED', tripCode, route.id, state.stop, position, now));
+            }
+        }
+
+        if (events.length > 0) state.lastEvent = events[events.length - 1];
+        return events;
+    }
+
+    return {
+        /**
+         * Checks each trip that follows a route against its stop geofences and adds
+         * geofence ({ atStop, lastEvent }) to its cluster result. Call once per fresh
+         * calculation, after the shuttle motion has been applied.
+         * @param {Object} clusters - Result of calculateClusters with routeId set (modified in place).
+         * @param {Array<Object>} routes - Route records.
+         * @param {number} [now=Date.now()] - Time of the calculation (epoch ms).
+         * @returns {Array<Object>} - New events ({ type, tripCode, timestamp, data }), oldest first.
+         */
+        update(clusters, routes, now = Date.now()) {
+            const routesById = new Map(routes.map(route => [route.id, route]));
+            const events = [];
+            Object.values(clusters).forEach(cluster => {
+                const route = cluster && cluster.routeId ? routesById.get(cluster.routeId) : null;
+                if (!route) return;
+                events.push(...updateTrip(cluster, route, now));
+
+                const state = states.get(cluster.tripCode);
+                cluster.geofence = {
+                    atStop: state.stop ? {
+                        ...state.stop,
+                        arrivedAt: new Date(state.arrivedAt).toISOString(),
+                        dwellSeconds: Math.max(0, Math.round((now - state.arrivedAt) / 1000))
+                    } : null,
+                    lastEvent: state.lastEvent
+                };
+            });
+            return events;
+        },
+
+        /**
+         * Rebuilds the per-trip state from stored events (e.g. on start).
+         * @param {Array<Object>} events - Stored geofence events, newest first.
+         */
+        restore(events) {
+            events.forEach(event => {
+                if (states.has(event.tripCode) || !GEOFENCE_EVENT_TYPES.includes(event.type)) return; // Only the newest event per trip matters
+                const arrived = event.type === 'ARRIVED';
+                states.set(event.tripCode, {
+                    routeId: event.data.routeId,
+                    stop: arrived ? { id: event.data.stopId, index: event.data.stopIndex, name: event.data.stopName } : null,
+                    arrivedAt: arrived ? new Date(event.timestamp).getTime() : null,
+                    lastEvent: event
+                });
+            });
+        },
+
+        // Drop a trip's geofence state (e.g. when the trip is deleted)
+        forget(tripCode) {
+            states.delete(tripCode);
+        },
+
+        reset() {
+            states.clear();
+        }
+    };
+}
+
+module.exports = { GEOFENCE_EVENT_TYPES, createGeofenceTracker };
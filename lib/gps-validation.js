@@ -0,0 +1,145 @@
+// lib/gps-validation.js
+// Plausibility checks for rider GPS fixes before they are stored.
+const { calculateHaversineDistance } = require('./clustering');
+
+/**
+ * Thresholds of the validation pipeline. Rejected fixes are not stored; flagged fixes are
+ * stored with their reasons so the dashboard can point them out.
+ */
+const DEFAULT_GPS_RULES = {
+    flagAccuracyMeters: 150, // Worse accuracy is flagged
+    maxAccuracyMeters: 2000, // Worse accuracy is rejected (the fix says little more than "somewhere in town")
+    flagSpeedKmh: 130, // Faster implied movement since the previous fix is flagged
+    maxSpeedKmh: 250, // Faster implied movement is rejected (no shuttle gets there that quickly)
+    duplicateSeconds: 5, // An identical fix within this time is a resubmission and is rejected
+    frozenSeconds: 120 // Identical coordinates for this long are flagged (real GPS always jitters a little)
+};
+
+// Fixes this close to 0,0 are a device reporting "no position", not a rider in the Gulf of Guinea
+const NULL_ISLAND_DEGREES = 0.0001;
+
+function reason(code, message) {
+    return { code, message };
+}
+
+/**
+ * Creates the validator that checks each incoming fix against the rider's previous fix.
+ *
+ * Checks, in order: coordinate ranges and 0,0 (rejected), accuracy (flagged or rejected),
+ * duplicate fixes (rejected), frozen coordinates (flagged) and the speed implied by the
+ * distance from the previous fix (flagged or rejected). The implied speed ignores movement
+ * within the accuracy of both fixes, so GPS noise doesn't look like a sprint.
+ *
+ * A single bad fix that got stored would otherwise block the rider until enough time has
+ * passed to make the jump plausible. So when a fix is rejected for its speed and the next
+ * fix agrees with it, the rider really is over there: the new fix is accepted and flagged
+ * as RELOCATED. Those rejected fixes and how long coordinates have been frozen are kept in
+ * memory per rider; after a restart both start from scratch.
+ *
+ * @param {Object} [rules] - Overrides for DEFAULT_GPS_RULES.
+ * @returns {{check: Function, forget: Function, reset: Function}}
+ */
+function createGpsValidator(rules = {}) {
+    const settings = { ...DEFAULT_GPS_RULES, ...rules };
+    const riders = new Map(); // `${tripCode}:${riderId}` -> { rejectedFix, frozenSince }
+
+    // Speed in km/h needed to get from one fix to the other, beyond what their accuracy explains
+    function impliedSpeed(from, to) {
+        const distance = calculateHaversineDistance(from.lat, from.lng, to.lat, to.lng);
+        const margin = (from.accuracy || 0) + (to.accuracy || 0);
+        const seconds = Math.max(1, (new Date(to.timestamp).getTime() - new Date(from.timestamp).getTime()) / 1000);
+        return { distance, seconds, speedKmh: Math.max(0, distance - margin) / seconds * 3.6 };
+    }
+
+    function formatDistance(meters) {
+        return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+    }
+
+    function describeMove({ distance, seconds, speedKmh }) {
+        return `Moved ${formatDistance(distance)} in ${Math.round(seconds)} s since the previous fix (${Math.round(speedKmh)} km/h)`;
+    }
+
+    return {
+        /**
+         * Validates a fix.
+         * @param {Object} fix - { tripCode, riderId, timestamp, lat, lng, accuracy } (accuracy may be null).
+         * @param {Object|null} previous - The rider's latest stored fix on this trip, if any.
+         * @returns {{status: 'accepted'|'flagged'|'rejected', reasons: Array<{code: string, message: string}>}}
+         */
+        check(fix, previous) {
+            const key = `${fix.tripCode}:${fix.riderId}`;
+            const state = riders.get(key) || { rejectedFix: null, frozenSince: null };
+            const flags = [];
+            const reject = (...reasons) => ({ status: 'rejected', reasons });
+
+            // --- Coordinates ---
+            if (!Number.isFinite(fix.lat) || fix.lat < -90 || fix.lat > 90 || !Number.isFinite(fix.lng) || fix.lng < -180 || fix.lng > 180) {
+                return reject(reason('OUT_OF_RANGE', `Coordinates ${fix.lat}, ${fix.lng} are outside the valid range (latitude -90 to 90, longitude -180 to 180)`));
+            }
+            if (Math.abs(fix.lat) < NULL_ISLAND_DEGREES && Math.abs(fix.lng) < NULL_ISLAND_DEGREES) {
+                return reject(reason('NULL_ISLAND', 'Coordinates 0, 0 mean the device has no position'));
+            }
+
+            // --- Accuracy ---
+            if (typeof fix.accuracy === 'number') {
+                if (fix.accuracy > settings.maxAccuracyMeters) {
+                    return reject(reason('LOW_ACCURACY', `Accuracy of ${Math.round(fix.accuracy)} m is worse than the ${settings.maxAccuracyMeters} m limit`));
+                }
+                if (fix.accuracy > settings.flagAccuracyMeters) {
+                    flags.push(reason('POOR_ACCURACY', `Accuracy of ${Math.round(fix.accuracy)} m is worse than ${settings.flagAccuracyMeters} m`));
+                }
+            }
+
+            // --- Against the previous fix ---
+            if (previous) {
+                const samePosition = previous.lat === fix.lat && previous.lng === fix.lng;
+                const sincePrevious = (new Date(fix.timestamp).getTime() - new Date(previous.timestamp).getTime()) / 1000;
+                if (samePosition && previous.accuracy === fix.accuracy && sincePrevious < settings.duplicateSeconds) {
+                    return reject(reason('DUPLICATE', `Same fix as ${Math.max(0, Math.round(sincePrevious))} s ago`));
+                }
+
+                if (samePosition) {
+                    const frozenSince = state.frozenSince || new Date(previous.timestamp).getTime();
+                    state.frozenSince = frozenSince;
+                    const frozenSeconds = (new Date(fix.timestamp).getTime() - frozenSince) / 1000;
+                    if (frozenSeconds >= settings.frozenSeconds) {
+                        flags.push(reason('FROZEN', `Coordinates unchanged for ${Math.round(frozenSeconds)} s`));
+                    }
+                } else {
+                    state.frozenSince = null;
+                }
+
+                const move = impliedSpeed(previous, fix);
+                if (move.speedKmh > settings.maxSpeedKmh) {
+                    // Confirmed by the previously rejected fix? Then the stored fix is the odd one out
+                    const confirmed = state.rejectedFix && impliedSpeed(state.rejectedFix, fix).speedKmh <= settings.flagSpeedKmh;
+                    if (!confirmed) {
+                        state.rejectedFix = { ...fix };
+                        riders.set(key, state);
+                        return reject(reason('IMPOSSIBLE_SPEED', `${describeMove(move)}, over the ${settings.maxSpeedKmh} km/h limit`));
+                    }
+                    flags.push(reason('RELOCATED', `Jumped ${formatDistance(move.distance)} from the previous fix, confirmed by the following fix`));
+                } else if (move.speedKmh > settings.flagSpeedKmh) {
+                    flags.push(reason('HIGH_SPEED', describeMove(move)));
+                }
+            }
+
+            state.rejectedFix = null;
+            riders.set(key, state);
+            return { status: flags.length > 0 ? 'flagged' : 'accepted', reasons: flags };
+        },
+
+        // Drop the remembered state of a trip's riders (e.g. when the trip is deleted)
+        forget(tripCode) {
+            [...riders.keys()].forEach(key => {
+                if (key.startsWith(`${tripCode}:`)) riders.delete(key);
+            });
+        },
+
+        reset() {
+            riders.clear();
+        }
+    };
+}
+
+module.exports = { DEFAULT_GPS_RULES, createGpsValidator };
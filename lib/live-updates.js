@@ -0,0 +1,147 @@
+// lib/live-updates.js
+
+/**
+ * Creates the Server-Sent Events hub that pushes dashboard data to browsers.
+ *
+ * Each push is a named SSE event whose data is the full JSON payload for one
+ * topic (e.g. 'bookings', 'clusters', 'health', 'trips'). The payloads come from
+ * buildSnapshot(), which is called once per refresh no matter how many clients
+ * are connected. Only topics whose payload changed since the last push are sent.
+ *
+ * A refresh happens shortly after notify() is called (writes are debounced so a
+ * burst of location updates costs one recompute) and on a fixed interval, so
+ * time-based changes such as a trip going STALE still reach the dashboard.
+ *
+ * @param {Object} options
+ * @param {function(): Promise<Object>} options.buildSnapshot - Resolves to { topic: payload }.
+ * @param {number} [options.debounceMs=250] - Delay between a notify() and the refresh it triggers.
+ * @param {number} [options.refreshIntervalMs=15000] - Periodic refresh while clients are connected.
+ * @param {number} [options.heartbeatIntervalMs=25000] - Keep-alive comment so proxies don't drop idle streams.
+ * @param {number} [options.retryMs=3000] - Reconnect delay suggested to the browser.
+ * @returns {{handleRequest: Function, notify: Function, clientCount: Function, close: Function}}
+ */
+function createLiveUpdates({ buildSnapshot, debounceMs = 250, refreshIntervalMs = 15000, heartbeatIntervalMs = 25000, retryMs = 3000 }) {
+    const clients = new Map(); // Open SSE response -> that client's payload transform
+    let lastPayloads = {}; // topic -> JSON string last pushed to everyone
+    let debounceTimer = null;
+    let refreshTimer = null;
+    let heartbeatTimer = null;
+    let refreshing = false;
+    let refreshQueued = false; // A notify() arrived while a refresh was running
+
+    // Format one named SSE event
+    function formatEvent(topic, payload) {
+        return `event: ${topic}\ndata: ${JSON.stringify(payload)}\n\n`;
+    }
+
+    // Recompute every topic and push the ones that changed
+    async function refresh() {
+        if (clients.size === 0) return;
+        if (refreshing) {
+            refreshQueued = true;
+            return;
+        }
+        refreshing = true;
+        try {
+            const snapshot = await buildSnapshot();
+            Object.entries(snapshot).forEach(([topic, payload]) => {
+                const json = JSON.stringify(payload);
+                if (lastPayloads[topic] === json) return; // Nothing new for this topic
+                lastPayloads[topic] = json;
+                clients.forEach((transform, res) => res.write(formatEvent(topic, transform(topic, payload))));
+            });
+        } catch (error) {
+            console.error('Error refreshing live updates:', error);
+        } finally {
+            refreshing = false;
+            if (refreshQueued) {
+                refreshQueued = false;
+                scheduleRefresh();
+            }
+        }
+    }
+
+    function scheduleRefresh() {
+        if (debounceTimer) return; // A refresh is already on its way
+        debounceTimer = setTimeout(() => {
+            debounceTimer = null;
+            refresh();
+        }, debounceMs);
+    }
+
+    // Interval timers only run while someone is listening
+    function startTimers() {
+        refreshTimer = setInterval(refresh, refreshIntervalMs);
+        heartbeatTimer = setInterval(() => {
+            Array.from(clients.keys()).forEach(res => res.write(': ping\n\n'));
+        }, heartbeatIntervalMs);
+    }
+
+    function stopTimers() {
+        clearInterval(refreshTimer);
+        clearInterval(heartbeatTimer);
+        clearTimeout(debounceTimer);
+        refreshTimer = heartbeatTimer = debounceTimer = null;
+        lastPayloads = {}; // The next client starts from a fresh snapshot
+    }
+
+    return {
+        /**
+         * Express handler that opens an event stream and sends the current snapshot.
+         * @param {Object} req - Express request.
+         * @param {Object} res - Express response (kept open until the client disconnects).
+         * @param {Object} [options]
+         * @param {function(string, *): *} [options.transform] - Adjusts each payload for this client
+         *   (e.g. hides fields the client may not see). Receives (topic, payload).
+         */
+        async handleRequest(req, res, { transform = (topic, payload) => payload } = {}) {
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+            });
+            res.flushHeaders();
+            res.write(`retry: ${retryMs}\n\n`);
+
+            clients.set(res, transform);
+            if (clients.size === 1) startTimers();
+            req.on('close', () => {
+                clients.delete(res);
+                if (clients.size === 0) stopTimers();
+            });
+
+            // A new (or reconnecting) client always gets every topic straight away
+            try {
+                const snapshot = await buildSnapshot();
+                if (!clients.has(res)) return; // Disconnected while we were reading
+                Object.entries(snapshot).forEach(([topic, payload]) => res.write(formatEvent(topic, transform(topic, payload))));
+                // The only client has just seen every topic, so the next refresh needn't send unchanged ones again
+                if (clients.size === 1) {
+                    lastPayloads = {};
+                    Object.entries(snapshot).forEach(([topic, payload]) => { lastPayloads[topic] = JSON.stringify(payload); });
+                }
+            } catch (error) {
+                console.error('Error sending initial live update snapshot:', error);
+            }
+        },
+
+        // Signal that stored data changed; connected clients receive the result shortly
+        notify() {
+            if (clients.size > 0) scheduleRefresh();
+        },
+
+        clientCount() {
+            return clients.size;
+        },
+
+        // End every open stream (used on shutdown)
+        close() {
+            Array.from(clients.keys()).forEach(res => res.end());
+            clients.clear();
+            stopTimers();
+        }
+    };
+}
+
+module.exports = { createLiveUpdates };
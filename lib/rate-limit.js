@@ -0,0 +1,117 @@
+// lib/rate-limit.js
+// Token-bucket rate limits for request sources (riders, trips, IP addresses).
+
+const IDLE_SWEEP_INTERVAL_MS = 60 * 1000; // How often buckets that are full again are dropped
+const REJECTION_MEMORY_MS = 60 * 60 * 1000; // Keys stay in the stats for this long after their last rejection
+const TOP_OFFENDERS = 20; // Keys listed in the stats
+
+/**
+ * Creates a rate limiter with one token bucket per key in each scope.
+ *
+ * Each bucket holds up to `burst` tokens and refills at `perMinute` tokens a minute. A request
+ * names its key in every scope it belongs to (e.g. its rider, trip and IP) and is allowed only
+ * if all those buckets have enough tokens; only then are the tokens taken, so a request turned
+ * away for one scope doesn't use up the others. Buckets that have refilled completely are
+ * dropped now and then (an hour after their last rejection if they had any), so memory only
+ * grows with the number of recently busy keys.
+ *
+ * @param {Object} scopes - Limits by scope name: { [scope]: { perMinute, burst } }.
+ * @returns {{consume: Function, stats: Function}}
+ */
+function createRateLimiter(scopes) {
+    const buckets = new Map(); // `${scope}:${key}` -> { scope, key, tokens, updatedAt, rejected, lastAllowedAt, lastRejectedAt }
+    const totals = {}; // scope -> { allowed, rejected }
+    Object.keys(scopes).forEach(scope => { totals[scope] = { allowed: 0, rejected: 0 }; });
+    let lastSweepAt = Date.now();
+
+    // Top up a bucket for the time since it was last used
+    function refill(bucket, limits, now) {
+        const elapsedMinutes = Math.max(0, now - bucket.updatedAt) / 60000;
+        bucket.tokens = Math.min(limits.burst, bucket.tokens + elapsedMinutes * limits.perMinute);
+        bucket.updatedAt = now;
+    }
+
+    function bucketFor(scope, key, now) {
+        const id = `${scope}:${key}`;
+        let bucket = buckets.get(id);
+        if (!bucket) {
+            bucket = { scope, key, tokens: scopes[scope].burst, updatedAt: now, rejected: 0, lastAllowedAt: null, lastRejectedAt: null };
+            buckets.set(id, bucket);
+        } else {
+            refill(bucket, scopes[scope], now);
+        }
+        return bucket;
+    }
+
+    // Forget buckets that are full again, unless they were rejected recently and belong in the stats
+    function sweep(now) {
+        if (now - lastSweepAt < IDLE_SWEEP_INTERVAL_MS) return;
+        lastSweepAt = now;
+        buckets.forEach((bucket, id) => {
+            refill(bucket, scopes[bucket.scope], now);
+            const recentlyRejected = bucket.lastRejectedAt !== null && now - bucket.lastRejectedAt < REJECTION_MEMORY_MS;
+            if (bucket.tokens >= scopes[bucket.scope].burst && !recentlyRejected) buckets.delete(id);
+        });
+    }
+
+    return {
+        /**
+         * Takes tokens for a request from the bucket of each of its keys.
+         * @param {Object} keys - Key per scope, e.g. { ip: '10.0.0.1', trip: 'ABC123' }. Scopes without a key are skipped.
+         * @param {number} [cost=1] - Tokens the request needs (e.g. the number of fixes in a batch).
+         * @param {number} [now=Date.now()] - Current time (epoch ms).
+         * @returns {{allowed: true} | {allowed: false, scope: string, key: string, retryAfterSeconds: number, firstRejection: boolean}}
+         *   firstRejection is true when the key's previous request was allowed (handy for logging each burst once).
+         */
+        consume(keys, cost = 1, now = Date.now()) {
+            sweep(now);
+            const entries = Object.entries(keys).filter(([scope, key]) => scopes[scope] && key);
+            const involved = entries.map(([scope, key]) => bucketFor(scope, key, now));
+
+            // A request larger than a whole bucket is let through once the bucket is full, leaving it in debt
+            const limited = involved.find(bucket => bucket.tokens < Math.min(cost, scopes[bucket.scope].burst));
+            if (limited) {
+                const limits = scopes[limited.scope];
+                const firstRejection = limited.lastRejectedAt === null || (limited.lastAllowedAt !== null && limited.lastRejectedAt < limited.lastAllowedAt);
+                limited.rejected += 1;
+                limited.lastRejectedAt = now;
+                totals[limited.scope].rejected += 1;
+                const missing = Math.min(cost, limits.burst) - limited.tokens;
+                return {
+                    allowed: false,
+                    scope: limited.scope,
+                    key: limited.key,
+                    retryAfterSeconds: Math.max(1, Math.ceil(missing / limits.perMinute * 60)),
+                    firstRejection
+                };
+            }
+
+            involved.forEach(bucket => {
+                bucket.tokens -= cost;
+                bucket.lastAllowedAt = now;
+                totals[bucket.scope].allowed += 1;
+            });
+            return { allowed: true };
+        },
+
+        /**
+         * Counts of allowed and rejected requests since start, by scope, and the keys rejected most in the last hour.
+         * @returns {Object} - { scopes: { [scope]: { perMinute, burst, allowed, rejected, activeKeys } }, topRejected: [{ scope, key, rejected, lastRejectedAt }] }
+         */
+        stats() {
+            const result = {};
+            Object.entries(scopes).forEach(([scope, limits]) => {
+                result[scope] = { ...limits, ...totals[scope], activeKeys: 0 };
+            });
+            buckets.forEach(bucket => { result[bucket.scope].activeKeys += 1; });
+            const topRejected = [...buckets.values()]
+                .filter(bucket => bucket.rejected > 0)
+                .sort((a, b) => b.rejected - a.rejected)
+                .slice(0, TOP_OFFENDERS)
+                .map(bucket => ({ scope: bucket.scope, key: bucket.key, rejected: bucket.rejected, lastRejectedAt: new Date(bucket.lastRejectedAt).toISOString() }));
+            return { scopes: result, topRejected };
+        }
+    };
+}
+
+module.exports = { createRateLimiter };
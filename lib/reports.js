@@ -0,0 +1,207 @@
+// lib/reports.js
+// Ridership and operations figures per trip over a date range, for management reports.
+
+/**
+ * Columns of a trip report row, in CSV order.
+ *   tripCode, status, archiveId     the trip (archiveId only for archived trips)
+ *   origin, destination             trip metadata
+ *   uniqueRiders                    riders on the trip or sending locations during the range
+ *   peakConcurrentRiders, peakAt    most riders on the trip at the same time, and when that was first reached
+ *   firstJoinAt, lastFixAt          first rider joining and last location received within the range
+ *   durationMinutes                 time from firstJoinAt to lastFixAt
+ *   activeShare ... noSignalShare   share of that time the trip health was ACTIVE, STALE, INACTIVE or NO_SIGNAL
+ *   fixCount, averageAccuracyMeters locations received within the range and their mean accuracy
+ */
+const REPORT_COLUMNS = [
+    'tripCode', 'status', 'archiveId', 'origin', 'destination',
+    'uniqueRiders', 'peakConcurrentRiders', 'peakAt',
+    'firstJoinAt', 'lastFixAt', 'durationMinutes',
+    'activeShare', 'staleShare', 'inactiveShare', 'noSignalShare',
+    'fixCount', 'averageAccuracyMeters'
+];
+
+function toTime(value) {
+    return value ? new Date(value).getTime() : NaN;
+}
+
+// Math.min/max without spreading (long trips have too many fixes for the argument list)
+function earliestTime(times) {
+    return times.reduce((min, time) => (min === null || time < min ? time : min), null);
+}
+
+function latestTime(times) {
+    return times.reduce((max, time) => (max === null || time > max ? time : max), null);
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Most riders on the trip at once during the range, from their sessions.
+ * @returns {{peak: number, peakAt: (number|null)}}
+ */
+function peakConcurrency(sessions, from, to) {
+    const changes = [];
+    sessions.forEach(session => {
+        const joinedAt = Math.max(toTime(session.joinedAt), from);
+        const leftAt = Math.min(session.leftAt ? toTime(session.leftAt) : to, to);
+        if (!(joinedAt < leftAt)) return; // Not on the trip during the range
+        changes.push({ time: joinedAt, delta: 1 }, { time: leftAt, delta: -1 });
+    });
+    // Leaving before joining at the same moment, so back-to-back sessions don't count twice
+    changes.sort((a, b) => a.time - b.time || a.delta - b.delta);
+    let current = 0;
+    let peak = 0;
+    let peakAt = null;
+    changes.forEach(change => {
+        current += change.delta;
+        if (current > peak) {
+            peak = current;
+            peakAt = change.time;
+        }
+    });
+    return { peak, peakAt };
+}
+
+/**
+ * How long the trip health was ACTIVE, STALE, INACTIVE and NO_SIGNAL between start and end.
+ * Health only depends on the time since the trip's latest location, so it can be replayed
+ * from the location times alone.
+ * @param {Array<number>} fixTimes - Times of the trip's fixes (epoch ms), oldest first, including the last one before start.
+ * @param {number} start - Start of the period (epoch ms).
+ * @param {number} end - End of the period (epoch ms).
+ * @param {{activeMinutes: number, staleMinutes: number}} thresholds - Same as the live trip health.
+ * @returns {{ACTIVE: number, STALE: number, INACTIVE: number, NO_SIGNAL: number}} - Milliseconds in each status.
+ */
+function healthDurations(fixTimes, start, end, { activeMinutes, staleMinutes }) {
+    const durations = { ACTIVE: 0, STALE: 0, INACTIVE: 0, NO_SIGNAL: 0 };
+    const activeMs = activeMinutes * 60 * 1000;
+    const staleMs = staleMinutes * 60 * 1000;
+    let latest = null; // Time of the latest fix so far
+    let cursor = start;
+    const advance = until => {
+        if (until <= cursor) return;
+        if (latest === null) {
+            durations.NO_SIGNAL += until - cursor;
+        } else {
+            // Walk through the status boundaries that fall between cursor and until
+            [['ACTIVE', latest + activeMs], ['STALE', latest + staleMs], ['INACTIVE', Infinity]].forEach(([status, boundary]) => {
+                const sliceEnd = Math.min(until, boundary);
+                if (sliceEnd > cursor) {
+                    durations[status] += sliceEnd - cursor;
+                    cursor = sliceEnd;
+                }
+            });
+        }
+        cursor = until;
+    };
+    fixTimes.forEach(time => {
+        if (time > end) return;
+        advance(time);
+        latest = time;
+    });
+    advance(end);
+    return durations;
+}
+
+/**
+ * Builds the report row of one trip.
+ * @param {Object} input
+ * @param {Object} input.trip - The trip record (live or archived).
+ * @param {number|null} [input.archiveId] - Archive id for archived trips.
+ * @param {Array} input.fixes - The trip's location history, at least from staleMinutes before 'from' up to 'to'.
+ * @param {Array} input.sessions - The trip's rider sessions.
+ * @param {number} input.from - Start of the range (epoch ms).
+ * @param {number} input.to - End of the range (epoch ms).
+ * @param {{activeMinutes: number, staleMinutes: number}} input.thresholds - Trip health thresholds.
+ * @returns {Object|null} - The row (see REPORT_COLUMNS), or null if nothing happened on the trip during the range.
+ */
+function buildTripReport({ trip, archiveId = null, fixes, sessions, from, to, thresholds }) {
+    const fixTimes = fixes.map(fix => toTime(fix.timestamp)).filter(time => !isNaN(time) && time <= to).sort((a, b) => a - b);
+    const fixesInRange = fixes.filter(fix => {
+        const time = toTime(fix.timestamp);
+        return time >= from && time <= to;
+    });
+    const sessionsInRange = sessions.filter(session => toTime(session.joinedAt) <= to && (!session.leftAt || toTime(session.leftAt) >= from));
+    if (fixesInRange.length === 0 && sessionsInRange.length === 0) return null;
+
+    const riders = new Set([...sessionsInRange.map(session => session.riderId), ...fixesInRange.map(fix => fix.riderId)]);
+    const { peak, peakAt } = peakConcurrency(sessionsInRange, from, to);
+
+    // The trip ran from the first join (or first fix, for riders without a session) to the last fix
+    const joinTimes = sessionsInRange.map(session => Math.max(toTime(session.joinedAt), from));
+    const fixTimesInRange = fixesInRange.map(fix => toTime(fix.timestamp));
+    const firstJoin = earliestTime(joinTimes);
+    const lastFix = latestTime(fixTimesInRange);
+    const start = firstJoin !== null ? firstJoin : earliestTime(fixTimesInRange);
+    const durationMs = start !== null && lastFix !== null ? Math.max(0, lastFix - start) : 0;
+
+    const durations = durationMs > 0 ? healthDurations(fixTimes, start, lastFix, thresholds) : null;
+    const share = status => (durations ? round(durations[status] / durationMs, 3) : null);
+
+    const accuracies = fixesInRange.map(fix => fix.accuracy).filter(accuracy => typeof accuracy === 'number' && Number.isFinite(accuracy));
+    const averageAccuracy = accuracies.length > 0 ? accuracies.reduce((sum, accuracy) => sum + accuracy, 0) / accuracies.length : null;
+
+    return {
+        tripCode: trip.code,
+        status: trip.status || null,
+        archiveId,
+        origin: trip.origin || null,
+        destination: trip.destination || null,
+        uniqueRiders: riders.size,
+        peakConcurrentRiders: peak,
+        peakAt: peakAt !== null ? new Date(peakAt).toISOString() : null,
+        firstJoinAt: firstJoin !== null ? new Date(firstJoin).toISOString() : null,
+        lastFixAt: lastFix !== null ? new Date(lastFix).toISOString() : null,
+        durationMinutes: round(durationMs / 60000, 1),
+        activeShare: share('ACTIVE'),
+        staleShare: share('STALE'),
+        inactiveShare: share('INACTIVE'),
+        noSignalShare: share('NO_SIGNAL'),
+        fixCount: fixesInRange.length,
+        averageAccuracyMeters: averageAccuracy !== null ? round(averageAccuracy, 1) : null
+    };
+}
+
+/**
+ * Totals over all report rows.
+ * @param {Array<Object>} rows - From buildTripReport.
+ * @returns {Object} - { trips, riders (sum of each trip's unique riders), fixes, averageAccuracyMeters (over all fixes) }
+ */
+function summarizeReport(rows) {
+    const withAccuracy = rows.filter(row => row.averageAccuracyMeters !== null);
+    const accuracyFixes = withAccuracy.reduce((sum, row) => sum + row.fixCount, 0);
+    return {
+        trips: rows.length,
+        riders: rows.reduce((sum, row) => sum + row.uniqueRiders, 0),
+        fixes: rows.reduce((sum, row) => sum + row.fixCount, 0),
+        averageAccuracyMeters: accuracyFixes > 0
+            ? round(withAccuracy.reduce((sum, row) => sum + row.averageAccuracyMeters * row.fixCount, 0) / accuracyFixes, 1)
+            : null
+    };
+}
+
+// Text starting with one of these runs as a formula when the CSV is opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvValue(value) {
+    if (value === null || typeof value === 'undefined') return '';
+    // Trip codes, origins and destinations are typed in by operators: a leading ' makes them plain text
+    const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders report rows as CSV with a header line.
+ * @param {Array<Object>} rows - From buildTripReport.
+ * @returns {string}
+ */
+function reportToCsv(rows) {
+    const lines = [REPORT_COLUMNS.join(',')];
+    rows.forEach(row => lines.push(REPORT_COLUMNS.map(column => csvValue(row[column])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { REPORT_COLUMNS, buildTripReport, summarizeReport, reportToCsv };
@@ -0,0 +1,186 @@
+// lib/routes.js
+// Routes are named, ordered lists of stops a shuttle is supposed to serve,
+// optionally with the path (polyline) it drives between them.
+const { calculateHaversineDistance } = require('./clustering');
+
+const ROUTE_ID_PATTERN = /^[A-Z0-9][A-Z0-9_-]{0,39}$/; // Uppercase letters, digits, '-' and '_' (max 40)
+const MAX_ROUTE_STOPS = 200;
+const MAX_PATH_POINTS = 5000;
+const DEFAULT_STOP_RADIUS_METERS = 50;
+const STOP_RADIUS_RANGE = { min: 5, max: 5000 };
+
+// Turn a route name into an id ("Campus Loop" -> "CAMPUS-LOOP")
+function routeIdFromName(name) {
+    return name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+function isLatitude(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= -90 && value <= 90;
+}
+
+function isLongitude(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= -180 && value <= 180;
+}
+
+// Validate one stop; returns the normalized stop or pushes errors
+function validateStop(input, index, errors) {
+    const label = `stops[${index}]`;
+    if (!input || typeof input !== 'object') {
+        errors.push(`${label} must be an object with name, lat and lng`);
+        return null;
+    }
+    const stop = {};
+    if (typeof input.name !== 'string' || input.name.trim() === '') {
+        errors.push(`${label}.name must be a non-empty string`);
+    } else {
+        stop.name = input.name.trim();
+    }
+    if (!isLatitude(input.lat)) errors.push(`${label}.lat must be a latitude between -90 and 90`);
+    if (!isLongitude(input.lng)) errors.push(`${label}.lng must be a longitude between -180 and 180`);
+    stop.lat = input.lat;
+    stop.lng = input.lng;
+
+    if (input.radiusMeters === undefined || input.radiusMeters === null) {
+        stop.radiusMeters = DEFAULT_STOP_RADIUS_METERS;
+    } else if (typeof input.radiusMeters !== 'number' || !Number.isFinite(input.radiusMeters)
+        || input.radiusMeters < STOP_RADIUS_RANGE.min || input.radiusMeters > STOP_RADIUS_RANGE.max) {
+        errors.push(`${label}.radiusMeters must be a number between ${STOP_RADIUS_RANGE.min} and ${STOP_RADIUS_RANGE.max}`);
+    } else {
+        stop.radiusMeters = input.radiusMeters;
+    }
+
+    // Stop ids let events and ETAs refer to a stop; default to its position in the route
+    if (input.id === undefined || input.id === null) {
+        stop.id = `S${index + 1}`;
+    } else if (typeof input.id !== 'string' || !ROUTE_ID_PATTERN.test(input.id.trim().toUpperCase())) {
+        errors.push(`${label}.id may only contain letters, digits, '-' and '_' (max 40 characters)`);
+    } else {
+        stop.id = input.id.trim().toUpperCase();
+    }
+    return { id: stop.id, name: stop.name, lat: stop.lat, lng: stop.lng, radiusMeters: stop.radiusMeters };
+}
+
+/**
+ * Validates a route from a request body.
+ * @param {Object} input - Raw request body: { id?, name, stops: [{ id?, name, lat, lng, radiusMeters? }], path? }.
+ *   path is an optional array of [lat, lng] pairs (null removes it).
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate the fields present (for updates); the id can't change.
+ * @returns {{route: Object, errors: Array<string>}} - Normalized route fields and any validation errors.
+ */
+function validateRoute(input, { partial = false } = {}) {
+    const route = {};
+    const errors = [];
+    const source = input && typeof input === 'object' ? input : {};
+    const has = field => Object.prototype.hasOwnProperty.call(source, field);
+
+    if (!partial || has('name')) {
+        if (typeof source.name !== 'string' || source.name.trim() === '') {
+            errors.push('name must be a non-empty string');
+        } else if (source.name.trim().length > 100) {
+            errors.push('name must be at most 100 characters');
+        } else {
+            route.name = source.name.trim();
+        }
+    }
+
+    if (!partial) {
+        const id = typeof source.id === 'string' && source.id.trim() !== '' ? source.id.trim().toUpperCase() : (route.name ? routeIdFromName(route.name) : '');
+        if (!ROUTE_ID_PATTERN.test(id)) {
+            errors.push("id may only contain letters, digits, '-' and '_' (max 40 characters)");
+        } else {
+            route.id = id;
+        }
+    }
+
+    if (!partial || has('stops')) {
+        if (!Array.isArray(source.stops) || source.stops.length === 0) {
+            errors.push('stops must be a non-empty array');
+        } else if (source.stops.length > MAX_ROUTE_STOPS) {
+            errors.push(`A route can have at most ${MAX_ROUTE_STOPS} stops`);
+        } else {
+            route.stops = source.stops.map((stop, index) => validateStop(stop, index, errors));
+            const ids = route.stops.filter(Boolean).map(stop => stop.id);
+            if (new Set(ids).size !== ids.length) errors.push('Stop ids must be unique within a route');
+        }
+    }
+
+    if (has('path')) {
+        if (source.path === null) {
+            route.path = null;
+        } else if (!Array.isArray(source.path) || source.path.length < 2 || source.path.length > MAX_PATH_POINTS) {
+            errors.push(`path must be an array of 2 to ${MAX_PATH_POINTS} [lat, lng] points`);
+        } else if (!source.path.every(point => Array.isArray(point) && point.length === 2 && isLatitude(point[0]) && isLongitude(point[1]))) {
+            errors.push('Every path point must be a [lat, lng] pair');
+        } else {
+            route.path = source.path.map(([lat, lng]) => [lat, lng]);
+        }
+    } else if (!partial) {
+        route.path = null;
+    }
+
+    return { route, errors };
+}
+
+/**
+ * Works out which stop of a route the shuttle is heading for.
+ *
+ * The shuttle is "at" a stop while it is inside the stop's radius. Otherwise the
+ * nearest stop is the next one, unless the shuttle is already past it: when it is
+ * closer to the following stop than the nearest stop is, it is on the way there.
+ *
+ * @param {Object} route - Route record with stops.
+ * @param {Object} position - Shuttle position {lat, lng}.
+ * @returns {Object|null} - { index, id, name, lat, lng, distanceMeters, atStop }, or null if the route has no stops.
+ */
+function findNextStop(route, position) {
+    const stops = route && Array.isArray(route.stops) ? route.stops : [];
+    if (stops.length === 0 || !position) return null;
+
+    const distances = stops.map(stop => calculateHaversineDistance(position.lat, position.lng, stop.lat, stop.lng));
+    let nearest = 0;
+    distances.forEach((distance, index) => {
+        if (distance < distances[nearest]) nearest = index;
+    });
+
+    let index = nearest;
+    const atStop = distances[nearest] <= stops[nearest].radiusMeters;
+    if (!atStop && nearest < stops.length - 1) {
+        const following = stops[nearest + 1];
+        const legLength = calculateHaversineDistance(stops[nearest].lat, stops[nearest].lng, following.lat, following.lng);
+        if (distances[nearest + 1] < legLength) index = nearest + 1; // Already between the nearest stop and the following one
+    }
+
+    const stop = stops[index];
+    return {
+        index,
+        id: stop.id,
+        name: stop.name,
+        lat: stop.lat,
+        lng: stop.lng,
+        distanceMeters: Math.round(distances[index]),
+        atStop: index === nearest && atStop
+    };
+}
+
+/**
+ * Adds routeId and nextStop to the cluster result of every trip that follows a route.
+ * Uses the smoothed shuttle position when there is one.
+ * @param {Object} clusters - Result of calculateClusters (modified in place).
+ * @param {Array<Object>} trips - Trip records (with routeId).
+ * @param {Array<Object>} routes - Route records.
+ * @returns {Object} - The same clusters object.
+ */
+function addNextStops(clusters, trips, routes) {
+    const routesById = new Map(routes.map(route => [route.id, route]));
+    trips.forEach(trip => {
+        const cluster = clusters[trip.code];
+        const route = trip.routeId ? routesById.get(trip.routeId) : null;
+        if (!cluster || !route) return;
+        cluster.routeId = route.id;
+        cluster.nextStop = findNextStop(route, cluster.smoothedCenter || cluster.center);
+    });
+    return clusters;
+}
+
+module.exports = { ROUTE_ID_PATTERN, DEFAULT_STOP_RADIUS_METERS, validateRoute, findNextStop, addNextStops };
@@ -0,0 +1,202 @@
+// lib/shuttle-motion.js
+
+const { EARTH_RADIUS_METERS } = require('./clustering');
+
+/**
+ * One axis (east or north, in meters) of a constant-velocity Kalman filter.
+ * The two axes are independent, so a 2-state filter per axis is equivalent to
+ * the full 4-state filter and much easier to read.
+ */
+function createAxisFilter(position, measurementVariance, initialVelocityVariance) {
+    let p = position; // Position (m)
+    let v = 0; // Velocity (m/s)
+    // Covariance [[pp, pv], [pv, vv]]
+    let pp = measurementVariance;
+    let pv = 0;
+    let vv = initialVelocityVariance;
+
+    return {
+        // Advance the state by dt seconds; accelerationVariance models how much the shuttle may speed up or turn
+        predict(dt, accelerationVariance) {
+            p += v * dt;
+            const dt2 = dt * dt;
+            pp += 2 * dt * pv + dt2 * vv + accelerationVariance * dt2 * dt2 / 4;
+            pv += dt * vv + accelerationVariance * dt2 * dt / 2;
+            vv += accelerationVariance * dt2;
+        },
+        // Normalized squared distance of a measurement from the prediction (for outlier checks)
+        innovation(z, variance) {
+            const residual = z - p;
+            return residual * residual / (pp + variance);
+        },
+        update(z, variance) {
+            const s = pp + variance;
+            const gainP = pp / s;
+            const gainV = pv / s;
+            const residual = z - p;
+            p += gainP * residual;
+            v += gainV * residual;
+            // Covariance (I - KH)P; the order matters because each line reads values the next one changes
+            vv -= gainV * pv;
+            pv -= gainV * pp;
+            pp -= gainP * pp;
+        },
+        state() {
+            return { position: p, velocity: v, variance: pp };
+        }
+    };
+}
+
+/**
+ * Creates the tracker that smooths each trip's shuttle position over time.
+ *
+ * Every fresh cluster calculation is one measurement of the shuttle position (the
+ * center of the trip's largest cluster). The tracker keeps a Kalman filter per trip
+ * in memory and adds the filtered position, speed, heading and a confidence radius
+ * to the cluster result. Positions are filtered in meters on a local flat projection
+ * around the trip's first measurement.
+ *
+ * A trip's filter starts over when no measurement arrived for maxGapMs, or when a
+ * measurement is so far from the prediction that the shuttle (or the largest group of
+ * riders) must have changed, e.g. riders moving to another vehicle.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.accelerationSigma=0.5] - Expected acceleration noise (m/s²); higher reacts faster, lower is smoother.
+ * @param {number} [options.minMeasurementSigma=10] - Lower bound for the measurement noise (m).
+ * @param {number} [options.initialSpeedSigma=15] - Uncertainty of the speed before any movement is seen (m/s).
+ * @param {number} [options.maxGapMs=600000] - Start over after this long without a measurement.
+ * @param {number} [options.outlierThreshold=30] - Start over when a measurement's squared normalized distance exceeds this.
+ * @param {number} [options.minSpeedForHeading=1] - Below this speed (m/s) the heading is reported as null.
+ * @returns {{update: Function, forget: Function, reset: Function}}
+ */
+function createShuttleMotionTracker({
+    accelerationSigma = 0.5,
+    minMeasurementSigma = 10,
+    initialSpeedSigma = 15,
+    maxGapMs = 10 * 60 * 1000,
+    outlierThreshold = 30,
+    minSpeedForHeading = 1
+} = {}) {
+    const tracks = new Map(); // tripCode -> { origin, east, north, updatedAt, latestFixAt, result }
+
+    // Local flat projection around an origin (accurate to well under a meter across a city)
+    function project(origin, point) {
+        const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+        return {
+            east: (point.lng - origin.lng) * metersPerDegree * Math.cos(origin.lat * Math.PI / 180),
+            north: (point.lat - origin.lat) * metersPerDegree
+        };
+    }
+
+    function unproject(origin, east, north) {
+        const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+        return {
+            lat: origin.lat + north / metersPerDegree,
+            lng: origin.lng + east / (metersPerDegree * Math.cos(origin.lat * Math.PI / 180))
+        };
+    }
+
+    // Measurement noise: how far the cluster center may be off, given how spread out its riders are
+    function measurementVariance(cluster) {
+        const spread = typeof cluster.spreadMeters === 'number' ? cluster.spreadMeters : 0;
+        const sigma = Math.max(minMeasurementSigma, spread / Math.sqrt(Math.max(1, cluster.riderCount || 1)));
+        return sigma * sigma;
+    }
+
+    function startTrack(cluster, now, variance) {
+        const origin = { lat: cluster.center.lat, lng: cluster.center.lng };
+        const track = {
+            origin,
+            east: createAxisFilter(0, variance, initialSpeedSigma * initialSpeedSigma),
+            north: createAxisFilter(0, variance, initialSpeedSigma * initialSpeedSigma),
+            updatedAt: now
+        };
+        tracks.set(cluster.tripCode, track);
+        return track;
+    }
+
+    // Feed one trip's cluster into its filter and return the smoothed motion fields
+    function updateTrip(cluster, now, latestFixAt) {
+        let track = tracks.get(cluster.tripCode);
+        // Recalculated because of another trip's write: the same input is not a new measurement
+        if (track && typeof latestFixAt === 'number' && track.latestFixAt === latestFixAt) {
+            return track.result;
+        }
+        const variance = measurementVariance(cluster);
+
+        if (track && now - track.updatedAt > maxGapMs) {
+            track = null; // Too long without a position; the old motion tells us nothing
+        }
+        if (track && now > track.updatedAt) {
+            const dt = (now - track.updatedAt) / 1000;
+            const accelerationVariance = accelerationSigma * accelerationSigma;
+            track.east.predict(dt, accelerationVariance);
+            track.north.predict(dt, accelerationVariance);
+        }
+
+        if (track) {
+            const measured = project(track.origin, cluster.center);
+            const distance = track.east.innovation(measured.east, variance) + track.north.innovation(measured.north, variance);
+            if (distance > outlierThreshold) {
+                track = null; // The shuttle can't have moved there; follow the new position instead
+            } else {
+                track.east.update(measured.east, variance);
+                track.north.update(measured.north, variance);
+                track.updatedAt = now;
+            }
+        }
+        if (!track) {
+            track = startTrack(cluster, now, variance);
+        }
+
+        const east = track.east.state();
+        const north = track.north.state();
+        const speed = Math.hypot(east.velocity, north.velocity);
+        // Compass heading: 0 = north, 90 = east
+        const heading = speed >= minSpeedForHeading
+            ? (Math.atan2(east.velocity, north.velocity) * 180 / Math.PI + 360) % 360
+            : null;
+
+        track.latestFixAt = latestFixAt;
+        track.result = {
+            smoothedCenter: unproject(track.origin, east.position, north.position),
+            speedMps: Math.round(speed * 10) / 10,
+            headingDegrees: heading === null ? null : Math.round(heading),
+            // Radius that contains the true position with ~95% probability (2 sigma of the larger axis)
+            confidenceRadiusMeters: Math.round(2 * Math.sqrt(Math.max(east.variance, north.variance)))
+        };
+        return track.result;
+    }
+
+    return {
+        /**
+         * Adds smoothedCenter, speedMps, headingDegrees and confidenceRadiusMeters to each
+         * trip's cluster result. Call once per fresh calculation (not for cached results),
+         * since every call counts as a new measurement. A trip whose latest fix time hasn't
+         * changed since its last measurement keeps its previous result.
+         * @param {Object} clusters - Result of calculateClusters (modified in place).
+         * @param {number} [now=Date.now()] - Time of the calculation (epoch ms).
+         * @param {Object} [latestFixTimes] - Time of each trip's latest rider fix (epoch ms) by trip code; trips
+         *   missing here are measured on every call.
+         * @returns {Object} - The same clusters object.
+         */
+        update(clusters, now = Date.now(), latestFixTimes = {}) {
+            Object.values(clusters).forEach(cluster => {
+                if (!cluster || !cluster.center) return;
+                Object.assign(cluster, updateTrip(cluster, now, latestFixTimes[cluster.tripCode]));
+            });
+            return clusters;
+        },
+
+        // Drop a trip's motion state (e.g. when the trip is deleted)
+        forget(tripCode) {
+            tracks.delete(tripCode);
+        },
+
+        reset() {
+            tracks.clear();
+        }
+    };
+}
+
+module.exports = { createShuttleMotionTracker };
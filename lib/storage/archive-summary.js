@@ -0,0 +1,32 @@
+// lib/storage/archive-summary.js
+
+/**
+ * Summarizes the history of a trip being archived, so archive listings don't need the full history.
+ * Shared by the storage backends.
+ * @param {Object} history
+ * @param {Array<Object>} history.locationHistory - The trip's fixes.
+ * @param {Array<Object>} history.riderSessions - The trip's rider sessions.
+ * @param {Array<Object>} history.events - The trip's events.
+ * @returns {Object} - { riderCount, sessionCount, fixCount, eventCount, firstFixAt, lastFixAt }
+ */
+function summarizeTripHistory({ locationHistory, riderSessions, events }) {
+    const riders = new Set([...riderSessions.map(session => session.riderId), ...locationHistory.map(fix => fix.riderId)]);
+    let firstFix = Infinity;
+    let lastFix = -Infinity;
+    locationHistory.forEach(fix => {
+        const time = new Date(fix.timestamp).getTime();
+        if (isNaN(time)) return;
+        firstFix = Math.min(firstFix, time);
+        lastFix = Math.max(lastFix, time);
+    });
+    return {
+        riderCount: riders.size,
+        sessionCount: riderSessions.length,
+        fixCount: locationHistory.length,
+        eventCount: events.length,
+        firstFixAt: Number.isFinite(firstFix) ? new Date(firstFix).toISOString() : null,
+        lastFixAt: Number.isFinite(lastFix) ? new Date(lastFix).toISOString() : null
+    };
+}
+
+module.exports = { summarizeTripHistory };
@@ -0,0 +1,79 @@
+// lib/storage/index.js
+const { createJsonStore } = require('./json-store');
+const { createSqliteStore } = require('./sqlite-store');
+
+/**
+ * Storage backends share one promise-based interface, so server.js never needs
+ * to know where data lives:
+ *
+ *   init() / close()
+ *   listTrips()                          -> Array<trip>
+ *   getTrip(code)                        -> trip | null
+ *   insertTrip(trip)                     -> trip | null (null if the code already exists)
+ *   updateTrip(code, changes)            -> trip | null (null if not found)
+ *   deleteTrip(code)                     -> { tripDeleted, bookingsDeleted } (also drops its history, rider sessions and events)
+ *   archiveTrip(code, { status, archivedAt }) -> archive summary | null (null if not found; moves the trip with its bookings,
+ *                                        history, rider sessions and events into the archive and ends open rider sessions)
+ *   listArchivedTrips({ tripCode })      -> Array<archive summary> ({ id, code, status, archivedAt, trip, summary }), newest first
+ *   getArchivedTrip(id)                  -> archive | null (the summary plus bookings, locationHistory, riderSessions and events)
+ *   listRoutes()                         -> Array<route> ({ id, name, stops, path, createdAt, updatedAt? })
+ *   getRoute(id)                         -> route | null
+ *   insertRoute(route)                   -> route | null (null if the id already exists)
+ *   updateRoute(id, changes)             -> route | null (null if not found)
+ *   deleteRoute(id)                      -> true if the route existed
+ *   listBookings({ tripCode, since })    -> Array<booking> (latest fix per rider; since = epoch ms, exclusive)
+ *                                        (booking = { tripCode, riderId, timestamp, lat, lng, accuracy, flags? };
+ *                                        flags = [{ code, message }] from GPS validation, only on flagged fixes)
+ *   recordLocation(booking)              -> { created } (replaces the rider's latest fix and appends it to the history)
+ *   recordLocations(bookings)            -> number of riders whose latest fix was replaced (appends every fix to the history;
+ *                                        a rider's latest fix is only replaced by a newer one, for fixes uploaded late)
+ *   insertBookings(bookings)             (bulk recordLocation, used for sample data and imports)
+ *   deleteBookings({ tripCodes })        -> number of bookings removed (also drops their history, rider sessions and events)
+ *   listLocationHistory({ tripCode, riderId, from, to }) -> Array<booking>, oldest first (from/to = epoch ms, inclusive)
+ *   pruneLocationHistory(before)         -> number of history fixes older than `before` (epoch ms) removed
+ *   listRiderSessions({ tripCode, open }) -> Array<session> ({ tripCode, riderId, joinedAt, leftAt }; open = true/false filters on leftAt)
+ *   openRiderSession({ tripCode, riderId, joinedAt }) -> { session, created } (returns the open session if there already is one)
+ *   closeRiderSession({ tripCode, riderId, leftAt }) -> session | null (null if the rider has no open session)
+ *   pruneRiderSessions(before)           -> number of sessions that ended before `before` (epoch ms) removed
+ *   appendEvents(events)                 -> the stored events with their ids ({ id, type, tripCode, timestamp, data }; ids only ever increase)
+ *   listEvents({ tripCode, types, from, to, beforeId, afterId, limit }) -> Array<event>, newest first
+ *                                        (types = array of event types; from/to = epoch ms, inclusive; beforeId/afterId = event ids, exclusive)
+ *   pruneEvents(before)                  -> number of events older than `before` (epoch ms) removed
+ *   listUsers()                          -> Array<user> ({ username, role, passwordHash, createdAt })
+ *   getUser(username)                    -> user | null
+ *   insertUser(user)                     -> user | null (null if the username already exists)
+ *   getSettings()                        -> Object of runtime settings by key
+ *   updateSettings(changes)              -> all settings after applying `changes` (a null value removes the key)
+ *   reset()                              (removes trips, archived trips, bookings, history, rider sessions and events; users, settings and routes are kept)
+ *
+ * Dates may be passed in as Date objects; they always come back as ISO strings.
+ */
+const BACKENDS = {
+    json: options => createJsonStore({
+        file: options.dataFile,
+        backupCount: options.backupCount,
+        backupIntervalMs: options.backupIntervalMs
+    }),
+    sqlite: options => createSqliteStore({ file: options.sqliteFile })
+};
+
+/**
+ * Creates the configured storage backend.
+ * @param {Object} options
+ * @param {string} [options.backend='json'] - 'json' or 'sqlite'.
+ * @param {string} options.dataFile - Path of the JSON data file (json backend).
+ * @param {number} [options.backupCount] - Rolling backups of the JSON data file to keep (json backend).
+ * @param {number} [options.backupIntervalMs] - Minimum time between JSON backup rotations (json backend).
+ * @param {string} options.sqliteFile - Path of the SQLite database (sqlite backend).
+ * @returns {Object} - The storage backend. Call init() before using it.
+ */
+function createStorage(options) {
+    const backend = (options.backend || 'json').toLowerCase();
+    const factory = BACKENDS[backend];
+    if (!factory) {
+        throw new Error(`Unknown storage backend '${backend}'. Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,604 @@
+// lib/storage/json-store.js
+const fs = require('fs').promises;
+const { createMutationQueue } = require('./mutation-queue');
+const { summarizeTripHistory } = require('./archive-summary');
+
+/**
+ * Creates the JSON file storage backend.
+ * Everything (trips, archived trips, routes, bookings, location history, rider sessions, events, users and settings) lives in a single JSON document that is read
+ * and rewritten as a whole on every operation. Simple and human-readable, but
+ * only suitable for small deployments.
+ *
+ * All mutations go through a single-writer queue so concurrent requests can't
+ * overwrite each other's changes, and every write goes to a temporary file that
+ * is renamed over the data file, so a crash never leaves a truncated file behind.
+ * Older versions are kept as rolling backups (data.json.bak.1 is the newest). If
+ * the data file is ever unreadable, it is saved once as data.json.corrupt-<time> and
+ * replaced by the newest readable backup.
+ * @param {Object} options
+ * @param {string} options.file - Path to the JSON data file.
+ * @param {number} [options.backupCount=3] - Number of backup generations to keep (0 disables backups).
+ * @param {number} [options.backupIntervalMs=60000] - Minimum time between backup rotations.
+ * @returns {Object} - A storage backend (see lib/storage/index.js for the interface).
+ */
+function createJsonStore({ file, backupCount = 3, backupIntervalMs = 60 * 1000 }) {
+    const queue = createMutationQueue();
+    const tempFile = `${file}.${process.pid}.tmp`;
+    let lastBackupAt = 0; // When the backups were last rotated (epoch ms)
+    let damagedContent = null; // Content of the data file while it is known to be damaged, until it is rewritten
+
+    // --- File Helpers ---
+
+    // Create the data file with an empty structure if it doesn't exist yet
+    async function initializeDataFile() {
+        try {
+            await fs.access(file);
+            console.log('Data file exists:', file);
+        } catch (error) {
+            console.log('Creating new data file:', file);
+            await writeData(emptyData());
+        }
+    }
+
+    // Parse a data document and make sure every collection exists even for hand-edited files
+    function parseData(content) {
+        const data = JSON.parse(content);
+        data.trips = Array.isArray(data.trips) ? data.trips : [];
+        data.trips.forEach(trip => {
+            // Trips from before trip statuses existed
+            if (!trip.status) trip.status = 'SCHEDULED';
+            if (trip.statusChangedAt === undefined) trip.statusChangedAt = null;
+        });
+        data.archivedTrips = Array.isArray(data.archivedTrips) ? data.archivedTrips : [];
+        if (typeof data.archiveSequence !== 'number') {
+            data.archiveSequence = data.archivedTrips.reduce((max, archive) => Math.max(max, archive.id || 0), 0);
+        }
+        data.routes = Array.isArray(data.routes) ? data.routes : [];
+        data.bookings = Array.isArray(data.bookings) ? data.bookings : [];
+        data.locationHistory = Array.isArray(data.locationHistory) ? data.locationHistory : [];
+        data.users = Array.isArray(data.users) ? data.users : [];
+        data.events = Array.isArray(data.events) ? data.events : [];
+        if (typeof data.eventSequence !== 'number') {
+            data.eventSequence = data.events.reduce((max, event) => Math.max(max, event.id || 0), 0);
+        }
+        data.settings = data.settings && typeof data.settings === 'object' && !Array.isArray(data.settings) ? data.settings : {};
+        if (!Array.isArray(data.riderSessions)) {
+            // Files from before rider sessions existed: everyone with a location is still on their trip
+            data.riderSessions = sessionsFromHistory(data.locationHistory.length > 0 ? data.locationHistory : data.bookings);
+        }
+        return data;
+    }
+
+    // Helper function to read the whole data document
+    async function readData() {
+        let content;
+        try {
+            content = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            // A missing file simply means no data yet
+            if (error.code === 'ENOENT') {
+                console.warn('Data file missing. Returning default structure.');
+                return emptyData();
+            }
+            console.error('Error reading data file:', error);
+            throw new Error('Could not read data file'); // Rethrow other errors
+        }
+
+        try {
+            return parseData(content);
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) throw error;
+            // Never treat a damaged file as "no data": that would wipe every trip on the next write
+            return recoverFromBackup(content);
+        }
+    }
+
+    // Load the newest readable backup after the data file turned out to be damaged
+    async function recoverFromBackup(content) {
+        // Set before any await, so concurrent reads of the same damage don't each save and restore it
+        const newlyDamaged = content !== damagedContent;
+        damagedContent = content;
+        for (let generation = 1; generation <= backupCount; generation++) {
+            let data;
+            try {
+                data = parseData(await fs.readFile(backupFile(generation), 'utf8'));
+            } catch (error) {
+                continue; // Missing or unreadable backup: try the next older one
+            }
+            if (newlyDamaged) {
+                console.error(`Data file ${file} contains invalid JSON. Using backup ${backupFile(generation)} instead.`);
+                // Keep the damaged file for inspection (once), then put the backup back in its place
+                await fs.writeFile(`${file}.corrupt-${Date.now()}`, content).catch(() => {});
+                queue.run(() => restoreDataFile(content, data)).catch(error => console.error('Error restoring data file from backup:', error));
+            }
+            return data;
+        }
+        if (content.trim() === '') {
+            console.warn('Data file is empty and no backup is available. Returning default structure.');
+            return emptyData();
+        }
+        console.error(`Data file ${file} contains invalid JSON and no usable backup was found.`);
+        throw new Error('Data file is corrupted; refusing to continue without a valid backup');
+    }
+
+    // Runs on the write queue: rewrites the data file from the backup unless a write already replaced the damaged content
+    async function restoreDataFile(content, data) {
+        const current = await fs.readFile(file, 'utf8').catch(() => null);
+        if (current !== content) return;
+        await writeData(data);
+        console.log(`Data file ${file} restored from backup.`);
+    }
+
+    function backupFile(generation) {
+        return `${file}.bak.${generation}`;
+    }
+
+    // Shift the backups one generation back and make the current data file backup 1
+    async function rotateBackups() {
+        await fs.unlink(backupFile(backupCount)).catch(() => {}); // Drop the oldest generation
+        for (let generation = backupCount - 1; generation >= 1; generation--) {
+            await fs.rename(backupFile(generation), backupFile(generation + 1)).catch(() => {});
+        }
+        try {
+            // A hard link is instant and keeps pointing at the old contents after the rename in writeData
+            await fs.link(file, backupFile(1));
+        } catch (error) {
+            if (error.code === 'ENOENT') return; // No data file yet, nothing to back up
+            await fs.copyFile(file, backupFile(1)); // Filesystems without hard links
+        }
+    }
+
+    // Helper function to write the whole data document atomically
+    async function writeData(data) {
+        try {
+            // Write the data object to a temporary file as formatted JSON and flush it to disk
+            const handle = await fs.open(tempFile, 'w');
+            try {
+                await handle.writeFile(JSON.stringify(data, null, 2));
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+
+            // A damaged data file must not become a backup and push the good ones out
+            if (backupCount > 0 && damagedContent === null && Date.now() - lastBackupAt >= backupIntervalMs) {
+                await rotateBackups();
+                lastBackupAt = Date.now();
+            }
+
+            // Atomically replace the data file; readers see either the old or the new version
+            await fs.rename(tempFile, file);
+            damagedContent = null;
+            return true;
+        } catch (error) {
+            console.error('Error writing data file:', error);
+            throw new Error('Could not write to data file'); // Rethrow the error
+        }
+    }
+
+    /**
+     * Runs a read-modify-write cycle on the single-writer queue.
+     * The callback mutates the data in place; the data is written back unless it returns null
+     * (meaning "nothing changed").
+     * @param {function(Object): *} mutation - Receives the current data document.
+     * @returns {Promise<*>} - The callback's return value.
+     */
+    function mutate(mutation) {
+        return queue.run(async () => {
+            const data = await readData();
+            const result = await mutation(data);
+            if (result !== null) await writeData(data);
+            return result;
+        });
+    }
+
+    // Round-trip through JSON so callers get the same shapes (ISO date strings) as a fresh read
+    function plain(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    return {
+        name: 'json',
+        location: file,
+
+        async init() {
+            await queue.run(initializeDataFile);
+        },
+
+        async close() {
+            // Let queued writes finish; every operation opens and closes the file itself
+            await queue.run(async () => {});
+        },
+
+        // --- Trips ---
+
+        async listTrips() {
+            const data = await readData();
+            return data.trips;
+        },
+
+        async getTrip(code) {
+            const data = await readData();
+            return data.trips.find(trip => trip.code === code) || null;
+        },
+
+        async insertTrip(trip) {
+            return mutate(data => {
+                if (data.trips.some(existing => existing.code === trip.code)) return null; // Code already taken
+                data.trips.push(trip);
+                return plain(trip);
+            });
+        },
+
+        async updateTrip(code, changes) {
+            return mutate(data => {
+                const trip = data.trips.find(existing => existing.code === code);
+                if (!trip) return null;
+                Object.assign(trip, changes);
+                return plain(trip);
+            });
+        },
+
+        async deleteTrip(code) {
+            return mutate(data => {
+                const initialTripCount = data.trips.length;
+                const initialBookingCount = data.bookings.length;
+
+                data.trips = data.trips.filter(trip => trip.code !== code);
+                data.bookings = data.bookings.filter(booking => booking.tripCode !== code);
+                data.locationHistory = data.locationHistory.filter(fix => fix.tripCode !== code);
+                data.riderSessions = data.riderSessions.filter(session => session.tripCode !== code);
+                data.events = data.events.filter(event => event.tripCode !== code);
+
+                return {
+                    tripDeleted: data.trips.length < initialTripCount,
+                    bookingsDeleted: initialBookingCount - data.bookings.length
+                };
+            });
+        },
+
+        // --- Archive ---
+
+        async archiveTrip(code, { status, archivedAt }) {
+            return mutate(data => {
+                const index = data.trips.findIndex(trip => trip.code === code);
+                if (index === -1) return null;
+                const closedAt = new Date(archivedAt).toISOString();
+                const trip = { ...data.trips[index], status, statusChangedAt: closedAt };
+                const history = {
+                    bookings: data.bookings.filter(booking => booking.tripCode === code),
+                    locationHistory: data.locationHistory.filter(fix => fix.tripCode === code),
+                    // Riders still on the trip leave when it closes
+                    riderSessions: data.riderSessions.filter(session => session.tripCode === code)
+                        .map(session => (session.leftAt ? session : { ...session, leftAt: closedAt })),
+                    events: data.events.filter(event => event.tripCode === code)
+                };
+                const archive = { id: ++data.archiveSequence, code, status, archivedAt: closedAt, trip, summary: summarizeTripHistory(history), ...history };
+                data.archivedTrips.push(archive);
+
+                data.trips.splice(index, 1);
+                data.bookings = data.bookings.filter(booking => booking.tripCode !== code);
+                data.locationHistory = data.locationHistory.filter(fix => fix.tripCode !== code);
+                data.riderSessions = data.riderSessions.filter(session => session.tripCode !== code);
+                data.events = data.events.filter(event => event.tripCode !== code);
+
+                const { id, summary } = archive;
+                return plain({ id, code, status, archivedAt: closedAt, trip, summary });
+            });
+        },
+
+        async listArchivedTrips({ tripCode } = {}) {
+            const data = await readData();
+            return data.archivedTrips
+                .filter(archive => !tripCode || archive.code === tripCode)
+                .sort((a, b) => b.id - a.id) // Newest first
+                .map(({ id, code, status, archivedAt, trip, summary }) => ({ id, code, status, archivedAt, trip, summary }));
+        },
+
+        async getArchivedTrip(id) {
+            const data = await readData();
+            return data.archivedTrips.find(archive => archive.id === id) || null;
+        },
+
+        // --- Routes ---
+
+        async listRoutes() {
+            const data = await readData();
+            return data.routes;
+        },
+
+        async getRoute(id) {
+            const data = await readData();
+            return data.routes.find(route => route.id === id) || null;
+        },
+
+        async insertRoute(route) {
+            return mutate(data => {
+                if (data.routes.some(existing => existing.id === route.id)) return null; // Id already taken
+                data.routes.push(route);
+                return plain(route);
+            });
+        },
+
+        async updateRoute(id, changes) {
+            return mutate(data => {
+                const route = data.routes.find(existing => existing.id === id);
+                if (!route) return null;
+                Object.assign(route, changes);
+                return plain(route);
+            });
+        },
+
+        async deleteRoute(id) {
+            return mutate(data => {
+                const initialCount = data.routes.length;
+                data.routes = data.routes.filter(route => route.id !== id);
+                return data.routes.length < initialCount;
+            });
+        },
+
+        // --- Bookings ---
+
+        async listBookings({ tripCode, since } = {}) {
+            const data = await readData();
+            return data.bookings.filter(booking => {
+                if (!booking) return false;
+                if (tripCode && booking.tripCode !== tripCode) return false;
+                if (typeof since === 'number') {
+                    const bookingTime = new Date(booking.timestamp).getTime();
+                    if (isNaN(bookingTime) || bookingTime <= since) return false;
+                }
+                return true;
+            });
+        },
+
+        async recordLocation(booking) {
+            return mutate(data => {
+                // Find an existing booking for this rider on this trip
+                const existingIndex = data.bookings.findIndex(
+                    existing => existing.tripCode === booking.tripCode && existing.riderId === booking.riderId
+                );
+                if (existingIndex !== -1) {
+                    data.bookings[existingIndex] = booking;
+                } else {
+                    data.bookings.push(booking);
+                }
+                data.locationHistory.push(booking); // Every fix is also kept as a breadcrumb
+                return { created: existingIndex === -1 };
+            });
+        },
+
+        async recordLocations(bookings) {
+            return mutate(data => {
+                let updated = 0;
+                bookings.forEach(booking => {
+                    const existingIndex = data.bookings.findIndex(
+                        existing => existing.tripCode === booking.tripCode && existing.riderId === booking.riderId
+                    );
+                    if (existingIndex === -1) {
+                        data.bookings.push(booking);
+                        updated += 1;
+                    } else if (new Date(booking.timestamp) >= new Date(data.bookings[existingIndex].timestamp)) {
+                        data.bookings[existingIndex] = booking;
+                        updated += 1;
+                    }
+                    data.locationHistory.push(booking);
+                });
+                return updated;
+            });
+        },
+
+        async insertBookings(bookings) {
+            await mutate(data => {
+                // One latest fix per rider and trip, like recordLocation: later bookings replace earlier ones
+                const indexByRider = new Map(data.bookings.map((existing, index) => [`${existing.tripCode}:${existing.riderId}`, index]));
+                bookings.forEach(booking => {
+                    const key = `${booking.tripCode}:${booking.riderId}`;
+                    if (indexByRider.has(key)) {
+                        data.bookings[indexByRider.get(key)] = booking;
+                    } else {
+                        indexByRider.set(key, data.bookings.push(booking) - 1);
+                    }
+                });
+                data.locationHistory.push(...bookings);
+                return bookings.length;
+            });
+        },
+
+        async deleteBookings({ tripCodes }) {
+            return mutate(data => {
+                const codes = new Set(tripCodes);
+                const initialCount = data.bookings.length;
+                data.bookings = data.bookings.filter(booking => !codes.has(booking.tripCode));
+                data.locationHistory = data.locationHistory.filter(fix => !codes.has(fix.tripCode));
+                data.riderSessions = data.riderSessions.filter(session => !codes.has(session.tripCode));
+                data.events = data.events.filter(event => !codes.has(event.tripCode));
+                return initialCount - data.bookings.length;
+            });
+        },
+
+        // --- Location History ---
+
+        async listLocationHistory({ tripCode, riderId, from, to } = {}) {
+            const data = await readData();
+            return data.locationHistory
+                .filter(fix => {
+                    if (!fix) return false;
+                    if (tripCode && fix.tripCode !== tripCode) return false;
+                    if (riderId && fix.riderId !== riderId) return false;
+                    const fixTime = new Date(fix.timestamp).getTime();
+                    if (isNaN(fixTime)) return false;
+                    if (typeof from === 'number' && fixTime < from) return false;
+                    if (typeof to === 'number' && fixTime > to) return false;
+                    return true;
+                })
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        },
+
+        async pruneLocationHistory(before) {
+            return mutate(data => {
+                const initialCount = data.locationHistory.length;
+                data.locationHistory = data.locationHistory.filter(fix => new Date(fix.timestamp).getTime() >= before);
+                const removed = initialCount - data.locationHistory.length;
+                return removed > 0 ? removed : null; // Skip the write when nothing expired
+            }).then(removed => removed || 0);
+        },
+
+        // --- Rider Sessions ---
+
+        async listRiderSessions({ tripCode, open } = {}) {
+            const data = await readData();
+            return data.riderSessions.filter(session => {
+                if (tripCode && session.tripCode !== tripCode) return false;
+                if (open === true && session.leftAt) return false;
+                if (open === false && !session.leftAt) return false;
+                return true;
+            });
+        },
+
+        async openRiderSession({ tripCode, riderId, joinedAt }) {
+            return mutate(data => {
+                const existing = data.riderSessions.find(session => session.tripCode === tripCode && session.riderId === riderId && !session.leftAt);
+                if (existing) return { session: plain(existing), created: false };
+                const session = { tripCode, riderId, joinedAt, leftAt: null };
+                data.riderSessions.push(session);
+                return { session: plain(session), created: true };
+            });
+        },
+
+        async closeRiderSession({ tripCode, riderId, leftAt }) {
+            return mutate(data => {
+                const session = data.riderSessions.find(existing => existing.tripCode === tripCode && existing.riderId === riderId && !existing.leftAt);
+                if (!session) return null; // Not on the trip; nothing to write
+                session.leftAt = leftAt;
+                return plain(session);
+            });
+        },
+
+        async pruneRiderSessions(before) {
+            return mutate(data => {
+                const initialCount = data.riderSessions.length;
+                data.riderSessions = data.riderSessions.filter(session => !session.leftAt || new Date(session.leftAt).getTime() >= before);
+                const removed = initialCount - data.riderSessions.length;
+                return removed > 0 ? removed : null; // Skip the write when nothing expired
+            }).then(removed => removed || 0);
+        },
+
+        // --- Events ---
+
+        async appendEvents(events) {
+            if (events.length === 0) return [];
+            return mutate(data => {
+                const stored = events.map(event => ({ id: ++data.eventSequence, ...event }));
+                data.events.push(...stored);
+                return plain(stored);
+            });
+        },
+
+        async listEvents({ tripCode, types, from, to, beforeId, afterId, limit } = {}) {
+            const data = await readData();
+            const matches = data.events
+                .filter(event => {
+                    if (typeof beforeId === 'number' && event.id >= beforeId) return false;
+                    if (typeof afterId === 'number' && event.id <= afterId) return false;
+                    if (tripCode && event.tripCode !== tripCode) return false;
+                    if (types && !types.includes(event.type)) return false;
+                    const eventTime = new Date(event.timestamp).getTime();
+                    if (typeof from === 'number' && eventTime < from) return false;
+                    if (typeof to === 'number' && eventTime > to) return false;
+                    return true;
+                })
+                .sort((a, b) => b.id - a.id); // Newest first
+            return typeof limit === 'number' ? matches.slice(0, limit) : matches;
+        },
+
+        async pruneEvents(before) {
+            return mutate(data => {
+                const initialCount = data.events.length;
+                data.events = data.events.filter(event => new Date(event.timestamp).getTime() >= before);
+                const removed = initialCount - data.events.length;
+                return removed > 0 ? removed : null; // Skip the write when nothing expired
+            }).then(removed => removed || 0);
+        },
+
+        // --- Users ---
+
+        async listUsers() {
+            const data = await readData();
+            return data.users;
+        },
+
+        async getUser(username) {
+            const data = await readData();
+            return data.users.find(user => user.username === username) || null;
+        },
+
+        async insertUser(user) {
+            return mutate(data => {
+                if (data.users.some(existing => existing.username === user.username)) return null; // Name already taken
+                data.users.push(user);
+                return plain(user);
+            });
+        },
+
+        // --- Settings ---
+
+        async getSettings() {
+            const data = await readData();
+            return data.settings;
+        },
+
+        async updateSettings(changes) {
+            return mutate(data => {
+                Object.entries(changes).forEach(([key, value]) => {
+                    if (value === null) delete data.settings[key];
+                    else data.settings[key] = value;
+                });
+                return plain(data.settings);
+            });
+        },
+
+        // --- Maintenance ---
+
+        async reset() {
+            // Operator accounts survive a reset, otherwise nobody could log back in; settings and routes are configuration, not trip data
+            await mutate(data => {
+                // Event and archive ids keep counting up so clients never see an old id again
+                Object.assign(data, emptyData(), { users: data.users, settings: data.settings, routes: data.routes, eventSequence: data.eventSequence, archiveSequence: data.archiveSequence });
+            });
+        }
+    };
+}
+
+// One open session per rider, starting at their first known fix (used to upgrade old data files)
+function sessionsFromHistory(fixes) {
+    const sessions = new Map();
+    fixes.forEach(fix => {
+        if (!fix || !fix.tripCode || !fix.riderId) return;
+        const key = `${fix.tripCode}\u0000${fix.riderId}`;
+        const existing = sessions.get(key);
+        if (!existing || new Date(fix.timestamp) < new Date(existing.joinedAt)) {
+            sessions.set(key, { tripCode: fix.tripCode, riderId: fix.riderId, joinedAt: fix.timestamp, leftAt: null });
+        }
+    });
+    return Array.from(sessions.values());
+}
+
+// The structure of a fresh data file
+function emptyData() {
+    return {
+        bookings: [], // Stores the latest location update of each rider
+        locationHistory: [], // Stores every location update (breadcrumb trail), oldest first
+        riderSessions: [], // Stores join/leave of riders; leftAt is null while the rider is on the trip
+        events: [], // Stores trip events such as stop arrivals and departures, oldest first
+        eventSequence: 0, // Id of the last stored event
+        trips: [], // Stores defined trip codes
+        archivedTrips: [], // Stores completed and cancelled trips with their bookings, history, rider sessions and events
+        archiveSequence: 0, // Id of the last archived trip
+        routes: [], // Stores named routes (ordered stops) that trips can follow
+        users: [], // Stores dashboard operator accounts
+        settings: {} // Stores server-wide settings changed at runtime (e.g. clustering defaults)
+    };
+}
+
+module.exports = { createJsonStore };
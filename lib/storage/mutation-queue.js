@@ -0,0 +1,34 @@
+// lib/storage/mutation-queue.js
+
+/**
+ * Creates a single-writer queue. Tasks passed to run() execute one at a time,
+ * in the order they were queued, so read-modify-write cycles never interleave.
+ * A failing task rejects its own promise but does not stop the queue.
+ * @returns {{run: function(Function): Promise, pending: function(): number}}
+ */
+function createMutationQueue() {
+    let tail = Promise.resolve(); // Settles when the last queued task has finished
+    let pendingCount = 0;
+
+    return {
+        /**
+         * Queues a task.
+         * @param {Function} task - Async function to run once all earlier tasks are done.
+         * @returns {Promise} - Resolves/rejects with the task's result.
+         */
+        run(task) {
+            pendingCount++;
+            const result = tail.then(() => task());
+            // The next task waits for this one whether it succeeded or not
+            tail = result.catch(() => {}).then(() => { pendingCount--; });
+            return result;
+        },
+
+        // Number of tasks queued or running (useful for logging/diagnostics)
+        pending() {
+            return pendingCount;
+        }
+    };
+}
+
+module.exports = { createMutationQueue };
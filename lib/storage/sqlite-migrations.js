@@ -0,0 +1,197 @@
+// lib/storage/sqlite-migrations.js
+
+/**
+ * Ordered list of schema migrations for the SQLite backend.
+ * Each migration runs once, inside a transaction, and is recorded in the
+ * schema_migrations table. Never edit a migration that has shipped; add a new one.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create trips and bookings tables',
+        up: db => db.exec(`
+            CREATE TABLE trips (
+                code TEXT PRIMARY KEY,
+                created_at TEXT NOT NULL,
+                updated_at TEXT,
+                origin TEXT,
+                destination TEXT,
+                scheduled_departure TEXT,
+                driver_name TEXT,
+                vehicle_plate TEXT,
+                vehicle_model TEXT,
+                capacity INTEGER
+            );
+
+            CREATE TABLE bookings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                trip_code TEXT NOT NULL,
+                rider_id TEXT NOT NULL,
+                timestamp TEXT NOT NULL,
+                lat REAL NOT NULL,
+                lng REAL NOT NULL,
+                accuracy REAL,
+                UNIQUE (trip_code, rider_id)
+            );
+            CREATE INDEX idx_bookings_timestamp ON bookings (timestamp);
+        `)
+    },
+    {
+        version: 2,
+        description: 'Create append-only location_history table',
+        up: db => db.exec(`
+            CREATE TABLE location_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                trip_code TEXT NOT NULL,
+                rider_id TEXT NOT NULL,
+                timestamp TEXT NOT NULL,
+                lat REAL NOT NULL,
+                lng REAL NOT NULL,
+                accuracy REAL
+            );
+            CREATE INDEX idx_location_history_trip_time ON location_history (trip_code, timestamp);
+            CREATE INDEX idx_location_history_timestamp ON location_history (timestamp);
+
+            -- Seed the history with the latest known position of every rider
+            INSERT INTO location_history (trip_code, rider_id, timestamp, lat, lng, accuracy)
+            SELECT trip_code, rider_id, timestamp, lat, lng, accuracy FROM bookings;
+        `)
+    },
+    {
+        version: 3,
+        description: 'Add trip join tokens and users table',
+        up: db => db.exec(`
+            ALTER TABLE trips ADD COLUMN join_token TEXT;
+
+            CREATE TABLE users (
+                username TEXT PRIMARY KEY,
+                role TEXT NOT NULL,
+                password_hash TEXT NOT NULL,
+                created_at TEXT NOT NULL
+            );
+        `)
+    },
+    {
+        version: 4,
+        description: 'Create rider_sessions table',
+        up: db => db.exec(`
+            CREATE TABLE rider_sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                trip_code TEXT NOT NULL,
+                rider_id TEXT NOT NULL,
+                joined_at TEXT NOT NULL,
+                left_at TEXT
+            );
+            CREATE INDEX idx_rider_sessions_trip ON rider_sessions (trip_code, rider_id);
+            -- A rider can only have one open session per trip
+            CREATE UNIQUE INDEX idx_rider_sessions_open ON rider_sessions (trip_code, rider_id) WHERE left_at IS NULL;
+
+            -- Everyone with a known location is still on their trip, starting at their first fix
+            INSERT INTO rider_sessions (trip_code, rider_id, joined_at)
+            SELECT trip_code, rider_id, MIN(timestamp) FROM location_history GROUP BY trip_code, rider_id;
+        `)
+    },
+    {
+        version: 5,
+        description: 'Add per-trip clustering settings and settings table',
+        up: db => db.exec(`
+            ALTER TABLE trips ADD COLUMN clustering TEXT;
+
+            CREATE TABLE settings (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+        `)
+    },
+    {
+        version: 6,
+        description: 'Create routes table and add trip route ids',
+        up: db => db.exec(`
+            CREATE TABLE routes (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                stops TEXT NOT NULL,
+                path TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT
+            );
+
+            ALTER TABLE trips ADD COLUMN route_id TEXT;
+        `)
+    },
+    {
+        version: 7,
+        description: 'Create events table',
+        up: db => db.exec(`
+            CREATE TABLE events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL,
+                trip_code TEXT,
+                timestamp TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_events_trip ON events (trip_code, id);
+            CREATE INDEX idx_events_timestamp ON events (timestamp);
+        `)
+    },
+    {
+        version: 8,
+        description: 'Add GPS validation flags to bookings and location_history',
+        up: db => db.exec(`
+            ALTER TABLE bookings ADD COLUMN flags TEXT;
+            ALTER TABLE location_history ADD COLUMN flags TEXT;
+        `)
+    },
+    {
+        version: 9,
+        description: 'Add trip statuses and archived_trips table',
+        up: db => db.exec(`
+            ALTER TABLE trips ADD COLUMN status TEXT NOT NULL DEFAULT 'SCHEDULED';
+            ALTER TABLE trips ADD COLUMN status_changed_at TEXT;
+
+            -- A closed trip with its whole history (bookings, fixes, rider sessions, events) as JSON
+            CREATE TABLE archived_trips (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code TEXT NOT NULL,
+                status TEXT NOT NULL,
+                archived_at TEXT NOT NULL,
+                trip TEXT NOT NULL,
+                summary TEXT NOT NULL,
+                history TEXT NOT NULL
+            );
+            CREATE INDEX idx_archived_trips_code ON archived_trips (code);
+        `)
+    }
+];
+
+/**
+ * Applies all pending migrations to an open database.
+ * @param {Object} db - A better-sqlite3 Database instance.
+ * @returns {number} - The schema version after migrating.
+ */
+function migrate(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            description TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const currentVersion = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+    const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+
+    const record = db.prepare('INSERT INTO schema_migrations (version, description, applied_at) VALUES (?, ?, ?)');
+    pending.forEach(migration => {
+        console.log(`Applying SQLite migration ${migration.version}: ${migration.description}`);
+        // Run the schema change and its bookkeeping atomically
+        db.transaction(() => {
+            migration.up(db);
+            record.run(migration.version, migration.description, new Date().toISOString());
+        })();
+    });
+
+    return pending.length > 0 ? pending[pending.length - 1].version : currentVersion;
+}
+
+module.exports = { MIGRATIONS, migrate };
@@ -0,0 +1,591 @@
+// lib/storage/sqlite-store.js
+const { migrate } = require('./sqlite-migrations');
+const { summarizeTripHistory } = require('./archive-summary');
+
+// Trip record fields and the column each one is stored in
+const TRIP_COLUMNS = {
+    code: 'code',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    origin: 'origin',
+    destination: 'destination',
+    scheduledDeparture: 'scheduled_departure',
+    driverName: 'driver_name',
+    vehiclePlate: 'vehicle_plate',
+    vehicleModel: 'vehicle_model',
+    capacity: 'capacity',
+    joinToken: 'join_token',
+    clustering: 'clustering',
+    routeId: 'route_id',
+    status: 'status',
+    statusChangedAt: 'status_changed_at'
+};
+
+// Trip fields holding dates, stored as ISO 8601 text so they sort correctly
+const TRIP_DATE_FIELDS = new Set(['createdAt', 'updatedAt', 'scheduledDeparture', 'statusChangedAt']);
+// Trip fields holding objects, stored as JSON text
+const TRIP_JSON_FIELDS = new Set(['clustering']);
+
+/**
+ * Loads the better-sqlite3 driver. It is an optional dependency (it needs a native
+ * build), so we only require it when the SQLite backend is actually selected.
+ * @returns {Function} - The better-sqlite3 Database constructor.
+ */
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The SQLite storage backend requires the "better-sqlite3" package. Install it with `npm install better-sqlite3` or use STORAGE_BACKEND=json.');
+    }
+}
+
+// Convert a Date, date string or epoch number into an ISO string (null stays null)
+function toIso(value) {
+    if (value === null || typeof value === 'undefined') return null;
+    return new Date(value).toISOString();
+}
+
+// Map a trips table row back into the trip object shape used by the API
+function rowToTrip(row) {
+    const trip = {};
+    Object.entries(TRIP_COLUMNS).forEach(([field, column]) => {
+        trip[field] = TRIP_JSON_FIELDS.has(field) && row[column] !== null ? JSON.parse(row[column]) : row[column];
+    });
+    if (trip.updatedAt === null) delete trip.updatedAt; // Only present once a trip has been edited
+    return trip;
+}
+
+// Map a bookings or location_history row back into the booking object shape used by the API
+function rowToBooking(row) {
+    const booking = {
+        tripCode: row.trip_code,
+        riderId: row.rider_id,
+        timestamp: row.timestamp,
+        lat: row.lat,
+        lng: row.lng,
+        accuracy: row.accuracy
+    };
+    if (row.flags) booking.flags = JSON.parse(row.flags); // Only present on fixes flagged by GPS validation
+    return booking;
+}
+
+// Map a rider_sessions row back into the session object shape used by the API
+function rowToRiderSession(row) {
+    return {
+        tripCode: row.trip_code,
+        riderId: row.rider_id,
+        joinedAt: row.joined_at,
+        leftAt: row.left_at
+    };
+}
+
+// Map a routes table row back into the route object shape used by the API
+function rowToRoute(row) {
+    const route = {
+        id: row.id,
+        name: row.name,
+        stops: JSON.parse(row.stops),
+        path: row.path === null ? null : JSON.parse(row.path),
+        createdAt: row.created_at
+    };
+    if (row.updated_at !== null) route.updatedAt = row.updated_at;
+    return route;
+}
+
+// Map an events table row back into the event object shape used by the API
+function rowToEvent(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        tripCode: row.trip_code,
+        timestamp: row.timestamp,
+        data: JSON.parse(row.data)
+    };
+}
+
+// Map an archived_trips row back into the archive object shape used by the API (the history only when it was selected)
+function rowToArchivedTrip(row) {
+    const archive = {
+        id: row.id,
+        code: row.code,
+        status: row.status,
+        archivedAt: row.archived_at,
+        trip: JSON.parse(row.trip),
+        summary: JSON.parse(row.summary)
+    };
+    if (row.history) Object.assign(archive, JSON.parse(row.history));
+    return archive;
+}
+
+// Map a users table row back into the user object shape used by the API
+function rowToUser(row) {
+    return {
+        username: row.username,
+        role: row.role,
+        passwordHash: row.password_hash,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Creates the embedded SQLite storage backend.
+ * Trips, routes, bookings, location history, rider sessions, events, users and settings live in indexed tables, so a location
+ * update only touches a couple of rows instead of rewriting the whole data set.
+ * The schema is managed by lib/storage/sqlite-migrations.js and upgraded
+ * automatically on init().
+ * @param {Object} options
+ * @param {string} options.file - Path to the SQLite database file (created if missing).
+ * @returns {Object} - A storage backend (see lib/storage/index.js for the interface).
+ */
+function createSqliteStore({ file }) {
+    let db = null;
+    let statements = null;
+
+    // Prepare the statements used on every request once, after migrations have run
+    function prepareStatements() {
+        return {
+            listTrips: db.prepare('SELECT * FROM trips ORDER BY created_at'),
+            getTrip: db.prepare('SELECT * FROM trips WHERE code = ?'),
+            deleteTrip: db.prepare('DELETE FROM trips WHERE code = ?'),
+            listBookings: db.prepare('SELECT * FROM bookings ORDER BY id'),
+            listBookingsForTrip: db.prepare('SELECT * FROM bookings WHERE trip_code = ? ORDER BY id'),
+            listBookingsSince: db.prepare('SELECT * FROM bookings WHERE timestamp > ? ORDER BY id'),
+            listBookingsForTripSince: db.prepare('SELECT * FROM bookings WHERE trip_code = ? AND timestamp > ? ORDER BY id'),
+            findBooking: db.prepare('SELECT id FROM bookings WHERE trip_code = ? AND rider_id = ?'),
+            upsertBooking: db.prepare(`
+                INSERT INTO bookings (trip_code, rider_id, timestamp, lat, lng, accuracy, flags)
+                VALUES (@tripCode, @riderId, @timestamp, @lat, @lng, @accuracy, @flags)
+                ON CONFLICT (trip_code, rider_id) DO UPDATE SET
+                    timestamp = excluded.timestamp, lat = excluded.lat, lng = excluded.lng, accuracy = excluded.accuracy, flags = excluded.flags
+            `),
+            // Same as upsertBooking, but a late fix doesn't replace a newer one
+            upsertBookingIfNewer: db.prepare(`
+                INSERT INTO bookings (trip_code, rider_id, timestamp, lat, lng, accuracy, flags)
+                VALUES (@tripCode, @riderId, @timestamp, @lat, @lng, @accuracy, @flags)
+                ON CONFLICT (trip_code, rider_id) DO UPDATE SET
+                    timestamp = excluded.timestamp, lat = excluded.lat, lng = excluded.lng, accuracy = excluded.accuracy, flags = excluded.flags
+                WHERE excluded.timestamp >= bookings.timestamp
+            `),
+            deleteBookingsForTrip: db.prepare('DELETE FROM bookings WHERE trip_code = ?'),
+            deleteAllBookings: db.prepare('DELETE FROM bookings'),
+            deleteAllTrips: db.prepare('DELETE FROM trips'),
+            listHistoryForTrip: db.prepare('SELECT * FROM location_history WHERE trip_code = ? ORDER BY timestamp, id'),
+            listSessionsForTrip: db.prepare('SELECT * FROM rider_sessions WHERE trip_code = ? ORDER BY id'),
+            listEventsForTrip: db.prepare('SELECT * FROM events WHERE trip_code = ? ORDER BY id'),
+            insertArchivedTrip: db.prepare(`
+                INSERT INTO archived_trips (code, status, archived_at, trip, summary, history)
+                VALUES (@code, @status, @archivedAt, @trip, @summary, @history)
+            `),
+            listArchivedTrips: db.prepare('SELECT id, code, status, archived_at, trip, summary FROM archived_trips ORDER BY id DESC'),
+            listArchivedTripsByCode: db.prepare('SELECT id, code, status, archived_at, trip, summary FROM archived_trips WHERE code = ? ORDER BY id DESC'),
+            getArchivedTrip: db.prepare('SELECT * FROM archived_trips WHERE id = ?'),
+            deleteAllArchivedTrips: db.prepare('DELETE FROM archived_trips'),
+            appendHistory: db.prepare(`
+                INSERT INTO location_history (trip_code, rider_id, timestamp, lat, lng, accuracy, flags)
+                VALUES (@tripCode, @riderId, @timestamp, @lat, @lng, @accuracy, @flags)
+            `),
+            deleteHistoryForTrip: db.prepare('DELETE FROM location_history WHERE trip_code = ?'),
+            deleteHistoryBefore: db.prepare('DELETE FROM location_history WHERE timestamp < ?'),
+            deleteAllHistory: db.prepare('DELETE FROM location_history'),
+            findOpenSession: db.prepare('SELECT * FROM rider_sessions WHERE trip_code = ? AND rider_id = ? AND left_at IS NULL'),
+            insertSession: db.prepare('INSERT INTO rider_sessions (trip_code, rider_id, joined_at) VALUES (?, ?, ?)'),
+            closeSession: db.prepare('UPDATE rider_sessions SET left_at = ? WHERE id = ?'),
+            getSession: db.prepare('SELECT * FROM rider_sessions WHERE id = ?'),
+            deleteSessionsForTrip: db.prepare('DELETE FROM rider_sessions WHERE trip_code = ?'),
+            deleteClosedSessionsBefore: db.prepare('DELETE FROM rider_sessions WHERE left_at IS NOT NULL AND left_at < ?'),
+            deleteAllSessions: db.prepare('DELETE FROM rider_sessions'),
+            insertEvent: db.prepare('INSERT INTO events (type, trip_code, timestamp, data) VALUES (@type, @tripCode, @timestamp, @data)'),
+            getEvent: db.prepare('SELECT * FROM events WHERE id = ?'),
+            deleteEventsForTrip: db.prepare('DELETE FROM events WHERE trip_code = ?'),
+            deleteEventsBefore: db.prepare('DELETE FROM events WHERE timestamp < ?'),
+            deleteAllEvents: db.prepare('DELETE FROM events'),
+            listUsers: db.prepare('SELECT * FROM users ORDER BY created_at'),
+            getUser: db.prepare('SELECT * FROM users WHERE username = ?'),
+            listSettings: db.prepare('SELECT * FROM settings'),
+            upsertSetting: db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+            deleteSetting: db.prepare('DELETE FROM settings WHERE key = ?'),
+            listRoutes: db.prepare('SELECT * FROM routes ORDER BY created_at, id'),
+            getRoute: db.prepare('SELECT * FROM routes WHERE id = ?'),
+            insertRoute: db.prepare(`
+                INSERT OR IGNORE INTO routes (id, name, stops, path, created_at)
+                VALUES (@id, @name, @stops, @path, @createdAt)
+            `),
+            deleteRoute: db.prepare('DELETE FROM routes WHERE id = ?'),
+            insertUser: db.prepare(`
+                INSERT OR IGNORE INTO users (username, role, password_hash, created_at)
+                VALUES (@username, @role, @passwordHash, @createdAt)
+            `)
+        };
+    }
+
+    // Normalize a booking object into named statement parameters
+    function bookingParams(booking) {
+        return {
+            tripCode: booking.tripCode,
+            riderId: booking.riderId,
+            timestamp: toIso(booking.timestamp),
+            lat: booking.lat,
+            lng: booking.lng,
+            accuracy: typeof booking.accuracy === 'number' ? booking.accuracy : null,
+            flags: Array.isArray(booking.flags) && booking.flags.length > 0 ? JSON.stringify(booking.flags) : null
+        };
+    }
+
+    // Normalize trip fields into column values, skipping fields we don't store
+    function tripColumnValues(fields) {
+        const values = {};
+        Object.entries(fields).forEach(([field, value]) => {
+            const column = TRIP_COLUMNS[field];
+            if (!column) return;
+            if (TRIP_DATE_FIELDS.has(field)) values[column] = toIso(value);
+            else if (TRIP_JSON_FIELDS.has(field)) values[column] = value === null || typeof value === 'undefined' ? null : JSON.stringify(value);
+            else values[column] = value;
+        });
+        return values;
+    }
+
+    // Settings are stored one JSON value per key
+    function readSettings() {
+        const settings = {};
+        statements.listSettings.all().forEach(row => { settings[row.key] = JSON.parse(row.value); });
+        return settings;
+    }
+
+    return {
+        name: 'sqlite',
+        location: file,
+
+        async init() {
+            const Database = loadDriver();
+            db = new Database(file);
+            db.pragma('journal_mode = WAL'); // Readers don't block the writer
+            db.pragma('foreign_keys = ON');
+            const version = migrate(db);
+            statements = prepareStatements();
+            console.log(`SQLite database ready: ${file} (schema version ${version})`);
+        },
+
+        async close() {
+            if (db) db.close();
+            db = null;
+        },
+
+        // --- Trips ---
+
+        async listTrips() {
+            return statements.listTrips.all().map(rowToTrip);
+        },
+
+        async getTrip(code) {
+            const row = statements.getTrip.get(code);
+            return row ? rowToTrip(row) : null;
+        },
+
+        async insertTrip(trip) {
+            const values = tripColumnValues(trip);
+            const columns = Object.keys(values);
+            const result = db.prepare(
+                `INSERT OR IGNORE INTO trips (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`
+            ).run(values);
+            if (result.changes === 0) return null; // Code already taken
+            return rowToTrip(statements.getTrip.get(trip.code));
+        },
+
+        async updateTrip(code, changes) {
+            const values = tripColumnValues(changes);
+            delete values.code; // The primary key never changes
+            const columns = Object.keys(values);
+            if (columns.length > 0) {
+                db.prepare(`UPDATE trips SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE code = @__code`)
+                    .run({ ...values, __code: code });
+            }
+            const row = statements.getTrip.get(code);
+            return row ? rowToTrip(row) : null;
+        },
+
+        async deleteTrip(code) {
+            return db.transaction(() => {
+                const tripResult = statements.deleteTrip.run(code);
+                const bookingResult = statements.deleteBookingsForTrip.run(code);
+                statements.deleteHistoryForTrip.run(code);
+                statements.deleteSessionsForTrip.run(code);
+                statements.deleteEventsForTrip.run(code);
+                return { tripDeleted: tripResult.changes > 0, bookingsDeleted: bookingResult.changes };
+            })();
+        },
+
+        // --- Archive ---
+
+        async archiveTrip(code, { status, archivedAt }) {
+            return db.transaction(() => {
+                const row = statements.getTrip.get(code);
+                if (!row) return null;
+                const closedAt = toIso(archivedAt);
+                const trip = { ...rowToTrip(row), status, statusChangedAt: closedAt };
+                const history = {
+                    bookings: statements.listBookingsForTrip.all(code).map(rowToBooking),
+                    locationHistory: statements.listHistoryForTrip.all(code).map(rowToBooking),
+                    // Riders still on the trip leave when it closes
+                    riderSessions: statements.listSessionsForTrip.all(code).map(rowToRiderSession)
+                        .map(session => (session.leftAt ? session : { ...session, leftAt: closedAt })),
+                    events: statements.listEventsForTrip.all(code).map(rowToEvent)
+                };
+                const summary = summarizeTripHistory(history);
+                const result = statements.insertArchivedTrip.run({
+                    code,
+                    status,
+                    archivedAt: closedAt,
+                    trip: JSON.stringify(trip),
+                    summary: JSON.stringify(summary),
+                    history: JSON.stringify(history)
+                });
+                statements.deleteTrip.run(code);
+                statements.deleteBookingsForTrip.run(code);
+                statements.deleteHistoryForTrip.run(code);
+                statements.deleteSessionsForTrip.run(code);
+                statements.deleteEventsForTrip.run(code);
+                return { id: Number(result.lastInsertRowid), code, status, archivedAt: closedAt, trip, summary };
+            })();
+        },
+
+        async listArchivedTrips({ tripCode } = {}) {
+            const rows = tripCode ? statements.listArchivedTripsByCode.all(tripCode) : statements.listArchivedTrips.all();
+            return rows.map(rowToArchivedTrip);
+        },
+
+        async getArchivedTrip(id) {
+            const row = statements.getArchivedTrip.get(id);
+            return row ? rowToArchivedTrip(row) : null;
+        },
+
+        // --- Routes ---
+
+        async listRoutes() {
+            return statements.listRoutes.all().map(rowToRoute);
+        },
+
+        async getRoute(id) {
+            const row = statements.getRoute.get(id);
+            return row ? rowToRoute(row) : null;
+        },
+
+        async insertRoute(route) {
+            const result = statements.insertRoute.run({
+                id: route.id,
+                name: route.name,
+                stops: JSON.stringify(route.stops),
+                path: route.path ? JSON.stringify(route.path) : null,
+                createdAt: toIso(route.createdAt)
+            });
+            if (result.changes === 0) return null; // Id already taken
+            return rowToRoute(statements.getRoute.get(route.id));
+        },
+
+        async updateRoute(id, changes) {
+            const values = {};
+            if ('name' in changes) values.name = changes.name;
+            if ('stops' in changes) values.stops = JSON.stringify(changes.stops);
+            if ('path' in changes) values.path = changes.path ? JSON.stringify(changes.path) : null;
+            if ('updatedAt' in changes) values.updated_at = toIso(changes.updatedAt);
+            const columns = Object.keys(values);
+            if (columns.length > 0) {
+                db.prepare(`UPDATE routes SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @__id`)
+                    .run({ ...values, __id: id });
+            }
+            const row = statements.getRoute.get(id);
+            return row ? rowToRoute(row) : null;
+        },
+
+        async deleteRoute(id) {
+            return statements.deleteRoute.run(id).changes > 0;
+        },
+
+        // --- Bookings ---
+
+        async listBookings({ tripCode, since } = {}) {
+            let rows;
+            if (typeof since === 'number') {
+                const sinceIso = toIso(since);
+                rows = tripCode ? statements.listBookingsForTripSince.all(tripCode, sinceIso) : statements.listBookingsSince.all(sinceIso);
+            } else {
+                rows = tripCode ? statements.listBookingsForTrip.all(tripCode) : statements.listBookings.all();
+            }
+            return rows.map(rowToBooking);
+        },
+
+        async recordLocation(booking) {
+            const params = bookingParams(booking);
+            return db.transaction(() => {
+                const existing = statements.findBooking.get(params.tripCode, params.riderId);
+                statements.upsertBooking.run(params);
+                statements.appendHistory.run(params); // Every fix is also kept as a breadcrumb
+                return { created: !existing };
+            })();
+        },
+
+        async recordLocations(bookings) {
+            return db.transaction(() => bookings.reduce((updated, booking) => {
+                const params = bookingParams(booking);
+                statements.appendHistory.run(params);
+                return updated + statements.upsertBookingIfNewer.run(params).changes;
+            }, 0))();
+        },
+
+        async insertBookings(bookings) {
+            db.transaction(() => {
+                bookings.forEach(booking => {
+                    const params = bookingParams(booking);
+                    statements.upsertBooking.run(params);
+                    statements.appendHistory.run(params);
+                });
+            })();
+        },
+
+        async deleteBookings({ tripCodes }) {
+            return db.transaction(() => tripCodes.reduce((count, code) => {
+                statements.deleteHistoryForTrip.run(code);
+                statements.deleteSessionsForTrip.run(code);
+                statements.deleteEventsForTrip.run(code);
+                return count + statements.deleteBookingsForTrip.run(code).changes;
+            }, 0))();
+        },
+
+        // --- Location History ---
+
+        async listLocationHistory({ tripCode, riderId, from, to } = {}) {
+            // Build the WHERE clause from whichever filters were given
+            const conditions = [];
+            const params = {};
+            if (tripCode) { conditions.push('trip_code = @tripCode'); params.tripCode = tripCode; }
+            if (riderId) { conditions.push('rider_id = @riderId'); params.riderId = riderId; }
+            if (typeof from === 'number') { conditions.push('timestamp >= @from'); params.from = toIso(from); }
+            if (typeof to === 'number') { conditions.push('timestamp <= @to'); params.to = toIso(to); }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            return db.prepare(`SELECT * FROM location_history ${where} ORDER BY timestamp, id`)
+                .all(params)
+                .map(rowToBooking);
+        },
+
+        async pruneLocationHistory(before) {
+            return statements.deleteHistoryBefore.run(toIso(before)).changes;
+        },
+
+        // --- Rider Sessions ---
+
+        async listRiderSessions({ tripCode, open } = {}) {
+            const conditions = [];
+            const params = {};
+            if (tripCode) { conditions.push('trip_code = @tripCode'); params.tripCode = tripCode; }
+            if (open === true) conditions.push('left_at IS NULL');
+            if (open === false) conditions.push('left_at IS NOT NULL');
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            return db.prepare(`SELECT * FROM rider_sessions ${where} ORDER BY id`).all(params).map(rowToRiderSession);
+        },
+
+        async openRiderSession({ tripCode, riderId, joinedAt }) {
+            return db.transaction(() => {
+                const existing = statements.findOpenSession.get(tripCode, riderId);
+                if (existing) return { session: rowToRiderSession(existing), created: false };
+                const result = statements.insertSession.run(tripCode, riderId, toIso(joinedAt));
+                return { session: rowToRiderSession(statements.getSession.get(result.lastInsertRowid)), created: true };
+            })();
+        },
+
+        async closeRiderSession({ tripCode, riderId, leftAt }) {
+            return db.transaction(() => {
+                const existing = statements.findOpenSession.get(tripCode, riderId);
+                if (!existing) return null; // Not on the trip
+                statements.closeSession.run(toIso(leftAt), existing.id);
+                return rowToRiderSession(statements.getSession.get(existing.id));
+            })();
+        },
+
+        async pruneRiderSessions(before) {
+            return statements.deleteClosedSessionsBefore.run(toIso(before)).changes;
+        },
+
+        // --- Events ---
+
+        async appendEvents(events) {
+            return db.transaction(() => events.map(event => {
+                const result = statements.insertEvent.run({
+                    type: event.type,
+                    tripCode: event.tripCode || null,
+                    timestamp: toIso(event.timestamp),
+                    data: JSON.stringify(event.data || {})
+                });
+                return rowToEvent(statements.getEvent.get(result.lastInsertRowid));
+            }))();
+        },
+
+        async listEvents({ tripCode, types, from, to, beforeId, afterId, limit } = {}) {
+            const conditions = [];
+            const params = {};
+            if (typeof beforeId === 'number') { conditions.push('id < @beforeId'); params.beforeId = beforeId; }
+            if (typeof afterId === 'number') { conditions.push('id > @afterId'); params.afterId = afterId; }
+            if (tripCode) { conditions.push('trip_code = @tripCode'); params.tripCode = tripCode; }
+            if (types) {
+                conditions.push(`type IN (${types.map((type, i) => `@type${i}`).join(', ') || 'NULL'})`);
+                types.forEach((type, i) => { params[`type${i}`] = type; });
+            }
+            if (typeof from === 'number') { conditions.push('timestamp >= @from'); params.from = toIso(from); }
+            if (typeof to === 'number') { conditions.push('timestamp <= @to'); params.to = toIso(to); }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const limitClause = typeof limit === 'number' ? `LIMIT ${Math.floor(limit)}` : '';
+            return db.prepare(`SELECT * FROM events ${where} ORDER BY id DESC ${limitClause}`).all(params).map(rowToEvent);
+        },
+
+        async pruneEvents(before) {
+            return statements.deleteEventsBefore.run(toIso(before)).changes;
+        },
+
+        // --- Users ---
+
+        async listUsers() {
+            return statements.listUsers.all().map(rowToUser);
+        },
+
+        async getUser(username) {
+            const row = statements.getUser.get(username);
+            return row ? rowToUser(row) : null;
+        },
+
+        async insertUser(user) {
+            const result = statements.insertUser.run({ ...user, createdAt: toIso(user.createdAt) });
+            if (result.changes === 0) return null; // Name already taken
+            return rowToUser(statements.getUser.get(user.username));
+        },
+
+        // --- Settings ---
+
+        async getSettings() {
+            return readSettings();
+        },
+
+        async updateSettings(changes) {
+            db.transaction(() => {
+                Object.entries(changes).forEach(([key, value]) => {
+                    if (value === null) statements.deleteSetting.run(key);
+                    else statements.upsertSetting.run(key, JSON.stringify(value));
+                });
+            })();
+            return readSettings();
+        },
+
+        // --- Maintenance ---
+
+        async reset() {
+            // Operator accounts survive a reset, otherwise nobody could log back in; settings and routes are configuration, not trip data
+            db.transaction(() => {
+                statements.deleteAllBookings.run();
+                statements.deleteAllHistory.run();
+                statements.deleteAllSessions.run();
+                statements.deleteAllEvents.run();
+                statements.deleteAllTrips.run();
+                statements.deleteAllArchivedTrips.run();
+            })();
+        }
+    };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,224 @@
+// lib/track-export.js
+// Converts a trip's history (shuttle track, rider tracks and route stops) into GeoJSON, GPX and KML
+// for use in GIS tools.
+
+const EXPORT_FORMATS = {
+    geojson: { extension: 'geojson', contentType: 'application/geo+json' },
+    gpx: { extension: 'gpx', contentType: 'application/gpx+xml' },
+    kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml' }
+};
+
+// KML colors are aabbggrr
+const KML_COLORS = { shuttle: 'ffeb6325', rider: 'b31673f9', route: 'ff6b7280', stop: 'ff4b5563' };
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Splits a track into segments wherever two points are further apart in time than maxGapMs,
+ * so a track that was lost for a while isn't drawn as a straight jump.
+ * @param {Array} points - Track points ({ timestamp, lat, lng, ... }), oldest first.
+ * @param {number} maxGapMs - Longest time between two points of the same segment.
+ * @returns {Array<Array>} - Segments of points.
+ */
+function splitTrack(points, maxGapMs) {
+    const segments = [];
+    let previousTime = null;
+    points.forEach(point => {
+        const time = new Date(point.timestamp).getTime();
+        if (previousTime === null || time - previousTime > maxGapMs) segments.push([]);
+        segments[segments.length - 1].push(point);
+        previousTime = time;
+    });
+    return segments;
+}
+
+/**
+ * Collects the tracks to export from a history response.
+ * @param {Object} history - From buildTripHistory: { tripCode, from, to, stepSeconds, recentMinutes, riders, shuttle }.
+ * @param {Object|null} route - The trip's route ({ id, name, stops, path }), if it follows one.
+ * @returns {Object} - { name, shuttle: segments, riders: [{ riderId, segments }], stops, path }
+ */
+function collectTracks(history, route) {
+    return {
+        name: `Trip ${history.tripCode}`,
+        // A step without a shuttle point means the shuttle couldn't be located
+        shuttle: splitTrack(history.shuttle, history.stepSeconds * 1000),
+        // A rider who sent nothing for a whole clustering window has dropped out in between
+        riders: history.riders.map(rider => ({ riderId: rider.riderId, segments: splitTrack(rider.points, history.recentMinutes * 60 * 1000) })),
+        stops: route ? route.stops : [],
+        path: route && Array.isArray(route.path) ? route.path : null
+    };
+}
+
+// --- GeoJSON ---
+
+// A track as a LineString (or MultiLineString when it has gaps) with the time of each point in coordTimes
+function geoJsonTrack(segments, properties) {
+    const lines = segments.filter(segment => segment.length > 0);
+    const coordinates = lines.map(segment => segment.map(point => [point.lng, point.lat]));
+    const times = lines.map(segment => segment.map(point => point.timestamp));
+    if (lines.length === 1 && lines[0].length === 1) {
+        return { type: 'Feature', properties: { ...properties, time: times[0][0] }, geometry: { type: 'Point', coordinates: coordinates[0][0] } };
+    }
+    return {
+        type: 'Feature',
+        properties: { ...properties, coordTimes: lines.length === 1 ? times[0] : times },
+        geometry: lines.length === 1 ? { type: 'LineString', coordinates: coordinates[0] } : { type: 'MultiLineString', coordinates }
+    };
+}
+
+/**
+ * Builds a GeoJSON FeatureCollection. Every feature has a `kind` property: shuttle, rider, route or stop.
+ * @param {Object} history - See collectTracks.
+ * @param {Object|null} route - See collectTracks.
+ * @returns {string} - The GeoJSON document.
+ */
+function toGeoJson(history, route) {
+    const tracks = collectTracks(history, route);
+    const features = [];
+    if (tracks.path) {
+        features.push({ type: 'Feature', properties: { kind: 'route', routeId: route.id, name: route.name }, geometry: { type: 'LineString', coordinates: tracks.path.map(([lat, lng]) => [lng, lat]) } });
+    }
+    tracks.stops.forEach((stop, index) => {
+        features.push({ type: 'Feature', properties: { kind: 'stop', routeId: route.id, stopId: stop.id, name: stop.name, index, radiusMeters: stop.radiusMeters }, geometry: { type: 'Point', coordinates: [stop.lng, stop.lat] } });
+    });
+    if (history.shuttle.length > 0) {
+        features.push(geoJsonTrack(tracks.shuttle, { kind: 'shuttle', tripCode: history.tripCode, riderCounts: history.shuttle.map(point => point.riderCount) }));
+    }
+    tracks.riders.forEach(rider => {
+        features.push(geoJsonTrack(rider.segments, { kind: 'rider', tripCode: history.tripCode, riderId: rider.riderId }));
+    });
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        properties: { tripCode: history.tripCode, from: history.from, to: history.to, stepSeconds: history.stepSeconds },
+        features
+    }, null, 2);
+}
+
+// --- GPX ---
+
+function gpxTrack(name, type, segments) {
+    const trksegs = segments.map(segment => [
+        '    <trkseg>',
+        ...segment.map(point => `      <trkpt lat="${point.lat}" lon="${point.lng}"><time>${escapeXml(point.timestamp)}</time></trkpt>`),
+        '    </trkseg>'
+    ].join('\n'));
+    return ['  <trk>', `    <name>${escapeXml(name)}</name>`, `    <type>${type}</type>`, ...trksegs, '  </trk>'].join('\n');
+}
+
+/**
+ * Builds a GPX 1.1 document: stops as waypoints, the route path as a route, and the shuttle and each rider as tracks.
+ * @param {Object} history - See collectTracks.
+ * @param {Object|null} route - See collectTracks.
+ * @returns {string} - The GPX document.
+ */
+function toGpx(history, route) {
+    const tracks = collectTracks(history, route);
+    const parts = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Shuttle Tracker" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <metadata>',
+        `    <name>${escapeXml(tracks.name)}</name>`,
+        history.from ? `    <time>${escapeXml(history.from)}</time>` : null,
+        '  </metadata>'
+    ];
+    tracks.stops.forEach(stop => {
+        parts.push(`  <wpt lat="${stop.lat}" lon="${stop.lng}"><name>${escapeXml(stop.name)}</name><type>stop</type></wpt>`);
+    });
+    if (tracks.path) {
+        parts.push('  <rte>', `    <name>${escapeXml(route.name)}</name>`, ...tracks.path.map(([lat, lng]) => `    <rtept lat="${lat}" lon="${lng}"/>`), '  </rte>');
+    }
+    if (history.shuttle.length > 0) parts.push(gpxTrack(`Shuttle ${history.tripCode}`, 'shuttle', tracks.shuttle));
+    tracks.riders.forEach(rider => parts.push(gpxTrack(`Rider ${rider.riderId}`, 'rider', rider.segments)));
+    parts.push('</gpx>');
+    return parts.filter(part => part !== null).join('\n') + '\n';
+}
+
+// --- KML ---
+
+function kmlCoordinates(points) {
+    return points.map(([lat, lng]) => `${lng},${lat}`).join(' ');
+}
+
+function kmlTrack(name, style, segments) {
+    const times = segments.flat().map(point => point.timestamp);
+    const geometry = segments.map(segment => segment.length === 1
+        ? `<Point><coordinates>${kmlCoordinates([[segment[0].lat, segment[0].lng]])}</coordinates></Point>`
+        : `<LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(segment.map(point => [point.lat, point.lng]))}</coordinates></LineString>`);
+    return [
+        '      <Placemark>',
+        `        <name>${escapeXml(name)}</name>`,
+        `        <styleUrl>#${style}</styleUrl>`,
+        times.length > 0 ? `        <TimeSpan><begin>${escapeXml(times[0])}</begin><end>${escapeXml(times[times.length - 1])}</end></TimeSpan>` : null,
+        `        <MultiGeometry>${geometry.join('')}</MultiGeometry>`,
+        '      </Placemark>'
+    ].filter(part => part !== null).join('\n');
+}
+
+function kmlFolder(name, placemarks) {
+    return ['    <Folder>', `      <name>${escapeXml(name)}</name>`, ...placemarks, '    </Folder>'].join('\n');
+}
+
+/**
+ * Builds a KML 2.2 document with folders for the route (path and stops), the shuttle and the riders.
+ * @param {Object} history - See collectTracks.
+ * @param {Object|null} route - See collectTracks.
+ * @returns {string} - The KML document.
+ */
+function toKml(history, route) {
+    const tracks = collectTracks(history, route);
+    const styles = Object.entries(KML_COLORS).map(([style, color]) => style === 'stop'
+        ? `    <Style id="${style}"><IconStyle><color>${color}</color></IconStyle></Style>`
+        : `    <Style id="${style}"><LineStyle><color>${color}</color><width>${style === 'shuttle' ? 4 : 2}</width></LineStyle></Style>`);
+    const folders = [];
+    if (route && (tracks.path || tracks.stops.length > 0)) {
+        const placemarks = tracks.stops.map(stop => [
+            '      <Placemark>',
+            `        <name>${escapeXml(stop.name)}</name>`,
+            '        <styleUrl>#stop</styleUrl>',
+            `        <Point><coordinates>${kmlCoordinates([[stop.lat, stop.lng]])}</coordinates></Point>`,
+            '      </Placemark>'
+        ].join('\n'));
+        if (tracks.path) {
+            placemarks.unshift(`      <Placemark><name>${escapeXml(route.name)}</name><styleUrl>#route</styleUrl><LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(tracks.path)}</coordinates></LineString></Placemark>`);
+        }
+        folders.push(kmlFolder(`Route ${route.name}`, placemarks));
+    }
+    if (history.shuttle.length > 0) folders.push(kmlFolder('Shuttle', [kmlTrack(`Shuttle ${history.tripCode}`, 'shuttle', tracks.shuttle)]));
+    if (tracks.riders.length > 0) folders.push(kmlFolder('Riders', tracks.riders.map(rider => kmlTrack(`Rider ${rider.riderId}`, 'rider', rider.segments))));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXml(tracks.name)}</name>`,
+        ...styles,
+        ...folders,
+        '  </Document>',
+        '</kml>'
+    ].join('\n') + '\n';
+}
+
+/**
+ * Renders a history in one of the EXPORT_FORMATS.
+ * @param {string} format - geojson, gpx or kml.
+ * @param {Object} history - See collectTracks.
+ * @param {Object|null} route - See collectTracks.
+ * @returns {string}
+ */
+function exportTracks(format, history, route) {
+    switch (format) {
+        case 'geojson': return toGeoJson(history, route);
+        case 'gpx': return toGpx(history, route);
+        case 'kml': return toKml(history, route);
+        default: throw new Error(`Unknown export format '${format}'`);
+    }
+}
+
+module.exports = { EXPORT_FORMATS, exportTracks };
@@ -0,0 +1,138 @@
+// lib/trip-events.js
+// Event types of the operational event log and the watcher that derives events from state changes.
+const { GEOFENCE_EVENT_TYPES } = require('./geofence');
+
+/**
+ * Every event type stored in the event log. Events are { id, type, tripCode, timestamp, data };
+ * tripCode is null for events that concern the whole system (DATA_RESET).
+ *   RIDER_JOINED / RIDER_LEFT    data: { riderId }
+ *   TRIP_CREATED                 data: { by } (operator username), plus { sample: true } for sample data or { imported: true } for a trip import
+ *   TRIP_DELETED                 data: { by, bookingsDeleted }
+ *   TRIP_STATUS_CHANGED          data: { from, to, by }, plus { archiveId } when the trip was completed or cancelled
+ *   HEALTH_CHANGED               data: { from, to, message } (trip health statuses, e.g. ACTIVE -> STALE)
+ *   CLUSTER_FORMED               data: { riderCount, lat, lng }
+ *   CLUSTER_SPLIT                data: { groups, riderCounts } (the trip's split flag turned on)
+ *   CLUSTER_LOST                 data: {}
+ *   ARRIVED / DEPARTED           data: see lib/geofence.js
+ *   DATA_RESET                   data: { by }
+ */
+const EVENT_TYPES = [
+    'RIDER_JOINED', 'RIDER_LEFT',
+    'TRIP_CREATED', 'TRIP_DELETED', 'TRIP_STATUS_CHANGED',
+    'HEALTH_CHANGED',
+    'CLUSTER_FORMED', 'CLUSTER_SPLIT', 'CLUSTER_LOST',
+    ...GEOFENCE_EVENT_TYPES,
+    'DATA_RESET'
+];
+
+/**
+ * Builds an event ready for storage.appendEvents.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {string|null} tripCode - Trip the event belongs to (null for system-wide events).
+ * @param {Object} [data={}] - Type-specific details.
+ * @param {Date|number} [timestamp=Date.now()] - When it happened.
+ * @returns {Object} - { type, tripCode, timestamp, data }
+ */
+function createTripEvent(type, tripCode, data = {}, timestamp = Date.now()) {
+    return { type, tripCode, timestamp: new Date(timestamp).toISOString(), data };
+}
+
+/**
+ * Creates the watcher that turns changes in computed trip state into events.
+ *
+ * Cluster results and trip health are recomputed on demand and keep no history, so the
+ * watcher remembers the last state it saw per trip and reports the transitions:
+ * a cluster appearing (CLUSTER_FORMED) or disappearing (CLUSTER_LOST), the split flag
+ * turning on (CLUSTER_SPLIT) and any change of the health status (HEALTH_CHANGED).
+ * The first health status seen for a trip is only remembered, since there is nothing to
+ * compare it with. restore() rebuilds the state from stored events after a restart.
+ *
+ * @returns {{updateClusters: Function, updateHealth: Function, restore: Function, forget: Function, reset: Function}}
+ */
+function createTripStateWatcher() {
+    const clusterStates = new Map(); // tripCode -> { present, split }
+    const healthStates = new Map(); // tripCode -> health status
+
+    return {
+        /**
+         * Compares fresh cluster results with the previous ones.
+         * @param {Object} clusters - Result of calculateClusters.
+         * @param {number} [now=Date.now()] - Time of the calculation (epoch ms).
+         * @returns {Array<Object>} - New events.
+         */
+        updateClusters(clusters, now = Date.now()) {
+            const events = [];
+            const tripCodes = new Set([...clusterStates.keys(), ...Object.keys(clusters)]);
+            tripCodes.forEach(tripCode => {
+                const previous = clusterStates.get(tripCode) || { present: false, split: false };
+                const cluster = clusters[tripCode];
+                if (!cluster) {
+                    if (previous.present) events.push(createTripEvent('CLUSTER_LOST', tripCode, {}, now));
+                    clusterStates.delete(tripCode);
+                    return;
+                }
+                if (!previous.present) {
+                    events.push(createTripEvent('CLUSTER_FORMED', tripCode, { riderCount: cluster.riderCount, lat: cluster.center.lat, lng: cluster.center.lng }, now));
+                }
+                if (cluster.split && !previous.split) {
+                    const groups = Array.isArray(cluster.clusters) ? cluster.clusters : [];
+                    events.push(createTripEvent('CLUSTER_SPLIT', tripCode, { groups: groups.length, riderCounts: groups.map(group => group.riderCount) }, now));
+                }
+                clusterStates.set(tripCode, { present: true, split: Boolean(cluster.split) });
+            });
+            return events;
+        },
+
+        /**
+         * Compares the current trip health with the previous statuses.
+         * @param {Object} health - Trip health keyed by trip code ({ status, message }).
+         * @param {number} [now=Date.now()] - Time the health was computed (epoch ms).
+         * @returns {Array<Object>} - New HEALTH_CHANGED events.
+         */
+        updateHealth(health, now = Date.now()) {
+            const events = [];
+            Object.entries(health).forEach(([tripCode, current]) => {
+                const previous = healthStates.get(tripCode);
+                if (previous && previous !== current.status) {
+                    events.push(createTripEvent('HEALTH_CHANGED', tripCode, { from: previous, to: current.status, message: current.message }, now));
+                }
+                healthStates.set(tripCode, current.status);
+            });
+            return events;
+        },
+
+        /**
+         * Rebuilds the remembered state from stored events.
+         * @param {Array<Object>} events - Stored events, newest first.
+         */
+        restore(events) {
+            const splitSeen = new Set(); // Trips with a CLUSTER_SPLIT newer than their latest FORMED/LOST
+            events.forEach(event => {
+                const tripCode = event.tripCode;
+                if (!tripCode) return;
+                if (event.type === 'HEALTH_CHANGED' && !healthStates.has(tripCode)) {
+                    healthStates.set(tripCode, event.data.to);
+                } else if (event.type === 'CLUSTER_SPLIT' && !clusterStates.has(tripCode)) {
+                    splitSeen.add(tripCode);
+                } else if ((event.type === 'CLUSTER_FORMED' || event.type === 'CLUSTER_LOST') && !clusterStates.has(tripCode)) {
+                    clusterStates.set(tripCode, event.type === 'CLUSTER_FORMED' ? { present: true, split: splitSeen.has(tripCode) } : { present: false, split: false });
+                }
+            });
+            // A lost cluster is the same as no state at all
+            clusterStates.forEach((state, tripCode) => { if (!state.present) clusterStates.delete(tripCode); });
+        },
+
+        // Drop a trip's remembered state (e.g. when the trip is deleted)
+        forget(tripCode) {
+            clusterStates.delete(tripCode);
+            healthStates.delete(tripCode);
+        },
+
+        reset() {
+            clusterStates.clear();
+            healthStates.clear();
+        }
+    };
+}
+
+module.exports = { EVENT_TYPES, createTripEvent, createTripStateWatcher };
@@ -0,0 +1,133 @@
+// lib/trip-import.js
+// Reads a bulk trip import (CSV or JSON) into createTrip request bodies, one per row.
+
+const { CLUSTERING_FIELDS } = require('./clustering');
+
+const TRIP_IMPORT_MAX_ROWS = 500;
+
+// CSV columns that are copied to the createTrip body as they are
+const TRIP_IMPORT_COLUMNS = ['tripCode', 'origin', 'destination', 'scheduledDeparture', 'driverName', 'vehiclePlate', 'vehicleModel', 'capacity', 'routeId'];
+const COLUMN_ALIASES = { code: 'tripCode' };
+
+// Headers are matched without case, spaces, dashes or underscores, so "Trip Code" and "trip_code" both work
+function columnKey(header) {
+    return header.toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180: quoted cells may contain commas, quotes and line breaks).
+ * @param {string} text
+ * @returns {Array<Array<string>>} - Rows of cells.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const source = text.replace(/^\uFEFF/, ''); // Spreadsheet apps often save a byte order mark
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function isBlankRow(cells) {
+    return cells.every(value => value.trim() === '');
+}
+
+/**
+ * Turns CSV text into createTrip bodies. The header row names the columns: tripCode (or code),
+ * the trip metadata fields, routeId and the clustering overrides (radiusMeters, ...).
+ * @param {string} text
+ * @returns {{rows: Array<{row: number, input: Object}>, ignoredColumns: Array<string>}|{error: string}}
+ */
+function parseTripCsv(text) {
+    const lines = parseCsv(text);
+    const headerIndex = lines.findIndex(cells => !isBlankRow(cells));
+    if (headerIndex === -1) return { error: 'The file is empty' };
+    const header = lines[headerIndex];
+
+    const fields = {};
+    TRIP_IMPORT_COLUMNS.forEach(field => { fields[columnKey(field)] = { field }; });
+    Object.keys(CLUSTERING_FIELDS).forEach(field => { fields[columnKey(field)] = { field, clustering: true }; });
+    Object.entries(COLUMN_ALIASES).forEach(([alias, field]) => { fields[alias] = { field }; });
+
+    const columns = header.map(name => fields[columnKey(name)] || null);
+    if (!columns.some(column => column && column.field === 'tripCode')) {
+        return { error: 'The header row must have a tripCode column' };
+    }
+    const ignoredColumns = header.filter((name, index) => !columns[index] && name.trim() !== '').map(name => name.trim());
+
+    // Blank lines are skipped but still counted, so row numbers match the file
+    const rows = lines.slice(headerIndex + 1).map((cells, index) => ({ cells, row: index + 1 })).filter(({ cells }) => !isBlankRow(cells)).map(({ cells, row }) => {
+        const input = {};
+        columns.forEach((column, columnIndex) => {
+            if (!column) return;
+            const value = (cells[columnIndex] || '').trim();
+            if (column.clustering) {
+                // An empty cell means "use the default", not "clear"
+                if (value !== '') input.clustering = { ...input.clustering, [column.field]: value };
+            } else {
+                input[column.field] = value;
+            }
+        });
+        return { row, input };
+    });
+    return { rows, ignoredColumns };
+}
+
+/**
+ * Reads an import request into createTrip bodies.
+ * @param {*} body - The parsed request body: CSV text, a JSON array of trips, or { trips: [...] }.
+ * @returns {{rows: Array<{row: number, input: Object}>, ignoredColumns: Array<string>}|{error: string}} - Rows are numbered from 1, not counting the CSV header.
+ */
+function parseTripImport(body) {
+    let parsed;
+    if (typeof body === 'string') {
+        parsed = parseTripCsv(body);
+    } else {
+        const trips = Array.isArray(body) ? body : body && body.trips;
+        if (!Array.isArray(trips)) {
+            return { error: 'Send a CSV file (text/csv) or a JSON array of trips' };
+        }
+        parsed = {
+            rows: trips.map((input, index) => ({ row: index + 1, input: input && typeof input === 'object' && !Array.isArray(input) ? input : null })),
+            ignoredColumns: []
+        };
+    }
+    if (parsed.error) return parsed;
+    if (parsed.rows.length === 0) return { error: 'The file has no trips' };
+    if (parsed.rows.length > TRIP_IMPORT_MAX_ROWS) {
+        return { error: `At most ${TRIP_IMPORT_MAX_ROWS} trips can be imported at once` };
+    }
+    return parsed;
+}
+
+module.exports = { TRIP_IMPORT_MAX_ROWS, parseTripImport };
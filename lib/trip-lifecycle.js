@@ -0,0 +1,61 @@
+// lib/trip-lifecycle.js
+// The states a trip goes through and the moves allowed between them.
+
+/**
+ * Trip statuses, in their usual order:
+ *   SCHEDULED    created, not yet started (the default)
+ *   BOARDING     riders are getting on
+ *   IN_PROGRESS  the shuttle is on its way
+ *   COMPLETED    finished normally
+ *   CANCELLED    called off (before or during the trip)
+ * COMPLETED and CANCELLED are closed: the trip is moved to the archive together with
+ * its history, and riders can no longer join it or send locations.
+ */
+const TRIP_STATUSES = ['SCHEDULED', 'BOARDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+const CLOSED_TRIP_STATUSES = ['COMPLETED', 'CANCELLED'];
+const DEFAULT_TRIP_STATUS = 'SCHEDULED';
+
+// Statuses each status may move to. Boarding can go back to scheduled (e.g. a delayed departure).
+const TRIP_STATUS_TRANSITIONS = {
+    SCHEDULED: ['BOARDING', 'IN_PROGRESS', 'CANCELLED'],
+    BOARDING: ['SCHEDULED', 'IN_PROGRESS', 'CANCELLED'],
+    IN_PROGRESS: ['COMPLETED', 'CANCELLED'],
+    COMPLETED: [],
+    CANCELLED: []
+};
+
+function isClosedTripStatus(status) {
+    return CLOSED_TRIP_STATUSES.includes(status);
+}
+
+/**
+ * Checks a status change.
+ * @param {string} from - Current status (missing statuses count as DEFAULT_TRIP_STATUS).
+ * @param {string} to - Requested status.
+ * @returns {string|null} - Why the change isn't allowed, or null if it is.
+ */
+function checkTripStatusChange(from, to) {
+    const current = from || DEFAULT_TRIP_STATUS;
+    if (!TRIP_STATUSES.includes(to)) {
+        return `status must be one of: ${TRIP_STATUSES.join(', ')}`;
+    }
+    if (current === to) {
+        return `Trip is already ${to}`;
+    }
+    const allowed = TRIP_STATUS_TRANSITIONS[current] || [];
+    if (!allowed.includes(to)) {
+        return allowed.length > 0
+            ? `A ${current} trip can only move to ${allowed.join(', ')}`
+            : `A ${current} trip can't change status`;
+    }
+    return null;
+}
+
+module.exports = {
+    TRIP_STATUSES,
+    CLOSED_TRIP_STATUSES,
+    DEFAULT_TRIP_STATUS,
+    TRIP_STATUS_TRANSITIONS,
+    isClosedTripStatus,
+    checkTripStatusChange
+};
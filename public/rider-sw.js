@@ -0,0 +1,74 @@
+// rider-sw.js
+// Service worker of the rider page (mobile.html). Keeps the page shell and Leaflet available
+// offline, so an installed rider app relaunches and resumes its trip without a connection.
+// API requests are never cached: locations taken offline are queued by the page itself.
+
+const CACHE_VERSION = 'rider-shell-v1'; // Bump when the cached files change
+const SHELL_URL = '/mobile.html';
+const SHELL_ASSETS = [
+    SHELL_URL,
+    '/manifest.webmanifest',
+    '/icons/rider-192.png',
+    '/icons/rider-512.png'
+];
+// Versioned CDN files, so they can be served from the cache without checking for updates
+const LEAFLET_ASSETS = [
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon.png',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon-2x.png',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        await cache.addAll(SHELL_ASSETS);
+        // The page still works without the map, so a CDN failure doesn't stop the install
+        await Promise.all(LEAFLET_ASSETS.map(url =>
+            cache.add(new Request(url, { mode: 'cors' })).catch(error => console.warn(`Could not cache ${url}:`, error.message))
+        ));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith('rider-shell-') && name !== CACHE_VERSION).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page itself: network first so deploys reach riders, the cached copy when offline.
+// QR links carry ?code=...&token=..., so the copy is stored and looked up without the query.
+async function networkFirstShell(request) {
+    const cache = await caches.open(CACHE_VERSION);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(SHELL_URL, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(SHELL_URL);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    return cached || fetch(request);
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate' && url.origin === self.location.origin && url.pathname === SHELL_URL) {
+        event.respondWith(networkFirstShell(request));
+    } else if (url.origin === self.location.origin ? SHELL_ASSETS.includes(url.pathname) : LEAFLET_ASSETS.includes(url.href)) {
+        event.respondWith(cacheFirst(request));
+    }
+    // Everything else (API calls, map tiles) goes to the network as usual
+});
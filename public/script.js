@@ -5,12 +5,23 @@ let defaultLocation = [6.5244, 3.3792]; // Lagos
 let tripsData = {}; // Stores processed trip data { code, riders: { id: { ... } }, riderCount, etc. }
 let clusters = {}; // Stores raw cluster data from /api/getClusters
 let tripHealth = {}; // Stores raw health data from /api/getTripHealth
-let eventLog = []; // Currently unused in UI
-let lastEventTimestamp = 0;
+let tripDefinitions = {}; // Stores trip records (metadata) from /api/getTrips, keyed by trip code
+let routeDefinitions = {}; // Stores routes (ordered stops) from /api/routes, keyed by route id
+let routeLayer = null; // L.layerGroup with the route lines and stop circles
+let seenStopEventIds = null; // Latest ARRIVED/DEPARTED event id shown per trip (null until the first cluster data)
+let editingTripCode = null; // Trip code currently loaded into the trip form for editing (null = create mode)
+let eventFeed = []; // Events shown in the event feed panel, newest first
+let eventFeedCursor = null; // nextCursor from /api/events for "Load older" (null when there are no older events)
 let currentClusterMarkers = []; // Holds L.marker objects for shuttles
 let previousMarkerCount = -1; // For conditional map zooming
 let mapInitialized = false;
 let qrActionListenerAdded = false; // Track if QR listener is added
+let liveStream = null; // EventSource for /api/stream (null if unsupported)
+let liveStreamConnected = false; // True while the stream is open; polling only runs when it isn't
+let pollingTimers = []; // Interval ids of the fallback polling loops
+let currentUser = null; // Logged-in operator { username, role } from /api/auth/me
+let dashboardStarted = false; // Data loading starts once, after the first successful login
+let replay = null; // Trip replay in progress (see startTripReplay); the map shows it instead of the live shuttles
 
 // --- Initialization ---
 function init() {
@@ -32,12 +43,21 @@ function init() {
         markerCluster = L.markerClusterGroup();
         map.addLayer(markerCluster);
 
+        // Routes and their stops are drawn underneath the shuttles
+        routeLayer = L.layerGroup().addTo(map);
+
         // --- Event Listeners ---
         // Buttons in Panel
         document.getElementById('create-trip-btn')?.addEventListener('click', createTrip);
+        document.getElementById('cancel-edit-btn')?.addEventListener('click', resetTripForm);
         document.getElementById('refresh-btn')?.addEventListener('click', refreshData);
         document.getElementById('init-test-data')?.addEventListener('click', initializeData);
         document.getElementById('reset-data')?.addEventListener('click', resetData);
+        // Event feed filters
+        initEventFeedFilters();
+        document.getElementById('event-type-filter')?.addEventListener('change', loadEventFeed);
+        document.getElementById('event-trip-filter')?.addEventListener('change', loadEventFeed);
+        document.getElementById('event-feed-more')?.addEventListener('click', loadOlderEvents);
         // Button in "No Data" message overlay
         document.getElementById('create-sample-data')?.addEventListener('click', initializeData);
         // Modal Listeners
@@ -47,12 +67,77 @@ function init() {
                 hideQrModal();
             }
         });
+        // Archived trips modal
+        document.getElementById('archive-btn')?.addEventListener('click', showArchiveModal);
+        document.getElementById('archive-close-btn')?.addEventListener('click', hideArchiveModal);
+        document.getElementById('archive-modal')?.addEventListener('click', (e) => {
+            const archiveItem = e.target.closest('.archive-item');
+            const replayBtn = e.target.closest('.archive-replay-btn');
+            if (replayBtn) {
+                hideArchiveModal();
+                startTripReplay(`/api/archive/${encodeURIComponent(replayBtn.dataset.archiveId)}/history`, `Trip ${replayBtn.dataset.code} (archived)`);
+            } else if (archiveItem) {
+                showArchivedTrip(archiveItem.dataset.archiveId);
+            } else if (e.target.id === 'archive-modal') { // Close modal on overlay click
+                hideArchiveModal();
+            }
+        });
+        // Trip import modal
+        document.getElementById('import-trips-btn')?.addEventListener('click', showImportModal);
+        document.getElementById('import-close-btn')?.addEventListener('click', hideImportModal);
+        document.getElementById('import-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            importTrips();
+        });
+        document.getElementById('import-modal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'import-modal') hideImportModal(); // Close modal on overlay click
+        });
+        // Reports modal
+        document.getElementById('reports-btn')?.addEventListener('click', showReportsModal);
+        document.getElementById('reports-close-btn')?.addEventListener('click', hideReportsModal);
+        document.getElementById('reports-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            loadTripReport();
+        });
+        document.getElementById('reports-form')?.addEventListener('input', updateReportLinks);
+        document.getElementById('reports-modal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'reports-modal') hideReportsModal(); // Close modal on overlay click
+        });
+        // Trip replay controls
+        document.getElementById('replay-play-btn')?.addEventListener('click', toggleReplayPlayback);
+        document.getElementById('replay-slider')?.addEventListener('input', (e) => seekReplay(Number(e.target.value)));
+        document.getElementById('replay-speed')?.addEventListener('change', (e) => { if (replay) replay.speed = Number(e.target.value); });
+        document.getElementById('replay-close-btn')?.addEventListener('click', stopTripReplay);
+        // Login / logout
+        document.getElementById('login-form')?.addEventListener('submit', login);
+        document.getElementById('logout-btn')?.addEventListener('click', logout);
+
+        // Load data once we know who is logged in (shows the login form otherwise)
+        checkSession().then(loggedIn => {
+            if (loggedIn) startDashboard();
+        });
+
+    } catch (error) {
+        // Catch fatal errors during map setup
+        console.error("Fatal Map initialization error:", error);
+        showNotification('error', 'Map Init Fatal Error', `Could not initialize map: ${error.message}`);
+         const loadingEl = document.getElementById('map-loading');
+         if(loadingEl) loadingEl.textContent = 'Error initializing map!';
+    }
+}
 
-        // Start background data polling
-        initPolling();
+/**
+ * Starts live updates and the initial data load. Runs once, after login.
+ */
+function startDashboard() {
+    if (dashboardStarted) return;
+    dashboardStarted = true;
+
+    // Subscribe to live updates (falls back to polling when the stream is unavailable)
+    initLiveUpdates();
 
-        // Initial data check and rendering
-        checkDataAvailability()
+    // Initial data check and rendering
+    checkDataAvailability()
             .then(hasData => {
                 console.log("Initial data availability check:", hasData);
                 const noDataMsg = document.getElementById('no-data-message');
@@ -60,6 +145,7 @@ function init() {
                     // Fetch initial data immediately if trips exist
                     pollAndRender();
                     fetchClustersAndRender();
+                    loadEventFeed();
                     if(noDataMsg) noDataMsg.style.display = 'none';
                 } else {
                     // Show "No Data" message if no trips are defined
@@ -77,31 +163,214 @@ function init() {
                  const noDataMsg = document.getElementById('no-data-message');
                  if(noDataMsg) noDataMsg.style.display = 'flex'; // Show message on error too
             });
+}
+
+// --- Authentication ---
+
+/**
+ * Wrapper around fetch for API calls. Shows the login form when the session has expired.
+ * @param {string} url - API URL.
+ * @param {Object} [options] - fetch options.
+ * @returns {Promise<Response>}
+ */
+async function apiFetch(url, options) {
+    const response = await fetch(url, options);
+    if (response.status === 401) {
+        setCurrentUser(null);
+        showLoginModal();
+    }
+    return response;
+}
+
+/**
+ * Asks the server who is logged in and updates the UI accordingly.
+ * @returns {Promise<boolean>} - True if an operator session is active.
+ */
+async function checkSession() {
+    try {
+        const response = await fetch('/api/auth/me');
+        if (response.ok) {
+            const { user } = await response.json();
+            setCurrentUser(user);
+            return true;
+        }
+    } catch (error) {
+        console.error("Error checking session:", error);
+    }
+    setCurrentUser(null);
+    showLoginModal();
+    return false;
+}
 
+/**
+ * Submits the login form.
+ * @param {Event} event - Form submit event.
+ */
+async function login(event) {
+    event.preventDefault();
+    const username = document.getElementById('login-username').value.trim();
+    const password = document.getElementById('login-password').value;
+    const errorEl = document.getElementById('login-error');
+    errorEl.textContent = '';
+    try {
+        const response = await fetch('/api/auth/login', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password }) });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP error ${response.status}`);
+        setCurrentUser(result.user);
+        hideLoginModal();
+        document.getElementById('login-password').value = '';
+        showNotification('success', 'Logged In', `Welcome, ${result.user.username} (${result.user.role}).`);
+        if (dashboardStarted) {
+            await refreshData(); // Session had expired; reload what we missed
+        } else {
+            startDashboard();
+        }
     } catch (error) {
-        // Catch fatal errors during map setup
-        console.error("Fatal Map initialization error:", error);
-        showNotification('error', 'Map Init Fatal Error', `Could not initialize map: ${error.message}`);
-         const loadingEl = document.getElementById('map-loading');
-         if(loadingEl) loadingEl.textContent = 'Error initializing map!';
+        console.error("Login error:", error);
+        errorEl.textContent = error.message;
+    }
+}
+
+/**
+ * Ends the session and reloads the page (back to the login form).
+ */
+async function logout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error("Logout error:", error);
+    }
+    window.location.reload();
+}
+
+/**
+ * Stores the logged-in operator and shows/hides controls for their role.
+ * @param {Object|null} user - { username, role } or null when logged out.
+ */
+function setCurrentUser(user) {
+    currentUser = user;
+    document.body.classList.toggle('role-viewer', !isDispatcher());
+    const userInfo = document.getElementById('user-info');
+    if (userInfo) {
+        userInfo.style.display = user ? 'flex' : 'none';
+        document.getElementById('current-user').innerHTML = user
+            ? `${escapeHtml(user.username)} <span class="user-role">${escapeHtml(user.role)}</span>`
+            : '';
+    }
+}
+
+// Dispatchers can manage trips and data; viewers only watch the map
+function isDispatcher() {
+    return Boolean(currentUser && currentUser.role === 'dispatcher');
+}
+
+function showLoginModal() {
+    const modal = document.getElementById('login-modal');
+    if (!modal || modal.style.display === 'flex') return;
+    modal.style.display = 'flex';
+    requestAnimationFrame(() => modal.classList.add('show'));
+    document.getElementById('login-username')?.focus();
+}
+
+function hideLoginModal() {
+    const modal = document.getElementById('login-modal');
+    if (!modal) return;
+    modal.classList.remove('show');
+    setTimeout(() => { modal.style.display = 'none'; }, 300); // Should match modal transition duration in CSS
+}
+
+/**
+ * Subscribes to the server's live update stream (Server-Sent Events).
+ * Each event carries the full payload for one topic, so the handlers simply
+ * replace the matching state and re-render. EventSource reconnects by itself;
+ * while the stream is down we poll the REST endpoints instead.
+ */
+function initLiveUpdates() {
+    // Load the trip list, routes and health right away; the stream refreshes them once connected
+    pollTrips();
+    pollRoutes();
+    fetchTripHealth();
+
+    if (!window.EventSource) {
+        console.warn("EventSource not supported, using polling for updates.");
+        startPolling();
+        return;
+    }
+    connectLiveStream();
+}
+
+/**
+ * Opens the EventSource and wires up the per-topic handlers.
+ */
+function connectLiveStream() {
+    console.log("Connecting to live update stream...");
+    liveStream = new EventSource('/api/stream');
+
+    liveStream.addEventListener('open', () => {
+        console.log("Live update stream connected.");
+        liveStreamConnected = true;
+        stopPolling(); // Pushed updates replace the polling loops
+    });
+
+    liveStream.addEventListener('error', () => {
+        if (liveStreamConnected) console.warn("Live update stream lost, falling back to polling until it reconnects.");
+        liveStreamConnected = false;
+        startPolling();
+        // EventSource retries on its own unless the server refused the stream outright
+        if (liveStream.readyState === EventSource.CLOSED) {
+            liveStream = null;
+            setTimeout(connectLiveStream, 15000);
+        }
+    });
+
+    liveStream.addEventListener('bookings', (event) => handleLiveUpdate(event, data => renderRiderData(latestBookingPerRider(data))));
+    liveStream.addEventListener('clusters', (event) => handleLiveUpdate(event, renderClusters));
+    liveStream.addEventListener('health', (event) => handleLiveUpdate(event, data => {
+        tripHealth = data;
+        updateTripHealthIndicators();
+    }));
+    liveStream.addEventListener('trips', (event) => handleLiveUpdate(event, renderTripDefinitions));
+    liveStream.addEventListener('routes', (event) => handleLiveUpdate(event, renderRoutes));
+    liveStream.addEventListener('events', (event) => handleLiveUpdate(event, mergeLiveEvents));
+}
+
+/**
+ * Parses a live update event and passes its payload to the render function.
+ * @param {MessageEvent} event - The SSE event.
+ * @param {Function} render - Receives the parsed payload.
+ */
+function handleLiveUpdate(event, render) {
+    try {
+        render(JSON.parse(event.data));
+    } catch (error) {
+        console.error(`Error handling live '${event.type}' update:`, error);
     }
 }
 
 /**
- * Sets up intervals for polling various data endpoints.
+ * Sets up intervals for polling various data endpoints (fallback when the live stream is down).
  */
-function initPolling() {
+function startPolling() {
+    if (pollingTimers.length > 0) return; // Already polling
     console.log("Initializing polling intervals...");
-    setInterval(pollAndRender, 15000); // Fetch rider data & update panel/stats
-    setInterval(pollTrips, 30000); // Fetch defined trips for QR codes
-    setInterval(fetchClustersAndRender, 5000); // Fetch cluster data for map shuttles (more frequent)
-    setInterval(fetchTripHealth, 15000); // Fetch trip health for status badges
-    // setInterval(fetchEvents, 7000); // Keep commented if event log not displayed
+    pollingTimers = [
+        setInterval(pollAndRender, 15000), // Fetch rider data & update panel/stats
+        setInterval(pollTrips, 30000), // Fetch defined trips for QR codes
+        setInterval(pollRoutes, 60000), // Fetch routes and stops for the map
+        setInterval(fetchClustersAndRender, 5000), // Fetch cluster data for map shuttles (more frequent)
+        setInterval(fetchTripHealth, 15000), // Fetch trip health for status badges
+        setInterval(fetchEvents, 7000) // Fetch new events for the event feed
+    ];
+}
 
-     // Fetch initial data immediately on load
-     pollTrips();
-     fetchTripHealth();
-     // fetchEvents();
+/**
+ * Stops the fallback polling loops.
+ */
+function stopPolling() {
+    if (pollingTimers.length === 0) return;
+    console.log("Stopping polling intervals.");
+    pollingTimers.forEach(clearInterval);
+    pollingTimers = [];
 }
 
 // --- Data Fetching Functions ---
@@ -113,7 +382,7 @@ function initPolling() {
 async function checkDataAvailability() {
     console.log("Checking data availability...");
     try {
-        const response = await fetch('/api/checkDataAvailability');
+        const response = await apiFetch('/api/checkDataAvailability');
         if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
         return await response.json();
     } catch (error) {
@@ -131,25 +400,10 @@ async function fetchRiderData() {
     console.log("Polling for rider data...");
     document.getElementById('map-loading').style.display = 'flex'; // Show loading
     try {
-        const response = await fetch('/api/fetchData');
+        const response = await apiFetch('/api/fetchData');
         if (!response.ok) throw new Error(`Network response was not ok (${response.status})`);
         const data = await response.json();
-
-        // Filter for unique, most recent rider locations
-        const uniqueRiders = {};
-        if (data && Array.isArray(data)) {
-            data.forEach(booking => {
-                if (!booking || !booking.tripCode || !booking.riderId || !booking.timestamp) return; // Skip invalid
-                const key = `${booking.tripCode}-${booking.riderId}`;
-                const bookingTime = new Date(booking.timestamp).getTime();
-                if (isNaN(bookingTime)) return; // Skip invalid timestamps
-
-                if (!uniqueRiders[key] || bookingTime > new Date(uniqueRiders[key].timestamp).getTime()) {
-                    uniqueRiders[key] = booking;
-                }
-            });
-        }
-        const uniqueData = Object.values(uniqueRiders);
+        const uniqueData = latestBookingPerRider(data);
         console.log("Rider data fetched:", data ? data.length : 0, "rows,", uniqueData.length, "unique riders.");
         return uniqueData;
     } catch (error) {
@@ -161,6 +415,28 @@ async function fetchRiderData() {
     }
 }
 
+/**
+ * Filters booking rows down to the most recent update per rider per trip.
+ * @param {Array} data - Raw booking objects from /api/fetchData or the live stream.
+ * @returns {Array} - An array of unique rider booking objects.
+ */
+function latestBookingPerRider(data) {
+    const uniqueRiders = {};
+    if (data && Array.isArray(data)) {
+        data.forEach(booking => {
+            if (!booking || !booking.tripCode || !booking.riderId || !booking.timestamp) return; // Skip invalid
+            const key = `${booking.tripCode}-${booking.riderId}`;
+            const bookingTime = new Date(booking.timestamp).getTime();
+            if (isNaN(bookingTime)) return; // Skip invalid timestamps
+
+            if (!uniqueRiders[key] || bookingTime > new Date(uniqueRiders[key].timestamp).getTime()) {
+                uniqueRiders[key] = booking;
+            }
+        });
+    }
+    return Object.values(uniqueRiders);
+}
+
 /**
  * Fetches cluster data (shuttle locations) from the server.
  * @returns {Promise<Object>} - The cluster data object.
@@ -168,7 +444,7 @@ async function fetchRiderData() {
 async function fetchClusters() {
     console.log("Fetching cluster data...");
     try {
-        const response = await fetch('/api/getClusters');
+        const response = await apiFetch('/api/getClusters');
         if (!response.ok) throw new Error(`Failed to fetch clusters (${response.status})`);
         const newClusters = await response.json();
         console.log("Clusters fetched:", Object.keys(newClusters).length);
@@ -186,7 +462,7 @@ async function fetchClusters() {
 async function fetchTripHealth() {
     console.log("Fetching trip health...");
     try {
-        const response = await fetch('/api/getTripHealth');
+        const response = await apiFetch('/api/getTripHealth');
         if (!response.ok) throw new Error(`Failed to fetch trip health (${response.status})`);
         tripHealth = await response.json(); // Update global object
         updateTripHealthIndicators(); // Update UI
@@ -198,21 +474,31 @@ async function fetchTripHealth() {
 }
 
 /**
- * Fetches new booking events since the last check. (Currently unused)
+ * Fetches events newer than the newest one in the event feed.
  */
 async function fetchEvents() {
-    // console.log(`Fetching events since: ${lastEventTimestamp}`);
+    if (eventFeed.length === 0) return loadEventFeed();
     try {
-        const response = await fetch(`/api/fetchNewBookings?since=${lastEventTimestamp}`);
+        const query = eventFeedQuery();
+        query.set('after', eventFeed[0].id);
+        const response = await apiFetch(`/api/events?${query}`);
         if (!response.ok) throw new Error(`Failed to fetch events (${response.status})`);
-        const newEvents = await response.json();
-        if (newEvents && newEvents.length > 0) {
-            console.log(`Fetched ${newEvents.length} new events.`);
-            // processNewEvents(newEvents); // Process if event log display is added
-            lastEventTimestamp = Math.max(
-                lastEventTimestamp,
-                ...newEvents.map(e => new Date(e.timestamp).getTime())
-            );
+        const page = await response.json();
+        const events = page.events;
+        // More new events than fit on a page: keep paging back to the newest one already shown
+        let cursor = page.nextCursor;
+        while (cursor) {
+            query.set('cursor', cursor);
+            const olderResponse = await apiFetch(`/api/events?${query}`);
+            if (!olderResponse.ok) throw new Error(`Failed to fetch events (${olderResponse.status})`);
+            const olderPage = await olderResponse.json();
+            events.push(...olderPage.events);
+            cursor = olderPage.nextCursor;
+        }
+        if (events.length > 0) {
+            console.log(`Fetched ${events.length} new events.`);
+            eventFeed = [...events, ...eventFeed];
+            renderEventFeed();
         }
     } catch (error) {
         console.error('Error fetching events:', error);
@@ -225,26 +511,72 @@ async function fetchEvents() {
 async function pollTrips() {
     console.log("Polling for defined trips...");
     try {
-        const response = await fetch('/api/getTrips');
+        const response = await apiFetch('/api/getTrips');
         if (!response.ok) throw new Error(`Failed to fetch trips (${response.status})`);
-        const trips = await response.json();
-        updateQRCodes(trips); // Update QR display
-        // Update total trip count display in filters header
-        const totalCountEl = document.getElementById('total-trip-count');
-        if(totalCountEl) totalCountEl.textContent = trips.length;
-        console.log("Defined trips updated:", trips.length);
+        renderTripDefinitions(await response.json());
     } catch (error) {
         console.error("Trips polling error:", error);
     }
 }
 
+/**
+ * Stores the defined trips and refreshes the trip cards, QR codes and trip count.
+ * @param {Array} trips - Trip records from /api/getTrips or the live stream.
+ */
+function renderTripDefinitions(trips) {
+    // Keep trip metadata for the trip cards
+    tripDefinitions = {};
+    trips.forEach(trip => { tripDefinitions[trip.code] = trip; });
+    Object.values(tripsData).forEach(applyTripMetadata);
+    renderTripsPanel();
+    updateQRCodes(trips); // Update QR display
+    // Update total trip count display in filters header
+    const totalCountEl = document.getElementById('total-trip-count');
+    if(totalCountEl) totalCountEl.textContent = trips.length;
+    console.log("Defined trips updated:", trips.length);
+}
+
+/**
+ * Fetches the defined routes and their stops.
+ */
+async function pollRoutes() {
+    try {
+        const response = await apiFetch('/api/routes');
+        if (!response.ok) throw new Error(`Failed to fetch routes (${response.status})`);
+        renderRoutes(await response.json());
+    } catch (error) {
+        console.error("Routes polling error:", error);
+    }
+}
+
+/**
+ * Stores the routes, redraws them on the map and refreshes the route choices and trip cards.
+ * @param {Array} routes - Route records from /api/routes or the live stream.
+ */
+function renderRoutes(routes) {
+    routeDefinitions = {};
+    routes.forEach(route => { routeDefinitions[route.id] = route; });
+    renderRoutesOnMap();
+    updateRouteOptions();
+    Object.values(tripsData).forEach(applyTripMetadata);
+    renderTripsPanel();
+    console.log("Routes updated:", routes.length);
+}
+
 // --- Data Processing and Rendering ---
 
 /**
  * Main function to orchestrate fetching rider data and updating UI.
  */
 async function pollAndRender() {
-    const uniqueData = await fetchRiderData(); // Fetch latest rider locations
+    renderRiderData(await fetchRiderData()); // Fetch latest rider locations
+}
+
+/**
+ * Updates the trip panel, stats and "No Data" message from unique rider bookings.
+ * @param {Array} uniqueData - An array of unique rider booking objects.
+ */
+function renderRiderData(uniqueData) {
     if (uniqueData) {
         processTripsData(uniqueData); // Process into tripsData structure
         renderTripsPanel(); // Render the trip cards in the panel
@@ -269,18 +601,65 @@ async function pollAndRender() {
  * Fetches cluster data and renders shuttles on the map.
  */
 async function fetchClustersAndRender() {
-    const newClusters = await fetchClusters();
+    renderClusters(await fetchClusters());
+}
+
+/**
+ * Stores new cluster data and renders shuttles on the map.
+ * @param {Object} newClusters - Cluster data from /api/getClusters or the live stream.
+ */
+function renderClusters(newClusters) {
     if (newClusters) {
         // Basic change detection (optional)
         // let clustersChanged = Object.keys(clusters).length !== Object.keys(newClusters).length;
         // if (clustersChanged) logClusterChanges(clusters, newClusters); // If event log is used
 
+        notifyNewStopEvents(newClusters); // Toast arrivals/departures that happened since the last update
         clusters = newClusters; // Update global state
         renderShuttlesOnMap(); // Render markers
+        updateNextStopIndicators(); // Next stop on the trip cards follows the shuttle
         updateStats(); // Update stats (active trips/riders might be affected indirectly)
     }
 }
 
+/**
+ * Shows a notification for each trip whose latest stop event (cluster.geofence.lastEvent) is new.
+ * The first cluster data after loading only records the current events.
+ * @param {Object} newClusters - Cluster data from /api/getClusters or the live stream.
+ */
+function notifyNewStopEvents(newClusters) {
+    const firstLoad = seenStopEventIds === null;
+    if (firstLoad) seenStopEventIds = {};
+    Object.values(newClusters).forEach(cluster => {
+        const event = cluster.geofence?.lastEvent;
+        if (!event || typeof event.id !== 'number') return;
+        if (!firstLoad && event.id > (seenStopEventIds[cluster.tripCode] || 0)) {
+            showNotification('info', `Trip ${cluster.tripCode}`, describeStopEvent(event));
+        }
+        seenStopEventIds[cluster.tripCode] = Math.max(event.id, seenStopEventIds[cluster.tripCode] || 0);
+    });
+}
+
+/**
+ * One-line description of an ARRIVED or DEPARTED event.
+ * @param {Object} event - Stored event ({ type, timestamp, data }).
+ * @returns {string}
+ */
+function describeStopEvent(event) {
+    const time = new Date(event.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `${describeEvent(event)} (${time})`;
+}
+
+/**
+ * Formats a dwell time: "45 s", "3 min" or "1 h 5 min".
+ * @param {number} seconds - Dwell time in seconds.
+ * @returns {string}
+ */
+function formatDwell(seconds) {
+    if (seconds < 60) return `${seconds} s`;
+    return formatEta(seconds);
+}
+
 /**
  * Processes raw booking data into the structured tripsData object.
  * Calculates rider status based on timestamp.
@@ -296,16 +675,9 @@ function processTripsData(bookings) {
             tripsData[tripCode] = {
                 code: tripCode,
                 riders: {},
-                riderCount: 0,
-                // --- Add Placeholders for new data fields ---
-                // These should ideally come from a different API endpoint
-                // or be associated when the trip is created/fetched.
-                startLocation: `Origin for ${tripCode}`, // Placeholder
-                endLocation: `Destination for ${tripCode}`, // Placeholder
-                driverName: `Driver ${tripCode.substring(0,1)}${Math.floor(Math.random()*100)}`, // Placeholder
-                vehicleInfo: `Toyota Coaster ${String.fromCharCode(65 + Math.floor(Math.random() * 26))}${String.fromCharCode(65 + Math.floor(Math.random() * 26))} - ${Math.floor(100 + Math.random() * 900)}XY`, // Placeholder
-                startTime: new Date(Date.now() - Math.random() * 3600000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) // Placeholder
+                riderCount: 0
             };
+            applyTripMetadata(tripsData[tripCode]); // Origin, driver, vehicle etc. from the stored trip record
         }
         // Calculate rider status
         const timeDiff = Date.now() - new Date(booking.timestamp).getTime();
@@ -315,7 +687,8 @@ function processTripsData(bookings) {
             id: riderId,
             lastUpdate: new Date(booking.timestamp),
             status: status,
-            location: { lat: booking.lat, lng: booking.lng, accuracy: booking.accuracy }
+            location: { lat: booking.lat, lng: booking.lng, accuracy: booking.accuracy },
+            flags: booking.flags || [] // Why GPS validation found the latest fix suspicious
         };
     });
     // Update rider counts
@@ -324,6 +697,23 @@ function processTripsData(bookings) {
     });
 }
 
+/**
+ * Copies the stored trip record fields (from /api/getTrips) onto a tripsData entry.
+ * Fields that were never set stay null so the card shows its "Unknown" fallbacks.
+ * @param {Object} trip - A tripsData entry.
+ */
+function applyTripMetadata(trip) {
+    const definition = tripDefinitions[trip.code] || {};
+    trip.startLocation = definition.origin || null;
+    trip.endLocation = definition.destination || null;
+    trip.driverName = definition.driverName || null;
+    trip.vehicleInfo = [definition.vehicleModel, definition.vehiclePlate].filter(Boolean).join(' - ') || null;
+    trip.startTime = definition.scheduledDeparture ? formatDepartureTime(definition.scheduledDeparture) : null;
+    trip.capacity = definition.capacity || null;
+    trip.route = definition.routeId ? routeDefinitions[definition.routeId] || null : null;
+    trip.lifecycleStatus = definition.status || 'SCHEDULED';
+}
+
 /**
  * Renders the list of trips in the side panel using the new card design.
  */
@@ -349,38 +739,34 @@ function renderTripsPanel() {
     sortedTrips.forEach(trip => {
         const tripCard = document.createElement('div');
         tripCard.className = 'trip-card';
+        tripCard.dataset.tripCode = trip.code;
 
         const activeRidersCount = Object.values(trip.riders).filter(rider => rider.status === 'active').length;
 
         // --- Render New Trip Card Structure ---
-        // Using placeholders for data not currently available in tripsData
+        // Metadata comes from the stored trip record (see applyTripMetadata)
         tripCard.innerHTML = `
             <div class="trip-card-header">
                 <div class="trip-card-main">
-                    <div class="trip-card-locations">
-                        <div class="location-item" title="${trip.startLocation || ''}">
-                           <i class="fas fa-map-marker-alt"></i>
-                           <span>${trip.startLocation || 'Start Unknown'}</span>
-                        </div>
-                        <div class="location-item" title="${trip.endLocation || ''}">
-                           <i class="fas fa-flag-checkered"></i>
-                           <span>${trip.endLocation || 'End Unknown'}</span>
-                        </div>
-                    </div>
+                    <div class="trip-card-locations">${tripLocationsHtml(trip)}</div>
                     <div class="trip-card-driver">
-                        <div class="driver-avatar">${trip.driverName ? trip.driverName.charAt(0) : '?'}</div>
+                        <div class="driver-avatar">${trip.driverName ? escapeHtml(trip.driverName.charAt(0)) : '?'}</div>
                         <div>
-                            <div class="driver-name">${trip.driverName || 'Driver Unknown'}</div>
-                            <div class="vehicle-info">${trip.vehicleInfo || 'Vehicle Unknown'}</div>
+                            <div class="driver-name">${escapeHtml(trip.driverName || 'Driver Unknown')}</div>
+                            <div class="vehicle-info">${escapeHtml(trip.vehicleInfo || 'Vehicle Unknown')}</div>
                         </div>
                     </div>
                     <div class="trip-card-details">
-                        <span title="Trip Code">${trip.code}</span> |
-                        <span title="Start Time">Started: ${trip.startTime || 'Time Unknown'}</span>
+                        <span title="Trip Code">${escapeHtml(trip.code)}</span> |
+                        <span title="Scheduled Departure">Departs: ${trip.startTime || 'Time Unknown'}</span>
+                        ${tripStatusBadgeHtml(trip.lifecycleStatus)}
                     </div>
                 </div>
                 <div class="trip-card-status">
-                    <span class="status-badge offline" title="Trip Status">Offline</span> </div>
+                    <span class="status-badge offline" title="Trip Status">Offline</span>
+                    <button class="trip-edit-btn trip-replay-btn" title="Replay Trip History"><i class="fas fa-play-circle"></i></button>
+                    <button class="trip-edit-btn dispatcher-only" title="Edit Trip Details"><i class="fas fa-pen"></i></button>
+                </div>
             </div>
             <div class="trip-content">
                 <ul class="rider-list"></ul>
@@ -397,6 +783,10 @@ function renderTripsPanel() {
                         <div class="trip-stat-value status-idle">${trip.riderCount - activeRidersCount}</div>
                         <div class="trip-stat-label">Idle</div>
                     </div>
+                    <div class="trip-stat">
+                        <div class="trip-stat-value">${trip.capacity || '-'}</div>
+                        <div class="trip-stat-label">Capacity</div>
+                    </div>
                 </div>
             </div>
         `;
@@ -415,9 +805,11 @@ function renderTripsPanel() {
                 riderItem.className = 'rider-item';
                 riderItem.innerHTML = `
                     <div class="rider-info">
-                        <div class="rider-avatar">${rider.id.charAt(0).toUpperCase()}</div>
+                        <div class="rider-avatar">${escapeHtml(rider.id.charAt(0).toUpperCase())}</div>
                         <div>
-                            <div class="rider-name">${rider.id}</div>
+                            <div class="rider-name">${escapeHtml(rider.id)}${rider.flags.length > 0
+                                ? ` <i class="fas fa-exclamation-triangle rider-flag" title="${escapeHtml(rider.flags.map(flag => flag.message).join('\n'))}"></i>`
+                                : ''}</div>
                             <div class="rider-status ${rider.status === 'active' ? 'status-active' : 'status-idle'}">
                                 <i class="fas fa-${rider.status === 'active' ? 'signal' : 'clock'}"></i> ${timeAgo}
                             </div>
@@ -430,7 +822,7 @@ function renderTripsPanel() {
                     e.stopPropagation(); // Prevent card header click from triggering
                     if (rider.location.lat && rider.location.lng) {
                         map.panTo([rider.location.lat, rider.location.lng]);
-                        showNotification('info', 'Map Panned', `Showing location for Rider ${rider.id}`);
+                        showNotification('info', 'Map Panned', `Showing location for Rider ${escapeHtml(rider.id)}`);
                     }
                 });
                 ridersListUl.appendChild(riderItem);
@@ -440,6 +832,16 @@ function renderTripsPanel() {
         }
 
 
+        // --- Edit Button: load the trip into the Manage Trips form ---
+        tripCard.querySelector('.trip-edit-btn.dispatcher-only').addEventListener('click', (e) => {
+            e.stopPropagation(); // Don't toggle the accordion
+            editTrip(trip.code);
+        });
+        tripCard.querySelector('.trip-replay-btn').addEventListener('click', (e) => {
+            e.stopPropagation(); // Don't toggle the accordion
+            startTripReplay(`/api/trips/${encodeURIComponent(trip.code)}/history`, `Trip ${trip.code}`);
+        });
+
         // --- Add Accordion Toggle Listener ---
         const header = tripCard.querySelector('.trip-card-header');
         const content = tripCard.querySelector('.trip-content');
@@ -455,8 +857,74 @@ function renderTripsPanel() {
         tripsListContainer.appendChild(tripCard);
     });
 
-     // Update health status badges after rendering all cards
+     // Update health status badges and next stops after rendering all cards
      updateTripHealthIndicators();
+     updateNextStopIndicators();
+}
+
+/**
+ * The locations shown at the top of a trip card: the route and the shuttle's next stop
+ * for trips that follow a route (filled in by updateNextStopIndicators), origin and
+ * destination otherwise.
+ * @param {Object} trip - A tripsData entry.
+ * @returns {string} - HTML for the .trip-card-locations container.
+ */
+function tripLocationsHtml(trip) {
+    if (trip.route) {
+        return `
+                        <div class="location-item" title="Route ${escapeHtml(trip.route.id)} (${trip.route.stops.length} stops)">
+                           <i class="fas fa-route"></i>
+                           <span>${escapeHtml(trip.route.name)}</span>
+                        </div>
+                        <div class="location-item next-stop-item" title="Next stop">
+                           <i class="fas fa-map-signs"></i>
+                           <span>Next stop unknown</span>
+                        </div>
+                        <div class="location-item stop-event-item" title="Latest stop event" style="display: none;">
+                           <i class="fas fa-history"></i>
+                           <span></span>
+                        </div>`;
+    }
+    return `
+                        <div class="location-item" title="${escapeHtml(trip.startLocation || '')}">
+                           <i class="fas fa-map-marker-alt"></i>
+                           <span>${escapeHtml(trip.startLocation || 'Start Unknown')}</span>
+                        </div>
+                        <div class="location-item" title="${escapeHtml(trip.endLocation || '')}">
+                           <i class="fas fa-flag-checkered"></i>
+                           <span>${escapeHtml(trip.endLocation || 'End Unknown')}</span>
+                        </div>`;
+}
+
+/**
+ * Shows each shuttle's next stop and latest stop event (from the cluster data) on the cards of trips that follow a route.
+ */
+function updateNextStopIndicators() {
+    document.querySelectorAll('#trips-list .trip-card .stop-event-item').forEach(item => {
+        const geofence = clusters[item.closest('.trip-card').dataset.tripCode]?.geofence;
+        item.style.display = geofence?.lastEvent ? '' : 'none';
+        if (!geofence?.lastEvent) return;
+        item.querySelector('span').textContent = geofence.atStop
+            ? `At ${geofence.atStop.name} for ${formatDwell(geofence.atStop.dwellSeconds)}`
+            : describeStopEvent(geofence.lastEvent);
+    });
+
+    document.querySelectorAll('#trips-list .trip-card .next-stop-item').forEach(item => {
+        const card = item.closest('.trip-card');
+        const cluster = clusters[card.dataset.tripCode];
+        const nextStop = cluster?.nextStop;
+        const label = item.querySelector('span');
+        if (!nextStop) {
+            label.textContent = 'Next stop unknown';
+            item.title = 'No shuttle position yet';
+            return;
+        }
+        const arrival = cluster.eta?.stops[0];
+        label.textContent = nextStop.atStop
+            ? `At ${nextStop.name}`
+            : `Next: ${nextStop.name} (${formatDistance(nextStop.distanceMeters)}${arrival ? `, ${formatEta(arrival.etaSeconds)}` : ''})`;
+        item.title = `Stop ${nextStop.index + 1}: ${nextStop.name}${arrival && !nextStop.atStop ? `, expected ${new Date(arrival.eta).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}`;
+    });
 }
 
 /**
@@ -516,6 +984,7 @@ function renderShuttlesOnMap() {
     // Clear previous markers
     currentClusterMarkers.forEach(marker => map.removeLayer(marker));
     currentClusterMarkers = [];
+    if (replay) return; // Live shuttles come back when the replay is closed
     const markersToAdd = [];
 
     Object.values(clusters).forEach(cluster => {
@@ -526,34 +995,57 @@ function renderShuttlesOnMap() {
         // Calculate strength and color hue
         const strength = Math.min(1, Math.max(0, cluster.strength || 0));
         const strengthHue = strength * 120; // 0=red, 120=green
+        // Prefer the smoothed position (server-side motion filter) so the icon doesn't jump between updates
+        const position = cluster.smoothedCenter && typeof cluster.smoothedCenter.lat === 'number' ? cluster.smoothedCenter : cluster.center;
+        const hasHeading = typeof cluster.headingDegrees === 'number';
+        const splitBadge = cluster.split ? '<span class="shuttle-split-badge" title="Riders are split over several groups"><i class="fas fa-exclamation"></i></span>' : '';
 
         // Create the custom DivIcon for the car
         const shuttleIcon = L.divIcon({
             className: 'shuttle-marker-container', // Main container class
-            html: `<div class="shuttle-icon" style="color: hsl(${strengthHue}, 80%, 40%);"><i class="fas fa-car-side"></i><span class="shuttle-count" title="${cluster.riderCount} riders in cluster / ${cluster.totalRiders} total riders">${cluster.riderCount}</span></div>`,
+            html: `<div class="shuttle-icon" style="color: hsl(${strengthHue}, 80%, 40%);"><i class="fas fa-car-side"${hasHeading ? ` style="transform: ${headingTransform(cluster.headingDegrees)};"` : ''}></i><span class="shuttle-count" title="${cluster.riderCount} riders in cluster / ${cluster.totalRiders} total riders">${cluster.riderCount}</span>${splitBadge}</div>`,
             iconSize: [40, 40], iconAnchor: [20, 40], popupAnchor: [0, -40] // Anchors and popup position
         });
 
         // Create the Leaflet marker
-        const marker = L.marker([cluster.center.lat, cluster.center.lng], {
+        const marker = L.marker([position.lat, position.lng], {
             icon: shuttleIcon,
-            title: `Shuttle: Trip ${cluster.tripCode} (${cluster.riderCount}/${cluster.totalRiders}, Strength: ${Math.round(strength * 100)}%)` // Tooltip on hover
+            title: `Shuttle: Trip ${cluster.tripCode} (${cluster.riderCount}/${cluster.totalRiders}, Strength: ${Math.round(strength * 100)}%)${cluster.split ? ' - SPLIT' : ''}` // Tooltip on hover
         });
 
+        // Secondary clusters and noise riders, if the server reported them
+        const secondaryClusters = Array.isArray(cluster.clusters) ? cluster.clusters.slice(1) : [];
+        const noiseCount = Array.isArray(cluster.noise) ? cluster.noise.length : 0;
+
         // Create popup content
         const popupContent = `
             <div class="cluster-popup">
-                <h4><i class="fas fa-bus"></i> Shuttle: Trip ${cluster.tripCode}</h4>
+                <h4><i class="fas fa-bus"></i> Shuttle: Trip ${escapeHtml(cluster.tripCode)}</h4>
+                ${cluster.split ? '<p class="cluster-split-warning"><i class="fas fa-exclamation-triangle"></i> Riders are split: a second group is significant.</p>' : ''}
                 <p><strong>Riders in Cluster:</strong> ${cluster.riderCount} / ${cluster.totalRiders}</p>
                 <p><strong>Cluster Strength:</strong> ${Math.round(strength * 100)}%</p>
-                <p><strong>Location:</strong> ${cluster.center.lat.toFixed(5)}, ${cluster.center.lng.toFixed(5)}</p>
+                <p><strong>Location:</strong> ${position.lat.toFixed(5)}, ${position.lng.toFixed(5)}${typeof cluster.confidenceRadiusMeters === 'number' ? ` (±${cluster.confidenceRadiusMeters} m)` : ''}</p>
+                ${typeof cluster.speedMps === 'number' ? `<p><strong>Speed:</strong> ${Math.round(cluster.speedMps * 3.6)} km/h${hasHeading ? `, heading ${cluster.headingDegrees}° ${compassPoint(cluster.headingDegrees)}` : ''}</p>` : ''}
+                ${cluster.nextStop ? `<p><strong>${cluster.nextStop.atStop ? 'At Stop' : 'Next Stop'}:</strong> ${escapeHtml(cluster.nextStop.name)}${cluster.nextStop.atStop ? '' : ` (${formatDistance(cluster.nextStop.distanceMeters)})`}</p>` : ''}
+                ${cluster.eta ? etaPopupHtml(cluster.eta) : ''}
                 <p><strong>Last Calc:</strong> ${new Date(cluster.timestamp).toLocaleTimeString()}</p>
-                ${cluster.riders && cluster.riders.length > 0 ? `<p><strong>Riders:</strong> ${cluster.riders.join(', ')}</p>` : '<p>No rider details available.</p>'}
+                ${secondaryClusters.length > 0 ? `<p><strong>Other Groups:</strong> ${secondaryClusters.map(other => `#${other.rank}: ${other.riderCount} riders`).join(', ')}</p>` : ''}
+                ${noiseCount > 0 ? `<p><strong>Outside Any Group:</strong> ${noiseCount} rider(s)</p>` : ''}
+                ${cluster.settings ? `<p><strong>Settings:</strong> ${cluster.settings.radiusMeters} m radius, min ${cluster.settings.minClusterSize} riders, last ${cluster.settings.recentMinutes} min</p>` : ''}
+                ${cluster.riders && cluster.riders.length > 0 ? `<p><strong>Riders:</strong> ${cluster.riders.map(escapeHtml).join(', ')}</p>` : '<p>No rider details available.</p>'}
             </div>`;
         marker.bindPopup(popupContent);
 
         markersToAdd.push(marker);
         marker.addTo(map); // Add marker directly to the map
+
+        // Draw the other clusters of the trip as smaller, dashed markers
+        secondaryClusters.forEach(other => {
+            const secondaryMarker = createSecondaryClusterMarker(cluster, other);
+            if (!secondaryMarker) return;
+            markersToAdd.push(secondaryMarker);
+            secondaryMarker.addTo(map);
+        });
     });
 
     currentClusterMarkers = markersToAdd; // Update global list
@@ -572,6 +1064,126 @@ function renderShuttlesOnMap() {
     previousMarkerCount = currentMarkerCount; // Update count for next check
 }
 
+
+/**
+ * Arrival estimates for the cluster popup: the next few stops with time and distance.
+ * @param {Object} eta - The cluster's eta ({ speedMps, speedSource, stops }).
+ * @returns {string} - HTML for the popup.
+ */
+function etaPopupHtml(eta) {
+    const upcoming = eta.stops.filter(stop => stop.distanceMeters > 0).slice(0, 3);
+    if (upcoming.length === 0) return '';
+    const speedNote = eta.speedSource === 'observed'
+        ? `at current speed (${Math.round(eta.speedMps * 3.6)} km/h)`
+        : `at average speed (${Math.round(eta.speedMps * 3.6)} km/h)`;
+    return `
+                <p><strong>Arrivals</strong> <span class="cluster-eta-note">${speedNote}</span></p>
+                <ul class="cluster-eta-list">
+                    ${upcoming.map(stop => `<li><span>${escapeHtml(stop.name)}</span> <span>${formatEta(stop.etaSeconds)} · ${new Date(stop.eta).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} · ${formatDistance(stop.distanceMeters)}</span></li>`).join('')}
+                </ul>`;
+}
+
+/**
+ * Formats seconds until arrival: "< 1 min", "12 min" or "1 h 5 min".
+ * @param {number} seconds - Seconds until arrival.
+ * @returns {string}
+ */
+function formatEta(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 1) return '< 1 min';
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * CSS transform that points the car icon (drawn facing east) along a compass heading.
+ * Westward headings mirror the car first so it never drives upside down.
+ * @param {number} heading - Degrees clockwise from north.
+ * @returns {string}
+ */
+function headingTransform(heading) {
+    return heading <= 180 ? `rotate(${heading - 90}deg)` : `rotate(${heading - 270}deg) scaleX(-1)`;
+}
+
+// Eight-point compass name for a heading in degrees (e.g. 90 -> 'E')
+function compassPoint(heading) {
+    return ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(heading / 45) % 8];
+}
+
+/**
+ * Creates the marker for a secondary cluster of a trip (a group of riders away from the shuttle).
+ * @param {Object} tripCluster - The trip's entry from /api/getClusters.
+ * @param {Object} other - One of tripCluster.clusters (rank 2 or higher).
+ * @returns {Object|null} - The Leaflet marker, or null if the cluster has no valid center.
+ */
+function createSecondaryClusterMarker(tripCluster, other) {
+    if (!other || !other.center || typeof other.center.lat !== 'number' || typeof other.center.lng !== 'number') {
+        console.warn("Skipping invalid secondary cluster data:", other); return null;
+    }
+    const icon = L.divIcon({
+        className: 'shuttle-marker-container secondary-cluster',
+        html: `<div class="secondary-cluster-icon" title="Group #${other.rank} of trip ${escapeHtml(tripCluster.tripCode)}"><i class="fas fa-users"></i><span class="shuttle-count">${other.riderCount}</span></div>`,
+        iconSize: [32, 32], iconAnchor: [16, 32], popupAnchor: [0, -32]
+    });
+    const marker = L.marker([other.center.lat, other.center.lng], {
+        icon,
+        title: `Trip ${tripCluster.tripCode}: group #${other.rank} (${other.riderCount}/${tripCluster.totalRiders} riders)`
+    });
+    marker.bindPopup(`
+        <div class="cluster-popup">
+            <h4><i class="fas fa-users"></i> Trip ${escapeHtml(tripCluster.tripCode)}: Group #${other.rank}</h4>
+            <p>Riders gathered away from the shuttle (largest group).</p>
+            <p><strong>Riders in Group:</strong> ${other.riderCount} / ${tripCluster.totalRiders}</p>
+            <p><strong>Location:</strong> ${other.center.lat.toFixed(5)}, ${other.center.lng.toFixed(5)}</p>
+            ${other.riders && other.riders.length > 0 ? `<p><strong>Riders:</strong> ${other.riders.map(escapeHtml).join(', ')}</p>` : ''}
+        </div>`);
+    return marker;
+}
+
+
+// Colors cycled through for the routes drawn on the map
+const ROUTE_COLORS = ['#2563eb', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777'];
+
+/**
+ * Draws every route on the map: its path (or dashed straight lines between the
+ * stops when it has none) and a circle of each stop's radius.
+ */
+function renderRoutesOnMap() {
+    if (!routeLayer) return;
+    routeLayer.clearLayers();
+
+    Object.values(routeDefinitions).forEach((route, index) => {
+        const color = ROUTE_COLORS[index % ROUTE_COLORS.length];
+        const stopPoints = route.stops.map(stop => [stop.lat, stop.lng]);
+        const line = route.path
+            ? L.polyline(route.path, { color, weight: 4, opacity: 0.7 })
+            : L.polyline(stopPoints, { color, weight: 3, opacity: 0.6, dashArray: '8 8' });
+        line.bindTooltip(escapeHtml(route.name), { sticky: true }).addTo(routeLayer);
+
+        route.stops.forEach((stop, stopIndex) => {
+            L.circle([stop.lat, stop.lng], { radius: stop.radiusMeters, color, weight: 2, fillColor: color, fillOpacity: 0.25 })
+                .bindTooltip(`<strong>${stopIndex + 1}. ${escapeHtml(stop.name)}</strong><br>${escapeHtml(route.name)}`)
+                .addTo(routeLayer);
+            // Keep the stop visible when zoomed out far enough that its radius is only a few pixels
+            L.circleMarker([stop.lat, stop.lng], { radius: 4, color, weight: 2, fillColor: '#fff', fillOpacity: 1, interactive: false })
+                .addTo(routeLayer);
+        });
+    });
+}
+
+/**
+ * Fills the route choice of the Manage Trips form, keeping the current selection.
+ */
+function updateRouteOptions() {
+    const select = document.getElementById('trip-route');
+    if (!select) return;
+    const selected = select.value;
+    select.innerHTML = '<option value="">No route</option>' + Object.values(routeDefinitions)
+        .map(route => `<option value="${escapeHtml(route.id)}">${escapeHtml(route.name)} (${route.stops.length} stops)</option>`)
+        .join('');
+    select.value = routeDefinitions[selected] ? selected : '';
+}
+
 /**
  * Updates the statistics in the map overlay.
  */
@@ -591,8 +1203,11 @@ function updateStats() {
 
 /**
  * Handles the "Create Trip" button click.
+ * In edit mode (see editTrip) the same button saves the changed trip details instead.
  */
 async function createTrip() {
+    if (editingTripCode) return saveTripDetails();
+
     const codeInput = document.getElementById('new-code');
     const tripCode = codeInput.value.trim().toUpperCase();
     if (!tripCode) {
@@ -602,11 +1217,12 @@ async function createTrip() {
     console.log(`Attempting to create trip: ${tripCode}`);
     document.getElementById('map-loading').style.display = 'flex'; // Show loading
     try {
-        const response = await fetch('/api/createTrip', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ tripCode }) });
+        const body = { tripCode, ...readTripForm() };
+        const response = await apiFetch('/api/createTrip', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
         const result = await response.json();
         if (!response.ok) throw new Error(result.error || `Failed to create trip (${response.status})`);
 
-        codeInput.value = ''; // Clear input
+        resetTripForm(); // Clear inputs
         showNotification('success', 'Trip Created', `Trip ${tripCode} created successfully.`);
         generateTripQR(tripCode); // Add QR code to panel
         await pollTrips(); // Refresh trip list/count
@@ -620,6 +1236,94 @@ async function createTrip() {
     }
 }
 
+/**
+ * Saves the trip details form for the trip being edited.
+ */
+async function saveTripDetails() {
+    const tripCode = editingTripCode;
+    console.log(`Attempting to update trip: ${tripCode}`);
+    document.getElementById('map-loading').style.display = 'flex'; // Show loading
+    try {
+        const response = await apiFetch(`/api/trips/${encodeURIComponent(tripCode)}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(readTripForm()) });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Failed to update trip (${response.status})`);
+
+        resetTripForm();
+        showNotification('success', 'Trip Updated', `Trip ${tripCode} details saved.`);
+        await pollTrips(); // Refresh stored metadata and cards
+
+    } catch (error) {
+        console.error("Trip update error:", error);
+        showNotification('error', 'Trip Update Failed', error.message);
+    } finally {
+        document.getElementById('map-loading').style.display = 'none'; // Hide loading
+    }
+}
+
+/**
+ * Loads a trip's stored details into the Manage Trips form and switches it to edit mode.
+ * @param {string} tripCode - The trip code to edit.
+ */
+function editTrip(tripCode) {
+    const trip = tripDefinitions[tripCode];
+    if (!trip) {
+        showNotification('warning', 'Trip Not Loaded', `Details for Trip ${tripCode} are not available yet.`);
+        return;
+    }
+    editingTripCode = tripCode;
+
+    const codeInput = document.getElementById('new-code');
+    codeInput.value = tripCode;
+    codeInput.disabled = true; // Trip codes cannot be renamed
+    document.getElementById('trip-origin').value = trip.origin || '';
+    document.getElementById('trip-destination').value = trip.destination || '';
+    document.getElementById('trip-departure').value = trip.scheduledDeparture ? toDateTimeLocalValue(trip.scheduledDeparture) : '';
+    document.getElementById('trip-capacity').value = trip.capacity || '';
+    document.getElementById('trip-driver').value = trip.driverName || '';
+    document.getElementById('trip-vehicle-plate').value = trip.vehiclePlate || '';
+    document.getElementById('trip-vehicle-model').value = trip.vehicleModel || '';
+    document.getElementById('trip-route').value = trip.routeId && routeDefinitions[trip.routeId] ? trip.routeId : '';
+
+    document.getElementById('trip-details-form').open = true;
+    document.getElementById('create-trip-btn').innerHTML = '<i class="fas fa-save"></i> Save';
+    document.getElementById('cancel-edit-btn').style.display = '';
+    codeInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Clears the Manage Trips form and returns it to create mode.
+ */
+function resetTripForm() {
+    editingTripCode = null;
+    const codeInput = document.getElementById('new-code');
+    codeInput.value = '';
+    codeInput.disabled = false;
+    document.querySelectorAll('#trip-details-form input, #trip-details-form select').forEach(input => { input.value = ''; });
+    document.getElementById('create-trip-btn').innerHTML = '<i class="fas fa-plus"></i> Create';
+    document.getElementById('cancel-edit-btn').style.display = 'none';
+}
+
+/**
+ * Reads the trip details inputs into a request body for /api/createTrip or PATCH /api/trips/:code.
+ * Empty inputs are sent as null so they clear the stored value when editing.
+ * @returns {Object} - Trip metadata fields.
+ */
+function readTripForm() {
+    const valueOf = id => document.getElementById(id).value.trim() || null;
+    const departure = valueOf('trip-departure');
+    return {
+        origin: valueOf('trip-origin'),
+        destination: valueOf('trip-destination'),
+        // datetime-local has no timezone; interpret it as local time and send ISO
+        scheduledDeparture: departure ? new Date(departure).toISOString() : null,
+        capacity: valueOf('trip-capacity') ? parseInt(valueOf('trip-capacity'), 10) : null,
+        driverName: valueOf('trip-driver'),
+        vehiclePlate: valueOf('trip-vehicle-plate'),
+        vehicleModel: valueOf('trip-vehicle-model'),
+        routeId: valueOf('trip-route')
+    };
+}
+
 /**
  * Handles the "Delete Trip" button click within a QR item.
  * @param {string} tripCode - The trip code to delete.
@@ -632,7 +1336,7 @@ async function deleteTrip(tripCode, qrItemElement) {
     qrItemElement.style.opacity = '0.5'; // Visual feedback
 
     try {
-        const response = await fetch('/api/deleteTrip', { method: 'DELETE', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ tripCode }) });
+        const response = await apiFetch('/api/deleteTrip', { method: 'DELETE', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ tripCode }) });
         const result = await response.json();
         if (!response.ok && response.status !== 404) { // Allow 404 if trip already gone
              throw new Error(result.message || `Failed to delete trip (${response.status})`);
@@ -666,7 +1370,7 @@ async function initializeData() {
     console.log("Initializing sample data...");
     document.getElementById('map-loading').style.display = 'flex'; // Show loading
     try {
-        const response = await fetch('/api/initData', { method: 'POST' });
+        const response = await apiFetch('/api/initData', { method: 'POST' });
         if (!response.ok) throw new Error('Failed to initialize sample data');
 
         // Fetch and render all data after initialization
@@ -694,7 +1398,7 @@ async function resetData() {
     console.log("Resetting all data...");
     document.getElementById('map-loading').style.display = 'flex'; // Show loading
     try {
-        const response = await fetch('/api/resetData', { method: 'DELETE' });
+        const response = await apiFetch('/api/resetData', { method: 'DELETE' });
         if (!response.ok) throw new Error('Failed to reset data');
 
         // --- Clear Local State ---
@@ -703,8 +1407,8 @@ async function resetData() {
         currentClusterMarkers = [];
         clusters = {};
         tripsData = {};
-        eventLog = [];
-        lastEventTimestamp = 0;
+        eventFeed = [];
+        eventFeedCursor = null;
         previousMarkerCount = -1; // Reset zoom tracker
 
         // --- Clear UI Elements ---
@@ -712,7 +1416,7 @@ async function resetData() {
         const tripsList = document.getElementById('trips-list');
         if(qrContainer) qrContainer.innerHTML = '<p class="no-items">No trips created yet.</p>';
         if(tripsList) tripsList.innerHTML = '<p class="no-items">No active trips found.</p>';
-        // Clear event log display if it exists
+        await loadEventFeed(); // Starts again with the reset event
 
         updateStats(); // Reset stats display to zero
         showNotification('success', 'Data Reset', 'All trips and rider data have been deleted.');
@@ -738,20 +1442,739 @@ async function refreshData() {
     await pollAndRender();
     await fetchClustersAndRender();
     await fetchTripHealth();
-    // await fetchEvents(); // If event log is used
+    await loadEventFeed();
     await pollTrips();
     document.getElementById('map-loading').style.display = 'none'; // Hide loading
     showNotification('success', 'Data Refreshed', 'Map and panel data updated.');
 }
 
+// --- Event Feed ---
+
+// Icon and label of each event type (the types /api/events knows)
+const EVENT_TYPE_INFO = {
+    RIDER_JOINED: { icon: 'fa-user-plus', label: 'Rider joined' },
+    RIDER_LEFT: { icon: 'fa-user-minus', label: 'Rider left' },
+    TRIP_CREATED: { icon: 'fa-plus-circle', label: 'Trip created' },
+    TRIP_DELETED: { icon: 'fa-trash-alt', label: 'Trip deleted' },
+    TRIP_STATUS_CHANGED: { icon: 'fa-flag-checkered', label: 'Trip status changed' },
+    HEALTH_CHANGED: { icon: 'fa-heartbeat', label: 'Health changed' },
+    CLUSTER_FORMED: { icon: 'fa-bus', label: 'Cluster formed' },
+    CLUSTER_SPLIT: { icon: 'fa-code-branch', label: 'Cluster split' },
+    CLUSTER_LOST: { icon: 'fa-question-circle', label: 'Cluster lost' },
+    ARRIVED: { icon: 'fa-sign-in-alt', label: 'Arrived at stop' },
+    DEPARTED: { icon: 'fa-sign-out-alt', label: 'Departed stop' },
+    DATA_RESET: { icon: 'fa-exclamation-triangle', label: 'Data reset' }
+};
+
+/**
+ * Fills the event type filter with the known event types.
+ */
+function initEventFeedFilters() {
+    const select = document.getElementById('event-type-filter');
+    if (!select) return;
+    Object.entries(EVENT_TYPE_INFO).forEach(([type, info]) => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = info.label;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Reads the event feed filters.
+ * @returns {{type: string, tripCode: string}} - Empty strings for filters that aren't set.
+ */
+function getEventFeedFilters() {
+    return {
+        type: document.getElementById('event-type-filter')?.value || '',
+        tripCode: (document.getElementById('event-trip-filter')?.value || '').trim().toUpperCase()
+    };
+}
+
+/**
+ * Builds the /api/events query for the current filters.
+ * @returns {URLSearchParams}
+ */
+function eventFeedQuery() {
+    const { type, tripCode } = getEventFeedFilters();
+    const query = new URLSearchParams({ limit: '30' });
+    if (type) query.set('type', type);
+    if (tripCode) query.set('tripCode', tripCode);
+    return query;
+}
+
+/**
+ * Loads the newest page of events for the current filters, replacing the feed.
+ */
+async function loadEventFeed() {
+    try {
+        const response = await apiFetch(`/api/events?${eventFeedQuery()}`);
+        if (!response.ok) throw new Error(`Failed to fetch events (${response.status})`);
+        const page = await response.json();
+        eventFeed = page.events;
+        eventFeedCursor = page.nextCursor;
+        renderEventFeed();
+    } catch (error) {
+        console.error('Error loading event feed:', error);
+    }
+}
+
+/**
+ * Appends the next page of older events to the feed.
+ */
+async function loadOlderEvents() {
+    if (!eventFeedCursor) return;
+    try {
+        const query = eventFeedQuery();
+        query.set('cursor', eventFeedCursor);
+        const response = await apiFetch(`/api/events?${query}`);
+        if (!response.ok) throw new Error(`Failed to fetch events (${response.status})`);
+        const page = await response.json();
+        eventFeed = [...eventFeed, ...page.events];
+        eventFeedCursor = page.nextCursor;
+        renderEventFeed();
+    } catch (error) {
+        console.error('Error loading older events:', error);
+        showNotification('error', 'Event Feed', error.message);
+    }
+}
+
+/**
+ * Adds events from the live stream (the newest events of all trips) that match the filters.
+ * @param {Array} events - Events from the live stream, newest first.
+ */
+function mergeLiveEvents(events) {
+    const { type, tripCode } = getEventFeedFilters();
+    const newestId = eventFeed.length > 0 ? eventFeed[0].id : 0;
+    const fresh = events.filter(event => event.id > newestId
+        && (!type || event.type === type)
+        && (!tripCode || event.tripCode === tripCode));
+    if (fresh.length === 0) return;
+    eventFeed = [...fresh, ...eventFeed];
+    renderEventFeed();
+}
+
+/**
+ * Renders the event feed list and the "Load older" button.
+ */
+function renderEventFeed() {
+    const list = document.getElementById('event-feed');
+    if (!list) return;
+    if (eventFeed.length === 0) {
+        list.innerHTML = '<li class="no-items">No events yet.</li>';
+    } else {
+        list.innerHTML = eventFeed.map(event => {
+            const info = EVENT_TYPE_INFO[event.type] || { icon: 'fa-info-circle', label: event.type };
+            const time = new Date(event.timestamp);
+            return `
+                <li class="event-item event-${event.type.toLowerCase().replace(/_/g, '-')}">
+                    <i class="fas ${info.icon}" title="${escapeHtml(info.label)}"></i>
+                    <div class="event-body">
+                        <div class="event-text">${event.tripCode ? `<strong>${escapeHtml(event.tripCode)}</strong> ` : ''}${escapeHtml(describeEvent(event))}</div>
+                        <div class="event-time" title="${escapeHtml(time.toLocaleString())}">${escapeHtml(time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }))}</div>
+                    </div>
+                </li>`;
+        }).join('');
+    }
+    const moreButton = document.getElementById('event-feed-more');
+    if (moreButton) moreButton.style.display = eventFeedCursor ? '' : 'none';
+}
+
+/**
+ * One-line description of an event for the event feed.
+ * @param {Object} event - Stored event ({ type, tripCode, timestamp, data }).
+ * @returns {string}
+ */
+function describeEvent(event) {
+    const data = event.data || {};
+    switch (event.type) {
+        case 'RIDER_JOINED': return `Rider ${data.riderId} joined`;
+        case 'RIDER_LEFT': return `Rider ${data.riderId} left`;
+        case 'TRIP_CREATED': return `${data.sample ? 'Sample trip' : 'Trip'} ${data.imported ? 'imported' : 'created'} by ${data.by}`;
+        case 'TRIP_DELETED': return `Trip deleted by ${data.by} (${data.bookingsDeleted} rider location(s) removed)`;
+        case 'TRIP_STATUS_CHANGED': return `${tripStatusLabel(data.from)} → ${tripStatusLabel(data.to)} by ${data.by}${data.archiveId ? ' (archived)' : ''}`;
+        case 'HEALTH_CHANGED': return `Health ${data.from} → ${data.to}`;
+        case 'CLUSTER_FORMED': return `Shuttle located (${data.riderCount} rider(s))`;
+        case 'CLUSTER_SPLIT': return `Riders split into ${data.groups} groups (${(data.riderCounts || []).join(' / ')})`;
+        case 'CLUSTER_LOST': return 'Shuttle position lost';
+        case 'ARRIVED': return `Arrived at ${data.stopName}`;
+        case 'DEPARTED': return `Departed ${data.stopName} after ${formatDwell(data.dwellSeconds)}`;
+        case 'DATA_RESET': return `All data reset by ${data.by}`;
+        default: return event.type;
+    }
+}
+
+// --- Trip Lifecycle ---
+
+// Label of each trip status and the statuses it may move to (mirrors lib/trip-lifecycle.js)
+const TRIP_STATUS_INFO = {
+    SCHEDULED: { label: 'Scheduled', next: ['BOARDING', 'IN_PROGRESS', 'CANCELLED'] },
+    BOARDING: { label: 'Boarding', next: ['SCHEDULED', 'IN_PROGRESS', 'CANCELLED'] },
+    IN_PROGRESS: { label: 'In progress', next: ['COMPLETED', 'CANCELLED'] },
+    COMPLETED: { label: 'Completed', next: [] },
+    CANCELLED: { label: 'Cancelled', next: [] }
+};
+
+function tripStatusLabel(status) {
+    return (TRIP_STATUS_INFO[status] || { label: status }).label;
+}
+
+function tripStatusBadgeHtml(status) {
+    return `<span class="lifecycle-badge lifecycle-${escapeHtml(String(status).toLowerCase().replace(/_/g, '-'))}" title="Trip status">${escapeHtml(tripStatusLabel(status))}</span>`;
+}
+
+/**
+ * Status select of a QR item: the current status plus the statuses the trip may move to.
+ * @param {string} status - The trip's current status.
+ * @returns {string} - HTML of the select.
+ */
+function tripStatusSelectHtml(status) {
+    const choices = [status, ...((TRIP_STATUS_INFO[status] || {}).next || [])];
+    return `
+        <select class="trip-status-select" title="Trip status (completing or cancelling archives the trip)">
+            ${choices.map(choice => `<option value="${choice}"${choice === status ? ' selected' : ''}>${escapeHtml(tripStatusLabel(choice))}</option>`).join('')}
+        </select>`;
+}
+
+/**
+ * Moves a trip to the status picked in its QR item's select.
+ * Completing or cancelling the trip archives it, so that asks for confirmation first.
+ * @param {string} tripCode - The trip to change.
+ * @param {HTMLSelectElement} select - The status select (reset if the change doesn't go through).
+ */
+async function changeTripStatus(tripCode, select) {
+    const status = select.value;
+    const current = select.closest('.qr-item')?.dataset.status || 'SCHEDULED';
+    const closing = status === 'COMPLETED' || status === 'CANCELLED';
+    if (closing && !confirm(`Mark Trip ${tripCode} as ${tripStatusLabel(status).toLowerCase()}? Riders will be signed off and the trip moves to the archive.`)) {
+        select.value = current;
+        return;
+    }
+    select.disabled = true;
+    try {
+        const response = await apiFetch(`/api/trips/${encodeURIComponent(tripCode)}/status`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Failed to change trip status (${response.status})`);
+        showNotification('success', 'Trip Status', closing
+            ? `Trip ${tripCode} ${tripStatusLabel(status).toLowerCase()} and archived.`
+            : `Trip ${tripCode} is now ${tripStatusLabel(status).toLowerCase()}.`);
+        await pollTrips(); // Refresh QR list & trip cards
+        if (closing) await pollAndRender(); // Its riders are gone from the live data
+    } catch (error) {
+        console.error('Trip status change error:', error);
+        showNotification('error', 'Status Change Failed', error.message);
+        select.value = current;
+        select.disabled = false;
+    }
+}
+
+// --- Archived Trips ---
+
+/**
+ * Opens the archived trips modal with the list of completed and cancelled trips.
+ */
+async function showArchiveModal() {
+    const modal = document.getElementById('archive-modal');
+    if (!modal) return;
+    modal.style.display = 'flex';
+    requestAnimationFrame(() => modal.classList.add('show'));
+    await loadArchivedTrips();
+}
+
+function hideArchiveModal() {
+    const modal = document.getElementById('archive-modal');
+    if (!modal) return;
+    modal.classList.remove('show');
+    setTimeout(() => { modal.style.display = 'none'; }, 300); // Should match modal transition duration in CSS
+}
+
+/**
+ * Lists the archived trips in the archive modal, newest first.
+ */
+async function loadArchivedTrips() {
+    const list = document.getElementById('archive-list');
+    const detail = document.getElementById('archive-detail');
+    if (!list || !detail) return;
+    detail.innerHTML = '';
+    list.innerHTML = '<li class="no-items">Loading archived trips...</li>';
+    try {
+        const response = await apiFetch('/api/archive');
+        if (!response.ok) throw new Error(`Failed to fetch archived trips (${response.status})`);
+        const { archives } = await response.json();
+        if (archives.length === 0) {
+            list.innerHTML = '<li class="no-items">No completed or cancelled trips yet.</li>';
+            return;
+        }
+        list.innerHTML = archives.map(archive => `
+            <li class="archive-item" data-archive-id="${archive.id}" title="Show the history of this trip">
+                <div class="archive-item-main">
+                    <strong>${escapeHtml(archive.code)}</strong> ${tripStatusBadgeHtml(archive.status)}
+                    <div class="archive-item-route">${escapeHtml([archive.trip.origin, archive.trip.destination].filter(Boolean).join(' → ') || 'No route details')}</div>
+                </div>
+                <div class="archive-item-stats">
+                    <span title="Riders"><i class="fas fa-users"></i> ${archive.summary.riderCount}</span>
+                    <span title="Location fixes"><i class="fas fa-map-marker-alt"></i> ${archive.summary.fixCount}</span>
+                    <span title="Archived">${escapeHtml(new Date(archive.archivedAt).toLocaleString())}</span>
+                </div>
+            </li>`).join('');
+    } catch (error) {
+        console.error('Error loading archived trips:', error);
+        list.innerHTML = `<li class="no-items">${escapeHtml(error.message)}</li>`;
+    }
+}
+
+/**
+ * Shows the summary and event history of one archived trip below the list.
+ * @param {number|string} id - Archive id.
+ */
+async function showArchivedTrip(id) {
+    const detail = document.getElementById('archive-detail');
+    if (!detail) return;
+    detail.innerHTML = '<p class="no-items">Loading trip history...</p>';
+    try {
+        const response = await apiFetch(`/api/archive/${encodeURIComponent(id)}`);
+        const archive = await response.json();
+        if (!response.ok) throw new Error(archive.error || `Failed to fetch archived trip (${response.status})`);
+        const { summary } = archive;
+        const formatTime = value => (value ? new Date(value).toLocaleString() : '-');
+        const events = [...archive.events].reverse(); // Oldest first reads like a log of the trip
+        detail.innerHTML = `
+            <h4>${escapeHtml(archive.code)} ${tripStatusBadgeHtml(archive.status)}
+                <button class="btn btn-sm btn-secondary archive-replay-btn" data-archive-id="${archive.id}" data-code="${escapeHtml(archive.code)}" title="Replay this trip on the map">
+                    <i class="fas fa-play-circle"></i> Replay
+                </button>
+            </h4>
+            ${trackExportLinksHtml(`/api/archive/${encodeURIComponent(archive.id)}/export`)}
+            <dl class="archive-summary">
+                <dt>Riders</dt><dd>${summary.riderCount} (${summary.sessionCount} session(s))</dd>
+                <dt>Location fixes</dt><dd>${summary.fixCount}</dd>
+                <dt>First fix</dt><dd>${escapeHtml(formatTime(summary.firstFixAt))}</dd>
+                <dt>Last fix</dt><dd>${escapeHtml(formatTime(summary.lastFixAt))}</dd>
+                <dt>Archived</dt><dd>${escapeHtml(formatTime(archive.archivedAt))}</dd>
+            </dl>
+            <ul class="event-feed archive-events">
+                ${events.length === 0 ? '<li class="no-items">No events recorded.</li>' : events.map(event => {
+                    const info = EVENT_TYPE_INFO[event.type] || { icon: 'fa-info-circle', label: event.type };
+                    return `
+                        <li class="event-item">
+                            <i class="fas ${info.icon}" title="${escapeHtml(info.label)}"></i>
+                            <div class="event-body">
+                                <div class="event-text">${escapeHtml(describeEvent(event))}</div>
+                                <div class="event-time">${escapeHtml(new Date(event.timestamp).toLocaleString())}</div>
+                            </div>
+                        </li>`;
+                }).join('')}
+            </ul>
+        `;
+    } catch (error) {
+        console.error('Error loading archived trip:', error);
+        detail.innerHTML = `<p class="no-items">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// --- Trip Import ---
+
+const IMPORT_RESULT_ICONS = { created: 'fa-check-circle', skipped: 'fa-minus-circle', rejected: 'fa-times-circle' };
+
+function showImportModal() {
+    const modal = document.getElementById('import-modal');
+    if (!modal) return;
+    document.getElementById('import-form')?.reset();
+    document.getElementById('import-summary').innerHTML = '';
+    document.getElementById('import-results').innerHTML = '';
+    modal.style.display = 'flex';
+    requestAnimationFrame(() => modal.classList.add('show'));
+}
+
+function hideImportModal() {
+    const modal = document.getElementById('import-modal');
+    if (!modal) return;
+    modal.classList.remove('show');
+    setTimeout(() => { modal.style.display = 'none'; }, 300); // Should match modal transition duration in CSS
+}
+
+/**
+ * Uploads the chosen CSV or JSON file to the trip import and lists what happened to each row.
+ */
+async function importTrips() {
+    const file = document.getElementById('import-file')?.files[0];
+    const summary = document.getElementById('import-summary');
+    const results = document.getElementById('import-results');
+    const submitBtn = document.getElementById('import-submit-btn');
+    if (!file || !summary || !results) return;
+    const isJson = file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+    submitBtn.disabled = true;
+    summary.innerHTML = '';
+    results.innerHTML = '<li class="no-items">Importing trips...</li>';
+    try {
+        const response = await apiFetch('/api/trips/import', { method: 'POST', headers: { 'Content-Type': isJson ? 'application/json' : 'text/csv' }, body: await file.text() });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Failed to import trips (${response.status})`);
+
+        const { created, skipped, rejected } = result.summary;
+        summary.innerHTML = `
+            <span class="import-created"><strong>${created}</strong> created</span>
+            <span class="import-skipped"><strong>${skipped}</strong> skipped</span>
+            <span class="import-rejected"><strong>${rejected}</strong> rejected</span>
+            ${result.ignoredColumns.length > 0 ? `<span title="Unknown columns">Ignored: ${escapeHtml(result.ignoredColumns.join(', '))}</span>` : ''}
+        `;
+        results.innerHTML = result.results.map(entry => `
+            <li class="import-result import-${entry.result}">
+                <i class="fas ${IMPORT_RESULT_ICONS[entry.result]}" title="${escapeHtml(entry.result)}"></i>
+                <span class="import-row">Row ${entry.row}</span>
+                <strong>${escapeHtml(entry.tripCode || '-')}</strong>
+                <span>${escapeHtml(entry.error || 'Created')}</span>
+            </li>`).join('');
+        showNotification(rejected > 0 ? 'warning' : 'success', 'Trips Imported', `${created} created, ${skipped} skipped, ${rejected} rejected.`);
+        if (created > 0) await pollTrips(); // Show the new trips and their QR codes
+    } catch (error) {
+        console.error('Trip import error:', error);
+        results.innerHTML = `<li class="no-items">${escapeHtml(error.message)}</li>`;
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// --- Reports ---
+
+const REPORT_DEFAULT_DAYS = 7; // Same default range as the server
+
+// yyyy-mm-dd of a date in local time, as used by date inputs
+function toDateInputValue(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Opens the reports modal, defaulting the range to the last week, and shows the report.
+ */
+async function showReportsModal() {
+    const modal = document.getElementById('reports-modal');
+    if (!modal) return;
+    const fromInput = document.getElementById('report-from');
+    const toInput = document.getElementById('report-to');
+    if (!fromInput.value || !toInput.value) {
+        const today = new Date();
+        toInput.value = toDateInputValue(today);
+        fromInput.value = toDateInputValue(new Date(today.getFullYear(), today.getMonth(), today.getDate() - (REPORT_DEFAULT_DAYS - 1)));
+    }
+    updateReportLinks();
+    modal.style.display = 'flex';
+    requestAnimationFrame(() => modal.classList.add('show'));
+    await loadTripReport();
+}
+
+function hideReportsModal() {
+    const modal = document.getElementById('reports-modal');
+    if (!modal) return;
+    modal.classList.remove('show');
+    setTimeout(() => { modal.style.display = 'none'; }, 300); // Should match modal transition duration in CSS
+}
+
+/**
+ * Query string of the report selected in the reports form. The dates are whole local days,
+ * so 'to' runs until the end of its day.
+ * @param {string} format - json or csv.
+ * @returns {string|null} - Null if a date is missing.
+ */
+function reportQuery(format) {
+    const from = document.getElementById('report-from')?.value;
+    const to = document.getElementById('report-to')?.value;
+    if (!from || !to) return null;
+    const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+    const [toYear, toMonth, toDay] = to.split('-').map(Number);
+    const params = new URLSearchParams({
+        from: new Date(fromYear, fromMonth - 1, fromDay).toISOString(),
+        to: new Date(new Date(toYear, toMonth - 1, toDay + 1).getTime() - 1).toISOString(),
+        format
+    });
+    const tripCodes = document.getElementById('report-trips')?.value.trim();
+    if (tripCodes) params.set('tripCode', tripCodes.replace(/\s+/g, ''));
+    return params.toString();
+}
+
+// Points the download links at the report currently selected in the form
+function updateReportLinks() {
+    ['csv', 'json'].forEach(format => {
+        const link = document.getElementById(`report-${format}-link`);
+        if (!link) return;
+        const query = reportQuery(format);
+        link.href = query ? `/api/reports/trips?${query}` : '#';
+        link.classList.toggle('disabled', !query);
+    });
+}
+
+/**
+ * Fetches the report selected in the reports form and shows its totals and one row per trip.
+ */
+async function loadTripReport() {
+    const totals = document.getElementById('reports-totals');
+    const table = document.getElementById('reports-table');
+    if (!totals || !table) return;
+    const query = reportQuery('json');
+    if (!query) return;
+    totals.innerHTML = '';
+    table.innerHTML = '<tbody><tr><td class="no-items">Loading report...</td></tr></tbody>';
+    try {
+        const response = await apiFetch(`/api/reports/trips?${query}`);
+        const report = await response.json();
+        if (!response.ok) throw new Error(report.error || `Failed to fetch report (${response.status})`);
+        const formatTime = value => (value ? new Date(value).toLocaleString() : '-');
+        const formatShare = value => (value === null ? '-' : `${Math.round(value * 100)}%`);
+        totals.innerHTML = `
+            <span><strong>${report.totals.trips}</strong> trip(s)</span>
+            <span><strong>${report.totals.riders}</strong> rider(s)</span>
+            <span><strong>${report.totals.fixes}</strong> location fix(es)</span>
+            <span>Average accuracy <strong>${report.totals.averageAccuracyMeters === null ? '-' : `${report.totals.averageAccuracyMeters} m`}</strong></span>
+        `;
+        if (report.trips.length === 0) {
+            table.innerHTML = '<tbody><tr><td class="no-items">No trip activity in this period.</td></tr></tbody>';
+            return;
+        }
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Trip</th><th>Riders</th><th>Peak</th><th>First join</th><th>Last fix</th><th>Duration</th>
+                    <th title="Share of the trip's duration in each health status">Active / Stale / Inactive / No signal</th>
+                    <th>Fixes</th><th>Accuracy</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${report.trips.map(row => `
+                    <tr>
+                        <td>
+                            <strong>${escapeHtml(row.tripCode)}</strong> ${tripStatusBadgeHtml(row.status)}
+                            <div class="reports-route">${escapeHtml([row.origin, row.destination].filter(Boolean).join(' → '))}</div>
+                        </td>
+                        <td>${row.uniqueRiders}</td>
+                        <td title="${escapeHtml(row.peakAt ? `First reached ${formatTime(row.peakAt)}` : '')}">${row.peakConcurrentRiders}</td>
+                        <td>${escapeHtml(formatTime(row.firstJoinAt))}</td>
+                        <td>${escapeHtml(formatTime(row.lastFixAt))}</td>
+                        <td>${row.durationMinutes} min</td>
+                        <td>${[row.activeShare, row.staleShare, row.inactiveShare, row.noSignalShare].map(formatShare).join(' / ')}</td>
+                        <td>${row.fixCount}</td>
+                        <td>${row.averageAccuracyMeters === null ? '-' : `${row.averageAccuracyMeters} m`}</td>
+                    </tr>`).join('')}
+            </tbody>
+        `;
+    } catch (error) {
+        console.error('Error loading trip report:', error);
+        table.innerHTML = `<tbody><tr><td class="no-items">${escapeHtml(error.message)}</td></tr></tbody>`;
+    }
+}
+
+// --- Trip Replay ---
+
+const REPLAY_FRAME_MS = 200; // Time between animation frames while playing
+
+/**
+ * Loads a trip's history and replays it on the map: riders and the shuttle move along a
+ * timeline that can be played at different speeds or scrubbed. The shuttle track comes
+ * from the server, which re-runs clustering at every step of the history.
+ * @param {string} url - History endpoint (/api/trips/:code/history or /api/archive/:id/history).
+ * @param {string} title - Shown above the replay controls.
+ */
+async function startTripReplay(url, title) {
+    try {
+        const response = await apiFetch(url);
+        const history = await response.json();
+        if (!response.ok) throw new Error(history.error || `Failed to load trip history (${response.status})`);
+        if (!history.from || (history.riders.length === 0 && history.shuttle.length === 0)) {
+            showNotification('info', 'Trip Replay', `${title} has no location history to replay.`);
+            return;
+        }
+
+        stopTripReplay();
+        const layer = L.layerGroup().addTo(map);
+        // The whole shuttle track as a faint line, so the path ahead is visible while scrubbing
+        const trail = L.polyline(history.shuttle.map(point => [point.lat, point.lng]), { color: '#6B7280', weight: 3, opacity: 0.5, dashArray: '4 6' }).addTo(layer);
+        replay = {
+            title,
+            history,
+            start: new Date(history.from).getTime(),
+            end: new Date(history.to).getTime(),
+            time: new Date(history.from).getTime(),
+            speed: Number(document.getElementById('replay-speed')?.value || 30),
+            playing: false,
+            timer: null,
+            layer,
+            riderMarkers: {},
+            shuttleMarker: null
+        };
+        renderShuttlesOnMap(); // Clears the live shuttles
+
+        // Fit the map to everything the replay will show
+        const bounds = L.latLngBounds([]);
+        history.riders.forEach(rider => rider.points.forEach(point => bounds.extend([point.lat, point.lng])));
+        if (trail.getLatLngs().length > 0) bounds.extend(trail.getBounds());
+        if (bounds.isValid()) map.fitBounds(bounds, { padding: [50, 50], maxZoom: 16 });
+
+        const slider = document.getElementById('replay-slider');
+        if (slider) slider.max = String(Math.round((replay.end - replay.start) / 1000));
+        document.getElementById('replay-title').textContent = title;
+        document.getElementById('replay-controls').style.display = 'flex';
+        renderReplayFrame();
+    } catch (error) {
+        console.error('Error starting trip replay:', error);
+        showNotification('error', 'Trip Replay', error.message);
+    }
+}
+
+/**
+ * Leaves replay mode and brings back the live shuttles.
+ */
+function stopTripReplay() {
+    if (!replay) return;
+    clearInterval(replay.timer);
+    map.removeLayer(replay.layer);
+    replay = null;
+    document.getElementById('replay-controls').style.display = 'none';
+    renderShuttlesOnMap();
+}
+
+function toggleReplayPlayback() {
+    if (!replay) return;
+    if (replay.playing) {
+        pauseReplay();
+        return;
+    }
+    if (replay.time >= replay.end) replay.time = replay.start; // Play again from the start
+    replay.playing = true;
+    replay.timer = setInterval(() => {
+        replay.time = Math.min(replay.end, replay.time + REPLAY_FRAME_MS * replay.speed);
+        renderReplayFrame();
+        if (replay.time >= replay.end) pauseReplay();
+    }, REPLAY_FRAME_MS);
+    renderReplayFrame();
+}
+
+function pauseReplay() {
+    clearInterval(replay.timer);
+    replay.timer = null;
+    replay.playing = false;
+    renderReplayFrame();
+}
+
+/**
+ * Jumps to a point on the timeline.
+ * @param {number} offsetSeconds - Seconds since the start of the replay.
+ */
+function seekReplay(offsetSeconds) {
+    if (!replay) return;
+    replay.time = Math.min(replay.end, replay.start + offsetSeconds * 1000);
+    renderReplayFrame();
+}
+
+/**
+ * Where a track was at a point in time: between two points the position is interpolated,
+ * unless they are more than maxGapMs apart (the track had a gap there).
+ * @param {Array} points - Track points ({ timestamp, lat, lng }), oldest first.
+ * @param {number} time - Epoch ms.
+ * @param {number} maxGapMs - Longest time between two points that still counts as continuous.
+ * @returns {{lat: number, lng: number, point: Object}|null} - null before the first point.
+ */
+function replayPositionAt(points, time, maxGapMs) {
+    // Binary search for the latest point at or before 'time'
+    let low = 0;
+    let high = points.length - 1;
+    let index = -1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (new Date(points[middle].timestamp).getTime() <= time) {
+            index = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    if (index === -1) return null;
+    const point = points[index];
+    const next = points[index + 1];
+    const pointTime = new Date(point.timestamp).getTime();
+    if (!next || new Date(next.timestamp).getTime() - pointTime > maxGapMs) {
+        return { lat: point.lat, lng: point.lng, point };
+    }
+    const share = (time - pointTime) / (new Date(next.timestamp).getTime() - pointTime);
+    return { lat: point.lat + (next.lat - point.lat) * share, lng: point.lng + (next.lng - point.lng) * share, point };
+}
+
+/**
+ * Draws the riders and the shuttle as they were at the current replay time and updates the controls.
+ * Like the live map, a rider counts while on the trip and their latest fix is within the clustering window.
+ */
+function renderReplayFrame() {
+    if (!replay) return;
+    const { history, time } = replay;
+    const recentMs = history.recentMinutes * 60 * 1000;
+    const stepMs = history.stepSeconds * 1000;
+
+    // The shuttle only exists while the re-clustered track has a point for this step
+    const shuttle = replayPositionAt(history.shuttle, time, stepMs);
+    const shuttleVisible = shuttle && time - new Date(shuttle.point.timestamp).getTime() <= stepMs;
+    const inShuttle = new Set(shuttleVisible ? shuttle.point.riders || [] : []);
+
+    let ridersOnTrip = 0;
+    history.riders.forEach(rider => {
+        const position = replayPositionAt(rider.points, time, recentMs);
+        const onTrip = rider.sessions.some(session => new Date(session.joinedAt).getTime() <= time
+            && (!session.leftAt || time < new Date(session.leftAt).getTime()));
+        const visible = position && onTrip && time - new Date(position.point.timestamp).getTime() <= recentMs;
+        let marker = replay.riderMarkers[rider.riderId];
+        if (!visible) {
+            if (marker) replay.layer.removeLayer(marker);
+            delete replay.riderMarkers[rider.riderId];
+            return;
+        }
+        ridersOnTrip++;
+        const color = inShuttle.has(rider.riderId) ? '#10B981' : '#F97316';
+        if (!marker) {
+            marker = L.circleMarker([position.lat, position.lng], { radius: 6, weight: 2, fillOpacity: 0.8 }).bindTooltip(escapeHtml(rider.riderId));
+            replay.riderMarkers[rider.riderId] = marker.addTo(replay.layer);
+        }
+        marker.setLatLng([position.lat, position.lng]);
+        marker.setStyle({ color, fillColor: color });
+    });
+
+    if (shuttleVisible) {
+        const { point } = shuttle;
+        const strengthHue = Math.min(1, Math.max(0, point.strength || 0)) * 120; // 0=red, 120=green
+        const icon = L.divIcon({
+            className: 'shuttle-marker-container',
+            html: `<div class="shuttle-icon" style="color: hsl(${strengthHue}, 80%, 40%);"><i class="fas fa-car-side"></i><span class="shuttle-count">${point.riderCount}</span>${point.split ? '<span class="shuttle-split-badge" title="Riders are split over several groups"><i class="fas fa-exclamation"></i></span>' : ''}</div>`,
+            iconSize: [40, 40], iconAnchor: [20, 40], popupAnchor: [0, -40]
+        });
+        if (!replay.shuttleMarker) replay.shuttleMarker = L.marker([shuttle.lat, shuttle.lng], { icon }).addTo(replay.layer);
+        replay.shuttleMarker.setLatLng([shuttle.lat, shuttle.lng]);
+        replay.shuttleMarker.setIcon(icon);
+    } else if (replay.shuttleMarker) {
+        replay.layer.removeLayer(replay.shuttleMarker);
+        replay.shuttleMarker = null;
+    }
+
+    // Controls
+    const slider = document.getElementById('replay-slider');
+    if (slider) slider.value = String(Math.round((time - replay.start) / 1000));
+    const playIcon = document.querySelector('#replay-play-btn i');
+    if (playIcon) playIcon.className = `fas ${replay.playing ? 'fa-pause' : 'fa-play'}`;
+    document.getElementById('replay-time').textContent = new Date(time).toLocaleString();
+    document.getElementById('replay-stats').textContent = shuttleVisible
+        ? `${inShuttle.size} of ${ridersOnTrip} rider(s) in the shuttle`
+        : `${ridersOnTrip} rider(s), shuttle not located`;
+}
+
 // --- QR Code Handling ---
 
 /**
  * Generates and displays a QR code item in the panel.
  * Adds necessary class and data attributes for modal functionality.
- * @param {string} tripCode - The trip code.
+ * The QR code links to the mobile page with the trip's join token.
+ * @param {Object} trip - The trip object {code, joinToken, ...}.
  */
-function generateTripQR(tripCode) {
+function generateTripQR(trip) {
+    const tripCode = trip.code;
     const qrContainer = document.getElementById('qrs');
     if (!qrContainer) return;
     const placeholder = qrContainer.querySelector('p.no-items');
@@ -762,23 +2185,31 @@ function generateTripQR(tripCode) {
     const qrItem = document.createElement('div');
     qrItem.className = 'qr-item';
     qrItem.setAttribute('data-code', tripCode);
+    qrItem.setAttribute('data-token', trip.joinToken || '');
+    qrItem.setAttribute('data-status', trip.status || 'SCHEDULED');
 
     const baseUrl = window.location.origin;
-    const mobileUrl = `${baseUrl}/mobile.html?code=${tripCode}`;
-    // Use a smaller size for the panel display
-    const qrCodeApiUrl = `https://api.qrserver.com/v1/create-qr-code/?size=120x120&data=${encodeURIComponent(mobileUrl)}`;
+    const mobileUrl = `${baseUrl}/mobile.html?code=${encodeURIComponent(tripCode)}&token=${encodeURIComponent(trip.joinToken || '')}`;
+    // QR codes are generated by the server; twice the display size keeps them sharp on high-DPI screens
+    const qrUrl = `/api/trips/${encodeURIComponent(tripCode)}/qr`;
 
     qrItem.innerHTML = `
-        <p>${tripCode}</p>
-        <img class="qr-code-image" src="${qrCodeApiUrl}" alt="QR Code for ${tripCode}" title="Click to enlarge QR Code for ${tripCode}" data-mobile-url="${mobileUrl}" />
+        <p>${escapeHtml(tripCode)}</p>
+        <p class="qr-join-token" title="Join token for riders typing the code by hand">${escapeHtml(trip.joinToken || '')}</p>
+        <img class="qr-code-image" src="${qrUrl}?format=png&size=240" width="120" height="120" alt="QR Code for ${escapeHtml(tripCode)}" title="Click to enlarge QR Code for ${escapeHtml(tripCode)}" data-qr-url="${qrUrl}" data-mobile-url="${mobileUrl}" />
+        ${tripStatusSelectHtml(trip.status || 'SCHEDULED')}
         <div class="actions-bar">
             <button class="btn btn-sm btn-secondary trip-download" title="Download QR">
                 <i class="fas fa-download"></i>
             </button>
+            <a class="btn btn-sm btn-secondary" href="/api/trips/${encodeURIComponent(tripCode)}/boarding-sheet" target="_blank" rel="noopener" title="Printable boarding sheet">
+                <i class="fas fa-print"></i>
+            </a>
             <button class="btn btn-sm btn-danger trip-delete" title="Delete Trip">
                 <i class="fas fa-trash"></i>
             </button>
         </div>
+        ${trackExportLinksHtml(`/api/trips/${encodeURIComponent(tripCode)}/export`)}
     `;
     qrContainer.appendChild(qrItem);
 }
@@ -798,18 +2229,23 @@ function setupQRActionsListener() {
         const qrImage = event.target.closest('.qr-code-image'); // Check if image was clicked
         const qrItem = event.target.closest('.qr-item');
 
-        if (!qrItem) return; // Ignore clicks outside QR items
+        if (!qrItem || event.target.closest('.trip-status-select')) return; // Ignore clicks outside QR items and on the status select
         const tripCode = qrItem.dataset.code;
         const imgElement = qrItem.querySelector('img.qr-code-image'); // Find the image element
 
         if (downloadBtn && tripCode && imgElement) {
-            downloadQR(tripCode, imgElement.src);
+            downloadQR(tripCode, `${imgElement.dataset.qrUrl}?format=png&size=600`);
         } else if (deleteBtn && tripCode) {
             deleteTrip(tripCode, qrItem);
         } else if (qrImage && tripCode && imgElement) { // If the image itself was clicked
-             showQrModal(tripCode, imgElement.src, imgElement.dataset.mobileUrl);
+             showQrModal(tripCode, imgElement.dataset.qrUrl, imgElement.dataset.mobileUrl);
         }
     });
+    qrContainer.addEventListener('change', (event) => {
+        const statusSelect = event.target.closest('.trip-status-select');
+        const qrItem = event.target.closest('.qr-item');
+        if (statusSelect && qrItem) changeTripStatus(qrItem.dataset.code, statusSelect);
+    });
     qrActionListenerAdded = true;
     console.log("QR action listener added (including modal trigger).");
 }
@@ -825,10 +2261,14 @@ function updateQRCodes(trips) {
 
     const existingServerCodes = new Set(trips.map(trip => trip.code));
 
-    // Add QRs for trips from server that aren't displayed yet
+    // Add QRs for trips from server that aren't displayed yet (or whose join token or status changed)
     trips.forEach(trip => {
+        const existingItem = qrContainer.querySelector(`.qr-item[data-code="${trip.code}"]`);
+        if (existingItem && (existingItem.dataset.token !== (trip.joinToken || '') || existingItem.dataset.status !== (trip.status || 'SCHEDULED'))) {
+            existingItem.remove();
+        }
         if (!qrContainer.querySelector(`.qr-item[data-code="${trip.code}"]`)) {
-            generateTripQR(trip.code);
+            generateTripQR(trip);
         }
     });
 
@@ -851,6 +2291,24 @@ function updateQRCodes(trips) {
      }
 }
 
+/**
+ * Download links for a trip's tracks (shuttle path, rider tracks and route stops) in each export format.
+ * @param {string} exportUrl - /api/trips/:code/export or /api/archive/:id/export.
+ * @returns {string} - HTML of the links.
+ */
+function trackExportLinksHtml(exportUrl) {
+    const formats = [
+        { format: 'geojson', label: 'GeoJSON' },
+        { format: 'gpx', label: 'GPX' },
+        { format: 'kml', label: 'KML' }
+    ];
+    return `
+        <div class="track-export-links" title="Download the shuttle and rider tracks">
+            <i class="fas fa-file-export"></i>
+            ${formats.map(({ format, label }) => `<a class="btn btn-sm btn-secondary" href="${exportUrl}?format=${format}" download>${label}</a>`).join('')}
+        </div>`;
+}
+
 /**
  * Initiates the download of a QR code image using fetch.
  * @param {string} tripCode - The trip code for the filename.
@@ -876,10 +2334,10 @@ function downloadQR(tripCode, qrImageUrl) {
 /**
  * Populates and displays the QR code modal.
  * @param {string} tripCode - The trip code to display.
- * @param {string} qrImageUrl - The URL of the QR image (small version).
+ * @param {string} qrUrl - The trip's QR code endpoint (/api/trips/:code/qr).
  * @param {string} mobileUrl - The URL the QR code points to.
  */
-function showQrModal(tripCode, qrImageUrl, mobileUrl) {
+function showQrModal(tripCode, qrUrl, mobileUrl) {
     const modal = document.getElementById('qr-modal');
     const modalImage = document.getElementById('modal-qr-image');
     const modalTitle = document.getElementById('modal-trip-code');
@@ -887,8 +2345,8 @@ function showQrModal(tripCode, qrImageUrl, mobileUrl) {
 
     if (modal && modalImage && modalTitle && modalLink) {
         modalTitle.textContent = `Trip Code: ${tripCode}`;
-        // Request a larger QR code image for the modal display
-        modalImage.src = qrImageUrl.replace('size=120x120', 'size=300x300');
+        // SVG stays sharp at the enlarged size
+        modalImage.src = `${qrUrl}?format=svg&size=300`;
         modalImage.alt = `Enlarged QR Code for ${tripCode}`;
         modalLink.href = mobileUrl; // Set the link URL
 
@@ -942,12 +2400,12 @@ function showNotification(type, title, message) {
     else if (type === 'error') icon = 'exclamation-triangle';
     else if (type === 'warning') icon = 'exclamation-circle';
 
-    // Build notification HTML
+    // Build notification HTML (title and message are plain text, e.g. server errors quoting a trip code)
     notification.innerHTML = `
         <div class="notification-icon"><i class="fas fa-${icon}"></i></div>
         <div class="notification-content">
-            <div class="notification-title">${title}</div>
-            <div class="notification-message">${message}</div>
+            <div class="notification-title">${escapeHtml(title)}</div>
+            <div class="notification-message">${escapeHtml(message)}</div>
         </div>
         <button class="notification-close">&times;</button>
     `;
@@ -980,6 +2438,53 @@ function showNotification(type, title, message) {
     });
 }
 
+/**
+ * Formats a scheduled departure for the trip card: time only for today, date and time otherwise.
+ * @param {string} isoString - ISO date string.
+ * @returns {string} - The formatted departure.
+ */
+function formatDepartureTime(isoString) {
+    const date = new Date(isoString);
+    if (isNaN(date.getTime())) return 'Time Unknown';
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+}
+
+/**
+ * Formats a distance for display: meters below 1 km, kilometers with one decimal above.
+ * @param {number} meters - Distance in meters.
+ * @returns {string} - The formatted distance.
+ */
+function formatDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Converts an ISO date string into the local "YYYY-MM-DDTHH:MM" value a datetime-local input expects.
+ * @param {string} isoString - ISO date string.
+ * @returns {string} - The input value.
+ */
+function toDateTimeLocalValue(isoString) {
+    const date = new Date(isoString);
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Escapes text for safe insertion into innerHTML (trip metadata is free text entered by operators).
+ * @param {string} text - The raw text.
+ * @returns {string} - HTML-escaped text.
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Converts a date/timestamp into a relative time string (e.g., "5m ago").
  * @param {Date|string} date - The date to format.
@@ -0,0 +1,124 @@
+// scripts/benchmark-clustering.js
+// Compares calculateClusters with the grid spatial index against the original
+// scan over every pair of points, on generated riders spread over several trips.
+//
+// Usage: node scripts/benchmark-clustering.js [--riders 5000] [--trips 5] [--runs 3] [--radius 200] [--seed 1]
+//   --riders  Total riders, split evenly over the trips
+//   --trips   Number of trips
+//   --runs    Timed runs per implementation (the median is reported)
+//   --radius  Clustering radius in meters
+//   --seed    Seed for the generated positions (same seed = same data)
+const { calculateClusters } = require('../lib/clustering');
+
+// Parse "--name value" and "--flag" command line arguments
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        const name = arg.slice(2);
+        const next = argv[i + 1];
+        if (next && !next.startsWith('--')) {
+            args[name] = next;
+            i++;
+        } else {
+            args[name] = true;
+        }
+    }
+    return args;
+}
+
+// Small deterministic PRNG (mulberry32) so runs are comparable
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generates trips and the latest booking of each rider. Most riders of a trip sit
+ * around one of a few pickup points inside a city-sized area; the rest are scattered.
+ */
+function generateData({ riders, trips, seed, now }) {
+    const random = createRandom(seed);
+    const tripRecords = [];
+    const bookings = [];
+    const ridersPerTrip = Math.ceil(riders / trips);
+
+    for (let t = 0; t < trips; t++) {
+        const code = `BENCH${String(t + 1).padStart(3, '0')}`;
+        tripRecords.push({ code, createdAt: new Date(now).toISOString() });
+
+        const cityLat = 6.45 + random() * 0.3; // Around Lagos, like the sample data
+        const cityLng = 3.3 + random() * 0.3;
+        const pickups = Array.from({ length: 8 }, () => ({ lat: cityLat + (random() - 0.5) * 0.2, lng: cityLng + (random() - 0.5) * 0.2 }));
+
+        for (let r = 0; r < ridersPerTrip && bookings.length < riders; r++) {
+            const scattered = random() < 0.2;
+            const base = scattered ? { lat: cityLat, lng: cityLng } : pickups[Math.floor(random() * pickups.length)];
+            const spread = scattered ? 0.3 : 0.02; // Degrees (~33 km vs ~2 km)
+            bookings.push({
+                tripCode: code,
+                riderId: `Rider-${r + 1}-${code}`,
+                lat: base.lat + (random() - 0.5) * spread,
+                lng: base.lng + (random() - 0.5) * spread,
+                accuracy: 5 + Math.round(random() * 45),
+                timestamp: new Date(now - Math.floor(random() * 4 * 60 * 1000)).toISOString() // Within the last 4 minutes
+            });
+        }
+    }
+    return { trips: tripRecords, bookings };
+}
+
+// Run fn `runs` times and return the median duration in milliseconds
+function timeRuns(fn, runs) {
+    const durations = [];
+    let result;
+    for (let i = 0; i < runs; i++) {
+        const start = process.hrtime.bigint();
+        result = fn();
+        durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    durations.sort((a, b) => a - b);
+    return { median: durations[Math.floor(durations.length / 2)], result };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const riders = parseInt(args.riders || '5000', 10);
+    const trips = parseInt(args.trips || '5', 10);
+    const runs = parseInt(args.runs || '3', 10);
+    const radiusMeters = parseFloat(args.radius || '200');
+    const seed = parseInt(args.seed || '1', 10);
+    if (![riders, trips, runs, radiusMeters, seed].every(value => Number.isFinite(value) && value > 0)) {
+        console.error('All options must be positive numbers.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const now = Date.now();
+    const data = generateData({ riders, trips, seed, now });
+    const options = { now, defaults: { radiusMeters, minClusterSize: 2, recentMinutes: 5, splitMinShare: 0.25 }, quiet: true };
+    console.log(`Clustering ${data.bookings.length} riders over ${trips} trip(s), radius ${radiusMeters} m, ${runs} run(s) each`);
+
+    const scan = timeRuns(() => calculateClusters(data.bookings, data.trips, { ...options, spatialIndex: false }), runs);
+    const grid = timeRuns(() => calculateClusters(data.bookings, data.trips, { ...options, spatialIndex: true }), runs);
+
+    // Both implementations must produce exactly the same clusters
+    if (JSON.stringify(scan.result) !== JSON.stringify(grid.result)) {
+        console.error('Results differ between the pairwise scan and the grid index!');
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Pairwise scan (original): ${scan.median.toFixed(1)} ms`);
+    console.log(`Grid spatial index:       ${grid.median.toFixed(1)} ms`);
+    console.log(`Speedup:                  ${(scan.median / grid.median).toFixed(1)}x (identical results for ${Object.keys(grid.result).length} trip cluster(s))`);
+}
+
+main();
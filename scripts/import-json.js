@@ -0,0 +1,97 @@
+// scripts/import-json.js
+// One-time import of an existing data.json into the SQLite database.
+//
+// Usage: node scripts/import-json.js [--from data.json] [--to data.sqlite] [--force]
+//   --from   JSON data file to read (default: DATA_FILE or ./data.json)
+//   --to     SQLite database to write (default: SQLITE_FILE or ./data.sqlite)
+//   --force  Import even if the database already contains trips (existing rows are kept;
+//            trips with the same code are skipped, bookings for the same rider are overwritten)
+const path = require('path');
+const { createJsonStore } = require('../lib/storage/json-store');
+const { createSqliteStore } = require('../lib/storage/sqlite-store');
+
+// Parse "--name value" and "--flag" command line arguments
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        const name = arg.slice(2);
+        const next = argv[i + 1];
+        if (next && !next.startsWith('--')) {
+            args[name] = next;
+            i++;
+        } else {
+            args[name] = true;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const rootDir = path.join(__dirname, '..');
+    const fromFile = path.resolve(args.from || process.env.DATA_FILE || path.join(rootDir, 'data.json'));
+    const toFile = path.resolve(args.to || process.env.SQLITE_FILE || path.join(rootDir, 'data.sqlite'));
+
+    console.log(`Importing ${fromFile} into ${toFile}`);
+    const source = createJsonStore({ file: fromFile });
+    const target = createSqliteStore({ file: toFile });
+    await target.init(); // Creates the database and runs migrations
+
+    try {
+        const existingTrips = await target.listTrips();
+        if (existingTrips.length > 0 && !args.force) {
+            console.error(`The database already contains ${existingTrips.length} trip(s). Re-run with --force to import anyway.`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const [trips, bookings, routes] = await Promise.all([source.listTrips(), source.listBookings(), source.listRoutes()]);
+
+        // Routes first, trips refer to them by id
+        let importedRoutes = 0;
+        for (const route of routes) {
+            if (!route || !route.id || !route.name || !Array.isArray(route.stops)) continue; // Skip malformed entries
+            if (await target.insertRoute({ createdAt: new Date(), path: null, ...route })) importedRoutes++;
+        }
+
+        let importedTrips = 0;
+        for (const trip of trips) {
+            if (!trip || !trip.code) continue; // Skip malformed entries
+            const inserted = await target.insertTrip({ createdAt: new Date(), ...trip });
+            if (inserted) importedTrips++;
+            else console.warn(`Skipping trip ${trip.code}: already in the database.`);
+        }
+
+        // Only bookings with the fields the bookings table requires can be imported
+        const validBookings = bookings.filter(booking =>
+            booking && booking.tripCode && booking.riderId &&
+            typeof booking.lat === 'number' && typeof booking.lng === 'number' &&
+            !isNaN(new Date(booking.timestamp).getTime())
+        );
+        await target.insertBookings(validBookings);
+
+        // Trip events keep their order (new ids are assigned by the database)
+        const events = (await source.listEvents()).reverse();
+        await target.appendEvents(events.filter(event => event && event.type && event.timestamp).map(({ type, tripCode, timestamp, data }) => ({ type, tripCode, timestamp, data })));
+
+        // Operator accounts keep their password hashes, so existing logins keep working
+        const users = await source.listUsers();
+        let importedUsers = 0;
+        for (const user of users) {
+            if (!user || !user.username || !user.passwordHash || !user.role) continue; // Skip malformed entries
+            if (await target.insertUser({ createdAt: new Date(), ...user })) importedUsers++;
+        }
+
+        console.log(`Imported ${importedTrips} of ${trips.length} trip(s), ${importedRoutes} of ${routes.length} route(s), ${validBookings.length} of ${bookings.length} booking(s), ${events.length} event(s) and ${importedUsers} of ${users.length} user(s).`);
+        console.log('Start the server with STORAGE_BACKEND=sqlite to use the database.');
+    } finally {
+        await target.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Import failed:', error);
+    process.exit(1);
+});
@@ -1,84 +1,472 @@
 // server.js
 const express = require('express');
-const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const bodyParser = require('body-parser');
+const QRCode = require('qrcode');
+const { createStorage } = require('./lib/storage');
+const { createLiveUpdates } = require('./lib/live-updates');
+const { ROLES, createAuth, hashPassword, hasRole, generateJoinToken, joinTokenMatches } = require('./lib/auth');
+const {
+    CLUSTERING_FIELDS, resolveClusteringSettings, calculateClusters, calculateShuttleTrack,
+    filterBookingsByRiderSessions, nextClusterExpiry, createClusterCache
+} = require('./lib/clustering');
+const { createShuttleMotionTracker } = require('./lib/shuttle-motion');
+const { validateRoute, addNextStops } = require('./lib/routes');
+const { addArrivalEstimates } = require('./lib/eta');
+const { createGeofenceTracker } = require('./lib/geofence');
+const { EVENT_TYPES, createTripEvent, createTripStateWatcher } = require('./lib/trip-events');
+const { createGpsValidator } = require('./lib/gps-validation');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { EXPORT_FORMATS, exportTracks } = require('./lib/track-export');
+const { buildTripReport, summarizeReport, reportToCsv } = require('./lib/reports');
+const { parseTripImport } = require('./lib/trip-import');
+const { renderBoardingSheet } = require('./lib/boarding-sheet');
+const { TRIP_STATUSES, DEFAULT_TRIP_STATUS, isClosedTripStatus, checkTripStatusChange } = require('./lib/trip-lifecycle');
 
 // Initialize the Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Behind a reverse proxy (e.g. Glitch, Heroku, nginx) set TRUST_PROXY (e.g. 1 = one proxy hop) so req.ip is the client's address
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+app.set('trust proxy', TRUST_PROXY);
+
+// Parse TRUST_PROXY the way Express understands it: a hop count, true/false, or a list of trusted addresses
+function parseTrustProxy(value) {
+    if (typeof value !== 'string' || value.trim() === '' || value.trim() === 'false') return false;
+    if (value.trim() === 'true') return true;
+    return /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value.trim();
+}
+
+// Address riders open from the trip QR codes (e.g. http://192.168.1.10:3000 on a depot network).
+// Defaults to the address the dashboard was opened with.
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').trim().replace(/\/+$/, '');
+
+// Storage configuration: 'json' (single data.json file) or 'sqlite' (embedded database)
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').toLowerCase(); // Any case, e.g. 'SQLite', also picks the backend's history retention default
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data.json');
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, 'data.sqlite');
+const JSON_BACKUP_COUNT = parseInt(process.env.JSON_BACKUP_COUNT || '3', 10); // Rolling backups of data.json
+const JSON_BACKUP_INTERVAL_SECONDS = parseInt(process.env.JSON_BACKUP_INTERVAL_SECONDS || '60', 10); // Minimum age of the newest backup
+
+const storage = createStorage({
+    backend: STORAGE_BACKEND,
+    dataFile: DATA_FILE,
+    sqliteFile: SQLITE_FILE,
+    backupCount: JSON_BACKUP_COUNT,
+    backupIntervalMs: JSON_BACKUP_INTERVAL_SECONDS * 1000
+});
+
+// Operator authentication: dashboard users log in as 'viewer' (watch only) or 'dispatcher' (manage trips and data)
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS || '12'); // How long a dashboard login lasts
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME; // Dispatcher account created on start if it doesn't exist yet
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+let SESSION_SECRET = process.env.SESSION_SECRET; // Signs session cookies; set it so logins survive restarts
+if (!SESSION_SECRET) {
+    SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+    console.warn('SESSION_SECRET is not set. Using a random secret; dashboard logins will not survive a restart.');
+}
+
+const auth = createAuth({ storage, secret: SESSION_SECRET, sessionTtlMs: SESSION_TTL_HOURS * 60 * 60 * 1000 });
+const requireViewer = auth.requireRole('viewer'); // Any logged-in operator
+const requireDispatcher = auth.requireRole('dispatcher'); // Operators allowed to change data
 
-// Data file path
-const DATA_FILE = path.join(__dirname, 'data.json');
+// Trip imports (CSV or JSON) hold up to TRIP_IMPORT_MAX_ROWS trips, more than the default 100 kb body limit allows
+const TRIP_IMPORT_PATH = '/api/trips/import';
+const TRIP_IMPORT_BODY_LIMIT = '1mb';
 
 // Middleware
 app.use(express.static('public')); // Serve static files from 'public' directory
+// Trip imports may be larger than other requests; parsed first so the default limit below doesn't apply to them
+app.use(TRIP_IMPORT_PATH, bodyParser.json({ limit: TRIP_IMPORT_BODY_LIMIT }), bodyParser.text({ type: ['text/csv', 'text/plain'], limit: TRIP_IMPORT_BODY_LIMIT }));
 app.use(bodyParser.json()); // Parse JSON request bodies
 app.use(bodyParser.urlencoded({ extended: true })); // Parse URL-encoded request bodies
+app.use(auth.authenticate); // Sets req.user from the session cookie (if any)
+
+// --- Clustering Settings ---
+// Server-wide defaults come from the environment. Dispatchers can change the defaults at runtime
+// (stored under CLUSTERING_DEFAULTS_KEY in the settings store) and override them per trip (trip.clustering).
+// The fields and their ranges are defined in lib/clustering.js (CLUSTERING_FIELDS).
+const ENV_CLUSTERING_DEFAULTS = {
+    radiusMeters: parseFloat(process.env.CLUSTER_RADIUS_METERS || '1000'), // Large enough for the spread-out sample data
+    minClusterSize: parseInt(process.env.MINIMUM_CLUSTER_SIZE || '2', 10),
+    recentMinutes: parseFloat(process.env.RECENT_BOOKING_MINUTES || '5'),
+    splitMinShare: parseFloat(process.env.SPLIT_CLUSTER_MIN_SHARE || '0.25')
+};
+const CLUSTERING_DEFAULTS_KEY = 'clusteringDefaults';
+
+// --- Constants for Arrival Estimates ---
+const ETA_AVERAGE_SPEED_KMH = parseFloat(process.env.ETA_AVERAGE_SPEED_KMH || '25'); // Used while the shuttle's own speed is unknown or too low
+const ETA_MIN_OBSERVED_SPEED_KMH = parseFloat(process.env.ETA_MIN_OBSERVED_SPEED_KMH || '5'); // Slower observed speeds (standing, traffic) aren't extrapolated
+
+// --- Constants for GPS Validation ---
+// Fixes beyond these limits are rejected; the flag thresholds and other rules are in lib/gps-validation.js
+const GPS_MAX_SPEED_KMH = parseFloat(process.env.GPS_MAX_SPEED_KMH || '250'); // Implied speed since the rider's previous fix
+const GPS_MAX_ACCURACY_METERS = parseFloat(process.env.GPS_MAX_ACCURACY_METERS || '2000');
+const GPS_RULES = { maxSpeedKmh: GPS_MAX_SPEED_KMH, maxAccuracyMeters: GPS_MAX_ACCURACY_METERS };
+
+// --- Constants for Location Rate Limits ---
+// Token buckets per rider, per trip and per client IP: each refills at PER_MINUTE fixes a minute and holds up to BURST.
+// The rider page sends a fix every 15 seconds, so the defaults leave plenty of room for retries and many riders behind one IP.
+const RATE_LIMITS = {
+    rider: {
+        perMinute: parseFloat(process.env.RATE_LIMIT_RIDER_PER_MINUTE || '12'),
+        burst: parseFloat(process.env.RATE_LIMIT_RIDER_BURST || '6')
+    },
+    trip: {
+        perMinute: parseFloat(process.env.RATE_LIMIT_TRIP_PER_MINUTE || '600'),
+        burst: parseFloat(process.env.RATE_LIMIT_TRIP_BURST || '150')
+    },
+    ip: {
+        perMinute: parseFloat(process.env.RATE_LIMIT_IP_PER_MINUTE || '240'),
+        burst: parseFloat(process.env.RATE_LIMIT_IP_BURST || '60')
+    }
+};
+
+// --- Constants for Rider IDs ---
+// Rider IDs are typed in on the phone and shown on the dashboard: names and numbers, no markup
+const RIDER_ID_MAX_LENGTH = 64;
+const RIDER_ID_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} .'@_-]*$/u;
+
+// --- Constants for Trip Codes ---
+// Trip codes appear in URLs, QR codes and the dashboard: stored uppercase, no spaces or markup
+const TRIP_CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{0,39}$/; // Uppercase letters, digits, '-' and '_' (max 40)
+
+// --- Constants for Buffered Location Uploads ---
+// The rider page queues fixes while offline and uploads them with their capture time in batches
+const LOCATION_BATCH_MAX_FIXES = 240; // Fixes per batch (an hour of fixes at one every 15 seconds)
+const LOCATION_BATCH_FIXES_PER_TOKEN = 20; // A batch takes one rate limit token per this many fixes
+const LOCATION_BATCH_MIN_INTERVAL_SECONDS = 5; // Buffered fixes closer together than this are rejected
+const LOCATION_MAX_CLOCK_AHEAD_SECONDS = 120; // Capture times up to this far ahead of the server clock are taken as "now"
+
+// --- Constants for Location History ---
+// The JSON backend rewrites the whole file on every location post, so it only keeps a few hours of breadcrumbs by default
+const HISTORY_RETENTION_DEFAULT_HOURS = { json: 6, sqlite: 168 };
+const JSON_HISTORY_WARN_HOURS = 6; // Longer retention on the JSON backend gets a startup warning
+const HISTORY_RETENTION_HOURS = parseFloat(process.env.HISTORY_RETENTION_HOURS || String(HISTORY_RETENTION_DEFAULT_HOURS[STORAGE_BACKEND] || 168)); // Breadcrumbs older than this are pruned
+const HISTORY_PRUNE_INTERVAL_MINUTES = 10; // How often expired breadcrumbs are removed
+const HISTORY_DEFAULT_STEP_SECONDS = 30; // Default spacing of computed shuttle track points
+const HISTORY_MAX_TRACK_POINTS = 2880; // Upper bound on computed shuttle track points per request
+
+// --- Constants for Trip Health and Reports ---
+const HEALTH_ACTIVE_MINUTES = 2; // A trip is ACTIVE while its latest location is at most this old
+const HEALTH_STALE_MINUTES = 10; // ... STALE up to this age, and INACTIVE after that
+const REPORT_DEFAULT_DAYS = 7; // Range of a report without 'from'
+
+// --- Constants for Trip Events ---
+const EVENT_RETENTION_HOURS = parseFloat(process.env.EVENT_RETENTION_HOURS || '720'); // Events older than this are pruned (default 30 days)
+const EVENT_DEFAULT_LIMIT = 100;
+const EVENT_MAX_LIMIT = 1000;
+const EVENT_LIVE_COUNT = 50; // Newest events pushed to the dashboards' event feed
+const TRIP_STATE_CHECK_SECONDS = 15; // Stop arrivals, cluster and health changes are detected even while no dashboard is asking
+
+// --- Live Updates (Server-Sent Events) ---
+// Pushes bookings, clusters, trip health and the trip list to the dashboard as they change
+const LIVE_UPDATE_DEBOUNCE_MS = 250; // Bursts of writes within this window cost a single recompute
+const LIVE_UPDATE_REFRESH_SECONDS = 15; // Periodic recompute so time-based changes (e.g. ACTIVE -> STALE) are pushed too
+
+const liveUpdates = createLiveUpdates({
+    buildSnapshot: buildLiveSnapshot,
+    debounceMs: LIVE_UPDATE_DEBOUNCE_MS,
+    refreshIntervalMs: LIVE_UPDATE_REFRESH_SECONDS * 1000
+});
+
+// --- Cluster Cache ---
+// Cluster results are reused until the data changes or a booking ages out of its recency window
+const clusterCache = createClusterCache();
+// Smooths each trip's shuttle position over successive calculations (speed, heading, confidence radius)
+const shuttleMotion = createShuttleMotionTracker();
+// Turns shuttle positions into ARRIVED / DEPARTED events at route stops
+const geofence = createGeofenceTracker();
+// Turns cluster and health changes into CLUSTER_* and HEALTH_CHANGED events
+const tripStateWatcher = createTripStateWatcher();
+// Throttles location posts per rider, trip and IP before they cost a storage write
+const locationRateLimiter = createRateLimiter(RATE_LIMITS);
+// Flags or rejects implausible rider fixes (out of range, teleporting, frozen, inaccurate)
+const gpsValidator = createGpsValidator(GPS_RULES);
+
+// Call after every write: drops cached clusters and pushes the change to connected dashboards
+function notifyDataChanged() {
+    clusterCache.invalidate();
+    liveUpdates.notify();
+}
+
+// --- Trip Metadata Helpers ---
+
+// Editable trip fields and the type each one must have
+const TRIP_METADATA_FIELDS = {
+    origin: 'string',
+    destination: 'string',
+    scheduledDeparture: 'datetime',
+    driverName: 'string',
+    vehiclePlate: 'string',
+    vehicleModel: 'string',
+    capacity: 'integer'
+};
+
+/**
+ * Validates and normalizes trip metadata from a request body.
+ * Empty strings and nulls clear a field. Unknown fields are ignored.
+ * @param {Object} input - Raw request body.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - When true, only fields present in the input are returned (used for updates).
+ * @returns {{metadata: Object, errors: Array<string>}} - Normalized metadata and any validation errors.
+ */
+function validateTripMetadata(input, { partial = false } = {}) {
+    const metadata = {};
+    const errors = [];
+    const source = input && typeof input === 'object' ? input : {};
+
+    Object.entries(TRIP_METADATA_FIELDS).forEach(([field, type]) => {
+        const present = Object.prototype.hasOwnProperty.call(source, field);
+        if (!present) {
+            if (!partial) metadata[field] = null; // Full records always carry every field
+            return;
+        }
+
+        const value = source[field];
+        // Treat null/empty as "not set"
+        if (value === null || (typeof value === 'string' && value.trim() === '')) {
+            metadata[field] = null;
+            return;
+        }
+
+        switch (type) {
+            case 'string':
+                if (typeof value !== 'string') {
+                    errors.push(`${field} must be a string`);
+                } else if (value.trim().length > 120) {
+                    errors.push(`${field} must be at most 120 characters`);
+                } else {
+                    metadata[field] = value.trim();
+                }
+                break;
+            case 'datetime': {
+                const date = new Date(value);
+                if (typeof value !== 'string' || isNaN(date.getTime())) {
+                    errors.push(`${field} must be a valid date/time`);
+                } else {
+                    metadata[field] = date.toISOString(); // Always store as ISO 8601 UTC
+                }
+                break;
+            }
+            case 'integer': {
+                const number = typeof value === 'string' ? Number(value.trim()) : value;
+                if (!Number.isInteger(number) || number <= 0) {
+                    errors.push(`${field} must be a positive whole number`);
+                } else {
+                    metadata[field] = number;
+                }
+                break;
+            }
+        }
+    });
+
+    return { metadata, errors };
+}
+
+/**
+ * Validates clustering settings from a request body.
+ * Only the fields present are returned; null clears a field (falls back to the default).
+ * @param {Object} input - Raw request body.
+ * @returns {{settings: Object, errors: Array<string>}} - Normalized settings and any validation errors.
+ */
+function validateClusteringSettings(input) {
+    const settings = {};
+    const errors = [];
+    const source = input && typeof input === 'object' ? input : {};
+
+    Object.entries(CLUSTERING_FIELDS).forEach(([field, { type, min, max }]) => {
+        if (!Object.prototype.hasOwnProperty.call(source, field)) return;
+        const value = source[field];
+        if (value === null) {
+            settings[field] = null;
+            return;
+        }
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+            errors.push(`${field} must be a ${type === 'integer' ? 'whole number' : 'number'}`);
+        } else if (number < min || number > max) {
+            errors.push(`${field} must be between ${min} and ${max}`);
+        } else {
+            settings[field] = number;
+        }
+    });
+
+    return { settings, errors };
+}
+
+// Apply validated changes to stored overrides; null removes an override
+function mergeClusteringOverrides(current, changes) {
+    const merged = { ...(current || {}) };
+    Object.entries(changes).forEach(([field, value]) => {
+        if (value === null) delete merged[field];
+        else merged[field] = value;
+    });
+    return merged;
+}
+
+// Server-wide clustering defaults: environment values with any runtime changes applied
+async function getClusteringDefaults() {
+    const stored = (await storage.getSettings())[CLUSTERING_DEFAULTS_KEY];
+    return { ...ENV_CLUSTERING_DEFAULTS, ...(stored || {}) };
+}
+
+// Only dispatchers may see a trip's join token (it lets anyone post locations for the trip)
+function tripForUser(trip, user) {
+    if (user && hasRole(user.role, 'dispatcher')) return trip;
+    const { joinToken, ...visibleTrip } = trip;
+    return visibleTrip;
+}
+
+/**
+ * Checks the routeId given for a trip.
+ * @param {*} routeId - Value from the request body (undefined or null means "no route").
+ * @returns {Promise<{routeId: (string|null), error: (string|undefined)}>}
+ */
+async function validateRouteReference(routeId) {
+    if (routeId === undefined || routeId === null || routeId === '') return { routeId: null };
+    if (typeof routeId !== 'string') return { routeId: null, error: 'routeId must be a string or null' };
+    const id = routeId.trim().toUpperCase();
+    const route = await storage.getRoute(id);
+    if (!route) return { routeId: null, error: `Route '${id}' not found` };
+    return { routeId: id };
+}
+
+/**
+ * Validates a createTrip body (also used for each row of a trip import) and builds the trip record to store.
+ * @param {Object} input - tripCode plus optional metadata, clustering overrides and routeId.
+ * @returns {Promise<{trip: Object}|{error: string}>} - The new trip record, or why the input was rejected.
+ */
+async function prepareNewTrip(input) {
+    const { tripCode } = input;
+
+    // Validate input: tripCode must be a non-empty string
+    if (!tripCode || typeof tripCode !== 'string' || tripCode.trim() === '') {
+        return { error: 'Trip code must be provided and cannot be empty' };
+    }
+
+    // Standardize trip code: trim whitespace and convert to uppercase
+    const code = tripCode.trim().toUpperCase();
+    if (!TRIP_CODE_PATTERN.test(code)) {
+        return { error: "Trip code may only contain letters, digits, '-' and '_' (max 40 characters)" };
+    }
+
+    // Validate the optional trip metadata (origin, driver, vehicle, ...)
+    const { metadata, errors } = validateTripMetadata(input);
+    if (errors.length > 0) {
+        return { error: errors.join('; ') };
+    }
+
+    // Optional per-trip clustering overrides ({ radiusMeters, minClusterSize, recentMinutes })
+    let clustering = null;
+    if (input.clustering !== undefined && input.clustering !== null) {
+        const validation = validateClusteringSettings(input.clustering);
+        if (validation.errors.length > 0) {
+            return { error: validation.errors.join('; ') };
+        }
+        const overrides = mergeClusteringOverrides(null, validation.settings);
+        clustering = Object.keys(overrides).length > 0 ? overrides : null;
+    }
+
+    // Optional route the trip follows (must already exist)
+    const routeCheck = await validateRouteReference(input.routeId);
+    if (routeCheck.error) {
+        return { error: routeCheck.error };
+    }
 
-// --- Constants for Clustering ---
-// Increased radius to better capture potentially spread-out sample data
-const CLUSTER_RADIUS_METERS = 1000; // meters (Increased from 100)
-const MINIMUM_CLUSTER_SIZE = 2; // Minimum riders needed to form a potential cluster core
-const RECENT_BOOKING_MINUTES = 5; // Bookings must be within this many minutes to be considered for clustering
+    const createdAt = new Date();
+    return { trip: { code, createdAt, status: DEFAULT_TRIP_STATUS, statusChangedAt: createdAt, joinToken: generateJoinToken(), ...metadata, clustering, routeId: routeCheck.routeId } };
+}
 
-// --- Initialization ---
+// --- Authentication Endpoints ---
 
-// Initialize data.json if it doesn't exist
-async function initializeDataFile() {
+// Log in with username and password; sets the session cookie
+app.post('/api/auth/login', async (req, res) => {
+    console.log("API: /api/auth/login called for user:", req.body && req.body.username);
     try {
-        await fs.access(DATA_FILE);
-        console.log('Data file exists:', DATA_FILE);
+        const { username, password } = req.body;
+        const user = await auth.login(username, password);
+        if (!user) {
+            console.warn(`Failed login attempt for user: ${username}`);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        auth.startSession(req, res, user);
+        console.log(`User ${user.username} logged in as ${user.role}`);
+        res.json({ success: true, user: { username: user.username, role: user.role } });
     } catch (error) {
-        console.log('Creating new data file:', DATA_FILE);
-        const initialData = {
-            bookings: [], // Stores individual rider location updates
-            trips: [] // Stores defined trip codes
-        };
-        // Write the initial structure to the file
-        await fs.writeFile(DATA_FILE, JSON.stringify(initialData, null, 2));
+        console.error('Error during login:', error);
+        res.status(500).json({ error: 'Failed to log in' }); // Send internal server error
     }
-}
+});
+
+// Log out (clears the session cookie)
+app.post('/api/auth/logout', (req, res) => {
+    console.log("API: /api/auth/logout called");
+    auth.endSession(req, res);
+    res.json({ success: true });
+});
 
-// --- Data Handling Helpers ---
+// Return the logged-in operator (used by the dashboard to decide what to show)
+app.get('/api/auth/me', requireViewer, (req, res) => {
+    res.json({ user: req.user });
+});
 
-// Helper function to read data from data.json
-async function readData() {
+// List operator accounts
+app.get('/api/users', requireDispatcher, async (req, res) => {
+    console.log("API: /api/users called");
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        return JSON.parse(data); // Parse the JSON content
+        const users = await storage.listUsers();
+        res.json(users.map(user => ({ username: user.username, role: user.role, createdAt: user.createdAt })));
     } catch (error) {
-        // If file is empty or contains invalid JSON, return a default structure
-        if (error instanceof SyntaxError || error.code === 'ENOENT') {
-            console.warn('Data file missing, empty, or contains invalid JSON. Returning default structure.');
-            return { bookings: [], trips: [] };
-        }
-        console.error('Error reading data file:', error);
-        throw new Error('Could not read data file'); // Rethrow other errors
+        console.error('Error listing users:', error);
+        res.status(500).json({ error: 'Failed to list users' }); // Send internal server error
     }
-}
+});
 
-// Helper function to write data to data.json
-async function writeData(data) {
+// Create an operator account
+app.post('/api/users', requireDispatcher, async (req, res) => {
+    console.log("API: POST /api/users called for user:", req.body && req.body.username);
     try {
-        // Write the data object back to the file as formatted JSON
-        await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
-        return true;
+        const { username, password, role } = req.body;
+        if (!username || typeof username !== 'string' || username.trim() === '') {
+            return res.status(400).json({ error: 'Username must be provided' });
+        }
+        if (!password || typeof password !== 'string' || password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters long' });
+        }
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        const user = await storage.insertUser({ username: username.trim(), role, passwordHash: await hashPassword(password), createdAt: new Date() });
+        if (!user) {
+            return res.status(400).json({ error: `User '${username.trim()}' already exists` });
+        }
+
+        console.log(`User ${user.username} created with role ${user.role} by ${req.user.username}`);
+        res.status(201).json({ success: true, user: { username: user.username, role: user.role, createdAt: user.createdAt } });
     } catch (error) {
-        console.error('Error writing data file:', error);
-        throw new Error('Could not write to data file'); // Rethrow the error
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' }); // Send internal server error
     }
-}
+});
+
+// Location rate limit settings and rejection counts since the server started
+app.get('/api/admin/rate-limits', requireDispatcher, (req, res) => {
+    console.log("API: /api/admin/rate-limits called");
+    res.json(locationRateLimiter.stats());
+});
 
 // --- API Endpoints ---
 
 // Check if any trips are defined in the data file
-app.get('/api/checkDataAvailability', async (req, res) => {
+app.get('/api/checkDataAvailability', requireViewer, async (req, res) => {
     console.log("API: /api/checkDataAvailability called");
     try {
-        const data = await readData();
-        // Check if the trips array exists and has at least one entry
-        const hasTrips = data && Array.isArray(data.trips) && data.trips.length > 0;
+        const trips = await storage.listTrips();
+        // Check if at least one trip is defined
+        const hasTrips = trips.length > 0;
         console.log("API: /api/checkDataAvailability result:", hasTrips);
         res.json(hasTrips); // Send boolean result
     } catch (error) {
@@ -88,12 +476,12 @@ app.get('/api/checkDataAvailability', async (req, res) => {
 });
 
 // Fetch all raw booking data (used for the side panel list)
-app.get('/api/fetchData', async (req, res) => {
+app.get('/api/fetchData', requireViewer, async (req, res) => {
     console.log("API: /api/fetchData called");
     try {
-        const data = await readData();
-        // Return the bookings array, or an empty array if it doesn't exist
-        res.json(data.bookings || []);
+        // Return the latest bookings of riders who are currently on a trip
+        const [bookings, sessions] = await Promise.all([storage.listBookings(), storage.listRiderSessions({ open: true })]);
+        res.json(filterBookingsByRiderSessions(bookings, sessions));
     } catch (error) {
         console.error("Error in fetchData:", error);
         res.status(500).json({ error: error.message }); // Send internal server error
@@ -101,12 +489,12 @@ app.get('/api/fetchData', async (req, res) => {
 });
 
 // Fetch the list of defined trip codes (used for QR code management)
-app.get('/api/getTrips', async (req, res) => {
+app.get('/api/getTrips', requireViewer, async (req, res) => {
     console.log("API: /api/getTrips called");
     try {
-        const data = await readData();
-        // Return the trips array, or an empty array if it doesn't exist
-        res.json(data.trips || []);
+        // Return all defined trips (join tokens only for dispatchers)
+        const trips = await storage.listTrips();
+        res.json(trips.map(trip => tripForUser(trip, req.user)));
     } catch (error) {
         console.error('Error fetching trips:', error);
         res.status(500).json({ error: error.message }); // Send internal server error
@@ -115,37 +503,28 @@ app.get('/api/getTrips', async (req, res) => {
 
 
 // Register (create) a new trip definition
-app.post('/api/createTrip', async (req, res) => {
+app.post('/api/createTrip', requireDispatcher, async (req, res) => {
     console.log("API: /api/createTrip called with body:", req.body);
     try {
-        const { tripCode } = req.body;
-
-        // Validate input: tripCode must be a non-empty string
-        if (!tripCode || typeof tripCode !== 'string' || tripCode.trim() === '') {
-            console.warn('Create trip attempt with invalid code:', tripCode);
-            return res.status(400).json({ error: 'Trip code must be provided and cannot be empty' });
+        const prepared = await prepareNewTrip(req.body);
+        if (prepared.error) {
+            console.warn(`Create trip rejected: ${prepared.error}`);
+            return res.status(400).json({ error: prepared.error });
         }
+        const { code } = prepared.trip;
 
-        // Standardize trip code: trim whitespace and convert to uppercase
-        const code = tripCode.trim().toUpperCase();
-
-        const data = await readData();
-
-        // Check if a trip with this code already exists
-        const codeExists = data.trips.some(trip => trip.code === code);
-        if (codeExists) {
+        // Store the new trip; storage refuses (returns null) if the code already exists
+        const trip = await storage.insertTrip(prepared.trip);
+        if (!trip) {
             console.warn(`Attempt to create existing trip code: ${code}`);
             return res.status(400).json({ error: `Trip code '${code}' already exists` });
         }
 
-        // Add the new trip object to the trips array
-        data.trips.push({ code, createdAt: new Date() });
-
-        // Write the updated data back to the file
-        await writeData(data);
         console.log(`Trip created successfully: ${code}`);
+        notifyDataChanged();
+        await recordEvent('TRIP_CREATED', code, { by: req.user.username });
         // Respond with 201 Created status and success message
-        res.status(201).json({ success: true, tripCode: code });
+        res.status(201).json({ success: true, tripCode: code, trip });
 
     } catch (error) {
         console.error('Error creating trip:', error);
@@ -153,13 +532,392 @@ app.post('/api/createTrip', async (req, res) => {
     }
 });
 
+// Create many trips at once from a CSV file (text/csv) or a JSON array of createTrip bodies.
+// Every row is checked like /api/createTrip; the response reports each row as created, skipped (duplicate) or rejected.
+app.post(TRIP_IMPORT_PATH, requireDispatcher, async (req, res) => {
+    console.log("API: /api/trips/import called");
+    try {
+        const parsed = parseTripImport(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const results = [];
+        const seenCodes = new Map(); // Code -> row that first used it
+        const createdEvents = [];
+        for (const { row, input } of parsed.rows) {
+            const prepared = input ? await prepareNewTrip(input) : { error: 'Row must be an object' };
+            if (prepared.error) {
+                results.push({ row, tripCode: input && typeof input.tripCode === 'string' ? input.tripCode.trim().toUpperCase() : null, result: 'rejected', error: prepared.error });
+                continue;
+            }
+            const { code } = prepared.trip;
+            if (seenCodes.has(code)) {
+                results.push({ row, tripCode: code, result: 'skipped', error: `Duplicate of row ${seenCodes.get(code)}` });
+                continue;
+            }
+            seenCodes.set(code, row);
+            const trip = await storage.insertTrip(prepared.trip);
+            if (!trip) {
+                results.push({ row, tripCode: code, result: 'skipped', error: `Trip code '${code}' already exists` });
+                continue;
+            }
+            results.push({ row, tripCode: code, result: 'created' });
+            createdEvents.push(createTripEvent('TRIP_CREATED', code, { by: req.user.username, imported: true }));
+        }
+
+        const summary = { total: results.length, created: 0, skipped: 0, rejected: 0 };
+        results.forEach(entry => { summary[entry.result] += 1; });
+        console.log(`Trip import by ${req.user.username}: ${summary.created} created, ${summary.skipped} skipped, ${summary.rejected} rejected`);
+        if (createdEvents.length > 0) {
+            notifyDataChanged();
+            try {
+                await recordEvents(createdEvents);
+            } catch (error) {
+                console.error('Error recording TRIP_CREATED events:', error);
+            }
+        }
+        res.json({ success: true, summary, results, ignoredColumns: parsed.ignoredColumns });
+
+    } catch (error) {
+        console.error('Error importing trips:', error);
+        res.status(500).json({ error: 'Failed to import trips' }); // Send internal server error
+    }
+});
+
+// Update the metadata of an existing trip (only the fields present in the body are changed)
+app.patch('/api/trips/:code', requireDispatcher, async (req, res) => {
+    console.log(`API: PATCH /api/trips/${req.params.code} called with body:`, req.body);
+    try {
+        const code = req.params.code.trim().toUpperCase(); // Standardize trip code
+
+        const { metadata, errors } = validateTripMetadata(req.body, { partial: true });
+        if (errors.length > 0) {
+            console.warn(`Update of trip ${code} rejected due to invalid metadata:`, errors);
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+        // routeId attaches the trip to a route (null detaches it)
+        if (req.body && req.body.routeId !== undefined) {
+            const routeCheck = await validateRouteReference(req.body.routeId);
+            if (routeCheck.error) {
+                return res.status(400).json({ error: routeCheck.error });
+            }
+            metadata.routeId = routeCheck.routeId;
+        }
+        if (Object.keys(metadata).length === 0) {
+            return res.status(400).json({ error: `No editable fields provided. Allowed fields: ${[...Object.keys(TRIP_METADATA_FIELDS), 'routeId'].join(', ')}` });
+        }
+
+        // Merge the changed fields into the stored trip
+        const trip = await storage.updateTrip(code, { ...metadata, updatedAt: new Date() });
+        if (!trip) {
+            return res.status(404).json({ error: `Trip code '${code}' not found` });
+        }
+
+        console.log(`Trip ${code} updated:`, Object.keys(metadata).join(', '));
+        notifyDataChanged();
+        res.json({ success: true, trip });
+
+    } catch (error) {
+        console.error('Error updating trip:', error);
+        res.status(500).json({ error: 'Failed to update trip' }); // Send internal server error
+    }
+});
+
+// Issue a new join token for a trip (riders using the old token or QR code are rejected from now on)
+app.post('/api/trips/:code/join-token', requireDispatcher, async (req, res) => {
+    console.log(`API: /api/trips/${req.params.code}/join-token called`);
+    try {
+        const code = req.params.code.trim().toUpperCase(); // Standardize trip code
+        const trip = await storage.updateTrip(code, { joinToken: generateJoinToken(), updatedAt: new Date() });
+        if (!trip) {
+            return res.status(404).json({ error: `Trip code '${code}' not found` });
+        }
+        console.log(`Join token of trip ${code} rotated by ${req.user.username}`);
+        notifyDataChanged();
+        res.json({ success: true, tripCode: code, joinToken: trip.joinToken });
+    } catch (error) {
+        console.error('Error rotating join token:', error);
+        res.status(500).json({ error: 'Failed to issue a new join token' }); // Send internal server error
+    }
+});
+
+// Move a trip to another lifecycle status; COMPLETED and CANCELLED move it to the archive
+app.post('/api/trips/:code/status', requireDispatcher, async (req, res) => {
+    console.log(`API: /api/trips/${req.params.code}/status called with body:`, req.body);
+    try {
+        const code = req.params.code.trim().toUpperCase(); // Standardize trip code
+        const status = req.body && typeof req.body.status === 'string' ? req.body.status.trim().toUpperCase() : '';
+        if (!TRIP_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${TRIP_STATUSES.join(', ')}` });
+        }
+
+        const current = await storage.getTrip(code);
+        if (!current) {
+            const archived = await storage.listArchivedTrips({ tripCode: code });
+            if (archived.length > 0) {
+                return res.status(409).json({ error: `Trip '${code}' is already ${archived[0].status} and archived` });
+            }
+            return res.status(404).json({ error: `Trip code '${code}' not found` });
+        }
+        const from = current.status || DEFAULT_TRIP_STATUS;
+        const refusal = checkTripStatusChange(from, status);
+        if (refusal) {
+            console.warn(`Status change of trip ${code} to ${status} rejected: ${refusal}`);
+            return res.status(409).json({ error: refusal });
+        }
+
+        const changedAt = new Date();
+        let trip;
+        let archive = null;
+        if (isClosedTripStatus(status)) {
+            // The trip leaves the live tables together with its history
+            archive = await storage.archiveTrip(code, { status, archivedAt: changedAt });
+            if (!archive) {
+                return res.status(404).json({ error: `Trip code '${code}' not found` });
+            }
+            trip = archive.trip;
+            shuttleMotion.forget(code);
+            geofence.forget(code);
+            tripStateWatcher.forget(code);
+            gpsValidator.forget(code);
+            console.log(`Trip ${code} ${status.toLowerCase()} by ${req.user.username} and archived as #${archive.id}`);
+        } else {
+            trip = await storage.updateTrip(code, { status, statusChangedAt: changedAt });
+            if (!trip) {
+                return res.status(404).json({ error: `Trip code '${code}' not found` });
+            }
+            console.log(`Trip ${code} moved from ${from} to ${status} by ${req.user.username}`);
+        }
+
+        notifyDataChanged();
+        await recordEvent('TRIP_STATUS_CHANGED', code, { from, to: status, by: req.user.username, ...(archive ? { archiveId: archive.id } : {}) });
+        res.json({ success: true, trip, archive });
+
+    } catch (error) {
+        console.error('Error changing trip status:', error);
+        res.status(500).json({ error: 'Failed to change trip status' }); // Send internal server error
+    }
+});
+
+// --- Archive Endpoints ---
+
+// Completed and cancelled trips with their summaries, newest first (?tripCode= narrows to one code)
+app.get('/api/archive', requireViewer, async (req, res) => {
+    console.log("API: /api/archive called with query:", req.query);
+    try {
+        const tripCode = typeof req.query.tripCode === 'string' && req.query.tripCode.trim() !== '' ? req.query.tripCode.trim().toUpperCase() : undefined;
+        const archives = await storage.listArchivedTrips({ tripCode });
+        res.json({ archives: archives.map(archive => ({ ...archive, trip: tripForUser(archive.trip, req.user) })), count: archives.length });
+    } catch (error) {
+        console.error('Error listing archived trips:', error);
+        res.status(500).json({ error: 'Failed to list archived trips' }); // Send internal server error
+    }
+});
+
+// One archived trip with its full history: bookings, location history, rider sessions and events
+app.get('/api/archive/:id', requireViewer, async (req, res) => {
+    console.log(`API: /api/archive/${req.params.id} called`);
+    try {
+        const id = parseEventIdParam(req.params.id);
+        if (!(id > 0)) {
+            return res.status(400).json({ error: 'Archive id must be a positive integer' });
+        }
+        const archive = await storage.getArchivedTrip(id);
+        if (!archive) {
+            return res.status(404).json({ error: `Archived trip #${id} not found` });
+        }
+        res.json({ ...archive, trip: tripForUser(archive.trip, req.user) });
+    } catch (error) {
+        console.error('Error fetching archived trip:', error);
+        res.status(500).json({ error: 'Failed to fetch archived trip' }); // Send internal server error
+    }
+});
+
+// --- Clustering Settings Endpoints ---
+
+// Current clustering settings: environment defaults, runtime defaults and each trip's overrides
+app.get('/api/clustering', requireViewer, async (req, res) => {
+    console.log("API: /api/clustering called");
+    try {
+        const [defaults, trips] = await Promise.all([getClusteringDefaults(), storage.listTrips()]);
+        const tripSettings = {};
+        trips.forEach(trip => {
+            tripSettings[trip.code] = { overrides: trip.clustering || {}, settings: resolveClusteringSettings(defaults, trip) };
+        });
+        res.json({ environment: ENV_CLUSTERING_DEFAULTS, defaults, trips: tripSettings });
+    } catch (error) {
+        console.error("Error in clustering settings API:", error);
+        res.status(500).json({ error: 'Failed to load clustering settings' }); // Send internal server error
+    }
+});
+
+// Change the server-wide clustering defaults without a restart (null resets a field to its environment value)
+app.patch('/api/clustering/defaults', requireDispatcher, async (req, res) => {
+    console.log("API: PATCH /api/clustering/defaults called with body:", req.body);
+    try {
+        const { settings, errors } = validateClusteringSettings(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+        if (Object.keys(settings).length === 0) {
+            return res.status(400).json({ error: `No clustering settings provided. Allowed fields: ${Object.keys(CLUSTERING_FIELDS).join(', ')}` });
+        }
+
+        const stored = (await storage.getSettings())[CLUSTERING_DEFAULTS_KEY];
+        const merged = mergeClusteringOverrides(stored, settings);
+        await storage.updateSettings({ [CLUSTERING_DEFAULTS_KEY]: Object.keys(merged).length > 0 ? merged : null });
+
+        const defaults = await getClusteringDefaults();
+        console.log(`Clustering defaults changed by ${req.user.username}:`, defaults);
+        notifyDataChanged();
+        res.json({ success: true, defaults });
+    } catch (error) {
+        console.error('Error updating clustering defaults:', error);
+        res.status(500).json({ error: 'Failed to update clustering defaults' }); // Send internal server error
+    }
+});
+
+// Override clustering settings for one trip (null removes an override so the default applies again)
+app.patch('/api/trips/:code/clustering', requireDispatcher, async (req, res) => {
+    console.log(`API: PATCH /api/trips/${req.params.code}/clustering called with body:`, req.body);
+    try {
+        const code = req.params.code.trim().toUpperCase(); // Standardize trip code
+        const { settings, errors } = validateClusteringSettings(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+        if (Object.keys(settings).length === 0) {
+            return res.status(400).json({ error: `No clustering settings provided. Allowed fields: ${Object.keys(CLUSTERING_FIELDS).join(', ')}` });
+        }
+
+        const existing = await storage.getTrip(code);
+        if (!existing) {
+            return res.status(404).json({ error: `Trip code '${code}' not found` });
+        }
+        const overrides = mergeClusteringOverrides(existing.clustering, settings);
+        const trip = await storage.updateTrip(code, { clustering: Object.keys(overrides).length > 0 ? overrides : null, updatedAt: new Date() });
+
+        const resolved = resolveClusteringSettings(await getClusteringDefaults(), trip);
+        console.log(`Clustering settings of trip ${code} changed by ${req.user.username}:`, resolved);
+        notifyDataChanged();
+        res.json({ success: true, tripCode: code, overrides: trip.clustering || {}, settings: resolved });
+    } catch (error) {
+        console.error('Error updating trip clustering settings:', error);
+        res.status(500).json({ error: 'Failed to update clustering settings' }); // Send internal server error
+    }
+});
+
+// --- Route Endpoints ---
+
+// List all routes with their stops
+app.get('/api/routes', requireViewer, async (req, res) => {
+    console.log("API: /api/routes called");
+    try {
+        res.json(await storage.listRoutes());
+    } catch (error) {
+        console.error('Error fetching routes:', error);
+        res.status(500).json({ error: 'Failed to load routes' }); // Send internal server error
+    }
+});
+
+// Fetch one route
+app.get('/api/routes/:id', requireViewer, async (req, res) => {
+    console.log(`API: /api/routes/${req.params.id} called`);
+    try {
+        const id = req.params.id.trim().toUpperCase();
+        const route = await storage.getRoute(id);
+        if (!route) {
+            return res.status(404).json({ error: `Route '${id}' not found` });
+        }
+        res.json(route);
+    } catch (error) {
+        console.error('Error fetching route:', error);
+        res.status(500).json({ error: 'Failed to load route' }); // Send internal server error
+    }
+});
+
+// Define a new route: { id?, name, stops: [{ id?, name, lat, lng, radiusMeters? }], path? }
+app.post('/api/routes', requireDispatcher, async (req, res) => {
+    console.log("API: POST /api/routes called with body:", req.body);
+    try {
+        const { route, errors } = validateRoute(req.body);
+        if (errors.length > 0) {
+            console.warn('Create route rejected:', errors);
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+
+        const created = await storage.insertRoute({ id: route.id, ...route, createdAt: new Date() });
+        if (!created) {
+            return res.status(400).json({ error: `Route '${route.id}' already exists` });
+        }
+
+        console.log(`Route ${created.id} created with ${created.stops.length} stop(s) by ${req.user.username}`);
+        notifyDataChanged();
+        res.status(201).json({ success: true, route: created });
+    } catch (error) {
+        console.error('Error creating route:', error);
+        res.status(500).json({ error: 'Failed to create route' }); // Send internal server error
+    }
+});
+
+// Change a route's name, stops or path (only the fields present in the body are changed)
+app.patch('/api/routes/:id', requireDispatcher, async (req, res) => {
+    console.log(`API: PATCH /api/routes/${req.params.id} called with body:`, req.body);
+    try {
+        const id = req.params.id.trim().toUpperCase();
+        const { route: changes, errors } = validateRoute(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No editable fields provided. Allowed fields: name, stops, path' });
+        }
+
+        const route = await storage.updateRoute(id, { ...changes, updatedAt: new Date() });
+        if (!route) {
+            return res.status(404).json({ error: `Route '${id}' not found` });
+        }
+
+        console.log(`Route ${id} updated:`, Object.keys(changes).join(', '));
+        notifyDataChanged();
+        res.json({ success: true, route });
+    } catch (error) {
+        console.error('Error updating route:', error);
+        res.status(500).json({ error: 'Failed to update route' }); // Send internal server error
+    }
+});
+
+// Delete a route (refused while trips still follow it)
+app.delete('/api/routes/:id', requireDispatcher, async (req, res) => {
+    console.log(`API: DELETE /api/routes/${req.params.id} called`);
+    try {
+        const id = req.params.id.trim().toUpperCase();
+        const usedBy = (await storage.listTrips()).filter(trip => trip.routeId === id).map(trip => trip.code);
+        if (usedBy.length > 0) {
+            return res.status(409).json({ error: `Route '${id}' is used by trip(s) ${usedBy.join(', ')}; detach them first` });
+        }
+
+        const deleted = await storage.deleteRoute(id);
+        if (!deleted) {
+            return res.status(404).json({ error: `Route '${id}' not found` });
+        }
+
+        console.log(`Route ${id} deleted by ${req.user.username}`);
+        notifyDataChanged();
+        res.json({ success: true, message: `Route '${id}' deleted` });
+    } catch (error) {
+        console.error('Error deleting route:', error);
+        res.status(500).json({ error: 'Failed to delete route' }); // Send internal server error
+    }
+});
+
 // Calculate and return cluster information for active trips
-app.get('/api/getClusters', async (req, res) => {
+app.get('/api/getClusters', requireViewer, async (req, res) => {
     console.log("API: /api/getClusters called");
     try {
-        const data = await readData();
-        // Calculate clusters based on current bookings and defined trips
-        const calculatedClusters = calculateClusters(data.bookings, data.trips);
+        // Clusters based on current bookings of riders still on their trip
+        const calculatedClusters = await getCurrentClusters();
         console.log("API: /api/getClusters returning calculated clusters:", JSON.stringify(calculatedClusters, null, 2));
         res.json(calculatedClusters); // Send the cluster results
     } catch (error) {
@@ -169,12 +927,12 @@ app.get('/api/getClusters', async (req, res) => {
 });
 
 // Calculate and return health status for each defined trip
-app.get('/api/getTripHealth', async (req, res) => {
+app.get('/api/getTripHealth', requireViewer, async (req, res) => {
     console.log("API: /api/getTripHealth called");
     try {
-        const data = await readData();
+        const [bookings, trips] = await Promise.all([storage.listBookings(), storage.listTrips()]);
         // Calculate health status based on booking timestamps
-        const tripHealth = calculateTripHealth(data.bookings, data.trips);
+        const tripHealth = calculateTripHealth(bookings, trips);
         console.log("API: /api/getTripHealth returning health:", JSON.stringify(tripHealth, null, 2));
         res.json(tripHealth); // Send the health status results
     } catch (error) {
@@ -183,301 +941,615 @@ app.get('/api/getTripHealth', async (req, res) => {
     }
 });
 
-// --- Calculation Functions ---
+// Stream dashboard updates (events: bookings, clusters, health, trips, routes) over Server-Sent Events
+app.get('/api/stream', requireViewer, (req, res) => {
+    console.log("API: /api/stream client connected");
+    req.on('close', () => console.log("API: /api/stream client disconnected"));
+    liveUpdates.handleRequest(req, res, {
+        transform: (topic, payload) => topic === 'trips' ? payload.map(trip => tripForUser(trip, req.user)) : payload
+    });
+});
 
 /**
- * Calculates clusters of riders based on proximity and recent location updates.
- * Uses a simplified DBSCAN-like approach.
- * @param {Array} bookings - Array of all booking/location update objects.
- * @param {Array} trips - Array of defined trip objects {code, createdAt}.
- * @returns {Object} - An object where keys are trip codes and values are cluster details
- * (center, strength, riderCount, totalRiders, timestamp, riders list).
+ * The current clusters of all trips (as returned by /api/getClusters), from the cluster cache when possible.
+ * Fresh results also carry the smoothed shuttle motion (smoothedCenter, speedMps, headingDegrees, confidenceRadiusMeters),
+ * and trips that follow a route get their routeId, nextStop, eta (arrival estimates for the remaining stops) and geofence
+ * (the stop the shuttle is at and its latest ARRIVED / DEPARTED event). New cluster and stop events are stored on the way.
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet=false] - Suppress the clustering progress logging.
+ * @returns {Promise<Object>} - Cluster details keyed by trip code.
  */
-function calculateClusters(bookings, trips) {
-    console.log(`Calculating clusters from ${bookings?.length ?? 0} bookings and ${trips?.length ?? 0} trips.`);
-    const tripClusterResults = {}; // Object to store the final cluster result for each trip
-    // Calculate the cutoff time for recent bookings
-    const cutoffTime = Date.now() - (RECENT_BOOKING_MINUTES * 60 * 1000);
-
-    // Ensure bookings is a valid array, default to empty if not
-    const validBookings = Array.isArray(bookings) ? bookings : [];
+async function getCurrentClusters({ quiet = false } = {}) {
+    const cached = clusterCache.get();
+    if (cached) return cached;
+
+    const version = clusterCache.version(); // Read before loading so a concurrent write isn't cached over
+    const now = Date.now();
+    const [bookings, trips, sessions, defaults, routes] = await Promise.all([storage.listBookings(), storage.listTrips(), storage.listRiderSessions({ open: true }), getClusteringDefaults(), storage.listRoutes()]);
+    const clusters = calculateClusters(bookings, trips, { now, sessions, defaults, quiet });
+    // The cache is dropped by writes to any trip; a trip's shuttle is only measured again once its riders sent something new
+    const latestFixTimes = {};
+    bookings.forEach(booking => {
+        const time = new Date(booking.timestamp).getTime();
+        if (!(latestFixTimes[booking.tripCode] >= time)) latestFixTimes[booking.tripCode] = time;
+    });
+    shuttleMotion.update(clusters, now, latestFixTimes);
+    addNextStops(clusters, trips, routes);
+    addArrivalEstimates(clusters, routes, { averageSpeedMps: ETA_AVERAGE_SPEED_KMH / 3.6, minObservedSpeedMps: ETA_MIN_OBSERVED_SPEED_KMH / 3.6, now });
+    // Like the motion filter, stop and cluster change detection need every fresh result
+    const events = [...tripStateWatcher.updateClusters(clusters, now), ...geofence.update(clusters, routes, now)];
+    if (events.length > 0) await recordEvents(events);
+    clusterCache.set(version, clusters, nextClusterExpiry(bookings, trips, { now, defaults }));
+    return clusters;
+}
 
-    // Filter bookings:
-    // 1. Must have valid timestamp, lat, lng.
-    // 2. Timestamp must be within the RECENT_BOOKING_MINUTES cutoff.
-    const recentBookings = validBookings.filter(booking => {
-        if (!booking || typeof booking.timestamp === 'undefined' || typeof booking.lat !== 'number' || typeof booking.lng !== 'number') return false;
-        const bookingTime = new Date(booking.timestamp).getTime();
-        // Check if bookingTime is a valid number and is recent enough
-        return !isNaN(bookingTime) && bookingTime >= cutoffTime;
+/**
+ * Stores new trip events and pushes them to the dashboards.
+ * The ids assigned by storage are copied onto the given event objects, which the cluster results may reference.
+ * @param {Array<Object>} events - Events ({ type, tripCode, timestamp, data }, see lib/trip-events.js), oldest first.
+ */
+async function recordEvents(events) {
+    const stored = await storage.appendEvents(events);
+    stored.forEach((event, index) => {
+        events[index].id = event.id;
+        console.log(`Event ${event.id}: ${event.type}${event.tripCode ? ` trip ${event.tripCode}` : ''}`, JSON.stringify(event.data));
     });
-    console.log(`Found ${recentBookings.length} recent bookings (within last ${RECENT_BOOKING_MINUTES} mins).`);
+    liveUpdates.notify();
+}
+
+/**
+ * Records an event caused by a request (trip created, rider joined, ...).
+ * Failing to log must not fail the request that already succeeded, so errors are only logged.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {string|null} tripCode - Trip the event belongs to.
+ * @param {Object} [data] - Type-specific details.
+ */
+async function recordEvent(type, tripCode, data) {
+    try {
+        await recordEvents([createTripEvent(type, tripCode, data)]);
+    } catch (error) {
+        console.error(`Error recording ${type} event:`, error);
+    }
+}
 
-    // Group recent bookings by their trip code
-    const bookingsByTrip = {};
-    recentBookings.forEach(booking => {
-        if (!bookingsByTrip[booking.tripCode]) {
-            bookingsByTrip[booking.tripCode] = []; // Initialize array if trip code not seen yet
+// Recomputes clusters and trip health now and then, so stop, cluster and health events are recorded as they happen
+async function checkTripState() {
+    try {
+        await getCurrentClusters({ quiet: true });
+        const [bookings, trips] = await Promise.all([storage.listBookings(), storage.listTrips()]);
+        const events = tripStateWatcher.updateHealth(calculateTripHealth(bookings, trips));
+        if (events.length > 0) await recordEvents(events);
+    } catch (error) {
+        console.error('Error checking trip state:', error);
+    }
+}
+
+/**
+ * Builds every payload pushed by the live update stream (clusters come from the cluster cache when possible).
+ * The payloads match the responses of fetchData, getClusters, getTripHealth, getTrips, /api/routes and /api/events.
+ * @returns {Promise<Object>} - { bookings, clusters, health, trips, routes, events }
+ */
+async function buildLiveSnapshot() {
+    const clusters = await getCurrentClusters({ quiet: true }); // First, so events it records are in this snapshot
+    const [bookings, trips, sessions, routes, events] = await Promise.all([storage.listBookings(), storage.listTrips(), storage.listRiderSessions({ open: true }), storage.listRoutes(), storage.listEvents({ limit: EVENT_LIVE_COUNT })]);
+    return {
+        bookings: filterBookingsByRiderSessions(bookings, sessions),
+        clusters,
+        health: calculateTripHealth(bookings, trips),
+        trips,
+        routes,
+        events
+    };
+}
+
+// Page through the event log, newest first
+// Query: tripCode, type (comma-separated, e.g. RIDER_JOINED,RIDER_LEFT), from, to (ISO date or epoch ms), limit,
+// cursor (the nextCursor of the previous page, for older events) or after (an event id, for events newer than it)
+app.get('/api/events', requireViewer, async (req, res) => {
+    console.log("API: /api/events called with query:", req.query);
+    try {
+        const errors = [];
+        const tripCode = typeof req.query.tripCode === 'string' && req.query.tripCode.trim() !== '' ? req.query.tripCode.trim().toUpperCase() : undefined;
+
+        let types;
+        if (typeof req.query.type === 'string' && req.query.type.trim() !== '') {
+            types = req.query.type.split(',').map(type => type.trim().toUpperCase()).filter(Boolean);
+            const unknown = types.filter(type => !EVENT_TYPES.includes(type));
+            if (unknown.length > 0) errors.push(`Unknown event type(s) ${unknown.join(', ')}. Known types: ${EVENT_TYPES.join(', ')}`);
         }
-        bookingsByTrip[booking.tripCode].push(booking); // Add booking to the trip's list
-    });
 
-    // Calculate the total number of unique riders ever seen for each trip (using *all* valid bookings)
-    const totalRidersPerTrip = {};
-    validBookings.forEach(booking => {
-        if (booking && booking.tripCode && booking.riderId) {
-            if (!totalRidersPerTrip[booking.tripCode]) {
-                totalRidersPerTrip[booking.tripCode] = new Set(); // Use a Set for automatic uniqueness
-            }
-            totalRidersPerTrip[booking.tripCode].add(booking.riderId); // Add rider ID to the set
+        const from = parseTimeParam(req.query.from);
+        const to = parseTimeParam(req.query.to);
+        if (Number.isNaN(from)) errors.push('from must be an ISO date or epoch milliseconds');
+        if (Number.isNaN(to)) errors.push('to must be an ISO date or epoch milliseconds');
+
+        let limit = EVENT_DEFAULT_LIMIT;
+        if (typeof req.query.limit !== 'undefined') {
+            limit = parseInt(req.query.limit, 10);
+            if (!/^\d+$/.test(String(req.query.limit)) || limit < 1 || limit > EVENT_MAX_LIMIT) errors.push(`limit must be an integer between 1 and ${EVENT_MAX_LIMIT}`);
         }
-    });
-    console.log("Total unique riders per trip calculated:", Object.keys(totalRidersPerTrip).map(k => `${k}: ${totalRidersPerTrip[k]?.size ?? 0}`).join(', '));
-
-
-    // --- Process each trip that has recent bookings ---
-    Object.keys(bookingsByTrip).forEach(tripCode => {
-        const recentTripRiders = bookingsByTrip[tripCode]; // Get recent riders for this specific trip
-        console.log(`Processing trip ${tripCode} with ${recentTripRiders.length} recent riders.`);
-
-        // Skip this trip if it doesn't have enough recent riders to potentially form a cluster
-        if (recentTripRiders.length < MINIMUM_CLUSTER_SIZE) {
-            console.log(`Skipping trip ${tripCode}: Not enough recent riders (${recentTripRiders.length} < ${MINIMUM_CLUSTER_SIZE}).`);
-            return; // Continue to the next trip code in the loop
-        }
-
-        // Map recent rider bookings to point objects needed for DBSCAN
-        const points = recentTripRiders.map(booking => ({
-            lat: booking.lat,
-            lng: booking.lng,
-            riderId: booking.riderId,
-            timestamp: booking.timestamp,
-            accuracy: typeof booking.accuracy === 'number' && booking.accuracy > 0 ? booking.accuracy : 50 // Default accuracy if missing/invalid
-        }));
-
-        // --- Simplified DBSCAN Implementation for this trip ---
-        const tripSpecificClusters = []; // Array to hold clusters found *for this trip*
-        const visited = new Set(); // Set to track indices of points already visited/processed globally
-
-        points.forEach((point, index) => {
-            if (visited.has(index)) return; // Skip if this point has already been assigned to a cluster or marked as noise
-            visited.add(index); // Mark current point as visited
-
-            // Find neighbors within the defined radius for the current point
-            const neighborIndices = getNeighbors(point, index, points, CLUSTER_RADIUS_METERS);
-
-            // Check if the current point is a 'core' point (has enough neighbors including itself)
-            if (neighborIndices.length + 1 >= MINIMUM_CLUSTER_SIZE) {
-                // --- Start a new cluster ---
-                const currentClusterPoints = [point]; // Initialize cluster with the core point itself
-                const queue = [...neighborIndices]; // Queue of neighbor indices to process
-                const currentClusterIndices = new Set([index]); // Track indices added to *this specific cluster*
-
-                // --- Expand the cluster ---
-                while (queue.length > 0) {
-                    const neighborIndex = queue.shift(); // Get the next neighbor index from the queue
-
-                    // Skip if this neighbor index has already been visited globally or added to this cluster search path
-                    if (visited.has(neighborIndex)) continue;
-
-                    const neighborPoint = points[neighborIndex];
-                    currentClusterPoints.push(neighborPoint); // Add the neighbor point to the current cluster
-                    visited.add(neighborIndex); // Mark globally visited
-                    currentClusterIndices.add(neighborIndex); // Mark visited for this cluster search
-
-                    // Find neighbors of *this* neighbor
-                    const neighborsOfNeighbor = getNeighbors(neighborPoint, neighborIndex, points, CLUSTER_RADIUS_METERS);
-
-                    // If this neighbor is *also* a core point, add its unvisited neighbors to the queue
-                    if (neighborsOfNeighbor.length + 1 >= MINIMUM_CLUSTER_SIZE) {
-                        neighborsOfNeighbor.forEach(idx => {
-                            if (!visited.has(idx)) { // Only add if not already visited globally
-                                queue.push(idx);
-                            }
-                        });
-                    }
-                    // If the neighbor is not a core point, it becomes a border point of this cluster,
-                    // but we don't expand further from it.
-                } // End while loop (cluster expansion)
-
-                // Add the completed cluster (as an array of points) to the list for this trip
-                // (We already checked the initial core point, expansion ensures size >= MINIMUM_CLUSTER_SIZE)
-                 console.log(`Found potential cluster for trip ${tripCode} with ${currentClusterPoints.length} riders.`);
-                 tripSpecificClusters.push(currentClusterPoints);
-
-            } else {
-                // Point is noise (not a core point, might become a border point later if found by another core point)
-                // console.log(`Point ${index} (Rider ${point.riderId}) for trip ${tripCode} is initially noise.`);
-            }
-        }); // End DBSCAN point iteration for this trip
-
-        // --- Post-DBSCAN processing for this trip ---
-        if (tripSpecificClusters.length > 0) {
-            console.log(`Found ${tripSpecificClusters.length} potential cluster(s) for trip ${tripCode}. Selecting the largest.`);
-
-            // Find the largest cluster among those found for this trip (based on number of points)
-            let largestCluster = tripSpecificClusters.reduce((largest, current) =>
-                current.length > largest.length ? current : largest
-            );
-            console.log(`Largest cluster for trip ${tripCode} has ${largestCluster.length} riders.`);
-
-            // Calculate properties of the largest cluster
-            const center = calculateWeightedCenter(largestCluster); // Calculate weighted center based on accuracy
-            const clusterRiderCount = largestCluster.length; // Number of riders in this specific cluster
-            // Get total unique riders for this trip (fallback to cluster count if trip wasn't in totalRidersPerTrip)
-            const totalRidersForThisTrip = totalRidersPerTrip[tripCode]?.size || clusterRiderCount;
-            // Calculate strength: proportion of total riders who are in the cluster
-            const strength = totalRidersForThisTrip > 0 ? (clusterRiderCount / totalRidersForThisTrip) : 0;
-
-            // Store the result for this trip if a center was successfully calculated
-            if (center) {
-                tripClusterResults[tripCode] = {
-                    tripCode,
-                    center, // {lat, lng} object
-                    strength: Math.min(1, strength), // Cap strength at 100%
-                    riderCount: clusterRiderCount, // Riders physically in this cluster calculation
-                    totalRiders: totalRidersForThisTrip, // Total unique riders associated with the trip
-                    timestamp: new Date(), // Timestamp of when this cluster was calculated
-                    riders: largestCluster.map(p => p.riderId) // List of rider IDs currently in the cluster
-                };
-                console.log(`Stored cluster result for ${tripCode}: Center=(${center.lat.toFixed(4)}, ${center.lng.toFixed(4)}), Strength=${(strength*100).toFixed(1)}%`);
-            } else {
-                console.warn(`Could not calculate center for largest cluster of trip ${tripCode}. Cluster not stored.`);
-            }
 
-        } else {
-            console.log(`No clusters met minimum size criteria for trip ${tripCode}.`);
+        // Cursors are event ids; ids only ever increase, so paging is stable while new events arrive
+        const cursor = parseEventIdParam(req.query.cursor);
+        const after = parseEventIdParam(req.query.after);
+        if (Number.isNaN(cursor)) errors.push('cursor must be the nextCursor of a previous page');
+        if (Number.isNaN(after)) errors.push('after must be an event id');
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
         }
-    }); // End trip processing loop
 
-    console.log("Cluster calculation finished.");
-    return tripClusterResults; // Return the object containing results for each trip
-}
+        const events = await storage.listEvents({
+            tripCode,
+            types,
+            from: from === null ? undefined : from,
+            to: to === null ? undefined : to,
+            beforeId: cursor === null ? undefined : cursor,
+            afterId: after === null ? undefined : after,
+            limit
+        });
+        // A full page may have older events behind it
+        const nextCursor = events.length === limit ? String(events[events.length - 1].id) : null;
+        res.json({ events, count: events.length, nextCursor });
+    } catch (error) {
+        console.error("Error in events API:", error);
+        res.status(500).json({ error: 'Failed to load events' }); // Send internal server error
+    }
+});
+
+// Estimated arrival of the trip's shuttle at each remaining stop of its route
+app.get('/api/trips/:code/eta', requireViewer, async (req, res) => {
+    console.log(`API: /api/trips/${req.params.code}/eta called`);
+    try {
+        const code = req.params.code.trim().toUpperCase(); // Standardize trip code
+        const trip = await storage.getTrip(code);
+        if (!trip) {
+            return res.status(404).json({ error: `Trip code '${code}' not found` });
+        }
+        if (!trip.routeId) {
+            return res.status(409).json({ error: `Trip '${code}' does not follow a route; attach one with PATCH /api/trips/${code}` });
+        }
+
+        const cluster = (await getCurrentClusters({ quiet: true }))[code];
+        if (!cluster || !cluster.eta) {
+            // No shuttle position yet (no riders, or too few close together)
+            return res.json({ tripCode: code, routeId: trip.routeId, position: null, calculatedAt: null, nextStop: null, speedMps: null, speedSource: null, stops: [] });
+        }
+
+        res.json({
+            tripCode: code,
+            routeId: trip.routeId,
+            position: cluster.smoothedCenter || cluster.center,
+            calculatedAt: cluster.timestamp,
+            nextStop: cluster.nextStop,
+            ...cluster.eta
+        });
+    } catch (error) {
+        console.error("Error in trip ETA API:", error);
+        res.status(500).json({ error: 'Failed to estimate arrival times' }); // Send internal server error
+    }
+});
+
+// Time-ordered location tracks for each rider of a trip plus the computed shuttle track
+// Query: from, to (ISO date or epoch ms, default = all retained history), riderId, step (seconds between shuttle points)
+app.get('/api/trips/:code/history', requireViewer, async (req, res) => {
+    console.log(`API: /api/trips/${req.params.code}/history called with query:`, req.query);
+    try {
+        const code = req.params.code.trim().toUpperCase(); // Standardize trip code
+        const range = parseHistoryRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        const loaded = await loadTripHistory(code, range);
+        if (!loaded) {
+            return res.status(404).json({ error: `Trip code '${code}' not found` });
+        }
+        const { history } = loaded;
+        console.log(`API: /api/trips/${code}/history returning ${history.riders.length} rider track(s) and ${history.shuttle.length} shuttle point(s).`);
+        res.json(history);
+
+    } catch (error) {
+        console.error("Error in trip history API:", error);
+        res.status(500).json({ error: 'Failed to load trip history' }); // Send internal server error
+    }
+});
+
+// Same as /api/trips/:code/history for a completed or cancelled trip, from its archived history
+app.get('/api/archive/:id/history', requireViewer, async (req, res) => {
+    console.log(`API: /api/archive/${req.params.id}/history called with query:`, req.query);
+    try {
+        const id = parseEventIdParam(req.params.id);
+        if (!(id > 0)) {
+            return res.status(400).json({ error: 'Archive id must be a positive integer' });
+        }
+        const range = parseHistoryRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        const loaded = await loadArchivedTripHistory(id, range);
+        if (!loaded) {
+            return res.status(404).json({ error: `Archived trip #${id} not found` });
+        }
+        const { history } = loaded;
+        console.log(`API: /api/archive/${id}/history returning ${history.riders.length} rider track(s) and ${history.shuttle.length} shuttle point(s).`);
+        res.json({ ...history, archiveId: id });
 
+    } catch (error) {
+        console.error("Error in archived trip history API:", error);
+        res.status(500).json({ error: 'Failed to load trip history' }); // Send internal server error
+    }
+});
+
+// Download a trip's shuttle track, rider tracks and route stops for GIS tools
+// Query: format (geojson, gpx or kml; default geojson) plus the from, to and step of /api/trips/:code/history
+app.get('/api/trips/:code/export', requireViewer, async (req, res) => {
+    console.log(`API: /api/trips/${req.params.code}/export called with query:`, req.query);
+    try {
+        const code = req.params.code.trim().toUpperCase(); // Standardize trip code
+        const format = parseExportFormat(req.query.format);
+        if (!format) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+        const range = parseHistoryRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        const loaded = await loadTripHistory(code, range);
+        if (!loaded) {
+            return res.status(404).json({ error: `Trip code '${code}' not found` });
+        }
+        await sendTrackExport(res, format, loaded, `trip-${code}`);
+
+    } catch (error) {
+        console.error("Error in trip export API:", error);
+        res.status(500).json({ error: 'Failed to export trip tracks' }); // Send internal server error
+    }
+});
+
+// Same as /api/trips/:code/export for an archived trip
+app.get('/api/archive/:id/export', requireViewer, async (req, res) => {
+    console.log(`API: /api/archive/${req.params.id}/export called with query:`, req.query);
+    try {
+        const id = parseEventIdParam(req.params.id);
+        if (!(id > 0)) {
+            return res.status(400).json({ error: 'Archive id must be a positive integer' });
+        }
+        const format = parseExportFormat(req.query.format);
+        if (!format) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+        const range = parseHistoryRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        const loaded = await loadArchivedTripHistory(id, range);
+        if (!loaded) {
+            return res.status(404).json({ error: `Archived trip #${id} not found` });
+        }
+        await sendTrackExport(res, format, loaded, `trip-${loaded.trip.code}-archive-${id}`);
+
+    } catch (error) {
+        console.error("Error in archived trip export API:", error);
+        res.status(500).json({ error: 'Failed to export trip tracks' }); // Send internal server error
+    }
+});
 
 /**
- * Calculates the geometric center of a list of points, weighted by inverse accuracy.
- * More accurate points (lower accuracy value) contribute more to the center calculation.
- * @param {Array} points - Array of point objects {lat, lng, accuracy}.
- * @returns {Object|null} - An object {lat, lng} representing the center, or null if calculation fails.
+ * Loads a live trip's history for the history and export endpoints.
+ * @param {string} code - Standardized trip code.
+ * @param {Object} range - From parseHistoryRange.
+ * @returns {Promise<{trip: Object, history: Object}|null>} - null if the trip doesn't exist.
  */
-function calculateWeightedCenter(points) {
-    if (!points || points.length === 0) {
-        console.warn("calculateWeightedCenter called with empty or invalid points array.");
-        return null;
-    }
-
-    let sumLatWeight = 0;
-    let sumLngWeight = 0;
-    let totalWeight = 0;
-
-    points.forEach(point => {
-        // Use inverse of accuracy as weight. Handle potential issues:
-        // - Default accuracy if missing/invalid (already done in points mapping)
-        // - Ensure accuracy is not zero to avoid division by zero.
-        const accuracy = Math.max(point.accuracy, 1); // Ensure accuracy is at least 1 meter
-        const weight = 1 / accuracy;
-
-        // Check for valid numbers before adding to sums
-        if (typeof point.lat === 'number' && typeof point.lng === 'number' && !isNaN(point.lat) && !isNaN(point.lng) && !isNaN(weight)) {
-            sumLatWeight += point.lat * weight;
-            sumLngWeight += point.lng * weight;
-            totalWeight += weight;
-        } else {
-            console.warn("Skipping point with invalid data in calculateWeightedCenter:", point);
-        }
+async function loadTripHistory(code, range) {
+    const trip = await storage.getTrip(code);
+    if (!trip) return null;
+
+    // Load fixes from one clustering window earlier so the shuttle position at 'from' is known
+    const defaults = await getClusteringDefaults();
+    const recentWindowMs = resolveClusteringSettings(defaults, trip).recentMinutes * 60 * 1000;
+    const [fixes, sessions] = await Promise.all([
+        storage.listLocationHistory({
+            tripCode: code,
+            from: range.from === null ? undefined : range.from - recentWindowMs,
+            to: range.to === null ? undefined : range.to
+        }),
+        storage.listRiderSessions({ tripCode: code })
+    ]);
+    return { trip, history: buildTripHistory(trip, fixes, sessions, range, defaults) };
+}
+
+/**
+ * Loads an archived trip's history for the history and export endpoints.
+ * @param {number} id - Archive id.
+ * @param {Object} range - From parseHistoryRange.
+ * @returns {Promise<{trip: Object, history: Object}|null>} - null if there is no such archive.
+ */
+async function loadArchivedTripHistory(id, range) {
+    const archive = await storage.getArchivedTrip(id);
+    if (!archive) return null;
+
+    // The archive holds the whole history; keep what the range needs (plus the clustering window before it)
+    const defaults = await getClusteringDefaults();
+    const recentWindowMs = resolveClusteringSettings(defaults, archive.trip).recentMinutes * 60 * 1000;
+    const fixes = archive.locationHistory.filter(fix => {
+        const time = new Date(fix.timestamp).getTime();
+        return (range.from === null || time >= range.from - recentWindowMs) && (range.to === null || time <= range.to);
     });
+    return { trip: archive.trip, history: buildTripHistory(archive.trip, fixes, archive.riderSessions, range, defaults) };
+}
 
-    // Avoid division by zero if totalWeight is 0 (e.g., all points had invalid data)
-    if (totalWeight === 0) {
-        console.warn("Total weight is zero in calculateWeightedCenter, cannot compute weighted center.");
-        // Fallback: Calculate simple average if possible
-        const validPoints = points.filter(p => typeof p.lat === 'number' && typeof p.lng === 'number' && !isNaN(p.lat) && !isNaN(p.lng));
-        if (validPoints.length > 0) {
-            console.log("Falling back to simple average center.");
-            let sumLat = 0;
-            let sumLng = 0;
-            validPoints.forEach(p => { sumLat += p.lat; sumLng += p.lng; });
-            return {
-                lat: sumLat / validPoints.length,
-                lng: sumLng / validPoints.length
-            };
+// Export format from the query (default geojson); null if unknown
+function parseExportFormat(value) {
+    const format = typeof value === 'string' && value.trim() !== '' ? value.trim().toLowerCase() : 'geojson';
+    return EXPORT_FORMATS[format] ? format : null;
+}
+
+/**
+ * Sends a history as a file download in the given format, with the trip's route stops if it follows a route.
+ * @param {Object} res - Express response.
+ * @param {string} format - Key of EXPORT_FORMATS.
+ * @param {{trip: Object, history: Object}} loaded - From loadTripHistory or loadArchivedTripHistory.
+ * @param {string} baseName - File name without extension.
+ */
+async function sendTrackExport(res, format, { trip, history }, baseName) {
+    const route = trip.routeId ? await storage.getRoute(trip.routeId) : null;
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    console.log(`Exporting ${history.riders.length} rider track(s) and ${history.shuttle.length} shuttle point(s) of trip ${trip.code} as ${format}`);
+    res.type(contentType);
+    res.attachment(`${baseName}.${extension}`);
+    res.send(exportTracks(format, history, route));
+}
+
+/**
+ * Reads the from, to and step query parameters of the history endpoints.
+ * @param {Object} query - The request query.
+ * @returns {{from: (number|null), to: (number|null), stepSeconds: number}|{error: string}}
+ */
+function parseHistoryRange(query) {
+    const from = parseTimeParam(query.from);
+    const to = parseTimeParam(query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return { error: "'from' and 'to' must be ISO dates or epoch milliseconds" };
+    }
+    if (from !== null && to !== null && from > to) {
+        return { error: "'from' must not be after 'to'" };
+    }
+    let stepSeconds = HISTORY_DEFAULT_STEP_SECONDS;
+    if (typeof query.step !== 'undefined') {
+        stepSeconds = parseInt(query.step, 10);
+        if (isNaN(stepSeconds) || stepSeconds < 5) {
+            return { error: "'step' must be a whole number of seconds (at least 5)" };
         }
-        return null; // Cannot calculate center even with fallback
     }
+    return { from, to, stepSeconds };
+}
+
+/**
+ * Builds the history response of a trip: each rider's track and the shuttle track re-clustered over time.
+ * @param {Object} trip - The trip record.
+ * @param {Array} fixes - The trip's location history, oldest first (from one clustering window before 'from').
+ * @param {Array} sessions - The trip's rider sessions.
+ * @param {{from: (number|null), to: (number|null), stepSeconds: number}} range - From parseHistoryRange.
+ * @param {Object} defaults - Server-wide clustering settings.
+ * @returns {Object} - { tripCode, from, to, stepSeconds, recentMinutes, riders: [{ riderId, points, sessions }], shuttle }
+ */
+function buildTripHistory(trip, fixes, sessions, { from, to, stepSeconds }, defaults) {
+    // Group the fixes inside the requested range into one track per rider
+    const tracksByRider = new Map();
+    fixes.forEach(fix => {
+        if (from !== null && new Date(fix.timestamp).getTime() < from) return;
+        if (!tracksByRider.has(fix.riderId)) tracksByRider.set(fix.riderId, []);
+        tracksByRider.get(fix.riderId).push({ timestamp: fix.timestamp, lat: fix.lat, lng: fix.lng, accuracy: fix.accuracy });
+    });
+    // Each rider's sessions tell a replay when the rider was on the trip
+    const riders = Array.from(tracksByRider, ([riderId, points]) => ({
+        riderId,
+        points,
+        sessions: sessions.filter(session => session.riderId === riderId).map(({ joinedAt, leftAt }) => ({ joinedAt, leftAt }))
+    })).sort((a, b) => a.riderId.localeCompare(b.riderId));
+
+    // Compute the shuttle position over the requested range (or the span of the data)
+    const rangeStart = from !== null ? from : (fixes.length > 0 ? new Date(fixes[0].timestamp).getTime() : null);
+    const rangeEnd = to !== null ? to : (fixes.length > 0 ? new Date(fixes[fixes.length - 1].timestamp).getTime() : null);
+    let stepMs = stepSeconds * 1000;
+    if (rangeStart !== null && (rangeEnd - rangeStart) / stepMs > HISTORY_MAX_TRACK_POINTS) {
+        stepMs = Math.ceil((rangeEnd - rangeStart) / HISTORY_MAX_TRACK_POINTS); // Widen the step for long ranges
+    }
+    const shuttle = rangeStart === null ? [] : calculateShuttleTrack(fixes, trip, { from: rangeStart, to: rangeEnd, stepMs, sessions, defaults });
 
-    // Return the weighted average coordinates
     return {
-        lat: sumLatWeight / totalWeight,
-        lng: sumLngWeight / totalWeight
+        tripCode: trip.code,
+        from: rangeStart !== null ? new Date(rangeStart).toISOString() : null,
+        to: rangeEnd !== null ? new Date(rangeEnd).toISOString() : null,
+        stepSeconds: Math.round(stepMs / 1000),
+        recentMinutes: resolveClusteringSettings(defaults, trip).recentMinutes,
+        riders,
+        shuttle
     };
 }
 
+// Parse an event id query parameter: null if absent, NaN if invalid
+function parseEventIdParam(value) {
+    if (typeof value === 'undefined' || value === '') return null;
+    return /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+}
+
 /**
- * Finds indices of neighboring points within a given radius using Haversine distance.
- * @param {Object} point - The reference point {lat, lng}.
- * @param {number} pointIndex - The index of the reference point in the allPoints array.
- * @param {Array} allPoints - Array of all point objects {lat, lng}.
- * @param {number} radiusMeters - The maximum distance for a point to be considered a neighbor.
- * @returns {Array<number>} - An array of indices of the neighboring points.
+ * Parses an optional time query parameter given as epoch milliseconds or an ISO date string.
+ * @param {string|undefined} value - The raw query value.
+ * @returns {number|null} - Epoch ms, null if the parameter is missing, or NaN if it is invalid.
  */
-function getNeighbors(point, pointIndex, allPoints, radiusMeters) {
-    const neighbors = [];
-    // Basic check for valid coordinates in the reference point
-    if (typeof point.lat !== 'number' || typeof point.lng !== 'number' || isNaN(point.lat) || isNaN(point.lng)) {
-         console.warn(`Invalid coordinates for reference point at index ${pointIndex}:`, point);
-         return []; // Return empty array if reference point is invalid
-    }
+function parseTimeParam(value) {
+    if (typeof value === 'undefined' || value === '') return null;
+    const time = /^\d+$/.test(value) ? parseInt(value, 10) : new Date(value).getTime();
+    return isNaN(time) ? NaN : time;
+}
+
+// --- QR Code and Boarding Sheet Endpoints ---
 
-    for (let i = 0; i < allPoints.length; i++) {
-        if (i === pointIndex) continue; // Don't compare point to itself
+const QR_SIZE_DEFAULT = 300; // Pixels (PNG) or nominal size (SVG)
+const QR_SIZE_MIN = 64;
+const QR_SIZE_MAX = 2000;
+
+/**
+ * The rider page URL a trip's QR code opens, including the join token.
+ * @param {Object} req - Express request (its host is used when PUBLIC_URL isn't set).
+ * @param {Object} trip - The trip record.
+ * @returns {string}
+ */
+function riderJoinUrl(req, trip) {
+    const baseUrl = PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl}/mobile.html?code=${encodeURIComponent(trip.code)}&token=${encodeURIComponent(trip.joinToken || '')}`;
+}
 
-        const otherPoint = allPoints[i];
-        // Basic check for valid coordinates in the other point
-        if (typeof otherPoint.lat !== 'number' || typeof otherPoint.lng !== 'number' || isNaN(otherPoint.lat) || isNaN(otherPoint.lng)) {
-            // console.warn(`Skipping neighbor check due to invalid coordinates for point at index ${i}:`, otherPoint);
-            continue; // Skip this point if its coordinates are invalid
+// The QR code riders scan to join a trip, as PNG or SVG (the code embeds the join token, so dispatchers only)
+// Query: format (png or svg, default png), size (pixels, default 300)
+app.get('/api/trips/:code/qr', requireDispatcher, async (req, res) => {
+    console.log(`API: /api/trips/${req.params.code}/qr called with query:`, req.query);
+    try {
+        const code = req.params.code.trim().toUpperCase(); // Standardize trip code
+        const format = typeof req.query.format === 'string' && req.query.format.trim() !== '' ? req.query.format.trim().toLowerCase() : 'png';
+        if (format !== 'png' && format !== 'svg') {
+            return res.status(400).json({ error: 'format must be png or svg' });
+        }
+        const size = typeof req.query.size === 'undefined' ? QR_SIZE_DEFAULT : Number(req.query.size);
+        if (!Number.isInteger(size) || size < QR_SIZE_MIN || size > QR_SIZE_MAX) {
+            return res.status(400).json({ error: `size must be a whole number between ${QR_SIZE_MIN} and ${QR_SIZE_MAX}` });
         }
 
-        // Calculate distance using Haversine formula
-        const distance = calculateHaversineDistance(point.lat, point.lng, otherPoint.lat, otherPoint.lng);
+        const trip = await storage.getTrip(code);
+        if (!trip) {
+            return res.status(404).json({ error: `Trip code '${code}' not found` });
+        }
 
-        // If the distance is within the specified radius, add its index to the neighbors list
-        if (distance <= radiusMeters) {
-            neighbors.push(i);
+        const options = { errorCorrectionLevel: 'M', margin: 2, width: size };
+        const joinUrl = riderJoinUrl(req, trip);
+        // The image changes when the join token is rotated, so browsers must check back every time
+        res.set('Cache-Control', 'private, no-cache');
+        if (format === 'svg') {
+            res.type('image/svg+xml');
+            return res.send(await QRCode.toString(joinUrl, { ...options, type: 'svg' }));
         }
+        res.type('image/png');
+        res.send(await QRCode.toBuffer(joinUrl, { ...options, type: 'png' }));
+
+    } catch (error) {
+        console.error("Error generating trip QR code:", error);
+        res.status(500).json({ error: 'Failed to generate QR code' }); // Send internal server error
     }
-    // if (neighbors.length > 0) {
-    //     console.log(`Point ${pointIndex} has ${neighbors.length} neighbors within ${radiusMeters}m.`);
-    // }
-    return neighbors;
-}
+});
+
+// Print-ready boarding sheet of a trip: QR code, trip code, route and departure time
+app.get('/api/trips/:code/boarding-sheet', requireDispatcher, async (req, res) => {
+    console.log(`API: /api/trips/${req.params.code}/boarding-sheet called`);
+    try {
+        const code = req.params.code.trim().toUpperCase(); // Standardize trip code
+        const trip = await storage.getTrip(code);
+        if (!trip) {
+            return res.status(404).json({ error: `Trip code '${code}' not found` });
+        }
+        const route = trip.routeId ? await storage.getRoute(trip.routeId) : null;
+        const joinUrl = riderJoinUrl(req, trip);
+        const qrSvg = await QRCode.toString(joinUrl, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+        res.set('Cache-Control', 'private, no-cache');
+        res.type('html');
+        res.send(renderBoardingSheet({ trip, route, joinUrl, qrSvg }));
+
+    } catch (error) {
+        console.error("Error generating boarding sheet:", error);
+        res.status(500).json({ error: 'Failed to generate boarding sheet' }); // Send internal server error
+    }
+});
+
+// --- Report Endpoints ---
+
+// Ridership and operations figures per trip, for live and archived trips
+// Query: from, to (ISO date or epoch ms; default the last 7 days), tripCode (comma-separated), format (json or csv)
+app.get('/api/reports/trips', requireViewer, async (req, res) => {
+    console.log("API: /api/reports/trips called with query:", req.query);
+    try {
+        const format = typeof req.query.format === 'string' && req.query.format.trim() !== '' ? req.query.format.trim().toLowerCase() : 'json';
+        if (format !== 'json' && format !== 'csv') {
+            return res.status(400).json({ error: 'format must be json or csv' });
+        }
+        const to = parseTimeParam(req.query.to);
+        const from = parseTimeParam(req.query.from);
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            return res.status(400).json({ error: "'from' and 'to' must be ISO dates or epoch milliseconds" });
+        }
+        const rangeEnd = to !== null ? to : Date.now();
+        const rangeStart = from !== null ? from : rangeEnd - REPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000;
+        if (rangeStart > rangeEnd) {
+            return res.status(400).json({ error: "'from' must not be after 'to'" });
+        }
+        const tripCodes = typeof req.query.tripCode === 'string' && req.query.tripCode.trim() !== ''
+            ? new Set(req.query.tripCode.split(',').map(code => code.trim().toUpperCase()).filter(Boolean))
+            : null;
+
+        const rows = await buildTripReports(rangeStart, rangeEnd, tripCodes);
+        console.log(`API: /api/reports/trips returning ${rows.length} trip(s) as ${format}`);
+        if (format === 'csv') {
+            const day = time => new Date(time).toISOString().slice(0, 10);
+            res.type('text/csv');
+            res.attachment(`trip-report-${day(rangeStart)}-to-${day(rangeEnd)}.csv`);
+            return res.send(reportToCsv(rows));
+        }
+        res.json({
+            from: new Date(rangeStart).toISOString(),
+            to: new Date(rangeEnd).toISOString(),
+            generatedAt: new Date().toISOString(),
+            totals: summarizeReport(rows),
+            trips: rows
+        });
 
+    } catch (error) {
+        console.error('Error building trip report:', error);
+        res.status(500).json({ error: 'Failed to build trip report' }); // Send internal server error
+    }
+});
 
 /**
- * Calculates the distance between two geographic coordinates using the Haversine formula.
- * @param {number} lat1 - Latitude of the first point in degrees.
- * @param {number} lon1 - Longitude of the first point in degrees.
- * @param {number} lat2 - Latitude of the second point in degrees.
- * @param {number} lon2 - Longitude of the second point in degrees.
- * @returns {number} - The distance between the two points in meters.
+ * Report rows of the live and archived trips that had riders or locations between from and to.
+ * @param {number} from - Start of the range (epoch ms).
+ * @param {number} to - End of the range (epoch ms).
+ * @param {Set<string>|null} tripCodes - Only these trips (null for all).
+ * @returns {Promise<Array<Object>>} - Rows (see lib/reports.js), by first join.
  */
-function calculateHaversineDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371e3; // Earth's mean radius in meters
-    const φ1 = lat1 * Math.PI / 180; // Convert latitudes to radians
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180; // Difference in latitude in radians
-    const Δλ = (lon2 - lon1) * Math.PI / 180; // Difference in longitude in radians
+async function buildTripReports(from, to, tripCodes) {
+    const thresholds = { activeMinutes: HEALTH_ACTIVE_MINUTES, staleMinutes: HEALTH_STALE_MINUTES };
+    // The health at 'from' depends on the latest fix before it
+    const historyFrom = from - HEALTH_STALE_MINUTES * 60 * 1000;
+    const wanted = code => !tripCodes || tripCodes.has(code);
+    const rows = [];
+
+    for (const trip of (await storage.listTrips()).filter(trip => wanted(trip.code))) {
+        const [fixes, sessions] = await Promise.all([
+            storage.listLocationHistory({ tripCode: trip.code, from: historyFrom, to }),
+            storage.listRiderSessions({ tripCode: trip.code })
+        ]);
+        const row = buildTripReport({ trip, fixes, sessions, from, to, thresholds });
+        if (row) rows.push(row);
+    }
 
-    // Haversine formula calculation
-    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)); // Angular distance in radians
+    // Archived trips that can't overlap the range are skipped without loading their history
+    const archives = (await storage.listArchivedTrips()).filter(archive => wanted(archive.code)
+        && new Date(archive.archivedAt).getTime() >= from
+        && !(new Date(archive.trip.createdAt).getTime() > to));
+    for (const summary of archives) {
+        const archive = await storage.getArchivedTrip(summary.id);
+        const row = buildTripReport({ trip: archive.trip, archiveId: archive.id, fixes: archive.locationHistory, sessions: archive.riderSessions, from, to, thresholds });
+        if (row) rows.push(row);
+    }
 
-    return R * c; // Distance in meters
+    return rows.sort((a, b) => (a.firstJoinAt || a.lastFixAt || '').localeCompare(b.firstJoinAt || b.lastFixAt || ''));
 }
 
+// --- Calculation Functions ---
+
 /**
  * Calculates the health status of each defined trip based on the recency of bookings.
  * @param {Array} bookings - Array of all booking/location update objects.
@@ -539,13 +1611,13 @@ function calculateTripHealth(bookings, trips) {
         const minutesSinceLastUpdate = (now - latestTimestamp) / (60 * 1000);
 
         // Determine health status based on recency thresholds
-        if (minutesSinceLastUpdate <= 2) { // Active within last 2 minutes
+        if (minutesSinceLastUpdate <= HEALTH_ACTIVE_MINUTES) { // Active within last 2 minutes
             tripHealth[tripCode] = {
                 status: 'ACTIVE',
-                message: `Trip active. Last update < 2 min ago.`,
+                message: `Trip active. Last update < ${HEALTH_ACTIVE_MINUTES} min ago.`,
                 lastUpdate: latestBookingTimestampStr // Store the actual timestamp
             };
-        } else if (minutesSinceLastUpdate <= 10) { // Stale between 2 and 10 minutes
+        } else if (minutesSinceLastUpdate <= HEALTH_STALE_MINUTES) { // Stale between 2 and 10 minutes
             tripHealth[tripCode] = {
                 status: 'STALE',
                 message: `Possibly stale. Last update ${Math.round(minutesSinceLastUpdate)} min ago.`,
@@ -554,7 +1626,7 @@ function calculateTripHealth(bookings, trips) {
         } else { // Inactive if last update > 10 minutes ago
             tripHealth[tripCode] = {
                 status: 'INACTIVE',
-                message: `Inactive. Last update > 10 min ago (${Math.round(minutesSinceLastUpdate)} min).`,
+                message: `Inactive. Last update > ${HEALTH_STALE_MINUTES} min ago (${Math.round(minutesSinceLastUpdate)} min).`,
                 lastUpdate: latestBookingTimestampStr
             };
         }
@@ -567,32 +1639,66 @@ function calculateTripHealth(bookings, trips) {
 // --- Other Endpoints (initData, logBooking, fetchNewBookings, deleteTrip, resetData) ---
 
 // Create sample/test data for specific trip codes
-app.post('/api/initData', async (req, res) => {
+app.post('/api/initData', requireDispatcher, async (req, res) => {
     console.log("API: /api/initData called");
     try {
-        const data = await readData();
-
         // Define sample trips with center points for data generation
         const sampleTrips = [
-            { code: 'IKI490', center: { lat: 6.5244, lng: 3.3792 } }, // Lagos center
-            { code: 'ABX123', center: { lat: 6.6000, lng: 3.3500 } }  // North Lagos area
+            {
+                code: 'IKI490', center: { lat: 6.5244, lng: 3.3792 }, // Lagos center
+                metadata: { origin: 'Ikeja Bus Terminal', destination: 'CMS Marina', driverName: 'Tunde Bakare', vehiclePlate: 'KJA 490 XY', vehicleModel: 'Toyota Coaster', capacity: 30 }
+            },
+            {
+                code: 'ABX123', center: { lat: 6.6000, lng: 3.3500 }, // North Lagos area
+                metadata: { origin: 'Ogba Depot', destination: 'Yaba Tech Gate', driverName: 'Ngozi Okafor', vehiclePlate: 'LSR 123 AB', vehicleModel: 'Toyota Hiace', capacity: 14 }
+            }
         ];
 
+        // Sample route followed by IKI490 (its riders gather between Maryland and Yaba)
+        const { route: sampleRoute } = validateRoute({
+            id: 'IKEJA-MARINA',
+            name: 'Ikeja - Marina Express',
+            stops: [
+                { name: 'Ikeja Bus Terminal', lat: 6.6018, lng: 3.3515, radiusMeters: 150 },
+                { name: 'Maryland', lat: 6.5716, lng: 3.3670, radiusMeters: 150 },
+                { name: 'Yaba', lat: 6.5158, lng: 3.3783, radiusMeters: 150 },
+                { name: 'CMS Marina', lat: 6.4516, lng: 3.3904, radiusMeters: 150 }
+            ]
+        });
+        if (!(await storage.getRoute(sampleRoute.id))) {
+            console.log(`Initializing sample route: ${sampleRoute.id}`);
+            await storage.insertRoute({ id: sampleRoute.id, ...sampleRoute, createdAt: new Date() });
+        }
+        sampleTrips[0].routeId = sampleRoute.id;
+
         // Ensure the sample trip codes exist in the main trips list
-        sampleTrips.forEach(t => {
-            if (!data.trips.some(trip => trip.code === t.code)) {
+        for (const t of sampleTrips) {
+            if (!(await storage.getTrip(t.code))) {
                 console.log(`Initializing sample trip definition: ${t.code}`);
-                data.trips.push({ code: t.code, createdAt: new Date() });
+                const { metadata } = validateTripMetadata({
+                    ...t.metadata,
+                    scheduledDeparture: new Date(Date.now() - 15 * 60 * 1000).toISOString() // Departed 15 minutes ago
+                });
+                const createdAt = new Date();
+                // Sample trips are already under way
+                await storage.insertTrip({ code: t.code, createdAt, status: 'IN_PROGRESS', statusChangedAt: createdAt, joinToken: generateJoinToken(), ...metadata, routeId: t.routeId || null });
+                await recordEvent('TRIP_CREATED', t.code, { by: req.user.username, sample: true });
             }
-        });
+        }
 
         // Clear ONLY existing bookings for the specific sample trips being re-initialized
-        const sampleTripCodes = new Set(sampleTrips.map(t => t.code));
-        const originalBookingCount = data.bookings.length;
-        data.bookings = data.bookings.filter(b => !sampleTripCodes.has(b.tripCode));
-        console.log(`Cleared ${originalBookingCount - data.bookings.length} existing bookings for sample trips: ${Array.from(sampleTripCodes).join(', ')}`);
+        const sampleTripCodes = sampleTrips.map(t => t.code);
+        const clearedCount = await storage.deleteBookings({ tripCodes: sampleTripCodes });
+        sampleTripCodes.forEach(code => {
+            shuttleMotion.forget(code); // The old sample positions no longer apply
+            geofence.forget(code);
+            tripStateWatcher.forget(code);
+            gpsValidator.forget(code);
+        });
+        console.log(`Cleared ${clearedCount} existing bookings for sample trips: ${sampleTripCodes.join(', ')}`);
 
         // Create new sample booking data for each sample trip
+        const sampleBookings = [];
         sampleTrips.forEach(t => {
             console.log(`Generating 10 sample bookings for trip: ${t.code}`);
             for (let i = 1; i <= 10; i++) { // Generate 10 riders per sample trip
@@ -605,8 +1711,8 @@ app.post('/api/initData', async (req, res) => {
                 // Random timestamp within the last minute (60 * 1000 ms)
                 const timestamp = new Date(Date.now() - Math.floor(Math.random() * 60 * 1000));
 
-                // Add the generated booking to the data
-                data.bookings.push({
+                // Add the generated booking to the batch
+                sampleBookings.push({
                     tripCode: t.code,
                     riderId: `Rider-${i}-${t.code.substring(0, 2)}`, // Unique rider ID format
                     timestamp,
@@ -617,9 +1723,15 @@ app.post('/api/initData', async (req, res) => {
             }
         });
 
-        // Write the updated data (new trips and bookings) back to the file
-        await writeData(data);
+        // Sample riders are on their trip from their first fix
+        for (const booking of sampleBookings) {
+            await storage.openRiderSession({ tripCode: booking.tripCode, riderId: booking.riderId, joinedAt: new Date(booking.timestamp.getTime() - 60 * 1000) });
+        }
+
+        // Store the generated bookings in one go
+        await storage.insertBookings(sampleBookings);
         console.log('Sample data initialized successfully.');
+        notifyDataChanged();
         res.json({ success: true }); // Respond with success
 
     } catch (error) {
@@ -629,23 +1741,135 @@ app.post('/api/initData', async (req, res) => {
 });
 
 
+/**
+ * Validates the trip code, rider ID and join token sent by a rider's phone.
+ * @param {string} code - Trip code from the URL or body.
+ * @param {*} riderId - Rider ID from the body.
+ * @param {*} token - Join token from the body.
+ * @returns {Promise<{status: number, error: string}|{tripCode: string, riderId: string, trip: Object}>}
+ *   Status 410 means the trip has been completed or cancelled.
+ */
+async function validateRiderRequest(code, riderId, token) {
+    if (!code || typeof code !== 'string' || code.trim() === '') {
+        return { status: 400, error: 'Valid trip code must be provided' };
+    }
+    const tripCode = code.trim().toUpperCase(); // Standardize trip code
+    if (!riderId || typeof riderId !== 'string' || riderId.trim() === '') {
+        return { status: 400, error: 'Valid Rider ID must be provided' };
+    }
+    if (riderId.trim().length > RIDER_ID_MAX_LENGTH || !RIDER_ID_PATTERN.test(riderId.trim())) {
+        return { status: 400, error: `Rider ID must be at most ${RIDER_ID_MAX_LENGTH} characters of letters, digits, spaces and . ' @ _ -` };
+    }
+    const trip = await storage.getTrip(tripCode);
+    if (!trip) {
+        // A completed or cancelled trip is gone for good; tell the phone to stop sending
+        const [archived] = await storage.listArchivedTrips({ tripCode });
+        if (archived) {
+            return { status: 410, error: `Trip '${tripCode}' has been ${archived.status.toLowerCase()}.` };
+        }
+        return { status: 400, error: `Invalid trip code '${tripCode}'. This trip does not exist or may have ended.` };
+    }
+    if (isClosedTripStatus(trip.status)) {
+        return { status: 410, error: `Trip '${tripCode}' has been ${trip.status.toLowerCase()}.` };
+    }
+    if (!joinTokenMatches(trip, token)) {
+        return { status: 403, error: `Invalid join token for trip '${tripCode}'. Scan the trip's QR code again.` };
+    }
+    return { tripCode, riderId: riderId.trim(), trip };
+}
+
+// Start a rider session: the rider counts towards the trip until they leave
+app.post('/api/trips/:code/join', async (req, res) => {
+    console.log(`API: /api/trips/${req.params.code}/join called for rider:`, req.body && req.body.riderId); // Not the body: it holds the join token
+    try {
+        const rider = await validateRiderRequest(req.params.code, req.body.riderId, req.body.token);
+        if (rider.error) {
+            console.warn(`Join of trip ${req.params.code} rejected: ${rider.error}`);
+            return res.status(rider.status).json({ error: rider.error });
+        }
+
+        // Joining again while already on the trip simply returns the open session (e.g. after a page reload)
+        const { session, created } = await storage.openRiderSession({ tripCode: rider.tripCode, riderId: rider.riderId, joinedAt: new Date() });
+        if (created) {
+            console.log(`Rider ${rider.riderId} joined trip ${rider.tripCode}`);
+            notifyDataChanged();
+            await recordEvent('RIDER_JOINED', rider.tripCode, { riderId: rider.riderId });
+        } else {
+            console.log(`Rider ${rider.riderId} is already on trip ${rider.tripCode}`);
+        }
+        res.status(created ? 201 : 200).json({ success: true, created, session });
+
+    } catch (error) {
+        console.error('Error joining trip:', error);
+        res.status(500).json({ error: 'Failed to join trip' }); // Send internal server error
+    }
+});
+
+// End a rider session: the rider no longer counts towards the trip
+app.post('/api/trips/:code/leave', async (req, res) => {
+    console.log(`API: /api/trips/${req.params.code}/leave called for rider:`, req.body && req.body.riderId);
+    try {
+        const rider = await validateRiderRequest(req.params.code, req.body.riderId, req.body.token);
+        if (rider.error) {
+            console.warn(`Leave of trip ${req.params.code} rejected: ${rider.error}`);
+            return res.status(rider.status).json({ error: rider.error });
+        }
+
+        const session = await storage.closeRiderSession({ tripCode: rider.tripCode, riderId: rider.riderId, leftAt: new Date() });
+        if (!session) {
+            return res.status(404).json({ error: `Rider '${rider.riderId}' is not on trip '${rider.tripCode}'` });
+        }
+
+        console.log(`Rider ${rider.riderId} left trip ${rider.tripCode}`);
+        notifyDataChanged();
+        await recordEvent('RIDER_LEFT', rider.tripCode, { riderId: rider.riderId });
+        res.json({ success: true, session });
+
+    } catch (error) {
+        console.error('Error leaving trip:', error);
+        res.status(500).json({ error: 'Failed to leave trip' }); // Send internal server error
+    }
+});
+
+/**
+ * Middleware that turns location posts away with 429 once their rider, trip or IP is over its rate limit.
+ * Runs before any storage access, so a flood of posts costs almost nothing.
+ */
+function limitLocationIngestion(req, res, next) {
+    const { code, riderId, fixes } = req.body || {};
+    const tripCode = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    const rider = typeof riderId === 'string' ? riderId.trim() : '';
+    // Buffered fixes are capped by their capture times (see /api/logBookingBatch), so a batch is cheaper than sending each fix
+    const cost = Array.isArray(fixes) ? Math.max(1, Math.ceil(fixes.length / LOCATION_BATCH_FIXES_PER_TOKEN)) : 1;
+    const result = locationRateLimiter.consume({
+        ip: req.ip,
+        trip: tripCode,
+        rider: tripCode && rider ? `${tripCode}:${rider}` : ''
+    }, cost);
+    if (result.allowed) return next();
+
+    if (result.firstRejection) {
+        console.warn(`Rate limit: location posts for ${result.scope} ${result.key} rejected for ${result.retryAfterSeconds}s`);
+    }
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    res.status(429).json({ error: `Too many location updates for this ${result.scope}. Retry in ${result.retryAfterSeconds} s.`, retryAfterSeconds: result.retryAfterSeconds });
+}
+
 // Log a booking location update received from a mobile client
-app.post('/api/logBooking', async (req, res) => {
-    console.log("API: /api/logBooking called with body:", req.body);
+app.post('/api/logBooking', limitLocationIngestion, async (req, res) => {
+    console.log(`API: /api/logBooking called for trip ${req.body && req.body.code} by ${req.body && req.body.riderId}`);
     try {
         // Destructure expected fields from the request body
-        const { code, riderId, lat, lng, acc } = req.body;
+        const { code, riderId, lat, lng, acc, token } = req.body;
 
         // --- Input validation ---
-        if (!code || typeof code !== 'string' || code.trim() === '') {
-            return res.status(400).json({ error: 'Valid trip code must be provided' });
+        // The trip must exist and, since knowing the trip code is not enough, the join token must match
+        const rider = await validateRiderRequest(code, riderId, token);
+        if (rider.error) {
+            console.warn(`Rejected location for trip ${code} by ${riderId}: ${rider.error}`);
+            return res.status(rider.status).json({ error: rider.error });
         }
-        const tripCode = code.trim().toUpperCase(); // Standardize trip code
-
-        if (!riderId || typeof riderId !== 'string' || riderId.trim() === '') {
-            return res.status(400).json({ error: 'Valid Rider ID must be provided' });
-        }
-        const currentRiderId = riderId.trim(); // Standardize rider ID
+        const { tripCode, riderId: currentRiderId } = rider; // Standardized trip code and rider ID
 
         // Parse coordinates and accuracy, ensuring they are numbers
         const latitude = parseFloat(lat);
@@ -662,13 +1886,11 @@ app.post('/api/logBooking', async (req, res) => {
             accuracy = null; // Store null if accuracy is invalid
         }
 
-        const data = await readData();
-
-        // Check if the provided trip code actually exists in the defined trips
-        const tripExists = data.trips.some(trip => trip.code === tripCode);
-        if (!tripExists) {
-            console.warn(`Attempt to log booking for non-existent trip: ${tripCode} by ${currentRiderId}`);
-            return res.status(400).json({ error: `Invalid trip code '${tripCode}'. This trip does not exist or may have ended.` });
+        // Fixes only count while the rider is on the trip (between join and leave)
+        const openSessions = await storage.listRiderSessions({ tripCode, open: true });
+        if (!openSessions.some(session => session.riderId === currentRiderId)) {
+            console.warn(`Rejected location for trip ${tripCode} by ${currentRiderId}: rider has not joined the trip`);
+            return res.status(409).json({ error: `Rider '${currentRiderId}' has not joined trip '${tripCode}'. Join the trip first.` });
         }
 
         // Prepare the new booking data object
@@ -681,26 +1903,33 @@ app.post('/api/logBooking', async (req, res) => {
             accuracy: accuracy // Store potentially null accuracy
         };
 
+        // Check the fix against the rider's previous one; implausible fixes never reach the clustering
+        const previous = (await storage.listBookings({ tripCode })).find(booking => booking.riderId === currentRiderId) || null;
+        const verdict = gpsValidator.check(newBookingData, previous);
+        if (verdict.status === 'rejected') {
+            const messages = verdict.reasons.map(item => item.message);
+            console.warn(`Rejected location for trip ${tripCode} by ${currentRiderId}: ${messages.join('; ')}`);
+            return res.status(422).json({ error: `Location rejected: ${messages.join('; ')}`, reasons: verdict.reasons });
+        }
+        if (verdict.status === 'flagged') {
+            newBookingData.flags = verdict.reasons;
+            console.warn(`Flagged location for trip ${tripCode} by ${currentRiderId}: ${verdict.reasons.map(item => item.code).join(', ')}`);
+        }
+
         // --- Upsert Logic: Update existing entry or add new one ---
-        // Find the index of an existing booking for this rider on this trip
-        const existingBookingIndex = data.bookings.findIndex(
-            booking => booking.tripCode === tripCode && booking.riderId === currentRiderId
-        );
-
-        if (existingBookingIndex !== -1) {
-            // Update the existing booking entry at the found index
-            data.bookings[existingBookingIndex] = newBookingData;
-            console.log(`Updated location for ${currentRiderId} in trip ${tripCode}`);
-        } else {
-            // Add as a new booking entry if no existing one was found
-            data.bookings.push(newBookingData);
+        // Replace the rider's latest position and append the fix to their breadcrumb trail
+        const { created } = await storage.recordLocation(newBookingData);
+        if (created) {
             console.log(`New location log for ${currentRiderId} added to trip ${tripCode}`);
+        } else {
+            console.log(`Updated location for ${currentRiderId} in trip ${tripCode}`);
         }
+        notifyDataChanged(); // Push the new position to connected dashboards
 
-        // Write the modified data back to the file
-        await writeData(data);
-        // Respond with success message
-        res.json({ success: true, message: `Location for ${currentRiderId} on trip ${tripCode} logged.` });
+        // Respond with success message (and why the fix looks suspicious, if it does)
+        const response = { success: true, message: `Location for ${currentRiderId} on trip ${tripCode} logged.` };
+        if (newBookingData.flags) response.flags = newBookingData.flags;
+        res.json(response);
 
     } catch (error) {
         console.error('Error in /api/logBooking:', error);
@@ -710,8 +1939,121 @@ app.post('/api/logBooking', async (req, res) => {
 });
 
 
+/**
+ * Reads one fix of a batch upload.
+ * @param {*} input - { lat, lng, acc, capturedAt } (capturedAt = ISO date or epoch ms).
+ * @param {number} now - Server time (epoch ms).
+ * @returns {{lat: number, lng: number, accuracy: (number|null), time: number}|{reason: {code: string, message: string}}}
+ */
+function parseBufferedFix(input, now) {
+    if (!input || typeof input !== 'object') {
+        return { reason: { code: 'INVALID', message: 'Fix must be an object with lat, lng, acc and capturedAt' } };
+    }
+    const lat = parseFloat(input.lat);
+    const lng = parseFloat(input.lng);
+    if (isNaN(lat) || isNaN(lng)) {
+        return { reason: { code: 'INVALID', message: 'Valid latitude and longitude must be provided' } };
+    }
+    const accuracy = parseFloat(input.acc);
+    const time = typeof input.capturedAt === 'number' ? input.capturedAt : parseTimeParam(input.capturedAt);
+    if (time === null || !Number.isFinite(time)) {
+        return { reason: { code: 'INVALID', message: 'capturedAt must be an ISO date or epoch milliseconds' } };
+    }
+    if (time > now + LOCATION_MAX_CLOCK_AHEAD_SECONDS * 1000) {
+        return { reason: { code: 'FUTURE', message: `Captured ${Math.round((time - now) / 1000)} s in the future; check the phone's clock` } };
+    }
+    // A phone clock running slightly ahead shouldn't put fixes after the server's "now"
+    return { lat, lng, accuracy: isNaN(accuracy) || accuracy < 0 ? null : accuracy, time: Math.min(time, now) };
+}
+
+// Upload fixes the rider page buffered while offline, stored with their capture time.
+// Body: { code, riderId, token, fixes: [{ lat, lng, acc, capturedAt }] }. Fixes are processed oldest first;
+// each one is validated like /api/logBooking and reported as accepted, flagged or rejected.
+app.post('/api/logBookingBatch', limitLocationIngestion, async (req, res) => {
+    const { code, riderId, token, fixes } = req.body;
+    console.log(`API: /api/logBookingBatch called for trip ${code} by ${riderId} with ${Array.isArray(fixes) ? fixes.length : 0} fix(es)`);
+    try {
+        const rider = await validateRiderRequest(code, riderId, token);
+        if (rider.error) {
+            console.warn(`Rejected location batch for trip ${code} by ${riderId}: ${rider.error}`);
+            return res.status(rider.status).json({ error: rider.error });
+        }
+        const { tripCode, riderId: currentRiderId } = rider; // Standardized trip code and rider ID
+
+        if (!Array.isArray(fixes) || fixes.length === 0) {
+            return res.status(400).json({ error: 'fixes must be a non-empty array' });
+        }
+        if (fixes.length > LOCATION_BATCH_MAX_FIXES) {
+            return res.status(400).json({ error: `At most ${LOCATION_BATCH_MAX_FIXES} fixes can be sent at once` });
+        }
+
+        // Fixes only count while the rider is on the trip (between join and leave)
+        const session = (await storage.listRiderSessions({ tripCode, open: true })).find(item => item.riderId === currentRiderId);
+        if (!session) {
+            console.warn(`Rejected location batch for trip ${tripCode} by ${currentRiderId}: rider has not joined the trip`);
+            return res.status(409).json({ error: `Rider '${currentRiderId}' has not joined trip '${tripCode}'. Join the trip first.` });
+        }
+        const joinedAt = new Date(session.joinedAt).getTime();
+
+        const now = Date.now();
+        const parsed = fixes.map((input, index) => ({ index, ...parseBufferedFix(input, now) }));
+        // Oldest first, so each fix is checked against the one before it (invalid fixes have no time and go last)
+        parsed.sort((a, b) => (a.reason ? Infinity : a.time) - (b.reason ? Infinity : b.time) || a.index - b.index);
+
+        // Buffered fixes often land between fixes already stored (a live post can arrive before the queue is
+        // flushed), so each one is checked against its neighbours in time, not against the rider's latest fix
+        const timeline = (await storage.listLocationHistory({ tripCode, riderId: currentRiderId, from: joinedAt }))
+            .map(fix => ({ ...fix, time: new Date(fix.timestamp).getTime() }));
+        const storedTimes = new Set(timeline.map(fix => fix.time));
+        // The validator remembers per-rider state in arrival order; a batch gets its own so it can't disturb the live one
+        const batchValidator = createGpsValidator(GPS_RULES);
+        const minIntervalMs = LOCATION_BATCH_MIN_INTERVAL_SECONDS * 1000;
+        const results = new Array(fixes.length);
+        const accepted = [];
+        parsed.forEach(fix => {
+            const reject = (...reasons) => { results[fix.index] = { index: fix.index, status: 'rejected', reasons }; };
+            if (fix.reason) return reject(fix.reason);
+            if (fix.time < joinedAt) {
+                return reject({ code: 'BEFORE_JOIN', message: 'Captured before the rider joined the trip' });
+            }
+            if (storedTimes.has(fix.time)) {
+                return reject({ code: 'ALREADY_STORED', message: 'A fix with this capture time is already stored (sent twice?)' });
+            }
+            const position = timeline.findIndex(item => item.time > fix.time);
+            const nextIndex = position === -1 ? timeline.length : position;
+            const previous = timeline[nextIndex - 1] || null;
+            const next = timeline[nextIndex] || null;
+            if ((previous && fix.time - previous.time < minIntervalMs) || (next && next.time - fix.time < minIntervalMs)) {
+                return reject({ code: 'TOO_FREQUENT', message: `Less than ${LOCATION_BATCH_MIN_INTERVAL_SECONDS} s from the neighbouring fix` });
+            }
+
+            const booking = { tripCode, riderId: currentRiderId, timestamp: new Date(fix.time), lat: fix.lat, lng: fix.lng, accuracy: fix.accuracy };
+            const verdict = batchValidator.check(booking, previous);
+            if (verdict.status === 'rejected') return reject(...verdict.reasons);
+            if (verdict.status === 'flagged') booking.flags = verdict.reasons;
+            results[fix.index] = { index: fix.index, status: verdict.status, capturedAt: booking.timestamp.toISOString(), ...(booking.flags ? { reasons: booking.flags } : {}) };
+            accepted.push(booking);
+            timeline.splice(nextIndex, 0, { ...booking, time: fix.time });
+        });
+
+        if (accepted.length > 0) {
+            await storage.recordLocations(accepted);
+            notifyDataChanged(); // Push the new positions to connected dashboards
+        }
+        const counts = { accepted: 0, flagged: 0, rejected: 0 };
+        results.forEach(result => { counts[result.status] += 1; });
+        console.log(`Location batch for ${currentRiderId} on trip ${tripCode}: ${counts.accepted} accepted, ${counts.flagged} flagged, ${counts.rejected} rejected`);
+        res.json({ success: true, ...counts, results });
+
+    } catch (error) {
+        console.error('Error in /api/logBookingBatch:', error);
+        res.status(500).json({ error: 'An internal server error occurred while logging the locations.' });
+    }
+});
+
+
 // Fetch new booking entries since a given timestamp (used for the event log)
-app.get('/api/fetchNewBookings', async (req, res) => {
+app.get('/api/fetchNewBookings', requireViewer, async (req, res) => {
     console.log("API: /api/fetchNewBookings called with query:", req.query);
     try {
         // Get the 'since' timestamp from query params, default to 0 if missing or invalid
@@ -722,19 +2064,8 @@ app.get('/api/fetchNewBookings', async (req, res) => {
         }
         console.log(`Fetching bookings since timestamp: ${since} (${new Date(since).toISOString()})`);
 
-        const data = await readData();
-        // Ensure bookings is a valid array
-        const validBookings = Array.isArray(data.bookings) ? data.bookings : [];
-
-        // Filter bookings:
-        // 1. Must have a valid timestamp.
-        // 2. Timestamp must be strictly greater than the 'since' value.
-        const newBookings = validBookings
-            .filter(booking => {
-                if (!booking || typeof booking.timestamp === 'undefined') return false;
-                const bookingTime = new Date(booking.timestamp).getTime();
-                return !isNaN(bookingTime) && bookingTime > since;
-            })
+        // Storage only returns bookings with a timestamp strictly greater than 'since'
+        const newBookings = (await storage.listBookings({ since }))
             .sort((a, b) => {
                 // Sort descending (newest first) by timestamp for client convenience
                 return new Date(b.timestamp) - new Date(a.timestamp);
@@ -751,7 +2082,7 @@ app.get('/api/fetchNewBookings', async (req, res) => {
 
 
 // Delete a specific trip definition and all its associated booking data
-app.delete('/api/deleteTrip', async (req, res) => {
+app.delete('/api/deleteTrip', requireDispatcher, async (req, res) => {
     console.log("API: /api/deleteTrip called with body:", req.body);
     try {
         const { tripCode } = req.body;
@@ -762,24 +2093,17 @@ app.delete('/api/deleteTrip', async (req, res) => {
         }
         const codeToDelete = tripCode.trim().toUpperCase(); // Standardize trip code
 
-        const data = await readData();
-
-        const initialTripCount = data.trips.length;
-        const initialBookingCount = data.bookings.length;
-
-        // Filter out the trip definition to be deleted
-        data.trips = data.trips.filter(trip => trip.code !== codeToDelete);
-        const tripDeleted = data.trips.length < initialTripCount;
-
-        // Filter out all booking entries associated with the deleted trip code
-        data.bookings = data.bookings.filter(booking => booking.tripCode !== codeToDelete);
-        const bookingsDeletedCount = initialBookingCount - data.bookings.length;
-
-        // Write the modified data (without the deleted trip and its bookings) back to the file
-        await writeData(data);
+        // Remove the trip definition and all booking entries associated with it
+        const { tripDeleted, bookingsDeleted: bookingsDeletedCount } = await storage.deleteTrip(codeToDelete);
+        shuttleMotion.forget(codeToDelete);
+        geofence.forget(codeToDelete);
+        tripStateWatcher.forget(codeToDelete);
+        gpsValidator.forget(codeToDelete);
+        notifyDataChanged();
 
         if (tripDeleted) {
              console.log(`Trip ${codeToDelete} deleted. ${bookingsDeletedCount} associated bookings removed.`);
+             await recordEvent('TRIP_DELETED', codeToDelete, { by: req.user.username, bookingsDeleted: bookingsDeletedCount });
              res.json({ success: true, message: `Trip ${codeToDelete} and ${bookingsDeletedCount} associated bookings deleted.` });
         } else {
              console.warn(`Attempt to delete non-existent trip: ${codeToDelete}. Only removed ${bookingsDeletedCount} potential orphaned bookings.`);
@@ -795,17 +2119,18 @@ app.delete('/api/deleteTrip', async (req, res) => {
 
 
 // Reset all application data (clear both trips and bookings arrays)
-app.delete('/api/resetData', async (req, res) => {
+app.delete('/api/resetData', requireDispatcher, async (req, res) => {
     console.log("API: /api/resetData called");
     try {
-        // Define the empty initial data structure
-        const initialData = {
-            bookings: [],
-            trips: []
-        };
-        // Overwrite the data file with the empty structure
-        await writeData(initialData);
+        // Remove every trip and booking from storage
+        await storage.reset();
+        shuttleMotion.reset();
+        geofence.reset();
+        tripStateWatcher.reset();
+        gpsValidator.reset();
         console.log('Application data reset successfully.');
+        notifyDataChanged();
+        await recordEvent('DATA_RESET', null, { by: req.user.username });
         res.json({ success: true, message: 'All application data (trips and bookings) has been reset.' }); // Respond with success
     } catch (error) {
         console.error('Error resetting data:', error);
@@ -813,17 +2138,107 @@ app.delete('/api/resetData', async (req, res) => {
     }
 });
 
+// Request bodies the parsers refused (too large, malformed JSON) get a JSON error like every other API failure
+app.use('/api', (error, req, res, next) => {
+    if (!error.type || !error.status || error.status >= 500) return next(error);
+    console.warn(`Rejected request body for ${req.method} ${req.originalUrl}: ${error.message}`);
+    const message = error.type === 'entity.too.large'
+        ? `Request body is larger than the ${error.limit} byte limit`
+        : `Request body could not be read: ${error.message}`;
+    res.status(error.status).json({ error: message });
+});
+
 
 // --- Server Start ---
+// Remove breadcrumbs and finished rider sessions older than the retention window
+async function pruneLocationHistory() {
+    try {
+        const cutoff = Date.now() - HISTORY_RETENTION_HOURS * 60 * 60 * 1000;
+        const removed = await storage.pruneLocationHistory(cutoff);
+        if (removed > 0) console.log(`Pruned ${removed} location history entries older than ${HISTORY_RETENTION_HOURS}h.`);
+        const removedSessions = await storage.pruneRiderSessions(cutoff); // Ended sessions are only needed for history
+        if (removedSessions > 0) console.log(`Pruned ${removedSessions} rider sessions that ended more than ${HISTORY_RETENTION_HOURS}h ago.`);
+        const removedEvents = await storage.pruneEvents(Date.now() - EVENT_RETENTION_HOURS * 60 * 60 * 1000);
+        if (removedEvents > 0) console.log(`Pruned ${removedEvents} events older than ${EVENT_RETENTION_HOURS}h.`);
+    } catch (error) {
+        console.error('Error pruning location history:', error);
+    }
+}
+
+// Make sure someone can log in: create the ADMIN_USERNAME account, or a random 'admin' login on first start
+async function ensureOperatorAccount() {
+    if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+        if (!(await storage.getUser(ADMIN_USERNAME))) {
+            await storage.insertUser({ username: ADMIN_USERNAME, role: 'dispatcher', passwordHash: await hashPassword(ADMIN_PASSWORD), createdAt: new Date() });
+            console.log(`Created dispatcher account '${ADMIN_USERNAME}' from ADMIN_USERNAME/ADMIN_PASSWORD.`);
+        }
+        return;
+    }
+    if ((await storage.listUsers()).length > 0) return;
+    const password = crypto.randomBytes(12).toString('base64url');
+    await storage.insertUser({ username: 'admin', role: 'dispatcher', passwordHash: await hashPassword(password), createdAt: new Date() });
+    console.warn(`No operator accounts found. Created dispatcher 'admin' with password: ${password}`);
+    console.warn('Set ADMIN_USERNAME and ADMIN_PASSWORD to choose your own credentials.');
+}
+
+// Trips created before join tokens existed get one now, so riders can be handed a working QR code
+async function ensureJoinTokens() {
+    const trips = await storage.listTrips();
+    for (const trip of trips.filter(t => !t.joinToken)) {
+        await storage.updateTrip(trip.code, { joinToken: generateJoinToken() });
+        console.log(`Issued join token for existing trip ${trip.code}`);
+    }
+}
+
 async function start() {
-    await initializeDataFile(); // Ensure data file exists before starting the server
+    // Refuse to start with nonsensical clustering defaults rather than silently never clustering
+    const envClustering = validateClusteringSettings(ENV_CLUSTERING_DEFAULTS);
+    if (envClustering.errors.length > 0) {
+        throw new Error(`Invalid clustering environment settings: ${envClustering.errors.join('; ')}`);
+    }
+    if (!(ETA_AVERAGE_SPEED_KMH > 0) || !(ETA_MIN_OBSERVED_SPEED_KMH >= 0)) {
+        throw new Error('ETA_AVERAGE_SPEED_KMH must be a positive number and ETA_MIN_OBSERVED_SPEED_KMH a non-negative number');
+    }
+    if (!(GPS_MAX_SPEED_KMH > 0) || !(GPS_MAX_ACCURACY_METERS > 0)) {
+        throw new Error('GPS_MAX_SPEED_KMH and GPS_MAX_ACCURACY_METERS must be positive numbers');
+    }
+    Object.entries(RATE_LIMITS).forEach(([scope, limits]) => {
+        if (!(limits.perMinute > 0) || !(limits.burst >= 1)) {
+            const name = `RATE_LIMIT_${scope.toUpperCase()}`;
+            throw new Error(`${name}_PER_MINUTE must be a positive number and ${name}_BURST at least 1`);
+        }
+    });
+    await storage.init(); // Ensure the data file / database exists before starting the server
+    await ensureOperatorAccount();
+    await ensureJoinTokens();
+    await pruneLocationHistory();
+    setInterval(pruneLocationHistory, HISTORY_PRUNE_INTERVAL_MINUTES * 60 * 1000);
+    // Pick up where change detection left off, so e.g. a shuttle waiting at a stop isn't reported as arriving again
+    const recentEvents = await storage.listEvents({ from: Date.now() - 24 * 60 * 60 * 1000 });
+    geofence.restore(recentEvents);
+    tripStateWatcher.restore(recentEvents);
+    setInterval(checkTripState, TRIP_STATE_CHECK_SECONDS * 1000);
     app.listen(PORT, () => {
         console.log(`Server running at http://localhost:${PORT}`);
         console.log(`Serving static files from: ${path.join(__dirname, 'public')}`);
-        console.log(`Using data file: ${DATA_FILE}`);
-        console.log(`Clustering Params: Radius=${CLUSTER_RADIUS_METERS}m, MinSize=${MINIMUM_CLUSTER_SIZE}, RecentMins=${RECENT_BOOKING_MINUTES}`);
+        console.log(`Using ${storage.name} storage: ${storage.location}`);
+        console.log(`Clustering defaults (env): Radius=${ENV_CLUSTERING_DEFAULTS.radiusMeters}m, MinSize=${ENV_CLUSTERING_DEFAULTS.minClusterSize}, RecentMins=${ENV_CLUSTERING_DEFAULTS.recentMinutes}, SplitShare=${ENV_CLUSTERING_DEFAULTS.splitMinShare}`);
+        console.log(`Arrival estimates: average speed ${ETA_AVERAGE_SPEED_KMH} km/h, observed speed used from ${ETA_MIN_OBSERVED_SPEED_KMH} km/h`);
+        console.log(`Location rate limits (per minute/burst): ${Object.entries(RATE_LIMITS).map(([scope, limits]) => `${scope} ${limits.perMinute}/${limits.burst}`).join(', ')}${TRUST_PROXY ? `, trust proxy ${TRUST_PROXY}` : ''}`);
+        console.log(`GPS validation: fixes rejected above ${GPS_MAX_SPEED_KMH} km/h implied speed or ${GPS_MAX_ACCURACY_METERS} m accuracy`);
+        console.log(`Location history retention: ${HISTORY_RETENTION_HOURS}h`);
+        if (STORAGE_BACKEND === 'json' && HISTORY_RETENTION_HOURS > JSON_HISTORY_WARN_HOURS) {
+            console.warn(`Keeping ${HISTORY_RETENTION_HOURS}h of location history in ${DATA_FILE}, which is rewritten on every location post. Use STORAGE_BACKEND=sqlite for history beyond ${JSON_HISTORY_WARN_HOURS}h.`);
+        }
+    });
+}
+
+// Start the server process when run directly (tests require the app without listening)
+if (require.main === module) {
+    start().catch(error => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
     });
 }
 
-// Start the server process
-start();
+module.exports = { app, storage };
@@ -0,0 +1,117 @@
+// test/auth.test.js
+// Dashboard endpoints need a signed, unexpired session with a high enough role,
+// and riders need the trip's current join token.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Point the server at a throwaway data file before it is loaded, with a known secret so a cookie can be forged
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-tracker-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.DATA_FILE = path.join(tmpDir, 'data.json');
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const { app, storage } = require('../server');
+const { hashPassword } = require('../lib/auth');
+
+// A session cookie signed the way the server signs them
+function signedCookie(session) {
+    const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+    const signature = crypto.createHmac('sha256', process.env.SESSION_SECRET).update(payload).digest('base64url');
+    return `shuttle_session=${payload}.${signature}`;
+}
+
+describe('operator roles, sessions and join tokens', () => {
+    let server;
+    let dispatcher;
+    let viewer;
+    let joinToken;
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+
+    before(async () => {
+        console.log = () => {}; // The endpoints log every request; keep test output readable
+        console.warn = () => {};
+        await storage.init();
+        await storage.insertUser({ username: 'dispatch', role: 'dispatcher', passwordHash: await hashPassword('dispatch-pass'), createdAt: new Date() });
+        await storage.insertUser({ username: 'watch', role: 'viewer', passwordHash: await hashPassword('watch-pass'), createdAt: new Date() });
+        server = app.listen(0);
+        dispatcher = request.agent(server);
+        await dispatcher.post('/api/auth/login').send({ username: 'dispatch', password: 'dispatch-pass' }).expect(200);
+        viewer = request.agent(server);
+        await viewer.post('/api/auth/login').send({ username: 'watch', password: 'watch-pass' }).expect(200);
+        const created = await dispatcher.post('/api/createTrip').send({ tripCode: 'AUTH1' }).expect(201);
+        joinToken = created.body.trip.joinToken;
+    });
+
+    after(async () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        server.close();
+        await storage.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('refuses dispatcher actions to a viewer', async () => {
+        const attempts = [
+            viewer.delete('/api/resetData'),
+            viewer.delete('/api/deleteTrip').send({ tripCode: 'AUTH1' }),
+            viewer.post('/api/initData').send({ trips: [], bookings: [] }),
+            viewer.post('/api/createTrip').send({ tripCode: 'AUTH2' })
+        ];
+        for (const attempt of attempts) {
+            const { body } = await attempt.expect(403);
+            assert.strictEqual(body.error, "This action requires the 'dispatcher' role");
+        }
+        assert.ok(await storage.getTrip('AUTH1'));
+        assert.strictEqual(await storage.getTrip('AUTH2'), null);
+    });
+
+    it('answers 401 without a valid, unexpired session cookie', async () => {
+        const { body } = await request(server).get('/api/getTrips').expect(401);
+        assert.strictEqual(body.error, 'Login required');
+
+        // Promoting yourself by editing the payload breaks the signature
+        const [payload, signature] = signedCookie({ username: 'watch', expiresAt: Date.now() + 60000 }).split('=')[1].split('.');
+        const tampered = Buffer.from(JSON.stringify({ username: 'dispatch', expiresAt: Date.now() + 60000 })).toString('base64url');
+        assert.notStrictEqual(tampered, payload);
+        await request(server).get('/api/getTrips').set('Cookie', `shuttle_session=${tampered}.${signature}`).expect(401);
+        await request(server).get('/api/getTrips').set('Cookie', `shuttle_session=${payload}.${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`).expect(401);
+
+        // A correctly signed session is only good until it expires
+        await request(server).get('/api/getTrips').set('Cookie', signedCookie({ username: 'watch', expiresAt: Date.now() + 60000 })).expect(200);
+        await request(server).get('/api/getTrips').set('Cookie', signedCookie({ username: 'watch', expiresAt: Date.now() - 1000 })).expect(401);
+    });
+
+    it('shows join tokens to dispatchers only', async () => {
+        const asViewer = await viewer.get('/api/getTrips').expect(200);
+        assert.deepStrictEqual(asViewer.body.map(trip => trip.code), ['AUTH1']);
+        assert.ok(!('joinToken' in asViewer.body[0]));
+
+        const asDispatcher = await dispatcher.get('/api/getTrips').expect(200);
+        assert.strictEqual(asDispatcher.body[0].joinToken, joinToken);
+    });
+
+    it('refuses riders with a wrong or rotated join token', async () => {
+        const fix = token => ({ code: 'auth1', riderId: 'R1', lat: 6.5, lng: 3.38, acc: 10, token });
+
+        for (const token of [undefined, 'WRONG123']) {
+            await request(server).post('/api/trips/AUTH1/join').send({ riderId: 'R1', token }).expect(403);
+            const { body } = await request(server).post('/api/logBooking').send(fix(token)).expect(403);
+            assert.strictEqual(body.error, "Invalid join token for trip 'AUTH1'. Scan the trip's QR code again.");
+        }
+        await request(server).post('/api/trips/AUTH1/join').send({ riderId: 'R1', token: joinToken }).expect(201);
+
+        // Rotating the token locks out phones that still hold the old one
+        const rotated = await dispatcher.post('/api/trips/auth1/join-token').expect(200);
+        assert.notStrictEqual(rotated.body.joinToken, joinToken);
+        await request(server).post('/api/trips/AUTH1/join').send({ riderId: 'R2', token: joinToken }).expect(403);
+        await request(server).post('/api/logBooking').send(fix(joinToken)).expect(403);
+        await request(server).post('/api/trips/AUTH1/join').send({ riderId: 'R2', token: rotated.body.joinToken }).expect(201);
+        await viewer.post('/api/trips/AUTH1/join-token').expect(403);
+    });
+});
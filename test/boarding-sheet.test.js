@@ -0,0 +1,63 @@
+// test/boarding-sheet.test.js
+// The printable boarding sheet shows trip details typed in by dispatchers, so they must be escaped.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { renderBoardingSheet } = require('../lib/boarding-sheet');
+
+const QR_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 29 29"><path d="M0 0h7v7H0z"/></svg>';
+
+function trip(overrides = {}) {
+    return {
+        code: 'AM1',
+        origin: 'Ikeja',
+        destination: 'Marina',
+        scheduledDeparture: '2026-03-02T07:30:00.000Z',
+        vehiclePlate: 'LAG-123-XY',
+        vehicleModel: 'Toyota Hiace',
+        joinToken: 'K7QM2XPA',
+        ...overrides
+    };
+}
+
+describe('boarding sheet', () => {
+    it('shows the trip, its route, the QR code and how to join without a camera', () => {
+        const html = renderBoardingSheet({
+            trip: trip(),
+            route: { name: 'Island', stops: [{ name: 'Allen' }, { name: 'Marina' }] },
+            joinUrl: 'https://shuttle.example/mobile.html?code=AM1&token=K7QM2XPA',
+            qrSvg: QR_SVG
+        });
+        assert.ok(html.includes('<div class="code">AM1</div>'));
+        assert.ok(html.includes('<div class="journey">Ikeja → Marina</div>'));
+        assert.ok(html.includes('Route Island<br>Allen → Marina'));
+        assert.ok(html.includes(`<div class="qr">${QR_SVG}</div>`));
+        assert.ok(html.includes('<time datetime="2026-03-02T07:30:00.000Z">Mon, 02 Mar 2026 07:30:00 GMT</time>'));
+        assert.ok(html.includes('<dd>LAG-123-XY · Toyota Hiace</dd>'));
+        // The link without the token, and the token only as text to type in
+        assert.ok(html.includes('No camera? Open https://shuttle.example/mobile.html<br>'));
+        assert.ok(html.includes('with join token <strong>K7QM2XPA</strong>'));
+    });
+
+    it('escapes every value typed in by a dispatcher', () => {
+        const html = renderBoardingSheet({
+            trip: trip({ origin: '<script>alert(1)</script>', vehicleModel: '"Bus" & <Co>' }),
+            route: { name: "O'Neil <Loop>", stops: [{ name: '<img src=x onerror=alert(1)>' }] },
+            joinUrl: 'https://shuttle.example/mobile.html?code=AM1',
+            qrSvg: QR_SVG
+        });
+        assert.ok(!html.includes('<script>alert') && !html.includes('<img') && !html.includes('<Loop>') && !html.includes('<Co>'));
+        assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt; → Marina'));
+        assert.ok(html.includes('Route O&#39;Neil &lt;Loop&gt;<br>&lt;img src=x onerror=alert(1)&gt;'));
+        assert.ok(html.includes('&quot;Bus&quot; &amp; &lt;Co&gt;'));
+    });
+
+    it('leaves out the parts a trip does not have', () => {
+        const html = renderBoardingSheet({
+            trip: trip({ origin: null, destination: null, scheduledDeparture: null, vehiclePlate: null, vehicleModel: null }),
+            route: null,
+            joinUrl: 'https://shuttle.example/mobile.html',
+            qrSvg: QR_SVG
+        });
+        ['class="journey"', 'class="route"', '<dl class="details">', '<time'].forEach(part => assert.ok(!html.includes(part), part));
+    });
+});
@@ -0,0 +1,123 @@
+// test/clustering-settings.test.js
+// Clustering settings are checked against their ranges, a trip's overrides win over the server defaults,
+// and the cluster results report the settings they were calculated with.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { resolveClusteringSettings } = require('../lib/clustering');
+
+// Point the server at a throwaway data file before it is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-tracker-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.DATA_FILE = path.join(tmpDir, 'data.json');
+
+const { app, storage } = require('../server');
+const { hashPassword } = require('../lib/auth');
+
+describe('resolveClusteringSettings', () => {
+    const defaults = { radiusMeters: 1000, minClusterSize: 2, recentMinutes: 5, splitMinShare: 0.25 };
+
+    it('applies a trip override on top of the defaults', () => {
+        assert.deepStrictEqual(resolveClusteringSettings(defaults, { code: 'T1', clustering: { radiusMeters: 150, minClusterSize: 4 } }), { ...defaults, radiusMeters: 150, minClusterSize: 4 });
+    });
+
+    it('uses the defaults for a trip without overrides', () => {
+        assert.deepStrictEqual(resolveClusteringSettings(defaults, { code: 'T1' }), defaults);
+        assert.deepStrictEqual(resolveClusteringSettings(defaults, { code: 'T1', clustering: null }), defaults);
+        assert.deepStrictEqual(resolveClusteringSettings(defaults, null), defaults);
+    });
+});
+
+describe('clustering settings endpoints', () => {
+    let server;
+    let dispatcher;
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+
+    before(async () => {
+        console.log = () => {}; // The endpoints log every request; keep test output readable
+        console.warn = () => {};
+        await storage.init();
+        await storage.insertUser({ username: 'dispatch', role: 'dispatcher', passwordHash: await hashPassword('dispatch-pass'), createdAt: new Date() });
+        server = app.listen(0);
+        dispatcher = request.agent(server);
+        await dispatcher.post('/api/auth/login').send({ username: 'dispatch', password: 'dispatch-pass' }).expect(200);
+        await dispatcher.post('/api/createTrip').send({ tripCode: 'SET1' }).expect(201);
+        // Two riders 300 m apart: one cluster with the default radius, apart with a smaller one
+        for (const [riderId, lat] of [['A', 6.5], ['B', 6.5027]]) {
+            await storage.openRiderSession({ tripCode: 'SET1', riderId, joinedAt: new Date() });
+            await storage.insertBookings([{ tripCode: 'SET1', riderId, timestamp: new Date(), lat, lng: 3.38, accuracy: 10 }]);
+        }
+    });
+
+    after(async () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        server.close();
+        await storage.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const clusters = async () => (await dispatcher.get('/api/getClusters').expect(200)).body.SET1;
+
+    it('rejects values that are out of range or not numbers', async () => {
+        const rejected = async (url, body) => (await dispatcher.patch(url).send(body).expect(400)).body.error;
+
+        for (const url of ['/api/clustering/defaults', '/api/trips/SET1/clustering']) {
+            assert.strictEqual(await rejected(url, { radiusMeters: 0 }), 'radiusMeters must be between 1 and 50000');
+            assert.strictEqual(await rejected(url, { radiusMeters: 50001 }), 'radiusMeters must be between 1 and 50000');
+            assert.strictEqual(await rejected(url, { minClusterSize: 2.5 }), 'minClusterSize must be a whole number');
+            assert.strictEqual(await rejected(url, { recentMinutes: 'soon', splitMinShare: 1.5 }), 'recentMinutes must be a number; splitMinShare must be between 0.01 and 1');
+            assert.match(await rejected(url, { noiseMeters: 5 }), /^No clustering settings provided/);
+        }
+        await dispatcher.patch('/api/trips/NOPE/clustering').send({ radiusMeters: 100 }).expect(404);
+
+        // Nothing was stored by the refused requests
+        const { body } = await dispatcher.get('/api/clustering').expect(200);
+        assert.deepStrictEqual(body.defaults, body.environment);
+        assert.deepStrictEqual(body.trips.SET1.overrides, {});
+    });
+
+    it('reports the settings used in the cluster results', async () => {
+        const cluster = await clusters();
+        assert.deepStrictEqual(cluster.settings, { radiusMeters: 1000, minClusterSize: 2, recentMinutes: 5, splitMinShare: 0.25 });
+        assert.strictEqual(cluster.riderCount, 2);
+    });
+
+    it('lets a trip override take precedence over the defaults until it is cleared', async () => {
+        const { body: defaults } = await dispatcher.patch('/api/clustering/defaults').send({ radiusMeters: '2000', recentMinutes: 10 }).expect(200);
+        assert.strictEqual(defaults.defaults.radiusMeters, 2000);
+        assert.strictEqual(defaults.defaults.recentMinutes, 10);
+        assert.strictEqual((await clusters()).settings.radiusMeters, 2000);
+
+        const { body: trip } = await dispatcher.patch('/api/trips/set1/clustering').send({ radiusMeters: 100, minClusterSize: 1 }).expect(200);
+        assert.deepStrictEqual(trip.overrides, { radiusMeters: 100, minClusterSize: 1 });
+        assert.deepStrictEqual(trip.settings, { radiusMeters: 100, minClusterSize: 1, recentMinutes: 10, splitMinShare: 0.25 });
+        const overridden = await clusters();
+        assert.deepStrictEqual(overridden.settings, trip.settings);
+        // 100 m no longer reaches the other rider: each is a cluster of one
+        assert.strictEqual(overridden.clusters.length, 2);
+
+        // A later change to the defaults doesn't touch the overridden fields
+        await dispatcher.patch('/api/clustering/defaults').send({ radiusMeters: 3000 }).expect(200);
+        assert.strictEqual((await clusters()).settings.radiusMeters, 100);
+
+        // null clears one override; the default for that field applies again
+        const { body: cleared } = await dispatcher.patch('/api/trips/SET1/clustering').send({ radiusMeters: null }).expect(200);
+        assert.deepStrictEqual(cleared.overrides, { minClusterSize: 1 });
+        assert.strictEqual(cleared.settings.radiusMeters, 3000);
+        assert.strictEqual((await clusters()).settings.radiusMeters, 3000);
+
+        // Clearing the last override removes it from the trip
+        await dispatcher.patch('/api/trips/SET1/clustering').send({ minClusterSize: null }).expect(200);
+        assert.strictEqual((await storage.getTrip('SET1')).clustering, null);
+
+        // null on the defaults goes back to the environment value
+        const { body: reset } = await dispatcher.patch('/api/clustering/defaults').send({ radiusMeters: null, recentMinutes: null }).expect(200);
+        assert.deepStrictEqual(reset.defaults, { radiusMeters: 1000, minClusterSize: 2, recentMinutes: 5, splitMinShare: 0.25 });
+        assert.deepStrictEqual((await clusters()).settings, reset.defaults);
+    });
+});
@@ -0,0 +1,154 @@
+// test/clustering.test.js
+// The grid spatial index must find exactly the neighbors a scan over every point finds,
+// a trip's clusters are ranked by size with split and noise reported,
+// and replays must cluster each moment the way the live map did.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { calculateClusters, calculateShuttleTrack, getNeighbors, createSpatialIndex } = require('../lib/clustering');
+
+// Small seeded generator, so a failure can be reproduced
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+// Points scattered around a center, `spreadDegrees` in every direction
+function scatter(random, count, center, spreadDegrees) {
+    return Array.from({ length: count }, () => ({
+        lat: Math.max(-90, Math.min(90, center.lat + (random() * 2 - 1) * spreadDegrees)),
+        lng: ((center.lng + (random() * 2 - 1) * spreadDegrees + 540) % 360) - 180
+    }));
+}
+
+function assertSameNeighbors(points, radiusMeters) {
+    const index = createSpatialIndex(points, radiusMeters);
+    points.forEach((point, i) => {
+        assert.deepStrictEqual(index.neighbors(i), getNeighbors(point, i, points, radiusMeters), `point ${i} at ${point.lat}, ${point.lng}`);
+    });
+}
+
+describe('spatial index', () => {
+    it('matches the brute force scan for riders around a city', () => {
+        const random = createRandom(1);
+        const points = scatter(random, 300, { lat: 6.5, lng: 3.38 }, 0.02);
+        [10, 100, 500, 5000].forEach(radius => assertSameNeighbors(points, radius));
+    });
+
+    it('matches the brute force scan near the poles and across the antimeridian', () => {
+        const random = createRandom(2);
+        [
+            { lat: 89.9, lng: 0 },
+            { lat: -89.95, lng: 120 },
+            { lat: 64.8, lng: 180 },
+            { lat: -16.5, lng: -179.99 }
+        ].forEach(center => assertSameNeighbors(scatter(random, 150, center, 0.05), 800));
+    });
+
+    it('matches the brute force scan with a radius larger than the cells can hold', () => {
+        const random = createRandom(3);
+        assertSameNeighbors(scatter(random, 100, { lat: 70, lng: 10 }, 60), 3000000);
+    });
+
+    it('never lists points without coordinates', () => {
+        const points = [{ lat: 6.5, lng: 3.38 }, { lat: null, lng: 3.38 }, { lat: 6.5001, lng: 3.38 }, { lat: NaN, lng: NaN }];
+        assertSameNeighbors(points.filter((point, i) => i % 2 === 0), 50);
+        const index = createSpatialIndex(points, 50);
+        assert.deepStrictEqual(index.neighbors(0), [2]);
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        try {
+            assert.deepStrictEqual(index.neighbors(1), []);
+        } finally {
+            console.warn = originalWarn;
+        }
+    });
+
+    it('gives calculateClusters the same clusters as the scan', () => {
+        const random = createRandom(4);
+        const now = Date.parse('2026-03-02T08:00:00.000Z');
+        // Two groups of riders and a few stragglers
+        const points = [
+            ...scatter(random, 40, { lat: 6.5, lng: 3.38 }, 0.001),
+            ...scatter(random, 25, { lat: 6.52, lng: 3.40 }, 0.001),
+            ...scatter(random, 5, { lat: 6.5, lng: 3.38 }, 0.05)
+        ];
+        const bookings = points.map((point, i) => ({ tripCode: 'CL1', riderId: `R${i}`, timestamp: new Date(now - i * 1000), accuracy: 10, ...point }));
+        const trips = [{ code: 'CL1' }];
+        const options = { now, defaults: { radiusMeters: 200, minClusterSize: 3, recentMinutes: 15, splitMinShare: 0.25 }, quiet: true };
+
+        const indexed = calculateClusters(bookings, trips, options).CL1;
+        const scanned = calculateClusters(bookings, trips, { ...options, spatialIndex: false }).CL1;
+        assert.deepStrictEqual(indexed, scanned);
+        assert.ok(indexed.clusters.length >= 2);
+        assert.strictEqual(indexed.split, true);
+    });
+});
+
+describe('shuttle track', () => {
+    const T0 = Date.parse('2026-03-02T08:00:00.000Z');
+    const at = seconds => new Date(T0 + seconds * 1000).toISOString();
+    const trip = { code: 'TR1' };
+    const defaults = { radiusMeters: 200, minClusterSize: 2, recentMinutes: 5, splitMinShare: 0.25 };
+    const sessions = ['A', 'B'].map(riderId => ({ tripCode: 'TR1', riderId, joinedAt: at(0), leftAt: null }));
+    const fix = (riderId, seconds, lat) => ({ tripCode: 'TR1', riderId, timestamp: at(seconds), lat, lng: 3.38, accuracy: 10 });
+    // Both riders move north together at 45 seconds
+    const fixes = [fix('A', 0, 6.5), fix('B', 0, 6.5), fix('A', 45, 6.51), fix('B', 45, 6.51)];
+
+    it('steps through the range in order and always ends at its last moment', () => {
+        const track = calculateShuttleTrack(fixes, trip, { from: T0, to: T0 + 100000, stepMs: 30000, sessions, defaults });
+        assert.deepStrictEqual(track.map(point => point.timestamp), [at(0), at(30), at(60), at(90), at(100)]);
+    });
+
+    it('only uses the fixes each rider had sent by every step', () => {
+        const track = calculateShuttleTrack(fixes, trip, { from: T0, to: T0 + 60000, stepMs: 30000, sessions, defaults });
+        assert.deepStrictEqual(track.map(point => point.lat.toFixed(2)), ['6.50', '6.50', '6.51']);
+        assert.deepStrictEqual(track[0].riders.sort(), ['A', 'B']);
+    });
+
+    it('skips steps without a cluster, such as before the riders joined or after their fixes aged out', () => {
+        const lateJoin = sessions.map(session => ({ ...session, joinedAt: at(30) }));
+        const track = calculateShuttleTrack(fixes, trip, { from: T0, to: T0 + 600000, stepMs: 30000, sessions: lateJoin, defaults });
+        assert.strictEqual(track[0].timestamp, at(30));
+        // The last fixes (at 45 s) leave the 5 minute window after 345 s
+        assert.strictEqual(track[track.length - 1].timestamp, at(330));
+    });
+});
+
+describe('ranked clusters', () => {
+    const now = Date.parse('2026-03-02T08:00:00.000Z');
+    const trips = [{ code: 'RK1' }];
+    const fix = (riderId, lat, lng) => ({ tripCode: 'RK1', riderId, timestamp: new Date(now - 1000), lat, lng, accuracy: 10 });
+    // Three riders left at the stop (listed first), six on the shuttle 2 km away and one straggler in between
+    const bookings = [
+        ...['S1', 'S2', 'S3'].map((riderId, i) => fix(riderId, 6.52 + i * 0.0001, 3.40)),
+        ...['B1', 'B2', 'B3', 'B4', 'B5', 'B6'].map((riderId, i) => fix(riderId, 6.5 + i * 0.0001, 3.38)),
+        fix('X1', 6.51, 3.39)
+    ];
+    const clustersWith = splitMinShare => calculateClusters(bookings, trips, { now, defaults: { radiusMeters: 200, minClusterSize: 2, recentMinutes: 5, splitMinShare }, quiet: true }).RK1;
+
+    it('ranks the clusters by size and reports the largest as the shuttle', () => {
+        const result = clustersWith(0.25);
+        assert.deepStrictEqual(result.clusters.map(cluster => [cluster.rank, cluster.riderCount]), [[1, 6], [2, 3]]);
+        assert.deepStrictEqual(result.clusters[1].riders.sort(), ['S1', 'S2', 'S3']);
+        assert.deepStrictEqual(result.riders.sort(), ['B1', 'B2', 'B3', 'B4', 'B5', 'B6']);
+        assert.deepStrictEqual(result.center, result.clusters[0].center);
+        assert.strictEqual(result.riderCount, 6);
+        assert.strictEqual(result.totalRiders, 10);
+        assert.strictEqual(result.strength, 0.6);
+    });
+
+    it('lists riders outside every cluster as noise', () => {
+        assert.deepStrictEqual(clustersWith(0.25).noise, [{ riderId: 'X1', lat: 6.51, lng: 3.39, timestamp: new Date(now - 1000) }]);
+    });
+
+    it('flags a split only when the second cluster reaches splitMinShare', () => {
+        // The second cluster holds 3 of the 10 riders
+        assert.strictEqual(clustersWith(0.25).split, true);
+        assert.strictEqual(clustersWith(0.3).split, true);
+        assert.strictEqual(clustersWith(0.31).split, false);
+        assert.strictEqual(clustersWith(0.31).clusters.length, 2);
+    });
+});
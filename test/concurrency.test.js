@@ -0,0 +1,120 @@
+// test/concurrency.test.js
+// Concurrent writes against the JSON storage backend must never lose an update.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Point the server at a throwaway data file before it is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-tracker-'));
+const dataFile = path.join(tmpDir, 'data.json');
+process.env.STORAGE_BACKEND = 'json';
+process.env.DATA_FILE = dataFile;
+process.env.JSON_BACKUP_INTERVAL_SECONDS = '0'; // Rotate backups on every write
+// The load below comes from one IP and targets one trip; lift those rate limits so every post reaches storage
+process.env.RATE_LIMIT_IP_BURST = '1000';
+process.env.RATE_LIMIT_TRIP_BURST = '1000';
+
+const { app, storage } = require('../server');
+const { hashPassword } = require('../lib/auth');
+
+// Setup lives in the describe block: Node 16's runner doesn't wait for top-level hooks before running the tests
+describe('JSON store under concurrent load', () => {
+    let server;
+    let dispatcher; // supertest agent holding a dispatcher session cookie
+    let loadTripToken; // Join token of the LOAD01 trip
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+
+    before(async () => {
+        console.log = () => {}; // The endpoints log every request; keep test output readable
+        console.warn = () => {};
+        await storage.init();
+        await storage.insertUser({ username: 'dispatch', role: 'dispatcher', passwordHash: await hashPassword('dispatch-pass'), createdAt: new Date() });
+        server = app.listen(0);
+        dispatcher = request.agent(server);
+        await dispatcher.post('/api/auth/login').send({ username: 'dispatch', password: 'dispatch-pass' }).expect(200);
+    });
+
+    after(async () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        server.close();
+        await storage.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('hundreds of concurrent logBooking calls are all stored', async () => {
+        const created = await dispatcher.post('/api/createTrip').send({ tripCode: 'LOAD01' }).expect(201);
+        loadTripToken = created.body.trip.joinToken;
+
+        const riderCount = 300;
+        await Promise.all(Array.from({ length: riderCount }, (_, i) =>
+            request(server).post('/api/trips/LOAD01/join').send({ riderId: `Rider-${i}`, token: loadTripToken }).expect(201)
+        ));
+        const responses = await Promise.all(Array.from({ length: riderCount }, (_, i) =>
+            request(server).post('/api/logBooking').send({
+                code: 'LOAD01',
+                riderId: `Rider-${i}`,
+                token: loadTripToken,
+                lat: 6.5 + i * 0.0001,
+                lng: 3.3,
+                acc: 10
+            })
+        ));
+        responses.forEach(response => assert.strictEqual(response.status, 200));
+
+        const bookings = await storage.listBookings({ tripCode: 'LOAD01' });
+        assert.strictEqual(bookings.length, riderCount);
+        assert.strictEqual(new Set(bookings.map(b => b.riderId)).size, riderCount);
+
+        // The file on disk must be complete, valid JSON
+        const onDisk = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+        assert.strictEqual(onDisk.bookings.filter(b => b.tripCode === 'LOAD01').length, riderCount);
+    });
+
+    it('concurrent trip creation and location updates do not overwrite each other', async () => {
+        const tripCodes = Array.from({ length: 40 }, (_, i) => `MIX${i}`);
+        await Promise.all([
+            ...tripCodes.map(tripCode => dispatcher.post('/api/createTrip').send({ tripCode })),
+            ...Array.from({ length: 100 }, (_, i) =>
+                request(server).post('/api/trips/LOAD01/join').send({ riderId: `Late-${i}`, token: loadTripToken })
+                    .then(() => request(server).post('/api/logBooking').send({ code: 'LOAD01', riderId: `Late-${i}`, lat: 6.6, lng: 3.4, acc: 5, token: loadTripToken }))
+            )
+        ]);
+
+        const trips = await storage.listTrips();
+        tripCodes.forEach(code => assert.ok(trips.some(trip => trip.code === code), `trip ${code} missing`));
+        const bookings = await storage.listBookings({ tripCode: 'LOAD01' });
+        assert.strictEqual(bookings.filter(b => b.riderId.startsWith('Late-')).length, 100);
+    });
+
+    it('a damaged data file is recovered from the rolling backup instead of read as empty', async () => {
+        const tripsBefore = await storage.listTrips();
+        assert.ok(tripsBefore.length > 0);
+
+        // Simulate a crash that left half a file behind
+        const content = fs.readFileSync(dataFile, 'utf8');
+        fs.writeFileSync(dataFile, content.slice(0, Math.floor(content.length / 2)));
+
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            const reads = await Promise.all([storage.listTrips(), storage.listTrips(), storage.listTrips()]);
+            reads.forEach(tripsAfter => assert.ok(tripsAfter.length > 0, 'trips were lost'));
+        } finally {
+            console.error = originalError;
+        }
+
+        // The backup is written back right away (on the write queue), so later reads find a valid data file again
+        const isValid = () => { try { JSON.parse(fs.readFileSync(dataFile, 'utf8')); return true; } catch (error) { return false; } };
+        for (let attempt = 0; attempt < 50 && !isValid(); attempt++) await new Promise(resolve => setTimeout(resolve, 20));
+        assert.ok(isValid(), 'the data file was not restored from the backup');
+        const corruptCopies = fs.readdirSync(tmpDir).filter(name => name.startsWith('data.json.corrupt-'));
+        assert.strictEqual(corruptCopies.length, 1, 'the damaged file should be saved once');
+        await storage.listTrips();
+        assert.strictEqual(fs.readdirSync(tmpDir).filter(name => name.startsWith('data.json.corrupt-')).length, 1);
+    });
+});
@@ -0,0 +1,76 @@
+// test/eta.test.js
+// Arrival estimates measure the distance to each remaining stop along the route.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { buildRouteLine, estimateArrivals, addArrivalEstimates } = require('../lib/eta');
+const { findNextStop } = require('../lib/routes');
+
+const NOW = Date.parse('2026-03-02T08:00:00.000Z');
+const LEG = 1112; // Meters between stops 0.01° of latitude apart
+
+const stop = (id, lat, lng = 3.38) => ({ id, name: `Stop ${id}`, lat, lng, radiusMeters: 50 });
+const northbound = { id: 'NORTH', stops: [stop('S1', 6.5), stop('S2', 6.51), stop('S3', 6.52)], path: null };
+
+function estimate(route, position, options = {}) {
+    return estimateArrivals(route, position, findNextStop(route, position), { averageSpeedMps: 10, now: NOW, ...options });
+}
+
+const near = (actual, expected, tolerance = 2) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not about ${expected}`);
+
+describe('arrival estimates', () => {
+    it('adds up the route legs to the remaining stops at the average speed', () => {
+        const result = estimate(northbound, { lat: 6.505, lng: 3.38 });
+        assert.strictEqual(result.speedSource, 'average');
+        assert.deepStrictEqual(result.stops.map(item => item.id), ['S2', 'S3']);
+        near(result.stops[0].distanceMeters, LEG / 2);
+        near(result.stops[1].distanceMeters, LEG * 1.5);
+        near(result.stops[1].etaSeconds, LEG * 0.15);
+        assert.strictEqual(result.stops[0].eta, new Date(NOW + result.stops[0].etaSeconds * 1000).toISOString());
+        assert.strictEqual(result.offRouteMeters, 0);
+    });
+
+    it('uses the observed speed only while the shuttle is really moving', () => {
+        assert.strictEqual(estimate(northbound, { lat: 6.505, lng: 3.38 }, { observedSpeedMps: 5 }).speedSource, 'observed');
+        const crawling = estimate(northbound, { lat: 6.505, lng: 3.38 }, { observedSpeedMps: 1 });
+        assert.deepStrictEqual([crawling.speedSource, crawling.speedMps], ['average', 10]);
+    });
+
+    it('counts no distance to the stop the shuttle is at', () => {
+        const result = estimate(northbound, { lat: 6.5101, lng: 3.38 });
+        assert.strictEqual(result.stops[0].id, 'S2');
+        assert.deepStrictEqual([result.stops[0].distanceMeters, result.stops[0].etaSeconds], [0, 0]);
+        near(result.stops[1].distanceMeters, LEG);
+    });
+
+    it('never promises less than the straight-line distance when the shuttle is off the route', () => {
+        // About 550 m east of the halfway point between S1 and S2
+        const result = estimate(northbound, { lat: 6.505, lng: 3.385 });
+        near(result.offRouteMeters, 552);
+        assert.ok(result.stops[0].distanceMeters > LEG / 2 + 200, `distance ${result.stops[0].distanceMeters}`);
+    });
+
+    it('keeps the stops of a loop in order along its path', () => {
+        const loop = {
+            id: 'LOOP',
+            stops: [stop('START', 6.5), stop('TOP', 6.51, 3.385), stop('END', 6.5)],
+            path: [[6.5, 3.38], [6.51, 3.38], [6.51, 3.39], [6.5, 3.39], [6.5, 3.38]]
+        };
+        const line = buildRouteLine(loop);
+        assert.strictEqual(line.stopAlong[0], 0);
+        near(line.stopAlong[1], LEG + 552);
+        assert.strictEqual(line.stopAlong[2], line.cumulative[line.cumulative.length - 1]);
+    });
+
+    it('is added to clusters with a next stop, from the smoothed position and speed', () => {
+        const clusters = {
+            ON: { routeId: 'NORTH', center: { lat: 6.5, lng: 3.38 }, smoothedCenter: { lat: 6.515, lng: 3.38 }, speedMps: 4 },
+            OFF: { center: { lat: 6.5, lng: 3.38 } }
+        };
+        clusters.ON.nextStop = findNextStop(northbound, clusters.ON.smoothedCenter);
+        addArrivalEstimates(clusters, [northbound], { averageSpeedMps: 10, now: NOW });
+        assert.deepStrictEqual(clusters.ON.eta.stops.map(item => item.id), ['S3']);
+        assert.strictEqual(clusters.ON.eta.speedSource, 'observed');
+        near(clusters.ON.eta.stops[0].etaSeconds, LEG / 2 / 4);
+        assert.strictEqual(clusters.OFF.eta, undefined);
+    });
+});
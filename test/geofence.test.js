@@ -0,0 +1,83 @@
+// test/geofence.test.js
+// Shuttle positions turn into ARRIVED and DEPARTED events at the stops of the trip's route.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EARTH_RADIUS_METERS } = require('../lib/clustering');
+const { createGeofenceTracker } = require('../lib/geofence');
+
+const T0 = Date.parse('2026-03-02T08:00:00.000Z');
+const METERS_PER_DEGREE = EARTH_RADIUS_METERS * Math.PI / 180;
+
+const route = {
+    id: 'LOOP',
+    stops: [
+        { id: 'S1', name: 'Allen', lat: 6.5, lng: 3.38, radiusMeters: 100 },
+        { id: 'S2', name: 'Marina', lat: 6.52, lng: 3.38, radiusMeters: 100 }
+    ]
+};
+
+// The trip's cluster with the shuttle `north` meters north of the first stop
+const cluster = (north, routeId = 'LOOP') => ({ tripCode: 'GEO1', routeId, center: { lat: 6.5 + north / METERS_PER_DEGREE, lng: 3.38 } });
+
+function step(tracker, north, seconds, routes = [route]) {
+    const clusters = { GEO1: cluster(north) };
+    const events = tracker.update(clusters, routes, T0 + seconds * 1000);
+    return { events, geofence: clusters.GEO1.geofence };
+}
+
+describe('stop geofences', () => {
+    it('reports arriving once and leaving with the dwell time', () => {
+        const tracker = createGeofenceTracker();
+        assert.deepStrictEqual(step(tracker, -300, 0).events, []);
+
+        const arrived = step(tracker, -50, 30);
+        assert.deepStrictEqual(arrived.events.map(event => [event.type, event.data.stopId]), [['ARRIVED', 'S1']]);
+        assert.strictEqual(arrived.geofence.atStop.id, 'S1');
+
+        assert.deepStrictEqual(step(tracker, 20, 90).events, []);
+        const waiting = step(tracker, 0, 120).geofence;
+        assert.deepStrictEqual([waiting.atStop.dwellSeconds, waiting.lastEvent.type], [90, 'ARRIVED']);
+
+        const departed = step(tracker, 200, 150);
+        assert.deepStrictEqual(departed.events.map(event => event.type), ['DEPARTED']);
+        assert.deepStrictEqual([departed.events[0].data.dwellSeconds, departed.events[0].data.arrivedAt], [120, new Date(T0 + 30000).toISOString()]);
+        assert.strictEqual(departed.geofence.atStop, null);
+    });
+
+    it('does not leave a stop while the shuttle wobbles on the edge of its geofence', () => {
+        const tracker = createGeofenceTracker();
+        step(tracker, 90, 0);
+        // 110 m is outside the 100 m radius but within 1.25 times it
+        assert.deepStrictEqual(step(tracker, 110, 10).events, []);
+        assert.deepStrictEqual(step(tracker, 95, 20).events, []);
+        assert.deepStrictEqual(step(tracker, 130, 30).events.map(event => event.type), ['DEPARTED']);
+    });
+
+    it('departs and arrives in one update when the shuttle jumps to the next stop', () => {
+        const tracker = createGeofenceTracker();
+        step(tracker, 0, 0);
+        const events = step(tracker, 2224, 60).events;
+        assert.deepStrictEqual(events.map(event => [event.type, event.data.stopId]), [['DEPARTED', 'S1'], ['ARRIVED', 'S2']]);
+    });
+
+    it('departs a stop that was removed from the route', () => {
+        const tracker = createGeofenceTracker();
+        step(tracker, 0, 0);
+        const shortened = { ...route, stops: [route.stops[1]] };
+        assert.deepStrictEqual(step(tracker, 0, 60, [shortened]).events.map(event => [event.type, event.data.stopId]), [['DEPARTED', 'S1']]);
+    });
+
+    it('does not report the stop a shuttle was waiting at again after a restart', () => {
+        const before = createGeofenceTracker();
+        const [arrival] = step(before, 0, 0).events;
+
+        const after = createGeofenceTracker();
+        after.restore([{ type: 'RIDER_JOINED', tripCode: 'GEO1', data: { riderId: 'A' } }, { ...arrival, id: 7 }]);
+        const resumed = step(after, 10, 60);
+        assert.deepStrictEqual(resumed.events, []);
+        assert.deepStrictEqual([resumed.geofence.atStop.id, resumed.geofence.atStop.dwellSeconds], ['S1', 60]);
+
+        after.forget('GEO1');
+        assert.deepStrictEqual(step(after, 10, 70).events.map(event => event.type), ['ARRIVED']);
+    });
+});
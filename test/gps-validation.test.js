@@ -0,0 +1,91 @@
+// test/gps-validation.test.js
+// Rider fixes are checked against the rider's previous fix before they are stored.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createGpsValidator } = require('../lib/gps-validation');
+
+const T0 = Date.parse('2026-03-02T08:00:00.000Z');
+
+function fix(seconds, lat, lng = 3.38, accuracy = 10) {
+    return { tripCode: 'GPS1', riderId: 'A', timestamp: new Date(T0 + seconds * 1000), lat, lng, accuracy };
+}
+
+const codes = result => result.reasons.map(item => item.code);
+
+describe('GPS fix validation', () => {
+    it('rejects coordinates out of range, at 0,0 or too inaccurate', () => {
+        const validator = createGpsValidator();
+        assert.deepStrictEqual(codes(validator.check(fix(0, 91), null)), ['OUT_OF_RANGE']);
+        assert.deepStrictEqual(codes(validator.check(fix(0, 6.5, NaN), null)), ['OUT_OF_RANGE']);
+        assert.deepStrictEqual(codes(validator.check(fix(0, 0, 0), null)), ['NULL_ISLAND']);
+        assert.deepStrictEqual(codes(validator.check(fix(0, 6.5, 3.38, 5000), null)), ['LOW_ACCURACY']);
+
+        const poor = validator.check(fix(0, 6.5, 3.38, 500), null);
+        assert.strictEqual(poor.status, 'flagged');
+        assert.deepStrictEqual(codes(poor), ['POOR_ACCURACY']);
+        assert.strictEqual(validator.check(fix(0, 6.5, 3.38, null), null).status, 'accepted');
+    });
+
+    it('rejects the same fix sent again within a few seconds', () => {
+        const validator = createGpsValidator();
+        const previous = fix(0, 6.5);
+        assert.deepStrictEqual(codes(validator.check(fix(2, 6.5), previous)), ['DUPLICATE']);
+        // Same position but a different accuracy is a new reading
+        assert.strictEqual(validator.check(fix(2, 6.5, 3.38, 12), previous).status, 'accepted');
+    });
+
+    it('flags coordinates that stay frozen and clears that once they move', () => {
+        const validator = createGpsValidator({ frozenSeconds: 60 });
+        assert.strictEqual(validator.check(fix(30, 6.5), fix(0, 6.5)).status, 'accepted');
+        // The frozen time counts from the first identical fix, not the previous one
+        const frozen = validator.check(fix(70, 6.5), fix(30, 6.5));
+        assert.strictEqual(frozen.status, 'flagged');
+        assert.deepStrictEqual(codes(frozen), ['FROZEN']);
+
+        assert.strictEqual(validator.check(fix(100, 6.5005), fix(70, 6.5)).status, 'accepted');
+        assert.strictEqual(validator.check(fix(130, 6.5005), fix(100, 6.5005)).status, 'accepted');
+    });
+
+    it('flags fast movement and ignores movement within the accuracy of both fixes', () => {
+        const validator = createGpsValidator();
+        // About 1.1 km in 20 s is roughly 200 km/h
+        assert.deepStrictEqual(codes(validator.check(fix(20, 6.51), fix(0, 6.5))), ['HIGH_SPEED']);
+        // 100 m in 1 s would be 360 km/h, but both fixes are only good to 60 m
+        assert.strictEqual(validator.check(fix(1, 6.5009, 3.38, 60), fix(0, 6.5, 3.38, 60)).status, 'accepted');
+    });
+
+    it('rejects an impossible jump until the next fix confirms it, then flags it as RELOCATED', () => {
+        const validator = createGpsValidator();
+        const stored = fix(0, 6.5);
+        // About 5.5 km in 30 s
+        assert.deepStrictEqual(codes(validator.check(fix(30, 6.55), stored)), ['IMPOSSIBLE_SPEED']);
+
+        // The stored fix is still the previous one, but the rejected fix agrees with the new one
+        const relocated = validator.check(fix(60, 6.5503), stored);
+        assert.strictEqual(relocated.status, 'flagged');
+        assert.deepStrictEqual(codes(relocated), ['RELOCATED']);
+    });
+
+    it('does not confirm a jump with a fix that disagrees with the rejected one', () => {
+        const validator = createGpsValidator();
+        const stored = fix(0, 6.5);
+        validator.check(fix(30, 6.55), stored);
+        assert.deepStrictEqual(codes(validator.check(fix(60, 6.45), stored)), ['IMPOSSIBLE_SPEED']);
+        // An accepted fix in between clears the remembered rejection
+        const accepted = fix(90, 6.5001);
+        assert.strictEqual(validator.check(accepted, stored).status, 'accepted');
+        assert.deepStrictEqual(codes(validator.check(fix(120, 6.4503), accepted)), ['IMPOSSIBLE_SPEED']);
+    });
+
+    it('forgets the state of a trip and keeps other trips', () => {
+        const validator = createGpsValidator();
+        const stored = fix(0, 6.5);
+        const other = { ...stored, tripCode: 'GPS2' };
+        validator.check(fix(30, 6.55), stored);
+        validator.check({ ...fix(30, 6.55), tripCode: 'GPS2' }, other);
+
+        validator.forget('GPS1');
+        assert.deepStrictEqual(codes(validator.check(fix(60, 6.5503), stored)), ['IMPOSSIBLE_SPEED']);
+        assert.deepStrictEqual(codes(validator.check({ ...fix(60, 6.5503), tripCode: 'GPS2' }, other)), ['RELOCATED']);
+    });
+});
@@ -0,0 +1,173 @@
+// test/live-updates.test.js
+// The Server-Sent Events hub debounces writes, keeps idle streams alive and pushes only topics that changed.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createLiveUpdates } = require('../lib/live-updates');
+
+// Point the server at a throwaway data file before it is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-tracker-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.DATA_FILE = path.join(tmpDir, 'data.json');
+
+const { app, storage } = require('../server');
+const { hashPassword } = require('../lib/auth');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Named events in a chunk of SSE text, as [topic, payload] pairs
+function parseEvents(text) {
+    return text.split('\n\n')
+        .map(block => block.match(/^event: (.*)\ndata: (.*)$/))
+        .filter(Boolean)
+        .map(([, topic, data]) => [topic, JSON.parse(data)]);
+}
+
+// Stand-ins for the Express request and response of one open stream
+function createClient() {
+    const req = new EventEmitter();
+    const writes = [];
+    const res = {
+        set() {},
+        flushHeaders() {},
+        write(chunk) { writes.push(chunk); },
+        end() { res.ended = true; }
+    };
+    return { req, res, writes, events: () => parseEvents(writes.join('')) };
+}
+
+describe('live updates hub', () => {
+    const slow = { debounceMs: 10000, refreshIntervalMs: 10000, heartbeatIntervalMs: 10000 };
+
+    it('sends the reconnect delay and every topic to a new client', async () => {
+        const live = createLiveUpdates({ buildSnapshot: async () => ({ trips: ['T1'], health: {} }), retryMs: 1500, ...slow });
+        const client = createClient();
+        try {
+            await live.handleRequest(client.req, client.res);
+            assert.strictEqual(client.writes[0], 'retry: 1500\n\n');
+            assert.deepStrictEqual(client.events(), [['trips', ['T1']], ['health', {}]]);
+            assert.strictEqual(live.clientCount(), 1);
+        } finally {
+            live.close();
+        }
+        assert.strictEqual(client.res.ended, true);
+    });
+
+    it('coalesces a burst of writes into one refresh and pushes only the topics that changed', async () => {
+        let builds = 0;
+        let bookings = 0;
+        const live = createLiveUpdates({ buildSnapshot: async () => { builds++; return { bookings, trips: ['T1'] }; }, ...slow, debounceMs: 20 });
+        const client = createClient();
+        try {
+            await live.handleRequest(client.req, client.res);
+            assert.strictEqual(builds, 1);
+
+            bookings = 5;
+            for (let i = 0; i < 5; i++) live.notify();
+            await sleep(80);
+            assert.strictEqual(builds, 2);
+            assert.deepStrictEqual(client.events().slice(2), [['bookings', 5]]);
+
+            live.notify(); // Nothing changed: the refresh runs but sends nothing
+            await sleep(80);
+            assert.strictEqual(builds, 3);
+            assert.strictEqual(client.events().length, 3);
+        } finally {
+            live.close();
+        }
+    });
+
+    it('gives every client its own view of a payload', async () => {
+        const live = createLiveUpdates({ buildSnapshot: async () => ({ trips: [{ code: 'T1', joinToken: 'K7QM2XPA' }] }), ...slow });
+        const viewer = createClient();
+        const dispatcher = createClient();
+        try {
+            await live.handleRequest(viewer.req, viewer.res, { transform: (topic, trips) => trips.map(({ joinToken, ...trip }) => trip) });
+            await live.handleRequest(dispatcher.req, dispatcher.res);
+            assert.deepStrictEqual(viewer.events(), [['trips', [{ code: 'T1' }]]]);
+            assert.deepStrictEqual(dispatcher.events(), [['trips', [{ code: 'T1', joinToken: 'K7QM2XPA' }]]]);
+        } finally {
+            live.close();
+        }
+    });
+
+    it('sends heartbeats and periodic refreshes until the last client leaves', async () => {
+        let builds = 0;
+        const live = createLiveUpdates({ buildSnapshot: async () => ({ clock: ++builds }), debounceMs: 10000, refreshIntervalMs: 30, heartbeatIntervalMs: 20 });
+        const client = createClient();
+        try {
+            await live.handleRequest(client.req, client.res);
+            await sleep(110);
+            assert.ok(client.writes.filter(chunk => chunk === ': ping\n\n').length >= 2, 'no heartbeats');
+            assert.ok(client.events().length >= 3, 'no periodic refreshes');
+        } finally {
+            client.req.emit('close');
+        }
+        assert.strictEqual(live.clientCount(), 0);
+        const buildsAtClose = builds;
+        const writesAtClose = client.writes.length;
+        await sleep(80);
+        assert.strictEqual(builds, buildsAtClose);
+        assert.strictEqual(client.writes.length, writesAtClose);
+        // Without listeners a write doesn't trigger a refresh either
+        live.notify();
+        await sleep(20);
+        assert.strictEqual(builds, buildsAtClose);
+    });
+});
+
+describe('live update stream endpoint', () => {
+    let server;
+    let dispatcher;
+    let viewerCookie;
+    const originalLog = console.log;
+
+    before(async () => {
+        console.log = () => {}; // The endpoints log every request; keep test output readable
+        await storage.init();
+        await storage.insertUser({ username: 'dispatch', role: 'dispatcher', passwordHash: await hashPassword('dispatch-pass'), createdAt: new Date() });
+        await storage.insertUser({ username: 'watch', role: 'viewer', passwordHash: await hashPassword('watch-pass'), createdAt: new Date() });
+        server = app.listen(0);
+        dispatcher = request.agent(server);
+        await dispatcher.post('/api/auth/login').send({ username: 'dispatch', password: 'dispatch-pass' }).expect(200);
+        const login = await request(server).post('/api/auth/login').send({ username: 'watch', password: 'watch-pass' }).expect(200);
+        viewerCookie = login.headers['set-cookie'].map(cookie => cookie.split(';')[0]).join('; ');
+    });
+
+    after(async () => {
+        console.log = originalLog;
+        server.close();
+        await storage.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('pushes the trip list after a trip is created, without join tokens for viewers', async () => {
+        let text = '';
+        const stream = await new Promise((resolve, reject) => {
+            http.get({ port: server.address().port, path: '/api/stream', headers: { Cookie: viewerCookie } }, resolve).on('error', reject);
+        });
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => { text += chunk; });
+        const tripsEvents = () => parseEvents(text).filter(([topic]) => topic === 'trips').map(([, trips]) => trips);
+
+        try {
+            assert.strictEqual(stream.statusCode, 200);
+            assert.match(stream.headers['content-type'], /^text\/event-stream/);
+            for (let i = 0; i < 100 && tripsEvents().length === 0; i++) await sleep(20);
+            assert.deepStrictEqual(tripsEvents(), [[]]);
+
+            await dispatcher.post('/api/createTrip').send({ tripCode: 'LIVE1' }).expect(201);
+            for (let i = 0; i < 100 && tripsEvents().length < 2; i++) await sleep(20);
+            const [trip] = tripsEvents()[1];
+            assert.strictEqual(trip.code, 'LIVE1');
+            assert.strictEqual(trip.joinToken, undefined);
+        } finally {
+            stream.destroy();
+        }
+    });
+});
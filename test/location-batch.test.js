@@ -0,0 +1,103 @@
+// test/location-batch.test.js
+// Fixes buffered offline and uploaded through /api/logBookingBatch must fill the rider's history,
+// even when a live fix reached the server first.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Point the server at a throwaway data file before it is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-tracker-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.DATA_FILE = path.join(tmpDir, 'data.json');
+
+const { app, storage } = require('../server');
+const { hashPassword } = require('../lib/auth');
+
+const MINUTE = 60 * 1000;
+
+describe('buffered location uploads', () => {
+    let server;
+    let token; // Join token of the trip under test
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+
+    before(async () => {
+        console.log = () => {}; // The endpoints log every request; keep test output readable
+        console.warn = () => {};
+        await storage.init();
+        await storage.insertUser({ username: 'dispatch', role: 'dispatcher', passwordHash: await hashPassword('dispatch-pass'), createdAt: new Date() });
+        server = app.listen(0);
+        const dispatcher = request.agent(server);
+        await dispatcher.post('/api/auth/login').send({ username: 'dispatch', password: 'dispatch-pass' }).expect(200);
+        const created = await dispatcher.post('/api/createTrip').send({ tripCode: 'BATCH1' }).expect(201);
+        token = created.body.trip.joinToken;
+        // The rider got on ten minutes ago, so there is room for fixes buffered in between
+        await storage.openRiderSession({ tripCode: 'BATCH1', riderId: 'Rider-1', joinedAt: new Date(Date.now() - 10 * MINUTE) });
+    });
+
+    after(async () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        server.close();
+        await storage.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const sendBatch = fixes => request(server).post('/api/logBookingBatch')
+        .send({ code: 'BATCH1', riderId: 'Rider-1', token, fixes })
+        .expect(200);
+
+    it('a live fix that arrives first does not throw the buffered backlog away', async () => {
+        await request(server).post('/api/logBooking')
+            .send({ code: 'BATCH1', riderId: 'Rider-1', token, lat: 6.52, lng: 3.38, acc: 10 })
+            .expect(200);
+        const [live] = await storage.listBookings({ tripCode: 'BATCH1' });
+
+        const now = Date.now();
+        const backlog = [3, 2, 1].map((minutesAgo, i) => ({
+            lat: 6.5 + i * 0.002,
+            lng: 3.38,
+            acc: 10,
+            capturedAt: new Date(now - (6 + minutesAgo) * MINUTE).toISOString()
+        }));
+        const response = await sendBatch(backlog);
+        assert.strictEqual(response.body.accepted, 3);
+        assert.strictEqual(response.body.rejected, 0);
+
+        const history = await storage.listLocationHistory({ tripCode: 'BATCH1', riderId: 'Rider-1' });
+        assert.strictEqual(history.length, 4);
+        assert.deepStrictEqual(history.map(fix => fix.lat), [6.5, 6.502, 6.504, 6.52]);
+        // The late fixes are older than the live one, so the rider's position stays where it was
+        const [latest] = await storage.listBookings({ tripCode: 'BATCH1' });
+        assert.strictEqual(latest.timestamp, live.timestamp);
+    });
+
+    it('only fixes already stored with the same capture time are rejected as sent twice', async () => {
+        const history = await storage.listLocationHistory({ tripCode: 'BATCH1', riderId: 'Rider-1' });
+        const resent = history.slice(0, 3).map(fix => ({ lat: fix.lat, lng: fix.lng, acc: 10, capturedAt: fix.timestamp }));
+        const gapFix = { lat: 6.506, lng: 3.38, acc: 10, capturedAt: new Date(new Date(history[2].timestamp).getTime() + MINUTE).toISOString() };
+
+        const response = await sendBatch([...resent, gapFix]);
+        assert.deepStrictEqual(response.body.results.map(result => result.status), ['rejected', 'rejected', 'rejected', 'accepted']);
+        response.body.results.slice(0, 3).forEach(result => assert.strictEqual(result.reasons[0].code, 'ALREADY_STORED'));
+    });
+
+    it('fixes are spaced against their neighbours in time, stored or in the batch', async () => {
+        const history = await storage.listLocationHistory({ tripCode: 'BATCH1', riderId: 'Rider-1' });
+        const firstTime = new Date(history[0].timestamp).getTime();
+        const liveTime = new Date(history[history.length - 1].timestamp).getTime();
+        const at = time => ({ lat: 6.501, lng: 3.38, acc: 10, capturedAt: new Date(time).toISOString() });
+
+        const response = await sendBatch([
+            at(firstTime + 2000), // Right after a stored fix
+            at(liveTime - 2000), // Right before the live fix
+            at(firstTime + 20000),
+            at(firstTime + 22000) // Right after the fix before it in the batch
+        ]);
+        assert.deepStrictEqual(response.body.results.map(result => result.status), ['rejected', 'rejected', 'accepted', 'rejected']);
+        [0, 1, 3].forEach(index => assert.strictEqual(response.body.results[index].reasons[0].code, 'TOO_FREQUENT'));
+    });
+});
@@ -0,0 +1,77 @@
+// test/rate-limit.test.js
+// Token buckets per scope and key, as used for location posts.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../lib/rate-limit');
+
+const SECOND = 1000;
+
+describe('token bucket rate limiter', () => {
+    it('allows a burst, then one request per refilled token', () => {
+        const limiter = createRateLimiter({ rider: { perMinute: 6, burst: 3 } });
+        const now = Date.now();
+        [0, 1, 2].forEach(() => assert.deepStrictEqual(limiter.consume({ rider: 'A' }, 1, now), { allowed: true }));
+
+        const rejected = limiter.consume({ rider: 'A' }, 1, now);
+        assert.deepStrictEqual(rejected, { allowed: false, scope: 'rider', key: 'A', retryAfterSeconds: 10, firstRejection: true });
+        assert.strictEqual(limiter.consume({ rider: 'A' }, 1, now + 5 * SECOND).firstRejection, false);
+        assert.strictEqual(limiter.consume({ rider: 'A' }, 1, now + 10 * SECOND).allowed, true);
+        // Other keys have buckets of their own
+        assert.strictEqual(limiter.consume({ rider: 'B' }, 1, now + 10 * SECOND).allowed, true);
+    });
+
+    it('only takes tokens when every scope of the request allows it', () => {
+        const limiter = createRateLimiter({ rider: { perMinute: 60, burst: 5 }, ip: { perMinute: 60, burst: 1 } });
+        const now = Date.now();
+        assert.strictEqual(limiter.consume({ rider: 'A', ip: '10.0.0.1' }, 1, now).allowed, true);
+        const rejected = limiter.consume({ rider: 'A', ip: '10.0.0.1' }, 1, now);
+        assert.strictEqual(rejected.scope, 'ip');
+
+        // The rider bucket paid for the first request only
+        [0, 1, 2, 3].forEach(() => assert.strictEqual(limiter.consume({ rider: 'A' }, 1, now).allowed, true));
+        assert.strictEqual(limiter.consume({ rider: 'A' }, 1, now).allowed, false);
+        // Scopes without a key, or unknown to the limiter, are skipped
+        assert.strictEqual(limiter.consume({ rider: null, ip: '10.0.0.2', trip: 'T1' }, 1, now).allowed, true);
+
+        const { scopes } = limiter.stats();
+        assert.strictEqual(scopes.rider.allowed, 5);
+        assert.strictEqual(scopes.ip.rejected, 1);
+    });
+
+    it('lets a request larger than the burst through on a full bucket and leaves it in debt', () => {
+        const limiter = createRateLimiter({ rider: { perMinute: 4, burst: 4 } });
+        const now = Date.now();
+        assert.strictEqual(limiter.consume({ rider: 'A' }, 10, now).allowed, true);
+
+        // 4 - 10 leaves -6 tokens: the next request waits for 7 tokens at 4 a minute
+        const rejected = limiter.consume({ rider: 'A' }, 1, now);
+        assert.strictEqual(rejected.retryAfterSeconds, 105);
+        assert.strictEqual(limiter.consume({ rider: 'A' }, 1, now + 104 * SECOND).allowed, false);
+        assert.strictEqual(limiter.consume({ rider: 'A' }, 1, now + 105 * SECOND).allowed, true);
+
+        // Another large request needs a full bucket again, not all of its own cost
+        assert.strictEqual(limiter.consume({ rider: 'A' }, 10, now + 150 * SECOND).allowed, false);
+        assert.strictEqual(limiter.consume({ rider: 'A' }, 10, now + 165 * SECOND).allowed, true);
+    });
+
+    it('drops refilled buckets but keeps recently rejected keys for an hour', () => {
+        const limiter = createRateLimiter({ rider: { perMinute: 60, burst: 1 } });
+        const now = Date.now();
+        limiter.consume({ rider: 'A' }, 1, now);
+        limiter.consume({ rider: 'B' }, 1, now);
+        limiter.consume({ rider: 'B' }, 1, now);
+        assert.strictEqual(limiter.stats().scopes.rider.activeKeys, 2);
+
+        // Any request sweeps once the interval has passed
+        limiter.consume({}, 1, now + 61 * SECOND);
+        let stats = limiter.stats();
+        assert.strictEqual(stats.scopes.rider.activeKeys, 1);
+        assert.deepStrictEqual(stats.topRejected.map(item => [item.key, item.rejected]), [['B', 1]]);
+
+        limiter.consume({}, 1, now + 3601 * SECOND);
+        stats = limiter.stats();
+        assert.strictEqual(stats.scopes.rider.activeKeys, 0);
+        assert.deepStrictEqual(stats.topRejected, []);
+        assert.strictEqual(stats.scopes.rider.rejected, 1); // The totals since start stay
+    });
+});
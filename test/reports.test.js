@@ -0,0 +1,86 @@
+// test/reports.test.js
+// Report rows are computed from a trip's location history and rider sessions alone.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { REPORT_COLUMNS, buildTripReport, summarizeReport, reportToCsv } = require('../lib/reports');
+
+const T0 = Date.parse('2026-03-02T08:00:00.000Z');
+const MINUTE = 60 * 1000;
+const at = minutes => new Date(T0 + minutes * MINUTE).toISOString();
+const THRESHOLDS = { activeMinutes: 5, staleMinutes: 15 };
+const RANGE = { from: T0, to: T0 + 120 * MINUTE, thresholds: THRESHOLDS };
+
+const trip = code => ({ code, status: 'COMPLETED', origin: 'Ikeja', destination: 'Marina' });
+const session = (riderId, joinedMinute, leftMinute = null) => ({ riderId, joinedAt: at(joinedMinute), leftAt: leftMinute === null ? null : at(leftMinute) });
+const fixes = (riderId, minutes, accuracy = 10) => minutes.map(minute => ({ riderId, timestamp: at(minute), accuracy }));
+
+describe('trip reports', () => {
+    it('counts the most riders on the trip at once, without double counting back-to-back sessions', () => {
+        const row = buildTripReport({
+            trip: trip('R1'),
+            fixes: fixes('A', [0, 30]),
+            // C joins the moment A and B leave
+            sessions: [session('A', 0, 60), session('B', 10, 60), session('C', 60)],
+            ...RANGE
+        });
+        assert.strictEqual(row.uniqueRiders, 3);
+        assert.strictEqual(row.peakConcurrentRiders, 2);
+        assert.strictEqual(row.peakAt, at(10));
+    });
+
+    it('splits the trip time into health statuses from the gaps between fixes', () => {
+        const row = buildTripReport({
+            trip: trip('R2'),
+            // Fixes every 2 minutes, a 26 minute gap, then one more fix 10 minutes later
+            fixes: [...fixes('A', [0, 2, 4, 30], 10), ...fixes('E', [40], 20)],
+            sessions: [session('A', 0)],
+            ...RANGE
+        });
+        assert.strictEqual(row.firstJoinAt, at(0));
+        assert.strictEqual(row.lastFixAt, at(40));
+        assert.strictEqual(row.durationMinutes, 40);
+        // ACTIVE 0-9 and 30-35, STALE 9-19 and 35-40, INACTIVE 19-30
+        assert.deepStrictEqual(
+            [row.activeShare, row.staleShare, row.inactiveShare, row.noSignalShare],
+            [0.35, 0.375, 0.275, 0]
+        );
+        // E sent a location without joining
+        assert.strictEqual(row.uniqueRiders, 2);
+        assert.strictEqual(row.fixCount, 5);
+        assert.strictEqual(row.averageAccuracyMeters, 12);
+    });
+
+    it('counts the time before the first fix as no signal and uses a fix from before the range', () => {
+        const waiting = buildTripReport({ trip: trip('R3'), fixes: fixes('A', [10, 20]), sessions: [session('A', 0)], ...RANGE });
+        assert.deepStrictEqual([waiting.activeShare, waiting.staleShare, waiting.noSignalShare], [0.25, 0.25, 0.5]);
+
+        // The range starts 3 minutes after the last fix of a rider who joined earlier
+        const running = buildTripReport({ trip: trip('R4'), fixes: fixes('A', [-3, 8]), sessions: [session('A', -10)], ...RANGE });
+        assert.strictEqual(running.firstJoinAt, at(0));
+        assert.strictEqual(running.fixCount, 1);
+        assert.deepStrictEqual([running.activeShare, running.staleShare, running.noSignalShare], [0.25, 0.75, 0]);
+    });
+
+    it('leaves out trips with nothing in the range', () => {
+        const row = buildTripReport({ trip: trip('R5'), fixes: fixes('A', [-30, -20]), sessions: [session('A', -40, -10)], ...RANGE });
+        assert.strictEqual(row, null);
+    });
+
+    it('sums rows and weights the accuracy by the fixes of each trip', () => {
+        const rows = [
+            { uniqueRiders: 3, fixCount: 30, averageAccuracyMeters: 10 },
+            { uniqueRiders: 2, fixCount: 10, averageAccuracyMeters: 30 },
+            { uniqueRiders: 1, fixCount: 0, averageAccuracyMeters: null }
+        ];
+        assert.deepStrictEqual(summarizeReport(rows), { trips: 3, riders: 6, fixes: 40, averageAccuracyMeters: 15 });
+        assert.strictEqual(summarizeReport([]).averageAccuracyMeters, null);
+    });
+
+    it('quotes CSV values and keeps text that looks like a formula as text', () => {
+        const row = buildTripReport({ trip: { ...trip('=1+2'), origin: '@SUM(A1)', destination: 'Lekki, "Phase 1"' }, fixes: fixes('A', [0, 5]), sessions: [], ...RANGE });
+        const [header, line, end] = reportToCsv([row]).split('\r\n');
+        assert.strictEqual(header, REPORT_COLUMNS.join(','));
+        assert.strictEqual(end, '');
+        assert.ok(line.startsWith(`'=1+2,COMPLETED,,'@SUM(A1),"Lekki, ""Phase 1""",1,0,,,${at(5)},5,`));
+    });
+});
@@ -0,0 +1,114 @@
+// test/rider-sessions.test.js
+// Riders count towards their trip only between joining and leaving, even while their last fix is still fresh.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { calculateClusters, filterBookingsByRiderSessions } = require('../lib/clustering');
+
+// Point the server at a throwaway data file before it is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-tracker-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.DATA_FILE = path.join(tmpDir, 'data.json');
+
+const { app, storage } = require('../server');
+const { hashPassword } = require('../lib/auth');
+
+describe('rider session filter', () => {
+    const T0 = Date.parse('2026-03-02T08:00:00.000Z');
+    const at = seconds => new Date(T0 + seconds * 1000).toISOString();
+    const fix = (tripCode, riderId) => ({ tripCode, riderId, timestamp: at(50), lat: 6.5, lng: 3.38, accuracy: 10 });
+    const bookings = [fix('RS1', 'A'), fix('RS1', 'B'), fix('RS1', 'C'), fix('RS2', 'A')];
+    const sessions = [
+        { tripCode: 'RS1', riderId: 'A', joinedAt: at(0), leftAt: null },
+        { tripCode: 'RS1', riderId: 'B', joinedAt: at(0), leftAt: null },
+        { tripCode: 'RS1', riderId: 'C', joinedAt: at(0), leftAt: at(60) },
+        { tripCode: 'RS2', riderId: 'A', joinedAt: at(30), leftAt: null }
+    ];
+
+    it('keeps the bookings of riders on their trip at the given moment', () => {
+        const riders = time => filterBookingsByRiderSessions(bookings, sessions, time).map(booking => `${booking.tripCode}/${booking.riderId}`);
+        assert.deepStrictEqual(riders(T0 + 10000), ['RS1/A', 'RS1/B', 'RS1/C']);
+        assert.deepStrictEqual(riders(T0 + 30000), ['RS1/A', 'RS1/B', 'RS1/C', 'RS2/A']);
+        // Leaving takes effect at the moment the session ends
+        assert.deepStrictEqual(riders(T0 + 60000), ['RS1/A', 'RS1/B', 'RS2/A']);
+        // Being on one trip doesn't count for another
+        assert.deepStrictEqual(filterBookingsByRiderSessions([fix('RS2', 'B')], sessions, T0 + 30000), []);
+    });
+
+    it('drops a rider who left from the cluster and totalRiders while their fix is still recent', () => {
+        const defaults = { radiusMeters: 200, minClusterSize: 2, recentMinutes: 5, splitMinShare: 0.25 };
+        const trips = [{ code: 'RS1' }];
+        const clusterAt = seconds => calculateClusters(bookings, trips, { now: T0 + seconds * 1000, sessions, defaults, quiet: true }).RS1;
+
+        const joined = clusterAt(59);
+        assert.strictEqual(joined.totalRiders, 3);
+        assert.strictEqual(joined.riderCount, 3);
+        const left = clusterAt(61);
+        assert.strictEqual(left.totalRiders, 2);
+        assert.strictEqual(left.riderCount, 2);
+        assert.deepStrictEqual(left.riders.sort(), ['A', 'B']);
+    });
+});
+
+describe('joining and leaving a trip', () => {
+    let server;
+    let dispatcher;
+    let joinToken;
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+
+    before(async () => {
+        console.log = () => {}; // The endpoints log every request; keep test output readable
+        console.warn = () => {};
+        await storage.init();
+        await storage.insertUser({ username: 'dispatch', role: 'dispatcher', passwordHash: await hashPassword('dispatch-pass'), createdAt: new Date() });
+        server = app.listen(0);
+        dispatcher = request.agent(server);
+        await dispatcher.post('/api/auth/login').send({ username: 'dispatch', password: 'dispatch-pass' }).expect(200);
+        const created = await dispatcher.post('/api/createTrip').send({ tripCode: 'SESS1' }).expect(201);
+        joinToken = created.body.trip.joinToken;
+    });
+
+    after(async () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        server.close();
+        await storage.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const rider = (action, riderId) => request(server).post(`/api/trips/SESS1/${action}`).send({ riderId, token: joinToken });
+    const logFix = (riderId, lat) => request(server).post('/api/logBooking').send({ code: 'SESS1', riderId, lat, lng: 3.38, acc: 10, token: joinToken });
+
+    it('only takes fixes from riders who joined', async () => {
+        const { body } = await logFix('R1', 6.5).expect(409);
+        assert.strictEqual(body.error, "Rider 'R1' has not joined trip 'SESS1'. Join the trip first.");
+        await rider('join', 'R1').expect(201);
+        await rider('join', 'R1').expect(200); // Joining again (e.g. after a reload) keeps the open session
+        await logFix('R1', 6.5).expect(200);
+    });
+
+    it('stops counting a rider as soon as they leave', async () => {
+        for (const riderId of ['R2', 'R3']) {
+            await rider('join', riderId).expect(201);
+            await logFix(riderId, 6.5001).expect(200);
+        }
+        const joined = (await dispatcher.get('/api/getClusters').expect(200)).body.SESS1;
+        assert.strictEqual(joined.totalRiders, 3);
+        assert.strictEqual(joined.riderCount, 3);
+
+        await rider('leave', 'R3').expect(200);
+        const left = (await dispatcher.get('/api/getClusters').expect(200)).body.SESS1;
+        assert.strictEqual(left.totalRiders, 2);
+        assert.strictEqual(left.riderCount, 2);
+        assert.deepStrictEqual(left.riders.sort(), ['R1', 'R2']);
+        // Their last position is kept; it just no longer counts
+        assert.ok((await storage.listBookings({ tripCode: 'SESS1' })).some(booking => booking.riderId === 'R3'));
+
+        await rider('leave', 'R3').expect(404);
+        await logFix('R3', 6.5).expect(409);
+    });
+});
@@ -0,0 +1,80 @@
+// test/routes.test.js
+// Route validation and working out which stop the shuttle is heading for.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_STOP_RADIUS_METERS, validateRoute, findNextStop, addNextStops } = require('../lib/routes');
+
+// Three stops about 1.1 km apart, west to east
+const STOPS = [
+    { name: 'Allen', lat: 6.5, lng: 3.38 },
+    { name: 'Obafemi Awolowo', lat: 6.5, lng: 3.39, radiusMeters: 80 },
+    { name: 'Marina', lat: 6.5, lng: 3.40 }
+];
+
+describe('route validation', () => {
+    it('derives the route id, stop ids and stop radius when they are missing', () => {
+        const { route, errors } = validateRoute({ name: '  Campus Loop (AM) ', stops: STOPS });
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(route.id, 'CAMPUS-LOOP-AM');
+        assert.strictEqual(route.name, 'Campus Loop (AM)');
+        assert.deepStrictEqual(route.stops.map(stop => [stop.id, stop.radiusMeters]), [['S1', DEFAULT_STOP_RADIUS_METERS], ['S2', 80], ['S3', DEFAULT_STOP_RADIUS_METERS]]);
+        assert.strictEqual(route.path, null);
+    });
+
+    it('collects every error of a bad route', () => {
+        const { errors } = validateRoute({
+            id: 'no spaces',
+            name: 'Loop',
+            stops: [{ id: 'a', name: '', lat: 91, lng: 3.38 }, { id: 'A', name: 'Yaba', lat: 6.5, lng: 3.38, radiusMeters: 1 }],
+            path: [[6.5, 3.38]]
+        });
+        assert.deepStrictEqual(errors, [
+            "id may only contain letters, digits, '-' and '_' (max 40 characters)",
+            'stops[0].name must be a non-empty string',
+            'stops[0].lat must be a latitude between -90 and 90',
+            'stops[1].radiusMeters must be a number between 5 and 5000',
+            'Stop ids must be unique within a route',
+            'path must be an array of 2 to 5000 [lat, lng] points'
+        ]);
+    });
+
+    it('only checks the fields present in an update, and null removes the path', () => {
+        assert.deepStrictEqual(validateRoute({ name: 'Renamed' }, { partial: true }), { route: { name: 'Renamed' }, errors: [] });
+        assert.deepStrictEqual(validateRoute({ path: null }, { partial: true }), { route: { path: null }, errors: [] });
+        assert.deepStrictEqual(validateRoute({ path: [[6.5, 3.38], [6.5, 200]] }, { partial: true }).errors, ['Every path point must be a [lat, lng] pair']);
+        assert.deepStrictEqual(validateRoute({ stops: [] }, { partial: true }).errors, ['stops must be a non-empty array']);
+    });
+});
+
+describe('next stop', () => {
+    const { route } = validateRoute({ name: 'Island', stops: STOPS });
+
+    it('is the stop the shuttle is at', () => {
+        const next = findNextStop(route, { lat: 6.5003, lng: 3.3901 });
+        assert.deepStrictEqual([next.id, next.atStop], ['S2', true]);
+    });
+
+    it('is the following stop once the shuttle has passed the nearest one', () => {
+        // Just east of Obafemi Awolowo, outside its radius
+        const next = findNextStop(route, { lat: 6.5, lng: 3.3912 });
+        assert.deepStrictEqual([next.id, next.atStop], ['S3', false]);
+        assert.ok(Math.abs(next.distanceMeters - 974) <= 2, `distance ${next.distanceMeters}`);
+    });
+
+    it('is the nearest stop while the shuttle is still approaching it', () => {
+        assert.strictEqual(findNextStop(route, { lat: 6.5, lng: 3.375 }).id, 'S1');
+        assert.strictEqual(findNextStop(route, { lat: 6.5, lng: 3.41 }).id, 'S3');
+        assert.strictEqual(findNextStop({ stops: [] }, { lat: 6.5, lng: 3.38 }), null);
+    });
+
+    it('is added to the clusters of trips that follow a route, from the smoothed position', () => {
+        const clusters = {
+            ON: { center: { lat: 6.5, lng: 3.375 }, smoothedCenter: { lat: 6.5, lng: 3.3999 } },
+            OFF: { center: { lat: 6.5, lng: 3.38 } }
+        };
+        addNextStops(clusters, [{ code: 'ON', routeId: 'ISLAND' }, { code: 'OFF', routeId: null }], [route]);
+        assert.strictEqual(clusters.ON.routeId, 'ISLAND');
+        assert.deepStrictEqual([clusters.ON.nextStop.id, clusters.ON.nextStop.atStop], ['S3', true]);
+        assert.strictEqual(clusters.OFF.nextStop, undefined);
+    });
+});
@@ -0,0 +1,92 @@
+// test/shuttle-motion.test.js
+// The Kalman filter turns successive cluster centers into a smoothed position, speed and heading.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EARTH_RADIUS_METERS } = require('../lib/clustering');
+const { createShuttleMotionTracker } = require('../lib/shuttle-motion');
+
+const T0 = Date.parse('2026-03-02T08:00:00.000Z');
+const METERS_PER_DEGREE = EARTH_RADIUS_METERS * Math.PI / 180;
+const START = { lat: 6.5, lng: 3.38 };
+
+// The trip's largest cluster after the shuttle moved `north` and `east` meters from START
+function cluster(north, east = 0, tripCode = 'KF1') {
+    return {
+        tripCode,
+        center: {
+            lat: START.lat + north / METERS_PER_DEGREE,
+            lng: START.lng + east / (METERS_PER_DEGREE * Math.cos(START.lat * Math.PI / 180))
+        },
+        spreadMeters: 0,
+        riderCount: 5
+    };
+}
+
+// Feed one measurement every `stepSeconds` of a shuttle driving at a constant velocity (m/s)
+function drive(tracker, { northSpeed = 0, eastSpeed = 0, steps, stepSeconds = 10 }) {
+    let result;
+    for (let i = 0; i < steps; i++) {
+        const seconds = i * stepSeconds;
+        const clusters = { KF1: cluster(northSpeed * seconds, eastSpeed * seconds) };
+        result = tracker.update(clusters, T0 + seconds * 1000, { KF1: T0 + seconds * 1000 }).KF1;
+    }
+    return result;
+}
+
+describe('shuttle motion tracker', () => {
+    it('converges on the speed and heading of a shuttle driving north', () => {
+        const result = drive(createShuttleMotionTracker(), { northSpeed: 10, steps: 30 });
+        assert.ok(Math.abs(result.speedMps - 10) < 0.5, `speed ${result.speedMps}`);
+        assert.ok(result.headingDegrees <= 2 || result.headingDegrees >= 358, `heading ${result.headingDegrees}`);
+        // Consistent measurements make the filter more certain than a single one (2 sigma = 20 m)
+        assert.ok(result.confidenceRadiusMeters < 20, `confidence ${result.confidenceRadiusMeters}`);
+    });
+
+    it('reports the heading as a compass bearing and none when standing still', () => {
+        const east = drive(createShuttleMotionTracker(), { eastSpeed: 8, steps: 30 });
+        assert.ok(Math.abs(east.headingDegrees - 90) <= 2, `heading ${east.headingDegrees}`);
+
+        const parked = drive(createShuttleMotionTracker(), { steps: 30 });
+        assert.strictEqual(parked.speedMps, 0);
+        assert.strictEqual(parked.headingDegrees, null);
+    });
+
+    it('does not count a recalculation without a new fix as another measurement', () => {
+        const tracker = createShuttleMotionTracker();
+        const reference = createShuttleMotionTracker();
+        for (let i = 0; i < 10; i++) {
+            const fixAt = T0 + i * 10000;
+            reference.update({ KF1: cluster(i * 100) }, fixAt, { KF1: fixAt });
+            tracker.update({ KF1: cluster(i * 100) }, fixAt, { KF1: fixAt });
+            // Another trip's write recalculates every trip a few seconds later
+            const again = tracker.update({ KF1: cluster(i * 100) }, fixAt + 3000, { KF1: fixAt }).KF1;
+            const expected = reference.update({ KF1: cluster(i * 100) }, fixAt, { KF1: fixAt }).KF1;
+            assert.deepStrictEqual(again, expected);
+        }
+        // Without fix times every call is a measurement
+        const stale = tracker.update({ KF1: cluster(900) }, T0 + 120000).KF1;
+        const fresh = tracker.update({ KF1: cluster(900) }, T0 + 125000).KF1;
+        assert.ok(fresh.speedMps < stale.speedMps);
+    });
+
+    it('starts over after a jump the shuttle could not have made', () => {
+        const tracker = createShuttleMotionTracker();
+        drive(tracker, { northSpeed: 10, steps: 10 });
+        const jumped = cluster(5000, 5000);
+        const result = tracker.update({ KF1: jumped }, T0 + 100000, { KF1: T0 + 100000 }).KF1;
+        assert.ok(Math.abs(result.smoothedCenter.lat - jumped.center.lat) < 1e-9);
+        assert.ok(Math.abs(result.smoothedCenter.lng - jumped.center.lng) < 1e-9);
+        assert.strictEqual(result.speedMps, 0);
+    });
+
+    it('starts over after a long gap and keeps trips apart', () => {
+        const tracker = createShuttleMotionTracker({ maxGapMs: 60000 });
+        drive(tracker, { northSpeed: 10, steps: 10 });
+        const other = tracker.update({ KF2: cluster(0, 0, 'KF2') }, T0 + 100000).KF2;
+        assert.strictEqual(other.speedMps, 0);
+
+        const resumed = tracker.update({ KF1: cluster(2000) }, T0 + 200000, { KF1: T0 + 200000 }).KF1;
+        assert.strictEqual(resumed.speedMps, 0);
+        assert.strictEqual(resumed.confidenceRadiusMeters, 20);
+    });
+});
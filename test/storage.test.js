@@ -0,0 +1,169 @@
+// test/storage.test.js
+// Both storage backends implement the interface in lib/storage/index.js and must behave the same.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+// better-sqlite3 is an optional dependency, and its native build only loads on the Node version it was built for
+let hasSqlite = true;
+try {
+    const Database = require('better-sqlite3');
+    new Database(':memory:').close();
+} catch (error) {
+    hasSqlite = false;
+}
+
+const T0 = Date.parse('2026-03-02T08:00:00.000Z');
+const at = seconds => new Date(T0 + seconds * 1000);
+
+function newTrip(code) {
+    return {
+        code, createdAt: at(0), origin: 'Ikeja', destination: 'Marina', scheduledDeparture: null,
+        driverName: null, vehiclePlate: null, vehicleModel: null, capacity: null
+    };
+}
+
+function fix(tripCode, riderId, seconds, lat = 6.5) {
+    return { tripCode, riderId, timestamp: at(seconds), lat, lng: 3.38, accuracy: 10 };
+}
+
+const BACKENDS = [
+    { backend: 'json', options: dir => ({ dataFile: path.join(dir, 'data.json'), backupCount: 0 }) },
+    { backend: 'sqlite', options: dir => ({ sqliteFile: path.join(dir, 'data.sqlite') }), skip: !hasSqlite && 'better-sqlite3 is not available' }
+];
+
+BACKENDS.forEach(({ backend, options, skip }) => {
+    describe(`${backend} storage`, { skip }, () => {
+        let tmpDir;
+        let storage;
+        const originalLog = console.log;
+
+        before(async () => {
+            console.log = () => {}; // The stores log file creation and migrations
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-storage-'));
+            storage = createStorage({ backend, ...options(tmpDir) });
+            await storage.init();
+        });
+
+        after(async () => {
+            console.log = originalLog;
+            await storage.close();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it('stores trips and refuses a duplicate code', async () => {
+            assert.ok(await storage.insertTrip(newTrip('ST1')));
+            assert.strictEqual(await storage.insertTrip(newTrip('ST1')), null);
+            const trip = await storage.getTrip('ST1');
+            assert.strictEqual(trip.origin, 'Ikeja');
+            assert.strictEqual(trip.createdAt, at(0).toISOString());
+            const updated = await storage.updateTrip('ST1', { destination: 'Yaba' });
+            assert.strictEqual(updated.destination, 'Yaba');
+            assert.strictEqual(await storage.updateTrip('NOPE', { destination: 'Yaba' }), null);
+        });
+
+        it('keeps one latest fix per rider from insertBookings and every fix in the history', async () => {
+            await storage.insertBookings([fix('ST1', 'A', 0), fix('ST1', 'B', 5), fix('ST1', 'A', 10, 6.51)]);
+            const bookings = await storage.listBookings({ tripCode: 'ST1' });
+            assert.deepStrictEqual(bookings.map(booking => [booking.riderId, booking.lat]).sort(), [['A', 6.51], ['B', 6.5]]);
+            const history = await storage.listLocationHistory({ tripCode: 'ST1', riderId: 'A' });
+            assert.deepStrictEqual(history.map(point => point.timestamp), [at(0).toISOString(), at(10).toISOString()]);
+        });
+
+        it('records live fixes and only lets newer late fixes replace the latest one', async () => {
+            assert.deepStrictEqual(await storage.recordLocation(fix('ST1', 'C', 20)), { created: true });
+            assert.deepStrictEqual(await storage.recordLocation(fix('ST1', 'C', 40, 6.52)), { created: false });
+
+            const updated = await storage.recordLocations([fix('ST1', 'C', 30, 6.49), fix('ST1', 'D', 30)]);
+            assert.strictEqual(updated, 1); // D is new; C's late fix is older than its latest
+            const latest = (await storage.listBookings({ tripCode: 'ST1' })).find(booking => booking.riderId === 'C');
+            assert.strictEqual(latest.lat, 6.52);
+            // The history is returned oldest first whatever order the fixes were stored in
+            const history = await storage.listLocationHistory({ tripCode: 'ST1', riderId: 'C' });
+            assert.deepStrictEqual(history.map(point => point.lat), [6.5, 6.49, 6.52]);
+            const window = await storage.listLocationHistory({ tripCode: 'ST1', riderId: 'C', from: T0 + 25000, to: T0 + 35000 });
+            assert.strictEqual(window.length, 1);
+        });
+
+        it('filters bookings by trip and time and prunes old history', async () => {
+            await storage.insertTrip(newTrip('ST2'));
+            await storage.insertBookings([fix('ST2', 'E', 20)]);
+            assert.deepStrictEqual((await storage.listBookings({ tripCode: 'ST2' })).map(booking => booking.riderId), ['E']);
+            const recent = await storage.listBookings({ since: T0 + 10000 });
+            assert.deepStrictEqual(recent.map(booking => booking.riderId).sort(), ['C', 'D', 'E']);
+            assert.strictEqual(await storage.pruneLocationHistory(T0 + 1000), 1); // A's first fix
+            assert.strictEqual((await storage.listLocationHistory({ tripCode: 'ST1', riderId: 'A' })).length, 1);
+        });
+
+        it('opens one session per rider and closes it', async () => {
+            const first = await storage.openRiderSession({ tripCode: 'ST1', riderId: 'A', joinedAt: at(0) });
+            const again = await storage.openRiderSession({ tripCode: 'ST1', riderId: 'A', joinedAt: at(5) });
+            assert.strictEqual(first.created, true);
+            assert.strictEqual(again.created, false);
+            assert.strictEqual(again.session.joinedAt, at(0).toISOString());
+            await storage.openRiderSession({ tripCode: 'ST1', riderId: 'B', joinedAt: at(5) });
+
+            const closed = await storage.closeRiderSession({ tripCode: 'ST1', riderId: 'B', leftAt: at(50) });
+            assert.strictEqual(closed.leftAt, at(50).toISOString());
+            assert.strictEqual(await storage.closeRiderSession({ tripCode: 'ST1', riderId: 'B', leftAt: at(60) }), null);
+            const open = await storage.listRiderSessions({ tripCode: 'ST1', open: true });
+            assert.deepStrictEqual(open.map(session => session.riderId), ['A']);
+        });
+
+        it('deletes bookings and trips', async () => {
+            assert.strictEqual(await storage.deleteBookings({ tripCodes: ['ST2'] }), 1);
+            assert.deepStrictEqual(await storage.deleteTrip('ST1'), { tripDeleted: true, bookingsDeleted: 4 });
+            assert.deepStrictEqual(await storage.deleteTrip('ST1'), { tripDeleted: false, bookingsDeleted: 0 });
+            assert.deepStrictEqual((await storage.listTrips()).map(trip => trip.code), ['ST2']);
+            assert.deepStrictEqual(await storage.listBookings(), []);
+            assert.deepStrictEqual(await storage.listLocationHistory(), []);
+            assert.deepStrictEqual(await storage.listRiderSessions(), []);
+        });
+
+        it('assigns increasing event ids and pages newest first', async () => {
+            const stored = await storage.appendEvents([
+                { type: 'TRIP_CREATED', tripCode: 'ST1', timestamp: at(0), data: { by: 'dispatch' } },
+                { type: 'RIDER_JOINED', tripCode: 'ST1', timestamp: at(1), data: { riderId: 'A' } },
+                { type: 'RIDER_JOINED', tripCode: 'ST1', timestamp: at(2), data: { riderId: 'B' } }
+            ]);
+            assert.ok(stored[0].id < stored[1].id && stored[1].id < stored[2].id);
+            const page = await storage.listEvents({ tripCode: 'ST1', types: ['RIDER_JOINED'], limit: 1 });
+            assert.deepStrictEqual(page.map(event => event.data.riderId), ['B']);
+            const older = await storage.listEvents({ tripCode: 'ST1', beforeId: page[0].id });
+            assert.deepStrictEqual(older.map(event => event.type), ['RIDER_JOINED', 'TRIP_CREATED']);
+        });
+
+        it('archives a trip with its history and ends open sessions', async () => {
+            await storage.insertTrip(newTrip('ST3'));
+            await storage.insertBookings([fix('ST3', 'A', 0), fix('ST3', 'B', 5), fix('ST3', 'A', 10)]);
+            await storage.openRiderSession({ tripCode: 'ST3', riderId: 'A', joinedAt: at(0) });
+            await storage.appendEvents([{ type: 'TRIP_CREATED', tripCode: 'ST3', timestamp: at(0), data: { by: 'dispatch' } }]);
+
+            const summary = await storage.archiveTrip('ST3', { status: 'COMPLETED', archivedAt: at(100) });
+            assert.strictEqual(summary.status, 'COMPLETED');
+            assert.strictEqual(summary.summary.riderCount, 2);
+            assert.strictEqual(summary.summary.fixCount, 3);
+            assert.strictEqual(summary.summary.eventCount, 1);
+
+            assert.strictEqual(await storage.getTrip('ST3'), null);
+            assert.deepStrictEqual(await storage.listBookings({ tripCode: 'ST3' }), []);
+            assert.deepStrictEqual(await storage.listRiderSessions({ tripCode: 'ST3' }), []);
+
+            const archive = await storage.getArchivedTrip(summary.id);
+            assert.strictEqual(archive.trip.status, 'COMPLETED');
+            assert.strictEqual(archive.bookings.length, 2);
+            assert.ok(archive.riderSessions.every(session => session.leftAt));
+            assert.deepStrictEqual((await storage.listArchivedTrips({ tripCode: 'ST3' })).map(item => item.id), [summary.id]);
+            assert.strictEqual(await storage.archiveTrip('ST3', { status: 'COMPLETED', archivedAt: at(100) }), null);
+        });
+
+        it('merges and removes settings', async () => {
+            await storage.updateSettings({ clusteringDefaults: { radiusMeters: 500 }, other: 1 });
+            const settings = await storage.updateSettings({ other: null });
+            assert.deepStrictEqual(settings, { clusteringDefaults: { radiusMeters: 500 } });
+        });
+    });
+});
@@ -0,0 +1,74 @@
+// test/track-export.test.js
+// Trip history exports: names typed in by riders and dispatchers must not break the XML formats.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EXPORT_FORMATS, exportTracks } = require('../lib/track-export');
+
+const T0 = Date.parse('2026-03-02T08:00:00.000Z');
+const at = seconds => new Date(T0 + seconds * 1000).toISOString();
+const point = (seconds, lat, extra = {}) => ({ timestamp: at(seconds), lat, lng: 3.38, ...extra });
+
+const RIDER_ID = 'Ada <b>"&\'</b>';
+const ESCAPED_RIDER_ID = 'Ada &lt;b&gt;&quot;&amp;&apos;&lt;/b&gt;';
+
+function history() {
+    return {
+        tripCode: 'EXP1',
+        from: at(0),
+        to: at(600),
+        stepSeconds: 30,
+        recentMinutes: 5,
+        // The shuttle was lost between 60 and 300 s
+        shuttle: [point(0, 6.5, { riderCount: 2 }), point(30, 6.501, { riderCount: 2 }), point(60, 6.502, { riderCount: 1 }), point(300, 6.51, { riderCount: 1 }), point(330, 6.511, { riderCount: 1 })],
+        riders: [{ riderId: RIDER_ID, points: [point(0, 6.5)] }]
+    };
+}
+
+const route = {
+    id: 'R1',
+    name: 'Ikeja & Marina <Express>',
+    stops: [{ id: 'S1', name: 'Allen "Junction"', lat: 6.6, lng: 3.35, radiusMeters: 80 }],
+    path: [[6.6, 3.35], [6.45, 3.4]]
+};
+
+describe('track export', () => {
+    it('escapes names in GPX', () => {
+        const gpx = exportTracks('gpx', history(), route);
+        assert.ok(gpx.includes(`<name>Rider ${ESCAPED_RIDER_ID}</name>`));
+        assert.ok(gpx.includes('<name>Ikeja &amp; Marina &lt;Express&gt;</name>'));
+        assert.ok(gpx.includes('<name>Allen &quot;Junction&quot;</name>'));
+        assert.ok(!gpx.includes('<b>') && !gpx.includes('<Express>'));
+        // The shuttle gap splits its track into two segments
+        assert.strictEqual(gpx.split('<trkseg>').length - 1, 3);
+    });
+
+    it('escapes names in KML', () => {
+        const kml = exportTracks('kml', history(), route);
+        assert.ok(kml.includes(`<name>Rider ${ESCAPED_RIDER_ID}</name>`));
+        assert.ok(kml.includes('<name>Route Ikeja &amp; Marina &lt;Express&gt;</name>'));
+        assert.ok(kml.includes('<name>Allen &quot;Junction&quot;</name>'));
+        assert.ok(!kml.includes('<b>') && !kml.includes('<Express>'));
+        // Longitude first, as KML wants
+        assert.ok(kml.includes('<coordinates>3.35,6.6 3.4,6.45</coordinates>'));
+    });
+
+    it('builds GeoJSON features for the route, stops, shuttle and riders', () => {
+        const geojson = JSON.parse(exportTracks('geojson', history(), route));
+        assert.deepStrictEqual(geojson.features.map(feature => [feature.properties.kind, feature.geometry.type]), [
+            ['route', 'LineString'],
+            ['stop', 'Point'],
+            ['shuttle', 'MultiLineString'],
+            ['rider', 'Point']
+        ]);
+        const shuttle = geojson.features[2];
+        assert.deepStrictEqual(shuttle.properties.coordTimes, [[at(0), at(30), at(60)], [at(300), at(330)]]);
+        assert.deepStrictEqual(shuttle.geometry.coordinates[1], [[3.38, 6.51], [3.38, 6.511]]);
+        assert.strictEqual(geojson.features[3].properties.riderId, RIDER_ID);
+    });
+
+    it('exports a trip without a route and rejects unknown formats', () => {
+        Object.keys(EXPORT_FORMATS).forEach(format => assert.ok(exportTracks(format, history(), null).includes('EXP1')));
+        assert.ok(!exportTracks('kml', history(), null).includes('Route'));
+        assert.throws(() => exportTracks('shp', history(), null), /Unknown export format 'shp'/);
+    });
+});
@@ -0,0 +1,65 @@
+// test/trip-events.test.js
+// The state watcher reports changes in cluster results and trip health as events.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createTripEvent, createTripStateWatcher } = require('../lib/trip-events');
+
+const T0 = Date.parse('2026-03-02T08:00:00.000Z');
+
+const cluster = (riderCount, split = false) => ({
+    center: { lat: 6.5, lng: 3.38 },
+    riderCount,
+    split,
+    clusters: split ? [{ riderCount }, { riderCount: 2 }] : [{ riderCount }]
+});
+
+const types = events => events.map(event => `${event.type} ${event.tripCode}`);
+
+describe('trip state watcher', () => {
+    it('reports a cluster forming, splitting and getting lost once each', () => {
+        const watcher = createTripStateWatcher();
+        const formed = watcher.updateClusters({ EV1: cluster(5) }, T0);
+        assert.deepStrictEqual(formed, [createTripEvent('CLUSTER_FORMED', 'EV1', { riderCount: 5, lat: 6.5, lng: 3.38 }, T0)]);
+        assert.deepStrictEqual(watcher.updateClusters({ EV1: cluster(6) }, T0 + 1000), []);
+
+        const split = watcher.updateClusters({ EV1: cluster(4, true) }, T0 + 2000);
+        assert.deepStrictEqual(split.map(event => [event.type, event.data]), [['CLUSTER_SPLIT', { groups: 2, riderCounts: [4, 2] }]]);
+        assert.deepStrictEqual(watcher.updateClusters({ EV1: cluster(4, true) }, T0 + 3000), []);
+
+        assert.deepStrictEqual(types(watcher.updateClusters({ EV2: cluster(3) }, T0 + 4000)), ['CLUSTER_LOST EV1', 'CLUSTER_FORMED EV2']);
+        assert.deepStrictEqual(watcher.updateClusters({}, T0 + 5000).map(event => event.timestamp), [new Date(T0 + 5000).toISOString()]);
+    });
+
+    it('reports health changes but not the first status seen', () => {
+        const watcher = createTripStateWatcher();
+        assert.deepStrictEqual(watcher.updateHealth({ EV1: { status: 'ACTIVE', message: 'Live' } }, T0), []);
+        assert.deepStrictEqual(watcher.updateHealth({ EV1: { status: 'ACTIVE', message: 'Live' } }, T0), []);
+        const changed = watcher.updateHealth({ EV1: { status: 'STALE', message: 'No update for 6 min' } }, T0);
+        assert.deepStrictEqual(changed.map(event => event.data), [{ from: 'ACTIVE', to: 'STALE', message: 'No update for 6 min' }]);
+    });
+
+    it('picks up from stored events after a restart', () => {
+        const watcher = createTripStateWatcher();
+        // Newest first: EV1 is clustered and split, EV2 lost its cluster, EV3 is STALE
+        watcher.restore([
+            createTripEvent('CLUSTER_SPLIT', 'EV1', {}, T0 + 3000),
+            createTripEvent('HEALTH_CHANGED', 'EV3', { from: 'ACTIVE', to: 'STALE' }, T0 + 3000),
+            createTripEvent('CLUSTER_LOST', 'EV2', {}, T0 + 2000),
+            createTripEvent('CLUSTER_FORMED', 'EV1', {}, T0 + 1000),
+            createTripEvent('CLUSTER_FORMED', 'EV2', {}, T0 + 1000),
+            createTripEvent('HEALTH_CHANGED', 'EV3', { from: 'STALE', to: 'ACTIVE' }, T0),
+            createTripEvent('DATA_RESET', null, { by: 'dispatch' }, T0)
+        ]);
+
+        assert.deepStrictEqual(types(watcher.updateClusters({ EV1: cluster(4, true), EV2: cluster(3) }, T0 + 4000)), ['CLUSTER_FORMED EV2']);
+        assert.deepStrictEqual(watcher.updateHealth({ EV3: { status: 'STALE' } }, T0 + 4000), []);
+        assert.deepStrictEqual(types(watcher.updateHealth({ EV3: { status: 'INACTIVE' } }, T0 + 5000)), ['HEALTH_CHANGED EV3']);
+    });
+
+    it('forgets a trip', () => {
+        const watcher = createTripStateWatcher();
+        watcher.updateClusters({ EV1: cluster(5) }, T0);
+        watcher.forget('EV1');
+        assert.deepStrictEqual(watcher.updateClusters({}, T0 + 1000), []);
+    });
+});
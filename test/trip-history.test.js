@@ -0,0 +1,138 @@
+// test/trip-history.test.js
+// The history endpoint returns each rider's fixes in time order and a bounded shuttle track,
+// and the server drops history older than HISTORY_RETENTION_HOURS.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const request = require('supertest');
+
+// Point the server at a throwaway data file before it is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-tracker-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.DATA_FILE = path.join(tmpDir, 'data.json');
+
+const { app, storage } = require('../server');
+const { hashPassword } = require('../lib/auth');
+
+const T0 = Date.parse('2026-03-02T08:00:00.000Z');
+const at = seconds => new Date(T0 + seconds * 1000);
+const HOUR = 60 * 60 * 1000;
+
+function fix(tripCode, riderId, timestamp, lat = 6.5) {
+    return { tripCode, riderId, timestamp, lat, lng: 3.38, accuracy: 10 };
+}
+
+describe('trip history endpoint', () => {
+    let server;
+    let dispatcher;
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+
+    before(async () => {
+        console.log = () => {}; // The endpoints log every request; keep test output readable
+        console.warn = () => {};
+        await storage.init();
+        await storage.insertUser({ username: 'dispatch', role: 'dispatcher', passwordHash: await hashPassword('dispatch-pass'), createdAt: new Date() });
+        server = app.listen(0);
+        dispatcher = request.agent(server);
+        await dispatcher.post('/api/auth/login').send({ username: 'dispatch', password: 'dispatch-pass' }).expect(200);
+        await dispatcher.post('/api/createTrip').send({ tripCode: 'HIST1' }).expect(201);
+        await storage.openRiderSession({ tripCode: 'HIST1', riderId: 'B', joinedAt: at(0) });
+        await storage.openRiderSession({ tripCode: 'HIST1', riderId: 'A', joinedAt: at(0) });
+        // Stored out of order, as happens when a rider's offline fixes are uploaded after live ones
+        await storage.insertBookings([fix('HIST1', 'A', at(60), 6.51), fix('HIST1', 'B', at(0)), fix('HIST1', 'A', at(0)), fix('HIST1', 'B', at(60), 6.51), fix('HIST1', 'A', at(30), 6.505)]);
+    });
+
+    after(async () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        server.close();
+        await storage.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const history = query => dispatcher.get('/api/trips/hist1/history').query(query);
+
+    it('returns every rider track oldest first and the shuttle at each step', async () => {
+        const { body } = await history({ from: at(0).toISOString(), to: at(60).toISOString() }).expect(200);
+        assert.strictEqual(body.stepSeconds, 30);
+        assert.deepStrictEqual(body.riders.map(rider => rider.riderId), ['A', 'B']);
+        assert.deepStrictEqual(body.riders[0].points.map(point => point.timestamp), [at(0), at(30), at(60)].map(date => date.toISOString()));
+        assert.deepStrictEqual(body.riders[0].sessions, [{ joinedAt: at(0).toISOString(), leftAt: null }]);
+        assert.deepStrictEqual(body.shuttle.map(point => point.timestamp), [at(0), at(30), at(60)].map(date => date.toISOString()));
+    });
+
+    it('checks the step and range', async () => {
+        for (const step of ['4', 'often']) {
+            const { body } = await history({ step }).expect(400);
+            assert.strictEqual(body.error, "'step' must be a whole number of seconds (at least 5)");
+        }
+        await history({ from: at(60).toISOString(), to: at(0).toISOString() }).expect(400);
+        await history({ from: 'yesterday' }).expect(400);
+        await dispatcher.get('/api/trips/NOPE/history').expect(404);
+    });
+
+    it('widens the step so a long range stays within the track point limit', async () => {
+        // Two days at 5 second steps would be 34560 points; the limit of 2880 makes it one a minute
+        const { body } = await history({ from: at(0).toISOString(), to: at(48 * 3600).toISOString(), step: '5' }).expect(200);
+        assert.strictEqual(body.stepSeconds, 60);
+        assert.ok(body.shuttle.length <= 2881);
+        // The riders' fixes count for five minutes after they were sent
+        assert.strictEqual(body.shuttle.length, 7); // 0 to 360 s
+    });
+});
+
+describe('location history retention', () => {
+    // Start the real server on a seeded data file and let its startup prune run
+    function startServer(env) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], { env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+            const timer = setTimeout(() => { child.kill(); reject(new Error('The server did not start')); }, 20000);
+            let output = '';
+            child.stdout.on('data', chunk => {
+                output += chunk;
+                if (output.includes('Server running at')) {
+                    clearTimeout(timer);
+                    child.once('exit', () => resolve(output));
+                    child.kill();
+                }
+            });
+            child.once('error', reject);
+        });
+    }
+
+    it('prunes fixes and ended sessions older than HISTORY_RETENTION_HOURS on start', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-tracker-'));
+        const dataFile = path.join(dir, 'data.json');
+        const now = Date.now();
+        const old = new Date(now - 2 * HOUR).toISOString();
+        const recent = new Date(now - 10 * 60 * 1000).toISOString();
+        fs.writeFileSync(dataFile, JSON.stringify({
+            trips: [{ code: 'KEEP1', createdAt: old, status: 'IN_PROGRESS', statusChangedAt: old, joinToken: 'K7QM2XPA' }],
+            bookings: [fix('KEEP1', 'A', recent), fix('KEEP1', 'B', old)],
+            locationHistory: [fix('KEEP1', 'A', old), fix('KEEP1', 'A', recent), fix('KEEP1', 'B', old)],
+            riderSessions: [
+                { tripCode: 'KEEP1', riderId: 'A', joinedAt: old, leftAt: null },
+                { tripCode: 'KEEP1', riderId: 'B', joinedAt: old, leftAt: old }
+            ],
+            users: [{ username: 'dispatch', role: 'dispatcher', passwordHash: await hashPassword('dispatch-pass'), createdAt: old }]
+        }));
+
+        try {
+            const output = await startServer({ PORT: '0', STORAGE_BACKEND: 'json', DATA_FILE: dataFile, HISTORY_RETENTION_HOURS: '1' });
+            assert.match(output, /Pruned 2 location history entries older than 1h/);
+
+            const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+            assert.deepStrictEqual(data.locationHistory.map(point => [point.riderId, point.timestamp]), [['A', recent]]);
+            // Rider A is still on the trip; B's session ended before the cutoff
+            assert.deepStrictEqual(data.riderSessions.map(session => session.riderId), ['A']);
+            // Each rider's latest position is not history and stays
+            assert.strictEqual(data.bookings.length, 2);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
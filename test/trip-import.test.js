@@ -0,0 +1,122 @@
+// test/trip-import.test.js
+// Bulk trip imports are read into createTrip bodies before any trip is created,
+// and every row is checked like a single createTrip, trip code included.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { TRIP_IMPORT_MAX_ROWS, parseTripImport } = require('../lib/trip-import');
+
+// Point the server at a throwaway data file before it is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-tracker-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.DATA_FILE = path.join(tmpDir, 'data.json');
+
+const { app, storage } = require('../server');
+const { hashPassword } = require('../lib/auth');
+
+describe('trip import parsing', () => {
+    it('reads quoted cells with commas, quotes and line breaks', () => {
+        const csv = [
+            'tripCode,origin,destination,driverName',
+            'AM1,"Ikeja, Allen Avenue","Marina ""Jetty"" Gate","Ada',
+            'Obi"'
+        ].join('\n');
+        const { rows } = parseTripImport(csv);
+        assert.deepStrictEqual(rows, [{
+            row: 1,
+            input: { tripCode: 'AM1', origin: 'Ikeja, Allen Avenue', destination: 'Marina "Jetty" Gate', driverName: 'Ada\nObi' }
+        }]);
+    });
+
+    it('handles CRLF line ends, a byte order mark and a missing final line break', () => {
+        const { rows } = parseTripImport('\uFEFFtripCode,origin\r\nAM1,Ikeja\r\nAM2,Yaba');
+        assert.deepStrictEqual(rows.map(({ input }) => input), [
+            { tripCode: 'AM1', origin: 'Ikeja' },
+            { tripCode: 'AM2', origin: 'Yaba' }
+        ]);
+    });
+
+    it('skips blank lines but keeps the row numbers of the file', () => {
+        const { rows } = parseTripImport('\ntripCode\r\nAM1\r\n\r\n ,\r\nAM2\r\n');
+        assert.deepStrictEqual(rows.map(({ row, input }) => [row, input.tripCode]), [[1, 'AM1'], [4, 'AM2']]);
+    });
+
+    it('matches headers loosely, collects clustering overrides and reports unknown columns', () => {
+        const csv = 'Code,Vehicle Plate,radius_meters,Min-Cluster-Size,Notes\nAM1, LAG-123-XY ,300,,window seat\n';
+        const { rows, ignoredColumns } = parseTripImport(csv);
+        // An empty clustering cell keeps the default
+        assert.deepStrictEqual(rows[0].input, { tripCode: 'AM1', vehiclePlate: 'LAG-123-XY', clustering: { radiusMeters: '300' } });
+        assert.deepStrictEqual(ignoredColumns, ['Notes']);
+    });
+
+    it('needs a tripCode column and at least one trip', () => {
+        assert.deepStrictEqual(parseTripImport(''), { error: 'The file is empty' });
+        assert.deepStrictEqual(parseTripImport('origin,destination\nIkeja,Marina\n'), { error: 'The header row must have a tripCode column' });
+        assert.deepStrictEqual(parseTripImport('tripCode\n\n'), { error: 'The file has no trips' });
+    });
+
+    it('limits the number of trips in one import', () => {
+        const codes = Array.from({ length: TRIP_IMPORT_MAX_ROWS + 1 }, (_, i) => `T${i}`);
+        assert.strictEqual(parseTripImport(['tripCode', ...codes.slice(1)].join('\n')).rows.length, TRIP_IMPORT_MAX_ROWS);
+        assert.match(parseTripImport(['tripCode', ...codes].join('\n')).error, /At most/);
+    });
+
+    it('takes JSON arrays or { trips } and marks entries that are not objects', () => {
+        const trips = [{ tripCode: 'AM1', clustering: { radiusMeters: 300 } }, 'AM2', null];
+        const { rows, ignoredColumns } = parseTripImport({ trips });
+        assert.deepStrictEqual(rows, [{ row: 1, input: trips[0] }, { row: 2, input: null }, { row: 3, input: null }]);
+        assert.deepStrictEqual(ignoredColumns, []);
+        assert.strictEqual(parseTripImport(trips).rows.length, 3);
+        assert.match(parseTripImport({ tripCode: 'AM1' }).error, /Send a CSV file/);
+        assert.deepStrictEqual(parseTripImport([]), { error: 'The file has no trips' });
+    });
+});
+
+describe('trip codes', () => {
+    let server;
+    let dispatcher;
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    const codeError = "Trip code may only contain letters, digits, '-' and '_' (max 40 characters)";
+
+    before(async () => {
+        console.log = () => {}; // The endpoints log every request; keep test output readable
+        console.warn = () => {};
+        await storage.init();
+        await storage.insertUser({ username: 'dispatch', role: 'dispatcher', passwordHash: await hashPassword('dispatch-pass'), createdAt: new Date() });
+        server = app.listen(0);
+        dispatcher = request.agent(server);
+        await dispatcher.post('/api/auth/login').send({ username: 'dispatch', password: 'dispatch-pass' }).expect(200);
+    });
+
+    after(async () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        server.close();
+        await storage.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('accepts letters, digits, dashes and underscores up to 40 characters', async () => {
+        const { body } = await dispatcher.post('/api/createTrip').send({ tripCode: ' am-0630_b ' }).expect(201);
+        assert.strictEqual(body.trip.code, 'AM-0630_B');
+        await dispatcher.post('/api/createTrip').send({ tripCode: 'X'.repeat(40) }).expect(201);
+    });
+
+    it('refuses other codes on create', async () => {
+        for (const tripCode of ['<img src=x onerror=alert(1)>', 'AM 0630', 'AM/0630', '-AM', 'X'.repeat(41), 'ÄM1']) {
+            const { body } = await dispatcher.post('/api/createTrip').send({ tripCode }).expect(400);
+            assert.strictEqual(body.error, codeError);
+        }
+    });
+
+    it('refuses other codes on import, row by row', async () => {
+        const { body } = await dispatcher.post('/api/trips/import').type('text/csv').send('tripCode,origin\nPM1,Ikeja\n"<b>PM2</b>",Ikeja\n').expect(200);
+        assert.deepStrictEqual(body.summary, { total: 2, created: 1, skipped: 0, rejected: 1 });
+        assert.deepStrictEqual(body.results[1], { row: 2, tripCode: '<B>PM2</B>', result: 'rejected', error: codeError });
+        assert.strictEqual(await storage.getTrip('<B>PM2</B>'), null);
+    });
+});
@@ -0,0 +1,98 @@
+// test/trip-lifecycle.test.js
+// Trips move through their statuses only along the allowed transitions, and closing one archives it.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { TRIP_STATUSES, TRIP_STATUS_TRANSITIONS, isClosedTripStatus, checkTripStatusChange } = require('../lib/trip-lifecycle');
+
+// Point the server at a throwaway data file before it is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-tracker-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.DATA_FILE = path.join(tmpDir, 'data.json');
+
+const { app, storage } = require('../server');
+const { hashPassword } = require('../lib/auth');
+
+describe('trip status transitions', () => {
+    it('allows exactly the listed moves', () => {
+        TRIP_STATUSES.forEach(from => TRIP_STATUSES.forEach(to => {
+            const allowed = TRIP_STATUS_TRANSITIONS[from].includes(to);
+            assert.strictEqual(checkTripStatusChange(from, to) === null, allowed, `${from} -> ${to}`);
+        }));
+    });
+
+    it('explains why a move is refused', () => {
+        assert.strictEqual(checkTripStatusChange('IN_PROGRESS', 'SCHEDULED'), 'A IN_PROGRESS trip can only move to COMPLETED, CANCELLED');
+        assert.strictEqual(checkTripStatusChange('COMPLETED', 'CANCELLED'), "A COMPLETED trip can't change status");
+        assert.strictEqual(checkTripStatusChange('BOARDING', 'BOARDING'), 'Trip is already BOARDING');
+        assert.match(checkTripStatusChange('SCHEDULED', 'PARKED'), /^status must be one of/);
+        // Trips created before statuses existed count as SCHEDULED
+        assert.strictEqual(checkTripStatusChange(undefined, 'BOARDING'), null);
+    });
+
+    it('treats only completed and cancelled trips as closed', () => {
+        assert.deepStrictEqual(TRIP_STATUSES.filter(isClosedTripStatus), ['COMPLETED', 'CANCELLED']);
+    });
+});
+
+describe('trip status endpoint', () => {
+    let server;
+    let dispatcher;
+    let token; // Join token of the trip under test
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+
+    before(async () => {
+        console.log = () => {}; // The endpoints log every request; keep test output readable
+        console.warn = () => {};
+        await storage.init();
+        await storage.insertUser({ username: 'dispatch', role: 'dispatcher', passwordHash: await hashPassword('dispatch-pass'), createdAt: new Date() });
+        server = app.listen(0);
+        dispatcher = request.agent(server);
+        await dispatcher.post('/api/auth/login').send({ username: 'dispatch', password: 'dispatch-pass' }).expect(200);
+        const created = await dispatcher.post('/api/createTrip').send({ tripCode: 'LIFE1' }).expect(201);
+        token = created.body.trip.joinToken;
+    });
+
+    after(async () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        server.close();
+        await storage.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const setStatus = status => dispatcher.post('/api/trips/life1/status').send({ status });
+
+    it('moves a trip forward and refuses moves that are not allowed', async () => {
+        const boarding = await setStatus('boarding').expect(200);
+        assert.strictEqual(boarding.body.trip.status, 'BOARDING');
+        assert.strictEqual(boarding.body.archive, null);
+        await setStatus('IN_PROGRESS').expect(200);
+
+        const refused = await setStatus('BOARDING').expect(409);
+        assert.strictEqual(refused.body.error, 'A IN_PROGRESS trip can only move to COMPLETED, CANCELLED');
+        await setStatus('PARKED').expect(400);
+    });
+
+    it('archives a completed trip with its history and closes it to riders', async () => {
+        await request(server).post('/api/trips/LIFE1/join').send({ riderId: 'Rider-1', token }).expect(201);
+
+        const completed = await setStatus('COMPLETED').expect(200);
+        assert.strictEqual(completed.body.trip.status, 'COMPLETED');
+        const archiveId = completed.body.archive.id;
+
+        assert.strictEqual(await storage.getTrip('LIFE1'), null);
+        const archive = await dispatcher.get(`/api/archive/${archiveId}`).expect(200);
+        assert.deepStrictEqual(archive.body.riderSessions.map(session => [session.riderId, Boolean(session.leftAt)]), [['Rider-1', true]]);
+        assert.deepStrictEqual(archive.body.events.map(event => event.type).sort(), ['RIDER_JOINED', 'TRIP_CREATED', 'TRIP_STATUS_CHANGED', 'TRIP_STATUS_CHANGED']);
+
+        const join = await request(server).post('/api/trips/LIFE1/join').send({ riderId: 'Rider-2', token }).expect(410);
+        assert.strictEqual(join.body.error, "Trip 'LIFE1' has been completed.");
+        const again = await setStatus('CANCELLED').expect(409);
+        assert.strictEqual(again.body.error, "Trip 'LIFE1' is already COMPLETED and archived");
+    });
+});
@@ -0,0 +1,101 @@
+// test/trip-metadata.test.js
+// Trip metadata is checked and normalized the same way when a trip is created and when it is edited.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Point the server at a throwaway data file before it is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shuttle-tracker-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.DATA_FILE = path.join(tmpDir, 'data.json');
+
+const { app, storage } = require('../server');
+const { hashPassword } = require('../lib/auth');
+
+describe('trip metadata', () => {
+    let server;
+    let dispatcher;
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+
+    before(async () => {
+        console.log = () => {}; // The endpoints log every request; keep test output readable
+        console.warn = () => {};
+        await storage.init();
+        await storage.insertUser({ username: 'dispatch', role: 'dispatcher', passwordHash: await hashPassword('dispatch-pass'), createdAt: new Date() });
+        server = app.listen(0);
+        dispatcher = request.agent(server);
+        await dispatcher.post('/api/auth/login').send({ username: 'dispatch', password: 'dispatch-pass' }).expect(200);
+    });
+
+    after(async () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        server.close();
+        await storage.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('stores trimmed text, the departure in UTC and the capacity as a number', async () => {
+        const created = await dispatcher.post('/api/createTrip').send({
+            tripCode: ' meta1 ',
+            origin: '  Ikeja ',
+            destination: 'Marina',
+            scheduledDeparture: '2026-03-02T07:30:00+01:00',
+            driverName: '',
+            capacity: '18',
+            notes: 'not a trip field'
+        }).expect(201);
+
+        const { trip } = created.body;
+        assert.strictEqual(trip.code, 'META1');
+        assert.strictEqual(trip.origin, 'Ikeja');
+        assert.strictEqual(trip.scheduledDeparture, '2026-03-02T06:30:00.000Z');
+        assert.strictEqual(trip.capacity, 18);
+        // Empty and missing fields are stored as "not set"; unknown fields are dropped
+        assert.strictEqual(trip.driverName, null);
+        assert.strictEqual(trip.vehiclePlate, null);
+        assert.strictEqual(trip.notes, undefined);
+    });
+
+    it('rejects a bad capacity, departure or over-long text and reports every problem', async () => {
+        const rejected = async body => (await dispatcher.post('/api/createTrip').send({ tripCode: 'META2', ...body }).expect(400)).body.error;
+
+        for (const capacity of [0, -3, 2.5, 'twelve']) {
+            assert.strictEqual(await rejected({ capacity }), 'capacity must be a positive whole number');
+        }
+        assert.strictEqual(await rejected({ scheduledDeparture: 'after lunch' }), 'scheduledDeparture must be a valid date/time');
+        assert.strictEqual(await rejected({ scheduledDeparture: 1772436600000 }), 'scheduledDeparture must be a valid date/time');
+        assert.strictEqual(await rejected({ driverName: 'x'.repeat(121) }), 'driverName must be at most 120 characters');
+        assert.strictEqual(await rejected({ origin: 42, capacity: 0 }), 'origin must be a string; capacity must be a positive whole number');
+
+        // 120 characters is still allowed
+        await dispatcher.post('/api/createTrip').send({ tripCode: 'META2', driverName: 'x'.repeat(120) }).expect(201);
+    });
+
+    it('changes only the fields sent with PATCH and clears fields sent empty', async () => {
+        const updated = await dispatcher.patch('/api/trips/meta1').send({ vehiclePlate: 'LAG-123-XY', origin: null }).expect(200);
+        const { trip } = updated.body;
+        assert.strictEqual(trip.vehiclePlate, 'LAG-123-XY');
+        assert.strictEqual(trip.origin, null);
+        assert.strictEqual(trip.destination, 'Marina');
+        assert.strictEqual(trip.capacity, 18);
+        assert.ok(trip.updatedAt);
+        assert.deepStrictEqual(await storage.getTrip('META1'), trip);
+    });
+
+    it('leaves the trip unchanged when a PATCH is refused', async () => {
+        const before = await storage.getTrip('META1');
+
+        const invalid = await dispatcher.patch('/api/trips/META1').send({ capacity: -1, destination: 'Yaba' }).expect(400);
+        assert.strictEqual(invalid.body.error, 'capacity must be a positive whole number');
+        const empty = await dispatcher.patch('/api/trips/META1').send({ notes: 'window seat' }).expect(400);
+        assert.match(empty.body.error, /^No editable fields provided/);
+        assert.deepStrictEqual(await storage.getTrip('META1'), before);
+
+        await dispatcher.patch('/api/trips/NOPE').send({ capacity: 12 }).expect(404);
+    });
+});